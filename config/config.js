@@ -86,19 +86,183 @@ const config = {
       collaborator: process.env.ZENDESK_DEFAULT_COLLABORATOR || '',
       group_id: process.env.ZENDESK_DEFAULT_GROUP_ID || '',
       tags: process.env.ZENDESK_DEFAULT_TAGS ? process.env.ZENDESK_DEFAULT_TAGS.split(',') : ['chatbot', 'escalation']
+    },
+    // Repeat escalations of a requester are added to their open ticket instead of creating another
+    dedupe: {
+      mode: process.env.ZENDESK_DEDUPE_MODE || 'off', // off | private (internal note) | public (comment sent to the requester)
+      window: parseInt(process.env.ZENDESK_DEDUPE_WINDOW) || 86400000, // Tickets created in the last 24 hours
+      matchProduct: process.env.ZENDESK_DEDUPE_MATCH_PRODUCT === 'true' // Only the ticket of the same product
+    },
+    // Signed webhook mirroring agent replies into the chat; disabled without a secret
+    webhook: {
+      secret: process.env.ZENDESK_WEBHOOK_SECRET || '',
+      tolerance: parseInt(process.env.ZENDESK_WEBHOOK_TOLERANCE) || 300000 // Max age of a signed call (5 minutes)
     }
   },
 
+  // Helpdesk receiving escalations: zendesk | email (shared mailbox over SMTP) | webhook (signed) | mock (local files)
+  ticketing: {
+    provider: process.env.TICKETING_PROVIDER || 'zendesk',
+    // Per rubrique override, e.g. "tunnel_vente:email,compte_client:webhook"
+    rubriques: Object.fromEntries((process.env.TICKETING_RUBRIQUE_PROVIDERS || '')
+      .split(',')
+      .filter(Boolean)
+      .map(entry => entry.split(':').map(value => value.trim()))),
+    email: {
+      to: process.env.TICKETING_EMAIL_TO || '',
+      subjectPrefix: process.env.TICKETING_EMAIL_SUBJECT_PREFIX || 'Myleo'
+    },
+    webhook: {
+      url: process.env.TICKETING_WEBHOOK_URL || '',
+      secret: process.env.TICKETING_WEBHOOK_SECRET || '',
+      timeout: parseInt(process.env.TICKETING_WEBHOOK_TIMEOUT) || 30000
+    },
+    mock: {
+      directory: process.env.TICKETING_MOCK_DIRECTORY || 'logs/tickets'
+    },
+    // FAQ links in ticket descriptions, "{{id}}" / "{{externalId}}" are the FAQ's ids
+    faqUrl: process.env.TICKETING_FAQ_URL || ''
+  },
+
   // Chat configuration
   chat: {
     maxMessageLength: parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH) || 500,
     sessionTimeout: parseInt(process.env.CHAT_SESSION_TIMEOUT) || 1800000, // 30 minutes
+    abandonedSweepInterval: parseInt(process.env.CHAT_ABANDONED_SWEEP_INTERVAL) || 300000, // 5 minutes
+    resumeTimeout: parseInt(process.env.CHAT_RESUME_TIMEOUT) || 86400000, // Widget resumes conversations idle for less than 24 hours
     maxMessagesPerSession: parseInt(process.env.CHAT_MAX_MESSAGES) || 50,
+    ticketMessages: parseInt(process.env.CHAT_TICKET_MESSAGES) || 200, // Latest messages copied into escalation tickets
     defaultLanguage: process.env.CHAT_DEFAULT_LANGUAGE || 'fr',
     supportedLanguages: process.env.CHAT_SUPPORTED_LANGUAGES ? 
       process.env.CHAT_SUPPORTED_LANGUAGES.split(',') : ['fr', 'en'],
     searchThreshold: parseFloat(process.env.CHAT_SEARCH_THRESHOLD) || 0.6,
-    maxSearchResults: parseInt(process.env.CHAT_MAX_SEARCH_RESULTS) || 5
+    maxSearchResults: parseInt(process.env.CHAT_MAX_SEARCH_RESULTS) || 5,
+    // Multi-turn context carry-over
+    dialogueHistorySize: parseInt(process.env.CHAT_DIALOGUE_HISTORY) || 5,
+    followUpMaxWords: parseInt(process.env.CHAT_FOLLOW_UP_MAX_WORDS) || 8,
+    followUpMaxTurns: parseInt(process.env.CHAT_FOLLOW_UP_MAX_TURNS) || 2,
+    maxTopicTerms: parseInt(process.env.CHAT_MAX_TOPIC_TERMS) || 4,
+    // Clarification turn when several FAQ answers score closely
+    disambiguationMargin: parseFloat(process.env.CHAT_DISAMBIGUATION_MARGIN) || 0.05,
+    maxClarificationChoices: parseInt(process.env.CHAT_MAX_CLARIFICATION_CHOICES) || 3,
+    // Where active sessions live: memory (single process) | mysql (shared, cluster mode)
+    sessionStore: process.env.CHAT_SESSION_STORE || 'memory',
+    // Post-chat survey the widget shows when the user ends the conversation
+    survey: {
+      enabled: process.env.CHAT_SURVEY_ENABLED !== 'false',
+      nps: process.env.CHAT_SURVEY_NPS === 'true', // "How likely are you to recommend us?" 0-10
+      solved: process.env.CHAT_SURVEY_SOLVED !== 'false',
+      comment: process.env.CHAT_SURVEY_COMMENT !== 'false'
+    }
+  },
+
+  // Data-driven chat intents (greetings, hours, contact, tickets)
+  intents: {
+    source: process.env.INTENTS_SOURCE || 'file', // file | database | both
+    path: process.env.INTENTS_PATH || ''
+  },
+
+  // Opening hours calendar (hours replies, escalation reply times, widget status)
+  businessHours: {
+    timezone: process.env.BUSINESS_TIMEZONE || 'Europe/Paris',
+    // "mon-fri 09:00-18:00; sat 09:00-12:00", several intervals: "mon-fri 09:00-12:30,14:00-18:00"
+    weekly: process.env.BUSINESS_HOURS || 'mon-fri 09:00-18:00',
+    publicHolidays: process.env.BUSINESS_PUBLIC_HOLIDAYS || 'FR', // FR | none
+    // Exceptional closures: "2026-12-24, 2026-08-10..2026-08-21"
+    closures: process.env.BUSINESS_CLOSURES || '',
+    // Below this much remaining opening time, replies are expected at the next opening
+    minReplyWindowMinutes: parseInt(process.env.BUSINESS_MIN_REPLY_WINDOW) || 60
+  },
+
+  // Guided multi-step conversation flows (decision trees)
+  flows: {
+    path: process.env.FLOWS_PATH || ''
+  },
+
+  // Rules routing escalated tickets to Zendesk groups, assignees and forms
+  ticketRouting: {
+    path: process.env.TICKET_ROUTING_PATH || ''
+  },
+
+  // Urgency lexicons raising the priority of tickets about legal deadlines
+  urgency: {
+    enabled: process.env.URGENCY_ENABLED !== 'false',
+    path: process.env.URGENCY_PATH || '',
+    highScore: parseInt(process.env.URGENCY_HIGH_SCORE) || 2, // total term score for a high priority ticket
+    urgentScore: parseInt(process.env.URGENCY_URGENT_SCORE) || 3 // and for an urgent one
+  },
+
+  // Live agent takeover
+  agents: {
+    apiKey: process.env.AGENT_API_KEY || '', // Shared key of the agent console; live chat is off without it
+    presenceTimeout: parseInt(process.env.AGENT_PRESENCE_TIMEOUT) || 120000, // Agent counted online this long after its last call
+    waitTimeout: parseInt(process.env.AGENT_WAIT_TIMEOUT) || 300000, // Unclaimed requests fall back to the ticket form
+    pollInterval: parseInt(process.env.AGENT_POLL_INTERVAL) || 2000,
+    longPollTimeout: parseInt(process.env.AGENT_LONG_POLL_TIMEOUT) || 25000
+  },
+
+  // Server-Sent Events stream of chat sessions
+  streaming: {
+    heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL) || 15000, // Keeps proxies from closing idle streams
+    retryDelay: parseInt(process.env.STREAM_RETRY_DELAY) || 3000 // Browser reconnection delay
+  },
+
+  // Optional WebSocket transport of the chat API
+  websocket: {
+    enabled: process.env.WEBSOCKET_ENABLED === 'true',
+    path: process.env.WEBSOCKET_PATH || '/api/chat/ws',
+    heartbeatInterval: parseInt(process.env.WEBSOCKET_HEARTBEAT_INTERVAL) || 30000, // Connections missing a pong are dropped
+    maxPayload: parseInt(process.env.WEBSOCKET_MAX_PAYLOAD) || 16384
+  },
+
+  // Outgoing email (SMTP), e.g. transcripts; disabled without a host
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); STARTTLS is used otherwise when offered
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.SMTP_FROM || 'Myleo <no-reply@myleo.legal>'
+  },
+
+  // Conversation transcript export and email
+  transcripts: {
+    maxMessages: parseInt(process.env.TRANSCRIPT_MAX_MESSAGES) || 500,
+    maxEmails: parseInt(process.env.TRANSCRIPT_MAX_EMAILS) || 3, // Emails per conversation within the window
+    emailWindow: parseInt(process.env.TRANSCRIPT_EMAIL_WINDOW) || 86400000 // 24 hours
+  },
+
+  // Ticket status lookups from the widget: tickets of other conversations need a code emailed to the requester
+  ticketStatus: {
+    codeTtl: parseInt(process.env.TICKET_STATUS_CODE_TTL) || 900000, // 15 minutes
+    maxAttempts: parseInt(process.env.TICKET_STATUS_MAX_ATTEMPTS) || 5, // Codes sent and failed checks per ticket and requester (conversation or IP) within the window
+    attemptWindow: parseInt(process.env.TICKET_STATUS_ATTEMPT_WINDOW) || 3600000 // 1 hour
+  },
+
+  // Documents attached to escalations, uploaded to Zendesk
+  attachments: {
+    maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5,
+    maxFileSize: parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 5242880, // 5 MB
+    maxTotalSize: parseInt(process.env.ATTACHMENT_MAX_TOTAL_SIZE) || 7340032, // 7 MB, must fit the 10 MB JSON body once base64 encoded
+    allowedTypes: (process.env.ATTACHMENT_ALLOWED_TYPES || 'application/pdf,image/jpeg,image/png').split(','),
+    scanner: process.env.ATTACHMENT_SCANNER || 'none', // none | clamd
+    clamd: {
+      host: process.env.CLAMD_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMD_PORT) || 3310,
+      timeout: parseInt(process.env.CLAMD_TIMEOUT) || 30000
+    },
+    scanFailOpen: process.env.ATTACHMENT_SCAN_FAIL_OPEN === 'true' // Accept files when the scanner is unreachable
+  },
+
+  // Escalations are stored in an outbox and delivered to Zendesk in the background
+  escalations: {
+    outbox: process.env.ESCALATION_OUTBOX_ENABLED !== 'false', // false creates tickets during the request
+    pollInterval: parseInt(process.env.ESCALATION_POLL_INTERVAL) || 10000,
+    batchSize: parseInt(process.env.ESCALATION_BATCH_SIZE) || 10,
+    maxAttempts: parseInt(process.env.ESCALATION_MAX_ATTEMPTS) || 8, // Then dead-lettered
+    baseDelay: parseInt(process.env.ESCALATION_RETRY_BASE_DELAY) || 30000, // Doubled after every failure
+    maxDelay: parseInt(process.env.ESCALATION_RETRY_MAX_DELAY) || 3600000, // 1 hour
+    lockTimeout: parseInt(process.env.ESCALATION_LOCK_TIMEOUT) || 120000
   },
 
   // Retrieval-Augmented Generation style search configuration
@@ -112,7 +276,8 @@ const config = {
     rubriqueBoost: parseFloat(process.env.RAG_RUBRIQUE_BOOST) || 0.15,
     productBoost: parseFloat(process.env.RAG_PRODUCT_BOOST) || 0.2,
     variantDecay: parseFloat(process.env.RAG_VARIANT_DECAY) || 0.15,
-    fallbackLimit: parseInt(process.env.RAG_FALLBACK_LIMIT) || 5
+    fallbackLimit: parseInt(process.env.RAG_FALLBACK_LIMIT) || 5,
+    contextBoost: parseFloat(process.env.RAG_CONTEXT_BOOST) || 0.1
   },
 
   // Logging configuration
@@ -2,6 +2,15 @@
 -- MySQL 8.4.6 Compatible
 
 -- Drop tables if they exist (for development)
+DROP TABLE IF EXISTS ticket_status_checks;
+DROP TABLE IF EXISTS escalation_outbox;
+DROP TABLE IF EXISTS transcript_emails;
+DROP TABLE IF EXISTS conversation_surveys;
+DROP TABLE IF EXISTS message_feedback;
+DROP TABLE IF EXISTS chat_agents;
+DROP TABLE IF EXISTS chat_sessions;
+DROP TABLE IF EXISTS conversation_eligibility;
+DROP TABLE IF EXISTS chat_intents;
 DROP TABLE IF EXISTS chat_messages;
 DROP TABLE IF EXISTS conversations;
 DROP TABLE IF EXISTS faqs;
@@ -38,11 +47,19 @@ CREATE TABLE conversations (
     language_code VARCHAR(5) NOT NULL DEFAULT 'fr',
     rubrique ENUM('produit', 'compte_client', 'tunnel_vente', 'general') DEFAULT 'general',
     product_code VARCHAR(100),
+    page_url VARCHAR(2048), -- Page the widget was opened on
     user_ip VARCHAR(45), -- Support IPv6
     user_agent TEXT,
     status ENUM('active', 'resolved', 'escalated', 'abandoned') DEFAULT 'active',
     satisfaction_rating TINYINT UNSIGNED, -- 1-5 rating
-    zendesk_ticket_id VARCHAR(100), -- If escalated to Zendesk
+    zendesk_ticket_id VARCHAR(100), -- Ticket of the escalation (Zendesk or another provider)
+    ticket_provider VARCHAR(20), -- Provider that created the ticket (zendesk, email, webhook, mock); NULL for Zendesk
+    ticket_email_hash CHAR(64), -- SHA-256 of the requester email (lowercase), for ticket status lookups
+    zendesk_status VARCHAR(20), -- Last ticket status received from the Zendesk webhook
+    handoff_status ENUM('none', 'waiting', 'live', 'released', 'expired') DEFAULT 'none', -- Live agent takeover
+    agent_id VARCHAR(100), -- Agent who claimed the conversation
+    handoff_requested_at TIMESTAMP NULL,
+    agent_claimed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     ended_at TIMESTAMP NULL,
@@ -51,28 +68,175 @@ CREATE TABLE conversations (
     INDEX idx_status (status),
     INDEX idx_created_at (created_at),
     INDEX idx_rubrique_product (rubrique, product_code),
-    INDEX idx_zendesk_ticket (zendesk_ticket_id)
+    INDEX idx_zendesk_ticket (zendesk_ticket_id, ticket_provider),
+    INDEX idx_handoff (handoff_status, handoff_requested_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Chat messages table to store individual messages
 CREATE TABLE chat_messages (
     id INT AUTO_INCREMENT PRIMARY KEY,
     conversation_id INT NOT NULL,
-    message_type ENUM('user', 'bot', 'system') NOT NULL,
+    message_type ENUM('user', 'bot', 'system', 'agent') NOT NULL,
     message_text TEXT NOT NULL,
     faq_id INT NULL, -- Reference to FAQ if bot response is from FAQ
+    agent_id VARCHAR(100) NULL, -- Author of agent messages
+    author_name VARCHAR(255) NULL, -- Author of messages from outside the chat (Zendesk agents)
+    external_id VARCHAR(100) NULL, -- e.g. zendesk:comment:<id>, mirrored once
     response_time_ms INT UNSIGNED, -- Time taken to generate response
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
     FOREIGN KEY (faq_id) REFERENCES faqs(id) ON DELETE SET NULL,
     
+    UNIQUE KEY uk_conversation_external (conversation_id, external_id),
     INDEX idx_conversation_id (conversation_id),
     INDEX idx_message_type (message_type),
     INDEX idx_created_at (created_at),
     INDEX idx_faq_id (faq_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Chat intents editable without a deploy (override intents/<lang>.json by intent_key)
+CREATE TABLE chat_intents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    intent_key VARCHAR(100) NOT NULL,
+    language_code VARCHAR(5) NOT NULL DEFAULT 'fr',
+    stage ENUM('special', 'fallback') NOT NULL DEFAULT 'fallback',
+    priority INT NOT NULL DEFAULT 0,
+    definition JSON NOT NULL, -- match, reply, suggestions, canEscalate, action
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY uk_intent_language (intent_key, language_code),
+    INDEX idx_language_active (language_code, is_active)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Active chat sessions shared by all service instances (CHAT_SESSION_STORE=mysql)
+CREATE TABLE chat_sessions (
+    session_id VARCHAR(36) PRIMARY KEY, -- UUID, same as conversations.session_id
+    conversation_id INT NOT NULL,
+    message_count INT UNSIGNED NOT NULL DEFAULT 0,
+    last_activity TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    state JSON NOT NULL, -- language, rubrique, product, dialogue state, current flow...
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    
+    INDEX idx_last_activity (last_activity)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Support agents taking over live chats (presence is refreshed by every agent API call)
+CREATE TABLE chat_agents (
+    agent_id VARCHAR(100) PRIMARY KEY,
+    agent_name VARCHAR(255) NOT NULL,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_last_seen (last_seen_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Eligibility questionnaire answers collected in the chat (one row per completed questionnaire)
+CREATE TABLE conversation_eligibility (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    product_code VARCHAR(100),
+    flow_id VARCHAR(100) NOT NULL,
+    outcome ENUM('eligible', 'probably_eligible', 'not_eligible') NOT NULL,
+    answers JSON NOT NULL, -- [{ nodeId, question, answer, value }]
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    
+    INDEX idx_conversation_id (conversation_id),
+    INDEX idx_product_outcome (product_code, outcome)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Helpful / not helpful votes on bot answers (one per message, the last vote wins)
+CREATE TABLE message_feedback (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    message_id INT NOT NULL UNIQUE,
+    conversation_id INT NOT NULL,
+    faq_id INT NULL, -- FAQ the answer came from, copied from chat_messages
+    helpful BOOLEAN NOT NULL,
+    comment VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    FOREIGN KEY (faq_id) REFERENCES faqs(id) ON DELETE SET NULL,
+    
+    INDEX idx_faq_helpful (faq_id, helpful),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Post-chat survey answered when the user ends the conversation (CSAT is also kept in conversations.satisfaction_rating)
+CREATE TABLE conversation_surveys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL UNIQUE,
+    csat_rating TINYINT UNSIGNED, -- 1-5
+    nps_score TINYINT UNSIGNED, -- 0-10 likelihood to recommend
+    problem_solved BOOLEAN,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Conversation transcripts emailed to users (audit trail and per-conversation limit)
+CREATE TABLE transcript_emails (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    smtp_message_id VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    
+    INDEX idx_conversation_created (conversation_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Escalations waiting for delivery to Zendesk (retried with backoff, dead-lettered after too many failures)
+CREATE TABLE escalation_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    idempotency_key VARCHAR(150) NOT NULL UNIQUE, -- Also sent to Zendesk as Idempotency-Key
+    payload JSON, -- Conversation data and contact form, attachments in base64; cleared once delivered
+    status ENUM('pending', 'processing', 'delivered', 'dead') DEFAULT 'pending',
+    attempts INT UNSIGNED DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP NULL, -- Set while a worker delivers the entry
+    last_error TEXT,
+    zendesk_ticket_id VARCHAR(100),
+    merged BOOLEAN DEFAULT FALSE, -- Added to an open ticket of the requester, whose number the user is not given
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_conversation (conversation_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ticket status lookups needing a code emailed to the requester (one-time codes and per-ticket limit)
+CREATE TABLE ticket_status_checks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id VARCHAR(100) NOT NULL, -- As entered, whether or not such a ticket exists
+    conversation_id INT NOT NULL, -- Conversation asking
+    outcome ENUM('code_sent', 'verified', 'failed') NOT NULL,
+    code_hash CHAR(64), -- SHA-256 of the code sent
+    expires_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    
+    INDEX idx_ticket_created (ticket_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Create a view for FAQ search with all relevant data
 CREATE VIEW faq_search_view AS
 SELECT 
@@ -3,12 +3,15 @@ module.exports = {
         {
             name: 'myleo-chatbot-unified',
             script: './service/server.js',
+            // One instance: event streams, WebSockets, webhook mirroring and
+            // rate limits live in process memory and are not shared between instances
             instances: 1,
             autorestart: true,
             watch: false,
             max_memory_restart: '1G',
             env: {
-                NODE_ENV: 'production'
+                NODE_ENV: 'production',
+                CHAT_SESSION_STORE: 'mysql'
             },
             error_file: './logs/unified-error.log',
             out_file: './logs/unified-out.log',
@@ -152,9 +152,16 @@
     theme: window.MyleoWidgetConfig?.theme || 'myleo',
     position: window.MyleoWidgetConfig?.position || 'bottom-right',
     autoDetectRubrique: window.MyleoWidgetConfig?.autoDetectRubrique !== false, // enabled by default
-    autoDetectProduct: window.MyleoWidgetConfig?.autoDetectProduct !== false // enabled by default
+    autoDetectProduct: window.MyleoWidgetConfig?.autoDetectProduct !== false, // enabled by default
+    streaming: window.MyleoWidgetConfig?.streaming !== false, // Server-Sent Events when the browser supports them
+    websocket: window.MyleoWidgetConfig?.websocket !== false, // WebSocket when the server offers it
+    survey: window.MyleoWidgetConfig?.survey !== false, // post-chat survey, questions are configured on the server
+    persistSession: window.MyleoWidgetConfig?.persistSession !== false // resume the conversation on the next page
   };
 
+  // Browser storage key of the current conversation
+  const SESSION_STORAGE_KEY = 'myleo-chat-session';
+
   // MyLeo brand colors (inspired by legal/professional themes)
   const THEME_COLORS = {
     myleo: {
@@ -178,6 +185,28 @@
       this.sessionId = null;
       this.messages = [];
       this.isTyping = false;
+      // Live agent messages already shown, and whether the widget is listening for them
+      this.lastEventId = 0;
+      this.isPollingEvents = false;
+      // After an escalation, also listening for ticket replies and status changes
+      this.followingTicket = false;
+      // Server-Sent Events stream; answers fall back to plain JSON when it is not connected
+      this.eventSource = null;
+      this.streamConnected = false;
+      this.awaitingStream = false;
+      // WebSocket transport, used for every request once connected
+      this.socket = null;
+      this.socketPath = null;
+      this.socketRequests = new Map();
+      this.socketRequestId = 0;
+      this.socketAlive = false;
+      this.socketHeartbeat = null;
+      // Post-chat survey questions sent by the server (null when disabled)
+      this.survey = null;
+      // Transcript actions the server offers ({ download, email })
+      this.transcript = null;
+      // Escalation attachment limits sent by the server (null when disabled)
+      this.attachmentLimits = null;
       this.currentTheme = THEME_COLORS[WIDGET_CONFIG.theme] || THEME_COLORS.myleo;
 
       this.init();
@@ -382,6 +411,21 @@
           margin-top: 2px;
         }
 
+        .myleo-widget-status::before {
+          content: '';
+          display: inline-block;
+          width: 7px;
+          height: 7px;
+          margin-right: 6px;
+          border-radius: 50%;
+          background: #4ade80;
+          vertical-align: middle;
+        }
+
+        .myleo-widget-status.closed::before {
+          background: #f59e0b;
+        }
+
         .myleo-widget-controls {
           display: flex;
           gap: 8px;
@@ -407,6 +451,10 @@
           background: rgba(255, 255, 255, 0.3);
         }
 
+        .myleo-widget-control[hidden] {
+          display: none;
+        }
+
         .myleo-widget-control svg {
           width: 16px;
           height: 16px;
@@ -479,6 +527,46 @@
           color: white;
         }
 
+        .myleo-widget-message.agent .myleo-widget-avatar {
+          background: ${this.currentTheme.accent};
+          color: white;
+        }
+
+        .myleo-widget-message.agent .myleo-widget-bubble {
+          background: white;
+          color: ${this.currentTheme.text};
+          border: 1px solid ${this.currentTheme.accent};
+          border-bottom-left-radius: 6px;
+        }
+
+        .myleo-widget-agent-name {
+          font-size: 11px;
+          font-weight: 600;
+          color: ${this.currentTheme.textLight};
+          margin-bottom: 4px;
+        }
+
+        .myleo-widget-message.system {
+          justify-content: center;
+        }
+
+        .myleo-widget-message.system .myleo-widget-avatar,
+        .myleo-widget-message.system .myleo-widget-message-time {
+          display: none;
+        }
+
+        .myleo-widget-message.system .myleo-widget-message-content {
+          max-width: none;
+          text-align: center;
+        }
+
+        .myleo-widget-message.system .myleo-widget-bubble {
+          padding: 4px 12px;
+          font-size: 12px;
+          font-style: italic;
+          color: ${this.currentTheme.textLight};
+        }
+
         .myleo-widget-message-content {
           flex: 1;
           max-width: 280px;
@@ -572,6 +660,72 @@
           border-color: ${this.currentTheme.primary};
         }
 
+        .myleo-widget-choices {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-top: 12px;
+        }
+
+        .myleo-widget-choice {
+          background: white;
+          border: 1px solid ${this.currentTheme.primary};
+          color: ${this.currentTheme.primary};
+          padding: 8px 12px;
+          border-radius: 12px;
+          font-size: 13px;
+          text-align: left;
+          cursor: pointer;
+          transition: all 0.2s ease;
+        }
+
+        .myleo-widget-choice:hover:not(:disabled) {
+          background: ${this.currentTheme.primary};
+          color: white;
+        }
+
+        .myleo-widget-choice:disabled {
+          opacity: 0.5;
+          cursor: default;
+        }
+
+        .myleo-widget-link {
+          display: inline-block;
+          margin-top: 12px;
+          padding: 8px 14px;
+          border-radius: 12px;
+          background: ${this.currentTheme.primary};
+          color: white;
+          font-size: 13px;
+          text-decoration: none;
+        }
+
+        .myleo-widget-feedback {
+          display: flex;
+          gap: 4px;
+          margin-top: 4px;
+        }
+
+        .myleo-widget-feedback-button {
+          background: none;
+          border: 1px solid transparent;
+          border-radius: 8px;
+          padding: 2px 6px;
+          font-size: 13px;
+          cursor: pointer;
+          opacity: 0.6;
+        }
+
+        .myleo-widget-feedback-button:hover:not(:disabled),
+        .myleo-widget-feedback-button.selected {
+          opacity: 1;
+          border-color: ${this.currentTheme.border};
+        }
+
+        .myleo-widget-feedback-button:disabled {
+          cursor: default;
+        }
+
         .myleo-widget-input-area {
           padding: 16px 20px;
           background: white;
@@ -682,12 +836,103 @@
           border-color: ${this.currentTheme.primary};
         }
 
+        .myleo-widget-escalation-files {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 13px;
+          color: ${this.currentTheme.text};
+        }
+
+        .myleo-widget-escalation-files input {
+          padding: 6px;
+          font-size: 13px;
+        }
+
+        .myleo-widget-escalation-files small {
+          color: ${this.currentTheme.textLight};
+        }
+
         .myleo-widget-escalation-buttons {
           display: flex;
           gap: 8px;
           justify-content: flex-end;
         }
 
+        .myleo-widget-survey p {
+          margin: 0 0 6px 0;
+          font-size: 13px;
+          color: ${this.currentTheme.text};
+        }
+
+        .myleo-widget-survey-scale {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
+
+        .myleo-widget-survey-option input {
+          position: absolute;
+          opacity: 0;
+          pointer-events: none;
+        }
+
+        .myleo-widget-survey-option span {
+          display: inline-block;
+          min-width: 28px;
+          padding: 6px 8px;
+          border: 1px solid ${this.currentTheme.border};
+          border-radius: 8px;
+          font-size: 13px;
+          text-align: center;
+          cursor: pointer;
+          transition: all 0.2s ease;
+        }
+
+        .myleo-widget-survey-option input:checked + span {
+          background: ${this.currentTheme.primary};
+          border-color: ${this.currentTheme.primary};
+          color: white;
+        }
+
+        .myleo-widget-survey-option input:focus-visible + span {
+          outline: 2px solid ${this.currentTheme.secondary};
+        }
+
+        .myleo-widget-survey-legend {
+          display: flex;
+          justify-content: space-between;
+          margin-top: 4px;
+          font-size: 11px;
+          color: ${this.currentTheme.textLight};
+        }
+
+        .myleo-widget-transcript-form {
+          display: flex;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .myleo-widget-transcript-form input {
+          flex: 1;
+          min-width: 0;
+          border: 1px solid ${this.currentTheme.border};
+          border-radius: 8px;
+          padding: 8px 10px;
+          font-size: 13px;
+          font-family: inherit;
+          outline: none;
+        }
+
+        .myleo-widget-transcript-form input:focus {
+          border-color: ${this.currentTheme.primary};
+        }
+
+        a.myleo-widget-suggestion {
+          display: inline-block;
+          text-decoration: none;
+        }
+
         .myleo-widget-button {
           padding: 10px 16px;
           border-radius: 8px;
@@ -772,6 +1017,12 @@
             </div>
           </div>
           <div class="myleo-widget-controls">
+            <button class="myleo-widget-control" id="widget-transcript" title="Conserver la conversation" hidden>
+              <svg viewBox="0 0 24 24"><path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/></svg>
+            </button>
+            <button class="myleo-widget-control" id="widget-end" title="Terminer la conversation" hidden>
+              <svg viewBox="0 0 24 24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>
+            </button>
             <button class="myleo-widget-control" id="widget-close" title="Fermer">
               <svg viewBox="0 0 24 24"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
             </button>
@@ -820,6 +1071,16 @@
         this.closeWidget();
       });
 
+      document.getElementById('widget-end').addEventListener('click', () => {
+        this.handleEndClick();
+      });
+
+      document.getElementById('widget-transcript').addEventListener('click', () => {
+        if (this.sessionId) {
+          this.showTranscriptOptions(this.sessionId);
+        }
+      });
+
       // Input handling
       this.input.addEventListener('input', () => {
         this.handleInputChange();
@@ -851,6 +1112,17 @@
           this.handleSuggestionClick(e.target.dataset.suggestion);
         }
 
+        // Handle clarification choice clicks
+        if (e.target.classList.contains('myleo-widget-choice') && !e.target.disabled) {
+          this.handleChoiceClick(e.target);
+        }
+
+        // Handle answer feedback (thumbs up / down)
+        const feedbackButton = e.target.closest('.myleo-widget-feedback-button');
+        if (feedbackButton && !feedbackButton.disabled) {
+          this.handleFeedbackClick(feedbackButton);
+        }
+
         // Handle escalation button
         if (e.target.classList.contains('myleo-widget-suggestion') && e.target.dataset.action === 'escalate') {
           this.showEscalationForm();
@@ -863,6 +1135,21 @@
             escalationForm.remove();
           }
         }
+
+        // End the conversation without answering the survey
+        if (e.target.dataset.action === 'skip-survey') {
+          this.endConversation({});
+        }
+
+        // Handle new conversation after the previous one ended
+        if (e.target.dataset.action === 'new-conversation') {
+          this.restartConversation();
+        }
+
+        // Transcript of an ended conversation
+        if (e.target.dataset.action === 'show-transcript') {
+          this.showTranscriptOptions(e.target.dataset.sessionId);
+        }
       });
 
       // Handle escalation form submission
@@ -871,6 +1158,21 @@
           e.preventDefault();
           this.submitEscalation(e);
         }
+
+        if (e.target.dataset.action === 'submit-survey') {
+          e.preventDefault();
+          this.submitSurvey(e);
+        }
+
+        if (e.target.dataset.action === 'submit-transcript-email') {
+          e.preventDefault();
+          this.submitTranscriptEmail(e);
+        }
+
+        if (e.target.dataset.action === 'submit-ticket-status') {
+          e.preventDefault();
+          this.submitTicketStatus(e);
+        }
       });
     }
 
@@ -879,6 +1181,7 @@
         const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl.replace('/api', '')}/languages/${WIDGET_CONFIG.language}.json`);
         this.translations = await response.json();
         this.updateUITexts();
+        this.loadBusinessHours();
       } catch (error) {
         console.warn('Failed to load translations, using defaults');
         this.translations = {
@@ -898,6 +1201,30 @@
       document.getElementById('widget-input').placeholder = this.translations.widget?.placeholder || 'Tapez votre message...';
       document.getElementById('widget-powered-by').textContent = this.translations.widget?.poweredBy || 'Propulsé par Myleo';
       document.getElementById('widget-status').textContent = this.translations.messages?.connected || 'En ligne';
+      document.getElementById('widget-end').title = this.translations.survey?.endConversation || 'Terminer la conversation';
+      document.getElementById('widget-transcript').title = this.translations.transcript?.menu || 'Conserver la conversation';
+    }
+
+    async loadBusinessHours() {
+      try {
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/business-hours?language=${WIDGET_CONFIG.language}`);
+        const data = await response.json();
+
+        if (data.success) {
+          this.updateBusinessHours(data.businessHours);
+        }
+      } catch (error) {
+        console.warn('Failed to load business hours');
+      }
+    }
+
+    updateBusinessHours(businessHours) {
+      if (!businessHours) return;
+
+      // The assistant is always online; the status tells whether the team is
+      const status = document.getElementById('widget-status');
+      status.textContent = businessHours.label;
+      status.classList.toggle('closed', !businessHours.isOpen);
     }
 
     toggleWidget() {
@@ -914,8 +1241,9 @@
       this.chatWidget.classList.add('open');
       this.input.focus();
 
-      // Start conversation if not already started
-      if (!this.sessionId) {
+      // Resume the conversation of the previous page, or start a new one
+      if (!this.sessionId && !(await this.resumeConversation())) {
+        await this.negotiateTransport();
         await this.startConversation();
       }
     }
@@ -940,92 +1268,423 @@
       this.input.style.height = Math.min(this.input.scrollHeight, 120) + 'px';
     }
 
-    async startConversation() {
-      try {
-        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/start`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            language: WIDGET_CONFIG.language,
-            rubrique: WIDGET_CONFIG.rubrique,
-            productCode: WIDGET_CONFIG.productCode,
-            userAgent: navigator.userAgent
-          })
-        });
+    async negotiateTransport() {
+      if (!WIDGET_CONFIG.websocket || !window.WebSocket) return;
 
+      try {
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/transports`);
         const data = await response.json();
 
-        if (data.success) {
-          this.sessionId = data.sessionId;
-          this.addMessage('bot', data.welcomeMessage);
-        } else {
-          this.addMessage('bot', this.translations?.messages?.error || 'Une erreur s\'est produite.');
+        if (data.success && data.transports.websocket) {
+          this.socketPath = data.transports.websocket.path;
+          await this.connectSocket();
         }
       } catch (error) {
-        console.error('Failed to start conversation:', error);
-        this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+        console.warn('WebSocket unavailable, using HTTP');
       }
     }
 
-    async sendMessage() {
-      const message = this.input.value.trim();
-      if (!message || this.isTyping) return;
+    connectSocket() {
+      return new Promise(resolve => {
+        const url = new URL(this.socketPath, WIDGET_CONFIG.apiBaseUrl);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        if (this.sessionId) {
+          url.searchParams.set('sessionId', this.sessionId);
+        }
+
+        const socket = new WebSocket(url.toString());
+        const timer = setTimeout(() => {
+          socket.close();
+          resolve(false);
+        }, 5000);
+
+        socket.onopen = () => {
+          clearTimeout(timer);
+          this.socket = socket;
+          this.startSocketHeartbeat();
+          resolve(true);
+        };
+        socket.onerror = () => {
+          clearTimeout(timer);
+          resolve(false);
+        };
+        socket.onmessage = (event) => this.handleSocketFrame(JSON.parse(event.data));
+        socket.onclose = () => this.handleSocketClose(socket);
+      });
+    }
 
-      this.addMessage('user', message);
-      this.input.value = '';
-      this.handleInputChange();
-      this.showTyping();
+    startSocketHeartbeat() {
+      // Browsers answer protocol pings silently; application pings detect dead connections here
+      this.socketAlive = true;
+      clearInterval(this.socketHeartbeat);
+      this.socketHeartbeat = setInterval(() => {
+        if (!this.socketAlive) {
+          this.socket.close();
+          return;
+        }
+        this.socketAlive = false;
+        this.socket.send(JSON.stringify({ type: 'ping' }));
+      }, 25000);
+    }
 
-      try {
-        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/message`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            sessionId: this.sessionId,
-            message: message
-          })
-        });
+    socketRequest(type, payload = {}) {
+      return new Promise((resolve, reject) => {
+        const requestId = String(++this.socketRequestId);
+        const timer = setTimeout(() => {
+          this.socketRequests.delete(requestId);
+          reject(new Error('WebSocket request timed out'));
+        }, 15000);
 
-        const data = await response.json();
+        this.socketRequests.set(requestId, { resolve, reject, timer });
+        this.socket.send(JSON.stringify({ type, requestId, ...payload }));
+      });
+    }
 
-        this.hideTyping();
+    handleSocketFrame(frame) {
+      this.socketAlive = true;
 
-        if (data.success) {
-          this.addMessage('bot', data.message, {
-            suggestions: data.suggestions,
-            canEscalate: data.canEscalate
-          });
-        } else {
-          this.addMessage('bot', data.error || this.translations?.messages?.error || 'Une erreur s\'est produite.');
+      const pending = frame.requestId && this.socketRequests.get(frame.requestId);
+      if (pending && ['started', 'escalated', 'ended', 'error'].includes(frame.event)) {
+        clearTimeout(pending.timer);
+        this.socketRequests.delete(frame.requestId);
+        pending.resolve(frame.event === 'error' ? { success: false, ...frame.data } : frame.data);
+        return;
+      }
+
+      if (frame.event === 'error') {
+        // Rejected message: its answer will not come
+        if (this.awaitingStream) {
+          this.awaitingStream = false;
+          this.hideTyping();
+          this.addMessage('bot', frame.data.error || this.translations?.messages?.error || 'Une erreur s\'est produite.');
         }
-      } catch (error) {
-        console.error('Failed to send message:', error);
+        return;
+      }
+
+      this.handleStreamEvent(frame.event, frame.data);
+    }
+
+    async handleSocketClose(socket) {
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      clearInterval(this.socketHeartbeat);
+
+      this.socketRequests.forEach(pending => {
+        clearTimeout(pending.timer);
+        pending.reject(new Error('WebSocket closed'));
+      });
+      this.socketRequests.clear();
+
+      if (this.awaitingStream) {
+        this.awaitingStream = false;
         this.hideTyping();
         this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
       }
+
+      // Reconnect once, then fall back to HTTP and the event stream
+      if (this.sessionId && !(await this.connectSocket())) {
+        this.connectStream();
+      }
     }
 
-    addMessage(type, text, options = {}) {
-      const messageElement = document.createElement('div');
-      messageElement.className = `myleo-widget-message ${type}`;
+    async apiRequest(type, path, body, { http = false } = {}) {
+      if (this.socket && !http) {
+        return this.socketRequest(type, body);
+      }
 
-      const avatarText = type === 'bot' ? 'ML' : 'U';
-      const currentTime = new Date().toLocaleTimeString('fr-FR', {
-        hour: '2-digit',
-        minute: '2-digit'
+      const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ sessionId: this.sessionId, ...body })
       });
 
-      messageElement.innerHTML = `
-        <div class="myleo-widget-avatar">${avatarText}</div>
-        <div class="myleo-widget-message-content">
-          <div class="myleo-widget-bubble">${this.formatMessage(text)}</div>
-          <div class="myleo-widget-message-time">${currentTime}</div>
-          ${options.suggestions ? this.createSuggestions(options.suggestions) : ''}
-          ${options.canEscalate ? this.createEscalationButton() : ''}
+      return response.json();
+    }
+
+    async startConversation() {
+      try {
+        const data = await this.apiRequest('start', '/chat/start', {
+          language: WIDGET_CONFIG.language,
+          rubrique: WIDGET_CONFIG.rubrique,
+          productCode: WIDGET_CONFIG.productCode,
+          // Shown to the agent in the ticket of an escalation
+          pageUrl: (window.location.origin + window.location.pathname + window.location.search).slice(0, 2048),
+          userAgent: navigator.userAgent
+        });
+
+        if (data.success) {
+          this.sessionId = data.sessionId;
+          this.storeSession();
+          this.survey = data.survey || null;
+          this.transcript = data.transcript || null;
+          this.attachmentLimits = data.attachments || null;
+          document.getElementById('widget-end').hidden = false;
+          document.getElementById('widget-transcript').hidden = !this.transcript?.download;
+          this.updateBusinessHours(data.businessHours);
+          this.addMessage('bot', data.welcomeMessage, {
+            suggestions: data.suggestions
+          });
+          if (!this.socket) {
+            this.connectStream();
+          }
+        } else {
+          this.addMessage('bot', this.translations?.messages?.error || 'Une erreur s\'est produite.');
+        }
+      } catch (error) {
+        console.error('Failed to start conversation:', error);
+        this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+      }
+    }
+
+    async resumeConversation() {
+      const sessionId = this.getStoredSession();
+      if (!sessionId) return false;
+
+      try {
+        // The server decides whether the conversation can go on (not ended, not too old)
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/history/${sessionId}?resume=true`);
+        const data = await response.json();
+
+        if (!data.success || !data.resumable) {
+          this.clearStoredSession();
+          return false;
+        }
+
+        this.sessionId = sessionId;
+        this.survey = data.survey || null;
+        this.transcript = data.transcript || null;
+        this.attachmentLimits = data.attachments || null;
+        document.getElementById('widget-end').hidden = false;
+        document.getElementById('widget-transcript').hidden = !this.transcript?.download;
+        this.updateBusinessHours(data.businessHours);
+
+        data.messages.forEach((message, index) => this.renderHistoryMessage(message, index));
+
+        await this.negotiateTransport();
+        if (!this.socket) {
+          this.connectStream();
+          // Without a push channel, wait for the agent by long polling
+          if (!this.eventSource) {
+            this.handleHandoff(data.handoff);
+          }
+        }
+
+        return true;
+      } catch (error) {
+        console.warn('Failed to resume conversation:', error);
+        return false;
+      }
+    }
+
+    renderHistoryMessage(message, index) {
+      const options = { timestamp: message.createdAt };
+
+      if (message.type === 'bot' && index > 0) {
+        // Answers can still be rated; the first message is the welcome message
+        options.messageId = message.id;
+      } else if (message.type === 'agent' || message.type === 'system') {
+        this.lastEventId = Math.max(this.lastEventId, message.id);
+        options.agentName = message.agentName;
+      }
+
+      this.addMessage(message.type, message.text, options);
+    }
+
+    getStoredSession() {
+      if (!WIDGET_CONFIG.persistSession) return null;
+
+      try {
+        return window.localStorage.getItem(SESSION_STORAGE_KEY);
+      } catch (error) {
+        // Storage disabled (privacy settings)
+        return null;
+      }
+    }
+
+    storeSession() {
+      if (!WIDGET_CONFIG.persistSession) return;
+
+      try {
+        window.localStorage.setItem(SESSION_STORAGE_KEY, this.sessionId);
+      } catch (error) {
+        console.warn('Failed to store the conversation');
+      }
+    }
+
+    clearStoredSession() {
+      try {
+        window.localStorage.removeItem(SESSION_STORAGE_KEY);
+      } catch (error) {
+        // Nothing to clear
+      }
+    }
+
+    async sendMessage() {
+      const message = this.input.value.trim();
+      if (!message || this.isTyping) return;
+
+      this.input.value = '';
+      this.handleInputChange();
+      await this.postMessage(message);
+    }
+
+    async postMessage(message, extra = {}) {
+      this.addMessage('user', message);
+      this.showTyping();
+
+      // Over the WebSocket the answer arrives as stream events
+      if (this.socket) {
+        this.awaitingStream = true;
+        this.socket.send(JSON.stringify({ type: 'message', message, ...extra }));
+        return;
+      }
+
+      try {
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/message`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            sessionId: this.sessionId,
+            message: message,
+            stream: this.streamConnected,
+            ...extra
+          })
+        });
+
+        const data = await response.json();
+
+        // The answer follows on the event stream
+        if (data.streamed) {
+          this.awaitingStream = true;
+          return;
+        }
+
+        this.hideTyping();
+        this.renderResponse(data);
+        this.handleHandoff(data.handoff);
+      } catch (error) {
+        console.error('Failed to send message:', error);
+        this.hideTyping();
+        this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+      }
+    }
+
+    renderResponse(data) {
+      if (data.success) {
+        // While an agent has the conversation, replies arrive as agent events
+        if (data.message) {
+          this.addMessage('bot', data.message, {
+            suggestions: data.suggestions,
+            canEscalate: data.canEscalate,
+            choices: ['clarification', 'flow'].includes(data.type) ? data.choices : null,
+            link: data.link,
+            messageId: data.messageId
+          });
+        }
+
+        if (data.type === 'ticket_lookup') {
+          this.showTicketStatusForm();
+        }
+      } else {
+        this.addMessage('bot', data.message || data.error || this.translations?.messages?.error || 'Une erreur s\'est produite.');
+      }
+    }
+
+    connectStream() {
+      if (!WIDGET_CONFIG.streaming || !window.EventSource || this.eventSource) return;
+
+      const source = new EventSource(`${WIDGET_CONFIG.apiBaseUrl}/chat/stream/${this.sessionId}`);
+      this.eventSource = source;
+
+      source.onopen = () => {
+        this.streamConnected = true;
+      };
+
+      source.onerror = () => {
+        // The browser reconnects by itself unless the stream was refused
+        this.streamConnected = false;
+        if (source.readyState === EventSource.CLOSED) {
+          this.eventSource = null;
+        }
+
+        if (this.awaitingStream) {
+          this.awaitingStream = false;
+          this.hideTyping();
+          this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+        }
+      };
+
+      ['typing', 'message', 'agent', 'system', 'handoff'].forEach(name => {
+        source.addEventListener(name, event => this.handleStreamEvent(name, JSON.parse(event.data)));
+      });
+    }
+
+    handleStreamEvent(event, data) {
+      switch (event) {
+        case 'typing':
+          if (data.active && !this.isTyping) {
+            this.showTyping();
+          } else if (!data.active) {
+            this.hideTyping();
+          }
+          break;
+
+        case 'message':
+          this.awaitingStream = false;
+          this.hideTyping();
+          this.renderResponse(data);
+          break;
+
+        case 'agent':
+        case 'system':
+          this.handleAgentEvent(data);
+          break;
+
+        case 'handoff':
+          // Nobody took the request: fall back to a support ticket
+          if (data.status === 'expired') {
+            this.showEscalationForm();
+          }
+          break;
+      }
+    }
+
+    handleAgentEvent(message) {
+      if (message.id <= this.lastEventId) return;
+
+      this.lastEventId = message.id;
+      this.addMessage(message.type === 'agent' ? 'agent' : 'system', message.text, {
+        agentName: message.agentName
+      });
+    }
+
+    addMessage(type, text, options = {}) {
+      const messageElement = document.createElement('div');
+      messageElement.className = `myleo-widget-message ${type}`;
+
+      const avatarText = type === 'bot' ? 'ML' : type === 'agent' ? this.getInitials(options.agentName) : 'U';
+      const timestamp = options.timestamp ? new Date(options.timestamp) : new Date();
+      const currentTime = timestamp.toLocaleTimeString('fr-FR', {
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+
+      messageElement.innerHTML = `
+        <div class="myleo-widget-avatar">${avatarText}</div>
+        <div class="myleo-widget-message-content">
+          ${type === 'agent' ? `<div class="myleo-widget-agent-name">${this.escapeHtml(options.agentName || this.translations?.handoff?.agentLabel || 'Conseiller')}</div>` : ''}
+          <div class="myleo-widget-bubble">${this.formatMessage(text)}</div>
+          <div class="myleo-widget-message-time">${currentTime}</div>
+          ${options.messageId ? this.createFeedbackButtons(options.messageId) : ''}
+          ${options.link ? this.createLink(options.link) : ''}
+          ${options.choices ? this.createChoices(options.choices) : ''}
+          ${options.suggestions ? this.createSuggestions(options.suggestions) : ''}
+          ${options.canEscalate ? this.createEscalationButton() : ''}
         </div>
       `;
 
@@ -1033,7 +1692,7 @@
       this.scrollToBottom();
 
       // Store message
-      this.messages.push({ type, text, timestamp: new Date() });
+      this.messages.push({ type, text, timestamp });
 
       // Auto-show escalation form if canEscalate is true and this is a bot message
       if (type === 'bot' && options.canEscalate && options.suggestions && options.suggestions.length === 0) {
@@ -1044,6 +1703,61 @@
       }
     }
 
+    getInitials(name) {
+      const initials = String(name || '').split(/\s+/).filter(Boolean).map(part => part[0]).join('').substring(0, 2);
+      return this.escapeHtml(initials.toUpperCase() || '?');
+    }
+
+    handleHandoff(handoff) {
+      // Answers that did not come through the event stream: long poll for agent messages
+      if (handoff && ['waiting', 'live'].includes(handoff.status)) {
+        this.pollEvents();
+      }
+    }
+
+    followTicket() {
+      // Ticket replies and status changes: the long poll reads them from the
+      // database, whichever server instance receives the helpdesk webhook
+      this.followingTicket = true;
+      this.pollEvents();
+    }
+
+    async pollEvents() {
+      if (this.isPollingEvents) return;
+      this.isPollingEvents = true;
+
+      // Long poll: the server holds the request until an agent message or notice arrives
+      while (this.sessionId) {
+        try {
+          const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/events/${this.sessionId}?after=${this.lastEventId}`);
+          if (response.status === 404) break;
+
+          const data = await response.json();
+          if (!data.success) throw new Error(data.error);
+
+          data.messages.forEach(message => this.handleAgentEvent(message));
+
+          if (!['waiting', 'live'].includes(data.handoff.status)) {
+            // Escalated: keep listening until the ticket is solved
+            if (this.followingTicket && ['active', 'escalated'].includes(data.status)) {
+              continue;
+            }
+
+            // Nobody took the request: fall back to a support ticket
+            if (data.handoff.status === 'expired') {
+              this.showEscalationForm();
+            }
+            break;
+          }
+        } catch (error) {
+          console.warn('Failed to fetch agent messages, retrying');
+          await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+      }
+
+      this.isPollingEvents = false;
+    }
+
     formatMessage(text) {
       // Basic HTML sanitization and formatting
       return text
@@ -1059,12 +1773,90 @@
       if (!suggestions || suggestions.length === 0) return '';
 
       const suggestionsHtml = suggestions.map(suggestion =>
-        `<button class="myleo-widget-suggestion" data-suggestion="${suggestion}">${suggestion}</button>`
+        `<button class="myleo-widget-suggestion" data-suggestion="${this.escapeHtml(suggestion)}">${this.escapeHtml(suggestion)}</button>`
       ).join('');
 
       return `<div class="myleo-widget-suggestions">${suggestionsHtml}</div>`;
     }
 
+    escapeHtml(text) {
+      return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    }
+
+    createChoices(choices) {
+      if (!choices || choices.length === 0) return '';
+
+      // Clarification choices carry a faqId, flow choices an id
+      const choicesHtml = choices.map(choice => {
+        const data = choice.faqId
+          ? `data-faq-id="${choice.faqId}"`
+          : `data-choice-id="${this.escapeHtml(choice.id)}"`;
+        return `<button class="myleo-widget-choice" data-choice-index="${choice.index}" ${data}>${this.escapeHtml(choice.question || choice.label)}</button>`;
+      }).join('');
+
+      return `<div class="myleo-widget-choices">${choicesHtml}</div>`;
+    }
+
+    createLink(link) {
+      if (!link || !/^https?:\/\//.test(link.url)) return '';
+
+      return `<a class="myleo-widget-link" href="${this.escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(link.label || link.url)}</a>`;
+    }
+
+    createFeedbackButtons(messageId) {
+      const helpful = this.escapeHtml(this.translations?.feedback?.helpful || 'Réponse utile');
+      const notHelpful = this.escapeHtml(this.translations?.feedback?.notHelpful || 'Réponse pas utile');
+
+      return `
+        <div class="myleo-widget-feedback" data-message-id="${Number(messageId)}">
+          <button class="myleo-widget-feedback-button" data-helpful="true" title="${helpful}" aria-label="${helpful}">👍</button>
+          <button class="myleo-widget-feedback-button" data-helpful="false" title="${notHelpful}" aria-label="${notHelpful}">👎</button>
+        </div>
+      `;
+    }
+
+    async handleFeedbackClick(button) {
+      const group = button.closest('.myleo-widget-feedback');
+      const helpful = button.dataset.helpful === 'true';
+
+      group.querySelectorAll('.myleo-widget-feedback-button').forEach(option => {
+        option.classList.toggle('selected', option === button);
+        option.disabled = true;
+      });
+
+      try {
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/feedback`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            sessionId: this.sessionId,
+            messageId: parseInt(group.dataset.messageId, 10),
+            helpful
+          })
+        });
+
+        const data = await response.json();
+        if (data.success) {
+          group.title = data.message;
+        } else {
+          throw new Error(data.error);
+        }
+      } catch (error) {
+        // Let the user try again
+        console.warn('Failed to send feedback:', error);
+        group.querySelectorAll('.myleo-widget-feedback-button').forEach(option => {
+          option.classList.remove('selected');
+          option.disabled = false;
+        });
+      }
+    }
+
     createEscalationButton() {
       const escalateText = this.translations?.suggestions?.contactSupport || 'Contacter le support';
       return `
@@ -1080,6 +1872,25 @@
       this.handleInputChange();
     }
 
+    handleChoiceClick(button) {
+      if (this.isTyping) return;
+
+      // A clarification or flow step can only be answered once
+      const group = button.closest('.myleo-widget-choices');
+      group.querySelectorAll('.myleo-widget-choice').forEach(choice => {
+        choice.disabled = true;
+      });
+
+      const choice = { index: parseInt(button.dataset.choiceIndex, 10) };
+      if (button.dataset.faqId) {
+        choice.faqId = parseInt(button.dataset.faqId, 10);
+      } else {
+        choice.id = button.dataset.choiceId;
+      }
+
+      this.postMessage(button.textContent, { choice });
+    }
+
     showEscalationForm() {
       // Create a bot message container for the escalation form
       const messageElement = document.createElement('div');
@@ -1090,18 +1901,20 @@
         minute: '2-digit'
       });
 
-      // Create the escalation form HTML
+      // Create the escalation form HTML. The key identifies this form's request:
+      // submitting it twice does not create a second ticket
       const formHtml = `
         <div class="myleo-widget-escalation">
           <h4>${this.translations?.escalation?.title || 'Contacter le support'}</h4>
           <p>${this.translations?.escalation?.subtitle || 'Vous n\'avez pas trouvé de réponse ? Contactez notre équipe support.'}</p>
-          <form class="myleo-widget-escalation-form" data-action="submit-escalation">
+          <form class="myleo-widget-escalation-form" data-action="submit-escalation" data-idempotency-key="${this.createIdempotencyKey()}">
             <input type="text" name="firstName" placeholder="${this.translations?.escalation?.form?.firstName || 'Prénom'}" required>
             <input type="text" name="lastName" placeholder="${this.translations?.escalation?.form?.lastName || 'Nom'}" required>
             <input type="email" name="email" placeholder="${this.translations?.escalation?.form?.email || 'Email'}" required>
             <input type="tel" name="phone" placeholder="${this.translations?.escalation?.form?.phone || 'Téléphone'}">
             <input type="text" name="subject" placeholder="${this.translations?.escalation?.form?.subject || 'Objet de votre demande'}" required>
             <textarea name="availability" placeholder="${this.translations?.escalation?.form?.availability || 'Vos créneaux de disponibilité'}" rows="2"></textarea>
+            ${this.attachmentLimits ? this.createAttachmentInput() : ''}
             <div class="myleo-widget-escalation-buttons">
               <button type="button" class="myleo-widget-button myleo-widget-button-secondary" data-action="cancel-escalation">
                 ${this.translations?.escalation?.form?.cancel || 'Annuler'}
@@ -1135,35 +1948,482 @@
       });
     }
 
+    createIdempotencyKey() {
+      if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+      }
+
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    createAttachmentInput() {
+      const t = this.translations?.escalation?.form || {};
+      const limits = this.attachmentLimits;
+      const extensions = limits.extensions.map(extension => extension.toUpperCase()).join(', ');
+      const hint = this.formatText(t.attachmentsHint || '{{maxFiles}} fichiers maximum, {{maxSize}} Mo chacun ({{extensions}})', {
+        maxFiles: limits.maxFiles,
+        maxSize: this.formatMegabytes(limits.maxFileSize),
+        extensions
+      });
+
+      return `
+        <label class="myleo-widget-escalation-files">
+          ${this.escapeHtml(t.attachments || 'Pièces justificatives')}
+          <input type="file" name="attachments" multiple accept="${limits.extensions.map(extension => `.${extension}`).join(',')}">
+          <small>${this.escapeHtml(hint)}</small>
+        </label>
+      `;
+    }
+
+    // Same limits as the server, so the user does not upload files that will be refused
+    checkAttachments(files) {
+      const t = this.translations?.escalation?.validation || {};
+      const limits = this.attachmentLimits;
+      const extensions = limits.extensions.map(extension => extension.toUpperCase()).join(', ');
+
+      if (files.length > limits.maxFiles) {
+        return this.formatText(t.tooManyFiles || 'Vous pouvez joindre {{maxFiles}} fichiers au maximum.', { maxFiles: limits.maxFiles });
+      }
+
+      for (const file of files) {
+        if (!limits.allowedTypes.includes(file.type)) {
+          return this.formatText(t.fileType || 'Le fichier {{filename}} n\'est pas accepté ({{extensions}}).', { filename: file.name, extensions });
+        }
+        if (file.size > limits.maxFileSize) {
+          return this.formatText(t.fileTooLarge || 'Le fichier {{filename}} dépasse {{maxSize}} Mo.', { filename: file.name, maxSize: this.formatMegabytes(limits.maxFileSize) });
+        }
+      }
+
+      if (files.reduce((total, file) => total + file.size, 0) > limits.maxTotalSize) {
+        return this.formatText(t.filesTooLarge || 'Les fichiers joints dépassent {{maxSize}} Mo au total.', { maxSize: this.formatMegabytes(limits.maxTotalSize) });
+      }
+
+      return null;
+    }
+
+    readAttachment(file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({
+          filename: file.name,
+          contentType: file.type,
+          // Data URL without its "data:<type>;base64," prefix
+          content: reader.result.split(',')[1]
+        });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+    }
+
+    formatMegabytes(bytes) {
+      return Math.round(bytes / 104857.6) / 10;
+    }
+
+    formatText(text, replacements) {
+      return Object.keys(replacements).reduce(
+        (result, key) => result.split(`{{${key}}}`).join(replacements[key]),
+        text
+      );
+    }
+
     async submitEscalation(event) {
       event.preventDefault();
       const formData = new FormData(event.target);
+      const files = formData.getAll('attachments').filter(file => file.size > 0);
+      formData.delete('attachments');
       const contactData = Object.fromEntries(formData);
 
+      if (files.length > 0) {
+        const error = this.checkAttachments(files);
+        if (error) {
+          this.addMessage('bot', error);
+          return;
+        }
+      }
+
+      const submitButton = event.target.querySelector('button[type="submit"]');
+      submitButton.disabled = true;
+
+      try {
+        const attachments = await Promise.all(files.map(file => this.readAttachment(file)));
+
+        // Files go over HTTP, WebSocket frames are kept small
+        const data = await this.apiRequest('escalate', '/chat/escalate', {
+          contactData: contactData,
+          attachments,
+          idempotencyKey: event.target.dataset.idempotencyKey
+        }, { http: attachments.length > 0 });
+
+        if (data.success) {
+          this.addMessage('bot', data.message || this.translations?.escalation?.success || 'Votre demande a été envoyée avec succès.');
+          event.target.closest('.myleo-widget-escalation').remove();
+          this.followTicket();
+        } else {
+          submitButton.disabled = false;
+          this.addMessage('bot', data.message || this.translations?.escalation?.error || 'Une erreur s\'est produite lors de l\'envoi de votre demande.');
+        }
+      } catch (error) {
+        console.error('Failed to escalate:', error);
+        // Same key on the next try: a request that did reach the server is not sent twice
+        submitButton.disabled = false;
+        this.addMessage('bot', this.translations?.escalation?.error || 'Erreur de connexion.');
+      }
+    }
+
+    handleEndClick() {
+      if (!this.sessionId || this.messagesContainer.querySelector('.myleo-widget-survey')) return;
+
+      if (WIDGET_CONFIG.survey && this.survey) {
+        this.showSurveyForm();
+      } else {
+        this.endConversation({});
+      }
+    }
+
+    showSurveyForm() {
+      const t = this.translations?.survey || {};
+      const rating = this.translations?.rating || {};
+
+      const messageElement = document.createElement('div');
+      messageElement.className = 'myleo-widget-message bot';
+
+      const currentTime = new Date().toLocaleTimeString('fr-FR', {
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+
+      const ratingLabels = [rating.terrible, rating.poor, rating.average, rating.good, rating.excellent];
+      const ratingOptions = [1, 2, 3, 4, 5].map(value => ({ value, label: '★'.repeat(value), title: ratingLabels[value - 1] }));
+      const npsOptions = Array.from({ length: 11 }, (_, value) => ({ value, label: String(value) }));
+
+      const formHtml = `
+        <div class="myleo-widget-escalation myleo-widget-survey">
+          <h4>${this.escapeHtml(t.title || 'Avant de partir…')}</h4>
+          <form class="myleo-widget-escalation-form" data-action="submit-survey">
+            <div>
+              <p>${this.escapeHtml(rating.title || 'Comment évalueriez-vous cette conversation ?')}</p>
+              ${this.createSurveyScale('rating', ratingOptions, true)}
+            </div>
+            ${this.survey.solved ? `
+              <div>
+                <p>${this.escapeHtml(t.solved || 'Votre problème est-il résolu ?')}</p>
+                ${this.createSurveyScale('solved', [
+                  { value: 'true', label: t.yes || 'Oui' },
+                  { value: 'false', label: t.no || 'Non' }
+                ])}
+              </div>
+            ` : ''}
+            ${this.survey.nps ? `
+              <div>
+                <p>${this.escapeHtml(t.nps || 'Quelle est la probabilité que vous recommandiez Myleo à un proche ?')}</p>
+                ${this.createSurveyScale('nps', npsOptions)}
+                <div class="myleo-widget-survey-legend">
+                  <span>${this.escapeHtml(t.npsLow || 'Pas du tout probable')}</span>
+                  <span>${this.escapeHtml(t.npsHigh || 'Très probable')}</span>
+                </div>
+              </div>
+            ` : ''}
+            ${this.survey.comment ? `
+              <textarea name="comment" maxlength="1000" rows="2" placeholder="${this.escapeHtml(t.comment || 'Un commentaire ? (facultatif)')}"></textarea>
+            ` : ''}
+            <div class="myleo-widget-escalation-buttons">
+              <button type="button" class="myleo-widget-button myleo-widget-button-secondary" data-action="skip-survey">
+                ${this.escapeHtml(t.skip || 'Passer')}
+              </button>
+              <button type="submit" class="myleo-widget-button myleo-widget-button-primary">
+                ${this.escapeHtml(t.submit || 'Envoyer')}
+              </button>
+            </div>
+          </form>
+        </div>
+      `;
+
+      messageElement.innerHTML = `
+        <div class="myleo-widget-avatar">ML</div>
+        <div class="myleo-widget-message-content">
+          <div class="myleo-widget-message-time">${currentTime}</div>
+          ${formHtml}
+        </div>
+      `;
+
+      this.messagesContainer.appendChild(messageElement);
+      this.scrollToBottom();
+
+      this.messages.push({
+        type: 'bot',
+        text: '[Questionnaire de satisfaction]',
+        timestamp: new Date()
+      });
+    }
+
+    createSurveyScale(name, options, required = false) {
+      return `
+        <div class="myleo-widget-survey-scale">
+          ${options.map(option => `
+            <label class="myleo-widget-survey-option"${option.title ? ` title="${this.escapeHtml(option.title)}"` : ''}>
+              <input type="radio" name="${name}" value="${option.value}"${required ? ' required' : ''}>
+              <span>${this.escapeHtml(option.label)}</span>
+            </label>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    async submitSurvey(event) {
+      const formData = new FormData(event.target);
+      const feedback = {
+        rating: parseInt(formData.get('rating'), 10)
+      };
+
+      if (formData.has('nps')) {
+        feedback.nps = parseInt(formData.get('nps'), 10);
+      }
+      if (formData.has('solved')) {
+        feedback.solved = formData.get('solved') === 'true';
+      }
+      if (formData.get('comment')?.trim()) {
+        feedback.comment = formData.get('comment').trim();
+      }
+
+      await this.endConversation(feedback);
+    }
+
+    async endConversation(feedback) {
+      try {
+        const data = await this.apiRequest('end', '/chat/end', { feedback });
+
+        if (data.success) {
+          const sessionId = this.sessionId;
+          this.messagesContainer.querySelector('.myleo-widget-survey')?.closest('.myleo-widget-message').remove();
+          this.finishConversation();
+          if (feedback.rating) {
+            this.addMessage('bot', data.message || this.translations?.rating?.thanks || 'Merci pour votre retour !');
+          }
+          this.showConversationEnded(sessionId);
+        } else {
+          this.addMessage('bot', this.translations?.messages?.error || 'Une erreur s\'est produite.');
+        }
+      } catch (error) {
+        console.error('Failed to end conversation:', error);
+        this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+      }
+    }
+
+    finishConversation() {
+      this.sessionId = null;
+      this.clearStoredSession();
+      this.lastEventId = 0;
+      this.followingTicket = false;
+      this.awaitingStream = false;
+      document.getElementById('widget-end').hidden = true;
+      document.getElementById('widget-transcript').hidden = true;
+      this.input.disabled = true;
+
+      if (this.eventSource) {
+        this.eventSource.close();
+        this.eventSource = null;
+        this.streamConnected = false;
+      }
+
+      // The server closes the socket of an ended conversation; do not reconnect it
+      if (this.socket) {
+        const socket = this.socket;
+        this.socket = null;
+        clearInterval(this.socketHeartbeat);
+        socket.close();
+      }
+    }
+
+    showConversationEnded(sessionId) {
+      const transcriptButton = this.transcript?.download ? `
+            <button class="myleo-widget-suggestion" data-action="show-transcript" data-session-id="${this.escapeHtml(sessionId)}">
+              ${this.escapeHtml(this.translations?.transcript?.menu || 'Conserver la conversation')}
+            </button>` : '';
+
+      const messageElement = document.createElement('div');
+      messageElement.className = 'myleo-widget-message bot';
+      messageElement.innerHTML = `
+        <div class="myleo-widget-avatar">ML</div>
+        <div class="myleo-widget-message-content">
+          <div class="myleo-widget-bubble">${this.escapeHtml(this.translations?.survey?.ended || 'La conversation est terminée.')}</div>
+          <div class="myleo-widget-suggestions">
+            <button class="myleo-widget-suggestion" data-action="new-conversation">
+              ${this.escapeHtml(this.translations?.survey?.newConversation || 'Nouvelle conversation')}
+            </button>${transcriptButton}
+          </div>
+        </div>
+      `;
+
+      this.messagesContainer.appendChild(messageElement);
+      this.scrollToBottom();
+    }
+
+    showTranscriptOptions(sessionId) {
+      const t = this.translations?.transcript || {};
+      const url = (format, download) => `${WIDGET_CONFIG.apiBaseUrl}/chat/transcript/${encodeURIComponent(sessionId)}?format=${format}${download ? '&download=true' : ''}`;
+
+      const messageElement = document.createElement('div');
+      messageElement.className = 'myleo-widget-message bot';
+      messageElement.innerHTML = `
+        <div class="myleo-widget-avatar">ML</div>
+        <div class="myleo-widget-message-content">
+          <div class="myleo-widget-bubble">${this.escapeHtml(t.menu || 'Conserver la conversation')}</div>
+          <div class="myleo-widget-suggestions">
+            <a class="myleo-widget-suggestion" href="${url('text', true)}" target="_blank" rel="noopener">${this.escapeHtml(t.download || 'Télécharger (.txt)')}</a>
+            <a class="myleo-widget-suggestion" href="${url('html', true)}" target="_blank" rel="noopener">${this.escapeHtml(t.downloadHtml || 'Télécharger (.html)')}</a>
+            <a class="myleo-widget-suggestion" href="${url('print', false)}" target="_blank" rel="noopener">${this.escapeHtml(t.print || 'Imprimer')}</a>
+          </div>
+          ${this.transcript?.email ? `
+            <form class="myleo-widget-transcript-form" data-action="submit-transcript-email" data-session-id="${this.escapeHtml(sessionId)}">
+              <input type="email" name="email" placeholder="${this.escapeHtml(t.emailPlaceholder || 'Votre adresse email')}" required>
+              <button type="submit" class="myleo-widget-button myleo-widget-button-primary">${this.escapeHtml(t.emailSubmit || 'Recevoir par email')}</button>
+            </form>
+          ` : ''}
+        </div>
+      `;
+
+      this.messagesContainer.appendChild(messageElement);
+      this.scrollToBottom();
+    }
+
+    async submitTranscriptEmail(event) {
+      const form = event.target;
+      const submitButton = form.querySelector('button[type="submit"]');
+      submitButton.disabled = true;
+
       try {
-        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/escalate`, {
+        // Plain HTTP: the conversation may already be ended and its socket closed
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/transcript/email`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
-            sessionId: this.sessionId,
-            contactData: contactData
+            sessionId: form.dataset.sessionId,
+            email: new FormData(form).get('email')
           })
         });
 
         const data = await response.json();
-
         if (data.success) {
-          this.addMessage('bot', this.translations?.escalation?.success || 'Votre demande a été envoyée avec succès.');
-          event.target.closest('.myleo-widget-escalation').remove();
+          form.remove();
+          this.addMessage('bot', data.message);
         } else {
-          this.addMessage('bot', this.translations?.escalation?.error || 'Une erreur s\'est produite lors de l\'envoi de votre demande.');
+          submitButton.disabled = false;
+          this.addMessage('bot', this.translations?.transcript?.emailError || 'L\'envoi de l\'email a échoué. Veuillez réessayer plus tard.');
         }
       } catch (error) {
-        console.error('Failed to escalate:', error);
-        this.addMessage('bot', this.translations?.escalation?.error || 'Erreur de connexion.');
+        console.error('Failed to email transcript:', error);
+        submitButton.disabled = false;
+        this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+      }
+    }
+
+    showTicketStatusForm() {
+      const t = this.translations?.ticketStatus || {};
+
+      const messageElement = document.createElement('div');
+      messageElement.className = 'myleo-widget-message bot';
+      messageElement.innerHTML = `
+        <div class="myleo-widget-avatar">ML</div>
+        <div class="myleo-widget-message-content">
+          <div class="myleo-widget-escalation">
+            <h4>${this.escapeHtml(t.title || 'Suivi de votre demande')}</h4>
+            <form class="myleo-widget-escalation-form" data-action="submit-ticket-status">
+              <input type="text" name="ticketId" pattern="[A-Za-z0-9\\-]+" autocomplete="off" placeholder="${this.escapeHtml(t.ticketId || 'Numéro de demande')}" required>
+              <input type="email" name="email" placeholder="${this.escapeHtml(t.email || 'Email utilisé pour la demande')}" required>
+              <div class="myleo-widget-escalation-buttons">
+                <button type="submit" class="myleo-widget-button myleo-widget-button-primary">${this.escapeHtml(t.submit || 'Vérifier')}</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      `;
+
+      this.messagesContainer.appendChild(messageElement);
+      this.scrollToBottom();
+    }
+
+    async submitTicketStatus(event) {
+      const t = this.translations?.ticketStatus || {};
+      const form = event.target;
+      const formData = new FormData(form);
+      const submitButton = form.querySelector('button[type="submit"]');
+      submitButton.disabled = true;
+
+      try {
+        const response = await fetch(`${WIDGET_CONFIG.apiBaseUrl}/chat/ticket-status`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            sessionId: this.sessionId,
+            ticketId: formData.get('ticketId').trim(),
+            email: formData.get('email').trim(),
+            ...(formData.get('code') ? { code: formData.get('code').trim() } : {})
+          })
+        });
+
+        const data = await response.json();
+        if (data.success && data.verification === 'code') {
+          // Tickets of other conversations: ask for the code emailed to the requester
+          this.addMessage('bot', data.message);
+          this.showTicketStatusCode(form);
+          submitButton.disabled = false;
+        } else if (data.success) {
+          form.closest('.myleo-widget-message').remove();
+          this.addMessage('bot', data.message);
+        } else {
+          submitButton.disabled = false;
+          const errors = {
+            400: t.invalidCode || 'Ce code n\'est pas valide ou a expiré.',
+            404: t.notFound || 'Aucune demande ne correspond à ce numéro et à cet email.',
+            429: t.tooManyAttempts || 'Trop de tentatives pour cette demande. Veuillez réessayer plus tard.'
+          };
+          this.addMessage('bot', errors[response.status]
+            || t.unavailable || 'Le suivi des demandes est momentanément indisponible. Veuillez réessayer plus tard.');
+        }
+      } catch (error) {
+        console.error('Failed to get ticket status:', error);
+        submitButton.disabled = false;
+        this.addMessage('bot', this.translations?.messages?.networkError || 'Erreur de connexion.');
+      }
+    }
+
+    showTicketStatusCode(form) {
+      const t = this.translations?.ticketStatus || {};
+      if (form.querySelector('input[name="code"]')) {
+        return;
       }
+
+      // The code is bound to the number and email it was sent for
+      form.querySelector('input[name="ticketId"]').readOnly = true;
+      form.querySelector('input[name="email"]').readOnly = true;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = 'code';
+      input.inputMode = 'numeric';
+      input.pattern = '[0-9]{6}';
+      input.maxLength = 6;
+      input.autocomplete = 'one-time-code';
+      input.placeholder = t.code || 'Code reçu par email';
+      input.required = true;
+
+      form.insertBefore(input, form.querySelector('.myleo-widget-escalation-buttons'));
+      this.scrollToBottom();
+      input.focus();
+    }
+
+    async restartConversation() {
+      this.messagesContainer.innerHTML = '';
+      this.messages = [];
+      this.input.disabled = false;
+
+      await this.negotiateTransport();
+      await this.startConversation();
+      this.input.focus();
     }
 
     showTyping() {
@@ -565,8 +565,8 @@ class Database {
   async createConversation(conversationData) {
     const sql = `
       INSERT INTO conversations 
-      (session_id, language_code, rubrique, product_code, user_ip, user_agent)
-      VALUES (:sessionId, :languageCode, :rubrique, :productCode, :userIp, :userAgent)
+      (session_id, language_code, rubrique, product_code, page_url, user_ip, user_agent)
+      VALUES (:sessionId, :languageCode, :rubrique, :productCode, :pageUrl, :userIp, :userAgent)
     `;
     
     const result = await this.query(sql, {
@@ -574,6 +574,7 @@ class Database {
       languageCode: conversationData.languageCode,
       rubrique: conversationData.rubrique,
       productCode: conversationData.productCode || null,
+      pageUrl: conversationData.pageUrl || null,
       userIp: conversationData.userIp || null,
       userAgent: conversationData.userAgent || null
     });
@@ -587,6 +588,44 @@ class Database {
     return result.rows[0] || null;
   }
 
+  async getConversationByTicketId(ticketId, provider = 'zendesk') {
+    // Providers number tickets on their own, an ID is only unique with its provider
+    const sql = `
+      SELECT * FROM conversations
+      WHERE zendesk_ticket_id = :ticketId AND COALESCE(ticket_provider, 'zendesk') = :provider
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const result = await this.query(sql, { ticketId: String(ticketId), provider });
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Conversation escalated to a ticket, whatever its provider, that was either
+   * escalated from the given session or by the given requester email
+   * @param {string} ticketId
+   * @param {Object} match { sessionId } or { email }
+   * @returns {Object|null}
+   */
+  async getTicketConversation(ticketId, { sessionId = null, email = null }) {
+    let sql = 'SELECT * FROM conversations WHERE zendesk_ticket_id = :ticketId';
+    const params = { ticketId: String(ticketId) };
+
+    if (sessionId) {
+      sql += ' AND session_id = :sessionId';
+      params.sessionId = sessionId;
+    } else if (email) {
+      sql += ' AND ticket_email_hash = SHA2(:email, 256)';
+      params.email = email.trim().toLowerCase();
+    } else {
+      return null;
+    }
+
+    sql += ' ORDER BY created_at DESC LIMIT 1';
+    const result = await this.query(sql, params);
+    return result.rows[0] || null;
+  }
+
   async updateConversationStatus(conversationId, status, additionalData = {}) {
     let sql = 'UPDATE conversations SET status = :status, updated_at = CURRENT_TIMESTAMP';
     const params = { conversationId, status };
@@ -601,21 +640,69 @@ class Database {
       params.zendeskTicketId = additionalData.zendeskTicketId;
     }
 
+    if (additionalData.ticketProvider) {
+      sql += ', ticket_provider = :ticketProvider';
+      params.ticketProvider = additionalData.ticketProvider;
+    }
+
+    // Only a hash is kept, to check the email given for a status lookup
+    if (additionalData.ticketEmail) {
+      sql += ', ticket_email_hash = SHA2(:ticketEmail, 256)';
+      params.ticketEmail = additionalData.ticketEmail.trim().toLowerCase();
+    }
+
+    if (additionalData.zendeskStatus) {
+      sql += ', zendesk_status = :zendeskStatus';
+      params.zendeskStatus = additionalData.zendeskStatus;
+    }
+
+    // A conversation ends once: later ticket status changes must not move it (duration stats)
     if (status === 'resolved' || status === 'escalated' || status === 'abandoned') {
-      sql += ', ended_at = CURRENT_TIMESTAMP';
+      sql += ', ended_at = COALESCE(ended_at, CURRENT_TIMESTAMP)';
+    } else if (status === 'active') {
+      sql += ', ended_at = NULL';
     }
 
     sql += ' WHERE id = :conversationId';
 
-    await this.query(sql, params);
+    // Only transition from the given status (e.g. never turn an escalated conversation into abandoned)
+    if (additionalData.fromStatus) {
+      sql += ' AND status = :fromStatus';
+      params.fromStatus = additionalData.fromStatus;
+    }
+
+    const result = await this.query(sql, params);
+    return result.rows.affectedRows;
+  }
+
+  async getIdleConversations(cutoff, limit = 500) {
+    // Last activity is the latest message, or the creation date when nothing was sent
+    let sql = `
+      SELECT c.id, c.session_id, c.created_at,
+        COALESCE(MAX(cm.created_at), c.created_at) as last_activity
+      FROM conversations c
+      LEFT JOIN chat_messages cm ON cm.conversation_id = c.id
+      WHERE c.status = 'active'
+      GROUP BY c.id, c.session_id, c.created_at
+      HAVING last_activity < :cutoff
+      ORDER BY last_activity ASC
+    `;
+
+    const limitVal = parseInt(limit, 10);
+    if (!isNaN(limitVal) && limitVal > 0) {
+      sql += ` LIMIT ${limitVal}`;
+    }
+
+    const result = await this.query(sql, { cutoff });
+    return result.rows;
   }
 
   // Chat message-related database methods
   async saveMessage(messageData) {
     const sql = `
       INSERT INTO chat_messages 
-      (conversation_id, message_type, message_text, faq_id, response_time_ms)
-      VALUES (:conversationId, :messageType, :messageText, :faqId, :responseTimeMs)
+      (conversation_id, message_type, message_text, faq_id, agent_id, response_time_ms)
+      VALUES (:conversationId, :messageType, :messageText, :faqId, :agentId, :responseTimeMs)
     `;
 
     const result = await this.query(sql, {
@@ -623,19 +710,47 @@ class Database {
       messageType: messageData.messageType,
       messageText: messageData.messageText,
       faqId: messageData.faqId || null,
+      agentId: messageData.agentId || null,
       responseTimeMs: messageData.responseTimeMs || null
     });
 
     return result.rows.insertId;
   }
 
+  // Messages from outside the chat (Zendesk comments), stored once per external id
+  async saveExternalMessage(messageData) {
+    const sql = `
+      INSERT IGNORE INTO chat_messages
+      (conversation_id, message_type, message_text, author_name, external_id)
+      VALUES (:conversationId, :messageType, :messageText, :authorName, :externalId)
+    `;
+
+    const result = await this.query(sql, {
+      conversationId: messageData.conversationId,
+      messageType: messageData.messageType,
+      messageText: messageData.messageText,
+      authorName: messageData.authorName || null,
+      externalId: messageData.externalId
+    });
+
+    return result.rows.affectedRows > 0 ? result.rows.insertId : null;
+  }
+
+  /**
+   * Messages of a conversation, oldest first; beyond the limit the oldest ones
+   * are left out, the latest are the ones that matter (escalations, transcripts)
+   * @param {number} conversationId
+   * @param {number} limit
+   * @returns {Array}
+   */
   async getConversationMessages(conversationId, limit = 50) {
     let sql = `
-      SELECT cm.*, f.title as faq_title
+      SELECT cm.*, f.title as faq_title, f.external_id as faq_external_id, COALESCE(a.agent_name, cm.author_name) as agent_name
       FROM chat_messages cm
       LEFT JOIN faqs f ON cm.faq_id = f.id
+      LEFT JOIN chat_agents a ON cm.agent_id = a.agent_id
       WHERE cm.conversation_id = :conversationId
-      ORDER BY cm.created_at ASC
+      ORDER BY cm.created_at DESC, cm.id DESC
     `;
 
     const queryParams = { conversationId };
@@ -646,6 +761,608 @@ class Database {
     }
 
     const result = await this.query(sql, queryParams);
+    return result.rows.reverse();
+  }
+
+  async countConversationMessages(conversationId, messageType = null) {
+    let sql = 'SELECT COUNT(*) as count FROM chat_messages WHERE conversation_id = :conversationId';
+    const params = { conversationId };
+
+    if (messageType) {
+      sql += ' AND message_type = :messageType';
+      params.messageType = messageType;
+    }
+
+    const result = await this.query(sql, params);
+    return result.rows[0].count;
+  }
+
+  async getConversationMessage(conversationId, messageId) {
+    const sql = 'SELECT * FROM chat_messages WHERE id = :messageId AND conversation_id = :conversationId';
+    const result = await this.query(sql, { conversationId, messageId });
+    return result.rows[0] || null;
+  }
+
+  // Answer feedback
+  async saveMessageFeedback(feedbackData) {
+    const sql = `
+      INSERT INTO message_feedback (message_id, conversation_id, faq_id, helpful, comment)
+      VALUES (:messageId, :conversationId, :faqId, :helpful, :comment) AS new
+      ON DUPLICATE KEY UPDATE helpful = new.helpful, comment = new.comment
+    `;
+
+    await this.query(sql, {
+      messageId: feedbackData.messageId,
+      conversationId: feedbackData.conversationId,
+      faqId: feedbackData.faqId || null,
+      helpful: feedbackData.helpful ? 1 : 0,
+      comment: feedbackData.comment || null
+    });
+  }
+
+  async getFaqHelpfulness(dateFrom, dateTo, filters = {}) {
+    let sql = `
+      SELECT
+        f.id as faq_id,
+        f.title,
+        f.language_code,
+        f.rubrique,
+        f.product_ref,
+        COUNT(*) as total_votes,
+        SUM(mf.helpful) as helpful_votes,
+        SUM(1 - mf.helpful) as not_helpful_votes,
+        ROUND(100 * SUM(mf.helpful) / COUNT(*), 2) as helpful_rate,
+        MAX(mf.updated_at) as last_vote_at
+      FROM message_feedback mf
+      JOIN faqs f ON mf.faq_id = f.id
+      WHERE mf.created_at BETWEEN :dateFrom AND :dateTo
+    `;
+    const params = { dateFrom, dateTo };
+
+    if (filters.languageCode) {
+      sql += ' AND f.language_code = :languageCode';
+      params.languageCode = filters.languageCode;
+    }
+
+    if (filters.rubrique) {
+      sql += ' AND f.rubrique = :rubrique';
+      params.rubrique = filters.rubrique;
+    }
+
+    sql += ' GROUP BY f.id, f.title, f.language_code, f.rubrique, f.product_ref';
+
+    if (filters.minVotes) {
+      sql += ' HAVING total_votes >= :minVotes';
+      params.minVotes = filters.minVotes;
+    }
+
+    // Least helpful answers first: they are the ones to rewrite
+    sql += ' ORDER BY helpful_rate ASC, total_votes DESC';
+
+    const limitVal = parseInt(filters.limit, 10);
+    if (!isNaN(limitVal) && limitVal > 0) {
+      sql += ` LIMIT ${limitVal}`;
+    }
+
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async saveConversationSurvey(surveyData) {
+    const sql = `
+      INSERT INTO conversation_surveys (conversation_id, csat_rating, nps_score, problem_solved, comment)
+      VALUES (:conversationId, :csatRating, :npsScore, :problemSolved, :comment) AS new
+      ON DUPLICATE KEY UPDATE
+        csat_rating = new.csat_rating,
+        nps_score = new.nps_score,
+        problem_solved = new.problem_solved,
+        comment = new.comment
+    `;
+
+    await this.query(sql, {
+      conversationId: surveyData.conversationId,
+      csatRating: surveyData.rating || null,
+      npsScore: surveyData.nps ?? null,
+      problemSolved: typeof surveyData.solved === 'boolean' ? (surveyData.solved ? 1 : 0) : null,
+      comment: surveyData.comment || null
+    });
+  }
+
+  async saveTranscriptEmail(emailData) {
+    const sql = `
+      INSERT INTO transcript_emails (conversation_id, recipient, smtp_message_id)
+      VALUES (:conversationId, :recipient, :messageId)
+    `;
+
+    await this.query(sql, {
+      conversationId: emailData.conversationId,
+      recipient: emailData.recipient,
+      messageId: emailData.messageId || null
+    });
+  }
+
+  async countTranscriptEmails(conversationId, since) {
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM transcript_emails
+      WHERE conversation_id = :conversationId AND created_at >= :since
+    `;
+    const result = await this.query(sql, { conversationId, since });
+    return Number(result.rows[0].count);
+  }
+
+  async saveTicketStatusCheck(checkData) {
+    const sql = `
+      INSERT INTO ticket_status_checks (ticket_id, conversation_id, outcome, code_hash, expires_at)
+      VALUES (:ticketId, :conversationId, :outcome, :codeHash, :expiresAt)
+    `;
+
+    await this.query(sql, {
+      ticketId: String(checkData.ticketId),
+      conversationId: checkData.conversationId,
+      outcome: checkData.outcome,
+      codeHash: checkData.codeHash || null,
+      expiresAt: checkData.expiresAt || null
+    });
+  }
+
+  /**
+   * Codes sent and failed checks of a ticket asked by a requester: from the
+   * conversation, or from another one with the same IP address
+   * @param {string} ticketId
+   * @param {Object} requester { conversationId, userIp }
+   * @param {Date} since
+   * @returns {number}
+   */
+  async countTicketStatusAttempts(ticketId, { conversationId, userIp = null }, since) {
+    const sql = `
+      SELECT COUNT(*) as count
+      FROM ticket_status_checks t
+      JOIN conversations c ON t.conversation_id = c.id
+      WHERE t.ticket_id = :ticketId AND t.outcome IN ('code_sent', 'failed') AND t.created_at >= :since
+        AND (t.conversation_id = :conversationId OR c.user_ip = :userIp)
+    `;
+    const result = await this.query(sql, { ticketId: String(ticketId), conversationId, userIp, since });
+    return Number(result.rows[0].count);
+  }
+
+  /**
+   * Last unused code sent for a ticket to the given conversation
+   * @param {string} ticketId
+   * @param {number} conversationId
+   * @returns {Object|null}
+   */
+  async getTicketStatusCode(ticketId, conversationId) {
+    const sql = `
+      SELECT * FROM ticket_status_checks
+      WHERE ticket_id = :ticketId AND conversation_id = :conversationId
+        AND outcome = 'code_sent' AND expires_at > NOW()
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `;
+    const result = await this.query(sql, { ticketId: String(ticketId), conversationId });
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Use a code once: false when another request used it first
+   * @param {number} id
+   * @returns {boolean}
+   */
+  async useTicketStatusCode(id) {
+    const sql = `
+      UPDATE ticket_status_checks
+      SET outcome = 'verified'
+      WHERE id = :id AND outcome = 'code_sent'
+    `;
+    const result = await this.query(sql, { id });
+    return result.rows.affectedRows === 1;
+  }
+
+  async getSurveyStats(dateFrom, dateTo, filters = {}) {
+    let sql = `
+      SELECT
+        COUNT(*) as total_responses,
+        AVG(s.csat_rating) as avg_csat,
+        ROUND(100 * COUNT(CASE WHEN s.csat_rating >= 4 THEN 1 END) / NULLIF(COUNT(s.csat_rating), 0), 2) as csat_rate,
+        COUNT(s.nps_score) as nps_responses,
+        ROUND(100 * (COUNT(CASE WHEN s.nps_score >= 9 THEN 1 END) - COUNT(CASE WHEN s.nps_score <= 6 THEN 1 END)) / NULLIF(COUNT(s.nps_score), 0), 2) as nps,
+        ROUND(100 * SUM(s.problem_solved) / NULLIF(COUNT(s.problem_solved), 0), 2) as solved_rate,
+        COUNT(s.comment) as comments
+      FROM conversation_surveys s
+      JOIN conversations c ON s.conversation_id = c.id
+      WHERE s.created_at BETWEEN :dateFrom AND :dateTo
+    `;
+    const params = { dateFrom, dateTo };
+
+    if (filters.rubrique) {
+      sql += ' AND c.rubrique = :rubrique';
+      params.rubrique = filters.rubrique;
+    }
+
+    if (filters.languageCode) {
+      sql += ' AND c.language_code = :languageCode';
+      params.languageCode = filters.languageCode;
+    }
+
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async getMessagesAfter(conversationId, afterId = 0, messageTypes = ['agent', 'system']) {
+    const types = messageTypes.map((type, index) => [`type${index}`, type]);
+    const sql = `
+      SELECT cm.*, COALESCE(a.agent_name, cm.author_name) as agent_name
+      FROM chat_messages cm
+      LEFT JOIN chat_agents a ON cm.agent_id = a.agent_id
+      WHERE cm.conversation_id = :conversationId
+        AND cm.id > :afterId
+        AND cm.message_type IN (${types.map(([name]) => `:${name}`).join(', ')})
+      ORDER BY cm.id ASC
+    `;
+
+    const result = await this.query(sql, {
+      conversationId,
+      afterId: parseInt(afterId, 10) || 0,
+      ...Object.fromEntries(types)
+    });
+    return result.rows;
+  }
+
+  // Live agent takeover
+  async touchAgent(agentId, agentName) {
+    const sql = `
+      INSERT INTO chat_agents (agent_id, agent_name, last_seen_at)
+      VALUES (:agentId, :agentName, CURRENT_TIMESTAMP) AS new
+      ON DUPLICATE KEY UPDATE agent_name = new.agent_name, last_seen_at = CURRENT_TIMESTAMP
+    `;
+
+    await this.query(sql, { agentId, agentName });
+  }
+
+  async countOnlineAgents(since) {
+    const sql = 'SELECT COUNT(*) as count FROM chat_agents WHERE last_seen_at >= :since';
+    const result = await this.query(sql, { since });
+    return result.rows[0].count;
+  }
+
+  async getAgent(agentId) {
+    const result = await this.query('SELECT * FROM chat_agents WHERE agent_id = :agentId', { agentId });
+    return result.rows[0] || null;
+  }
+
+  async requestHandoff(conversationId) {
+    const sql = `
+      UPDATE conversations
+      SET handoff_status = 'waiting', handoff_requested_at = CURRENT_TIMESTAMP, agent_id = NULL, agent_claimed_at = NULL
+      WHERE id = :conversationId AND status = 'active' AND handoff_status NOT IN ('waiting', 'live')
+    `;
+
+    const result = await this.query(sql, { conversationId });
+    return result.rows.affectedRows;
+  }
+
+  async claimHandoff(conversationId, agentId) {
+    // Only one agent can win the claim
+    const sql = `
+      UPDATE conversations
+      SET handoff_status = 'live', agent_id = :agentId, agent_claimed_at = CURRENT_TIMESTAMP
+      WHERE id = :conversationId AND handoff_status = 'waiting'
+    `;
+
+    const result = await this.query(sql, { conversationId, agentId });
+    return result.rows.affectedRows;
+  }
+
+  async endHandoff(conversationId, handoffStatus, fromStatus, agentId = null) {
+    let sql = `
+      UPDATE conversations SET handoff_status = :handoffStatus
+      WHERE id = :conversationId AND handoff_status = :fromStatus
+    `;
+    const params = { conversationId, handoffStatus, fromStatus };
+
+    if (agentId) {
+      sql += ' AND agent_id = :agentId';
+      params.agentId = agentId;
+    }
+
+    const result = await this.query(sql, params);
+    return result.rows.affectedRows;
+  }
+
+  async getWaitingConversations(limit = 50) {
+    let sql = `
+      SELECT c.id, c.session_id, c.language_code, c.rubrique, c.product_code, c.handoff_requested_at,
+        (SELECT cm.message_text FROM chat_messages cm
+          WHERE cm.conversation_id = c.id AND cm.message_type = 'user'
+          ORDER BY cm.id DESC LIMIT 1) as last_user_message
+      FROM conversations c
+      WHERE c.status = 'active' AND c.handoff_status = 'waiting'
+      ORDER BY c.handoff_requested_at ASC
+    `;
+
+    const limitVal = parseInt(limit, 10);
+    if (!isNaN(limitVal) && limitVal > 0) {
+      sql += ` LIMIT ${limitVal}`;
+    }
+
+    const result = await this.query(sql);
+    return result.rows;
+  }
+
+  // Shared chat session store (MySqlSessionStore)
+  async getChatSession(sessionId) {
+    const sql = 'SELECT * FROM chat_sessions WHERE session_id = :sessionId';
+    const result = await this.query(sql, { sessionId });
+    return result.rows[0] || null;
+  }
+
+  async saveChatSession(sessionData) {
+    // Never lower the counter: another instance may have counted a message meanwhile
+    const sql = `
+      INSERT INTO chat_sessions
+      (session_id, conversation_id, message_count, last_activity, state)
+      VALUES (:sessionId, :conversationId, :messageCount, :lastActivity, :state) AS new
+      ON DUPLICATE KEY UPDATE
+        message_count = GREATEST(chat_sessions.message_count, new.message_count),
+        last_activity = GREATEST(chat_sessions.last_activity, new.last_activity),
+        state = new.state
+    `;
+
+    await this.query(sql, {
+      sessionId: sessionData.sessionId,
+      conversationId: sessionData.conversationId,
+      messageCount: sessionData.messageCount || 0,
+      lastActivity: sessionData.lastActivity || new Date(),
+      state: JSON.stringify(sessionData.state || {})
+    });
+  }
+
+  async deleteChatSession(sessionId) {
+    await this.query('DELETE FROM chat_sessions WHERE session_id = :sessionId', { sessionId });
+  }
+
+  async incrementChatSessionMessageCount(sessionId) {
+    // LAST_INSERT_ID(expr) hands the incremented value back without a second, racy SELECT
+    const sql = `
+      UPDATE chat_sessions
+      SET message_count = LAST_INSERT_ID(message_count + 1), last_activity = CURRENT_TIMESTAMP
+      WHERE session_id = :sessionId
+    `;
+
+    const result = await this.query(sql, { sessionId });
+    return result.rows.affectedRows > 0 ? result.rows.insertId : 0;
+  }
+
+  async deleteExpiredChatSessions(cutoff) {
+    const selectSql = 'SELECT * FROM chat_sessions WHERE last_activity < :cutoff';
+    const result = await this.query(selectSql, { cutoff });
+
+    // Row by row with the cutoff checked again: a session touched since the
+    // SELECT, or already removed by another instance, is left alone
+    const deleted = [];
+    for (const row of result.rows) {
+      const deleteResult = await this.query(
+        'DELETE FROM chat_sessions WHERE session_id = :sessionId AND last_activity < :cutoff',
+        { sessionId: row.session_id, cutoff }
+      );
+
+      if (deleteResult.rows.affectedRows === 1) {
+        deleted.push(row);
+      }
+    }
+
+    return deleted;
+  }
+
+  async countChatSessions() {
+    const result = await this.query('SELECT COUNT(*) as count FROM chat_sessions');
+    return result.rows[0].count;
+  }
+
+  // Eligibility questionnaire answers
+  async saveEligibilityAnswers(eligibilityData) {
+    const sql = `
+      INSERT INTO conversation_eligibility
+      (conversation_id, product_code, flow_id, outcome, answers)
+      VALUES (:conversationId, :productCode, :flowId, :outcome, :answers)
+    `;
+
+    const result = await this.query(sql, {
+      conversationId: eligibilityData.conversationId,
+      productCode: eligibilityData.productCode || null,
+      flowId: eligibilityData.flowId,
+      outcome: eligibilityData.outcome,
+      answers: JSON.stringify(eligibilityData.answers || [])
+    });
+
+    return result.rows.insertId;
+  }
+
+  async getEligibilityAnswers(conversationId) {
+    const sql = `
+      SELECT product_code, flow_id, outcome, answers, created_at
+      FROM conversation_eligibility
+      WHERE conversation_id = :conversationId
+      ORDER BY created_at ASC
+    `;
+
+    const result = await this.query(sql, { conversationId });
+    return result.rows.map(row => ({
+      ...row,
+      answers: typeof row.answers === 'string' ? JSON.parse(row.answers) : row.answers
+    }));
+  }
+
+  // Escalation outbox (EscalationOutboxService)
+  async enqueueEscalation(escalationData) {
+    const sql = `
+      INSERT INTO escalation_outbox (conversation_id, idempotency_key, payload)
+      VALUES (:conversationId, :idempotencyKey, :payload)
+    `;
+
+    const result = await this.query(sql, {
+      conversationId: escalationData.conversationId,
+      idempotencyKey: escalationData.idempotencyKey,
+      payload: JSON.stringify(escalationData.payload)
+    });
+
+    return result.rows.insertId;
+  }
+
+  async getEscalation(id) {
+    const result = await this.query('SELECT * FROM escalation_outbox WHERE id = :id', { id });
+    const row = result.rows[0];
+    return row ? { ...row, payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload } : null;
+  }
+
+  async getEscalationByKey(idempotencyKey) {
+    // Without the payload: only the delivery state is needed
+    const sql = `
+      SELECT id, conversation_id, idempotency_key, status, attempts, zendesk_ticket_id, merged, created_at
+      FROM escalation_outbox
+      WHERE idempotency_key = :idempotencyKey
+    `;
+    const result = await this.query(sql, { idempotencyKey });
+    return result.rows[0] || null;
+  }
+
+  async getDueEscalations(limit = 10) {
+    // Entries still locked past their timeout belong to a worker that died
+    let sql = `
+      SELECT id FROM escalation_outbox
+      WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+        OR (status = 'processing' AND locked_until < CURRENT_TIMESTAMP)
+      ORDER BY next_attempt_at ASC
+    `;
+
+    const limitVal = parseInt(limit, 10);
+    if (!isNaN(limitVal) && limitVal > 0) {
+      sql += ` LIMIT ${limitVal}`;
+    }
+
+    const result = await this.query(sql);
+    return result.rows.map(row => row.id);
+  }
+
+  async claimEscalation(id, lockSeconds) {
+    // Only one worker can win the claim
+    const sql = `
+      UPDATE escalation_outbox
+      SET status = 'processing', attempts = attempts + 1,
+        locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL :lockSeconds SECOND)
+      WHERE id = :id
+        AND ((status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'processing' AND locked_until < CURRENT_TIMESTAMP))
+    `;
+
+    const result = await this.query(sql, { id, lockSeconds });
+    return result.rows.affectedRows > 0;
+  }
+
+  async markEscalationDelivered(id, zendeskTicketId, merged = false) {
+    const sql = `
+      UPDATE escalation_outbox
+      SET status = 'delivered', zendesk_ticket_id = :zendeskTicketId, merged = :merged, locked_until = NULL,
+        last_error = NULL, delivered_at = CURRENT_TIMESTAMP,
+        payload = NULL -- Personal data and files are no longer needed
+      WHERE id = :id
+    `;
+
+    await this.query(sql, { id, zendeskTicketId: String(zendeskTicketId), merged: !!merged });
+  }
+
+  async rescheduleEscalation(id, error, delaySeconds) {
+    const sql = `
+      UPDATE escalation_outbox
+      SET status = 'pending', last_error = :error, locked_until = NULL,
+        next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL :delaySeconds SECOND)
+      WHERE id = :id AND status = 'processing' -- Never requeue a delivered entry
+    `;
+
+    await this.query(sql, { id, error: error || null, delaySeconds });
+  }
+
+  async deadLetterEscalation(id, error) {
+    const sql = `
+      UPDATE escalation_outbox
+      SET status = 'dead', last_error = :error, locked_until = NULL
+      WHERE id = :id AND status = 'processing'
+    `;
+
+    await this.query(sql, { id, error: error || null });
+  }
+
+  async retryEscalation(id) {
+    // Attempts start over so the entry gets a full round of retries
+    const sql = `
+      UPDATE escalation_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, locked_until = NULL
+      WHERE id = :id AND status = 'dead'
+    `;
+
+    const result = await this.query(sql, { id });
+    return result.rows.affectedRows > 0;
+  }
+
+  async listEscalations(filters = {}) {
+    let sql = `
+      SELECT e.id, e.conversation_id, c.session_id, e.status, e.attempts, e.next_attempt_at,
+        e.last_error, e.zendesk_ticket_id, e.merged, e.created_at, e.updated_at, e.delivered_at,
+        JSON_UNQUOTE(JSON_EXTRACT(e.payload, '$.contactData.email')) as email
+      FROM escalation_outbox e
+      JOIN conversations c ON e.conversation_id = c.id
+    `;
+    const params = {};
+
+    if (filters.status) {
+      sql += ' WHERE e.status = :status';
+      params.status = filters.status;
+    } else {
+      // Stuck entries by default
+      sql += " WHERE e.status IN ('pending', 'processing', 'dead')";
+    }
+
+    sql += ' ORDER BY e.created_at ASC';
+
+    const limitVal = parseInt(filters.limit, 10);
+    if (!isNaN(limitVal) && limitVal > 0) {
+      sql += ` LIMIT ${limitVal}`;
+    }
+
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async getEscalationCounts() {
+    const sql = `
+      SELECT status, COUNT(*) as count, MIN(created_at) as oldest
+      FROM escalation_outbox
+      WHERE status != 'delivered'
+      GROUP BY status
+    `;
+
+    const result = await this.query(sql);
+    return result.rows;
+  }
+
+  // Chat intent definitions (override/extend intents/*.json)
+  async getChatIntents(languageCode = null) {
+    let sql = `
+      SELECT intent_key, language_code, stage, priority, definition
+      FROM chat_intents
+      WHERE is_active = TRUE
+    `;
+    const params = {};
+
+    if (languageCode) {
+      sql += ' AND language_code = :languageCode';
+      params.languageCode = languageCode;
+    }
+
+    sql += ' ORDER BY language_code, priority DESC';
+
+    const result = await this.query(sql, params);
     return result.rows;
   }
 
@@ -656,6 +1373,10 @@ class Database {
         COUNT(*) as total_conversations,
         COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved_conversations,
         COUNT(CASE WHEN status = 'escalated' THEN 1 END) as escalated_conversations,
+        COUNT(CASE WHEN status = 'abandoned' THEN 1 END) as abandoned_conversations,
+        COUNT(CASE WHEN status = 'active' THEN 1 END) as active_conversations,
+        ROUND(100 * COUNT(CASE WHEN status = 'resolved' THEN 1 END) / NULLIF(COUNT(CASE WHEN status <> 'active' THEN 1 END), 0), 2) as resolution_rate,
+        ROUND(100 * COUNT(CASE WHEN status = 'abandoned' THEN 1 END) / NULLIF(COUNT(CASE WHEN status <> 'active' THEN 1 END), 0), 2) as abandonment_rate,
         AVG(satisfaction_rating) as avg_satisfaction,
         AVG(TIMESTAMPDIFF(SECOND, created_at, ended_at)) as avg_duration_seconds
       FROM conversations
@@ -31,6 +31,297 @@ router.post('/sync', async (req, res) => {
   }
 });
 
+// Reload chat intent definitions (files and/or database)
+router.post('/intents/reload', async (req, res) => {
+  try {
+    const stats = await req.services.intents.reload();
+
+    res.json({
+      success: true,
+      message: 'Chat intents reloaded',
+      intents: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List loaded chat intents
+router.get('/intents', (req, res) => {
+  res.json({
+    success: true,
+    intents: req.services.intents.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reload guided chat flow definitions
+router.post('/flows/reload', async (req, res) => {
+  try {
+    const stats = await req.services.flows.reload();
+
+    res.json({
+      success: true,
+      message: 'Chat flows reloaded',
+      flows: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List loaded chat flows
+router.get('/flows', (req, res) => {
+  res.json({
+    success: true,
+    flows: req.services.flows.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reload ticket routing rules
+router.post('/routing/reload', async (req, res) => {
+  try {
+    const stats = await req.services.ticketRouting.reload();
+
+    res.json({
+      success: true,
+      message: 'Ticket routing rules reloaded',
+      routing: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List loaded ticket routing rules
+router.get('/routing', (req, res) => {
+  res.json({
+    success: true,
+    routing: req.services.ticketRouting.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Which routing rule the ticket of a conversation would get
+router.post('/routing/test', async (req, res) => {
+  try {
+    const { sessionId, subject, at, outOfHours } = req.body;
+
+    const date = at ? new Date(at) : new Date();
+    if (!sessionId || isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A session id and a valid date are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await req.services.ticketRouting.testConversation(sessionId, { subject, date, outOfHours });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.message === 'Invalid session' ? 404 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Reload ticket urgency lexicons
+router.post('/urgency/reload', async (req, res) => {
+  try {
+    const stats = await req.services.urgency.reload();
+
+    res.json({
+      success: true,
+      message: 'Urgency lexicons reloaded',
+      urgency: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List loaded urgency terms
+router.get('/urgency', (req, res) => {
+  res.json({
+    success: true,
+    urgency: req.services.urgency.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Helpfulness of FAQ answers from widget feedback, least helpful first
+router.get('/feedback/faqs', async (req, res) => {
+  try {
+    const { from, to, language, rubrique, minVotes, limit = 100 } = req.query;
+
+    const dateTo = to ? new Date(to) : new Date();
+    const dateFrom = from ? new Date(from) : new Date(dateTo.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(dateFrom.getTime()) || isNaN(dateTo.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const faqs = await req.services.database.getFaqHelpfulness(dateFrom, dateTo, {
+      languageCode: language,
+      rubrique,
+      minVotes: parseInt(minVotes, 10) || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      from: dateFrom.toISOString(),
+      to: dateTo.toISOString(),
+      faqs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Post-chat survey results (CSAT, NPS, solved rate)
+router.get('/surveys/stats', async (req, res) => {
+  try {
+    const { from, to, language, rubrique } = req.query;
+
+    const dateTo = to ? new Date(to) : new Date();
+    const dateFrom = from ? new Date(from) : new Date(dateTo.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(dateFrom.getTime()) || isNaN(dateTo.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const stats = await req.services.database.getSurveyStats(dateFrom, dateTo, {
+      languageCode: language,
+      rubrique
+    });
+
+    res.json({
+      success: true,
+      from: dateFrom.toISOString(),
+      to: dateTo.toISOString(),
+      stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Escalations not delivered to Zendesk yet (pending, processing, dead), oldest first
+router.get('/escalations', async (req, res) => {
+  try {
+    if (!req.services.outbox) {
+      return res.status(503).json({
+        success: false,
+        error: 'Escalation outbox is disabled',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { status, limit = 100 } = req.query;
+    if (status && !['pending', 'processing', 'delivered', 'dead'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { escalations, counts } = await req.services.outbox.list({ status, limit });
+
+    res.json({
+      success: true,
+      escalations,
+      counts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Send a dead-lettered escalation again
+router.post('/escalations/:id/retry', async (req, res) => {
+  try {
+    if (!req.services.outbox) {
+      return res.status(503).json({
+        success: false,
+        error: 'Escalation outbox is disabled',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const requeued = await req.services.outbox.retry(parseInt(req.params.id, 10) || 0);
+    if (!requeued) {
+      return res.status(404).json({
+        success: false,
+        error: 'No dead-lettered escalation with this id',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Escalation requeued',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Get sync status
 router.get('/sync/status', (req, res) => {
   // This would need to be implemented to track sync status
@@ -0,0 +1,173 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Agents authenticate with the shared key and identify themselves per request
+const authenticateAgent = async (req, res, next) => {
+  const handoff = req.services.handoff;
+
+  if (!handoff.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Live agent chat is not configured'
+    });
+  }
+
+  if (!handoff.isValidAgentKey(req.get('X-Agent-Key'))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid agent key'
+    });
+  }
+
+  const agentId = (req.get('X-Agent-Id') || '').trim();
+  if (!agentId || agentId.length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Agent-Id header is required'
+    });
+  }
+
+  req.agent = {
+    id: agentId,
+    name: (req.get('X-Agent-Name') || agentId).trim().substring(0, 100)
+  };
+
+  try {
+    // Every call counts as presence
+    await handoff.touchAgent(req.agent);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateSession = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Valid session ID is required')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Handoff state errors are the agent's business, not server errors
+const sendError = (req, res, error, action) => {
+  if (error.message === 'Invalid session') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  if (error.message.startsWith('Conversation is not')) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  req.services.logger?.logError(error, {
+    action,
+    sessionId: req.params.sessionId,
+    agentId: req.agent?.id
+  });
+
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+router.use(authenticateAgent);
+
+// Conversations waiting for an agent, oldest first
+router.get('/conversations/waiting', async (req, res) => {
+  try {
+    const conversations = await req.services.handoff.listWaiting();
+
+    res.json({
+      success: true,
+      conversations
+    });
+  } catch (error) {
+    sendError(req, res, error, 'agent_list_waiting');
+  }
+});
+
+// Full conversation, for the agent console
+router.get('/conversations/:sessionId/messages', validateSession, handleValidationErrors, async (req, res) => {
+  try {
+    const conversation = await req.services.handoff.getConversation(req.params.sessionId);
+    const messages = await req.services.database.getMessagesAfter(
+      conversation.id,
+      Number(req.query.after || 0),
+      ['user', 'bot', 'agent', 'system']
+    );
+
+    res.json({
+      success: true,
+      handoff: {
+        status: conversation.handoff_status,
+        agentId: conversation.agent_id
+      },
+      messages
+    });
+  } catch (error) {
+    sendError(req, res, error, 'agent_messages');
+  }
+});
+
+// Take over a waiting conversation
+router.post('/conversations/:sessionId/claim', validateSession, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await req.services.handoff.claim(req.params.sessionId, req.agent);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(req, res, error, 'agent_claim');
+  }
+});
+
+// Send a message to the user
+router.post('/conversations/:sessionId/reply', [
+  ...validateSession,
+  body('message')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be 1-2000 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await req.services.handoff.reply(req.params.sessionId, req.agent, req.body.message);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(req, res, error, 'agent_reply');
+  }
+});
+
+// Hand the conversation back to the bot
+router.post('/conversations/:sessionId/release', validateSession, handleValidationErrors, async (req, res) => {
+  try {
+    await req.services.handoff.release(req.params.sessionId, req.agent);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    sendError(req, res, error, 'agent_release');
+  }
+});
+
+module.exports = router;
@@ -1,90 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, param } = require('express-validator');
+const {
+  validateStartConversation,
+  validateMessage,
+  validateEscalation,
+  validateEndConversation,
+  validateFeedback,
+  validateTranscriptEmail,
+  validateTicketStatus,
+  handleValidationErrors
+} = require('../utils/chatValidation');
+const TranscriptService = require('../services/transcriptService');
 const router = express.Router();
 
-// Validation middleware
-const validateStartConversation = [
-  body('language')
-    .optional()
-    .isIn(['fr', 'en'])
-    .withMessage('Language must be fr or en'),
-  body('rubrique')
-    .optional()
-    .isIn(['produit', 'compte_client', 'tunnel_vente', 'general'])
-    .withMessage('Invalid rubrique value'),
-  body('productCode')
-    .optional({ nullable: true, checkFalsy: true })
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Product code must be 1-100 characters'),
-  body('userAgent')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('User agent too long')
-];
-
-const validateMessage = [
-  body('sessionId')
-    .notEmpty()
-    .isUUID()
-    .withMessage('Valid session ID is required'),
-  body('message')
-    .notEmpty()
-    .isLength({ min: 1, max: 500 })
-    .withMessage('Message must be 1-500 characters')
-];
-
-const validateEscalation = [
-  body('sessionId')
-    .notEmpty()
-    .isUUID()
-    .withMessage('Valid session ID is required'),
-  body('contactData.firstName')
-    .notEmpty()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('First name is required and must be 1-50 characters'),
-  body('contactData.lastName')
-    .notEmpty()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Last name is required and must be 1-50 characters'),
-  body('contactData.email')
-    .isEmail()
-    .withMessage('Valid email is required'),
-  body('contactData.phone')
-    .optional()
-    .matches(/^[\d\s\-\(\)+]{10,20}$/)
-    .withMessage('Invalid phone number format'),
-  body('contactData.subject')
-    .notEmpty()
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Subject is required and must be 1-200 characters'),
-  body('contactData.availability')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('Availability text too long')
-];
-
-// Error handling middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors.array()
-    });
-  }
-  next();
-};
-
 // Start a new conversation
 router.post('/start', validateStartConversation, handleValidationErrors, async (req, res) => {
   try {
-    const { language, rubrique, productCode, userAgent } = req.body;
+    const { language, rubrique, productCode, pageUrl, userAgent } = req.body;
     
     const conversationParams = {
       language: language || 'fr',
       rubrique: rubrique || 'general',
       productCode: productCode || null,
+      pageUrl: pageUrl || null,
       userIp: req.ip || req.connection?.remoteAddress || null,
       userAgent: userAgent || req.get('User-Agent') || null
     };
@@ -109,9 +47,26 @@ router.post('/start', validateStartConversation, handleValidationErrors, async (
 // Send a message
 router.post('/message', validateMessage, handleValidationErrors, async (req, res) => {
   try {
-    const { sessionId, message } = req.body;
-    
-    const result = await req.services.chat.processMessage(sessionId, message);
+    const { sessionId, message, choice, stream } = req.body;
+    const options = {
+      choice: choice ? {
+        faqId: choice.faqId !== undefined ? Number(choice.faqId) : undefined,
+        id: choice.id,
+        index: Number(choice.index)
+      } : null
+    };
+
+    // Answer through the event stream when it is connected to this instance
+    if (stream === true && req.services.stream.hasSubscribers(sessionId)) {
+      res.status(202).json({ success: true, streamed: true });
+
+      req.services.stream.publish(sessionId, 'typing', { active: true });
+      const result = await req.services.chat.processMessage(sessionId, message, options);
+      req.services.stream.publishResponse(sessionId, result);
+      return;
+    }
+
+    const result = await req.services.chat.processMessage(sessionId, message, options);
 
     res.json(result);
   } catch (error) {
@@ -121,6 +76,11 @@ router.post('/message', validateMessage, handleValidationErrors, async (req, res
       ip: req.ip
     });
 
+    // Streamed answers were already acknowledged
+    if (res.headersSent) {
+      return;
+    }
+
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -131,9 +91,9 @@ router.post('/message', validateMessage, handleValidationErrors, async (req, res
 // Escalate conversation to Zendesk
 router.post('/escalate', validateEscalation, handleValidationErrors, async (req, res) => {
   try {
-    const { sessionId, contactData } = req.body;
+    const { sessionId, contactData, attachments, idempotencyKey } = req.body;
     
-    const result = await req.services.chat.escalateToZendesk(sessionId, contactData);
+    const result = await req.services.chat.escalateToZendesk(sessionId, contactData, attachments || [], { idempotencyKey });
 
     res.json(result);
   } catch (error) {
@@ -151,25 +111,262 @@ router.post('/escalate', validateEscalation, handleValidationErrors, async (req,
 });
 
 // End conversation
-router.post('/end', [
+router.post('/end', validateEndConversation, handleValidationErrors, async (req, res) => {
+  try {
+    const { sessionId, feedback } = req.body;
+    
+    const result = await req.services.chat.endConversation(sessionId, feedback || {});
+
+    res.json(result);
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'chat_end',
+      sessionId: req.body.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Transports the widget can use besides request/response
+router.get('/transports', (req, res) => {
+  const socket = req.services.socket;
+
+  res.json({
+    success: true,
+    transports: {
+      websocket: socket && socket.isEnabled() ? { path: socket.config.path } : null,
+      sse: true
+    }
+  });
+});
+
+// Event stream of a session (Server-Sent Events)
+router.get('/stream/:sessionId', [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Valid session ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    // Escalated conversations keep receiving ticket replies and status changes
+    const conversation = await req.services.database.getConversation(req.params.sessionId);
+    if (!conversation || !['active', 'escalated'].includes(conversation.status)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invalid session'
+      });
+    }
+
+    req.services.stream.open(req.params.sessionId, res, {
+      lastEventId: parseInt(req.get('Last-Event-ID'), 10) || 0,
+      handoffActive: ['waiting', 'live'].includes(conversation.handoff_status)
+    });
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'chat_stream',
+      sessionId: req.params.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Ask for a live agent
+router.post('/handoff', [
   body('sessionId')
     .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await req.services.handoff.requestHandoffForSession(req.body.sessionId);
+
+    res.json(result);
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'chat_handoff',
+      sessionId: req.body.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Agent messages and handoff notices (long polling)
+router.get('/events/:sessionId', [
+  param('sessionId')
     .isUUID()
     .withMessage('Valid session ID is required'),
-  body('feedback.rating')
+  query('after')
     .optional()
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5')
+    .isInt({ min: 0 })
+    .withMessage('After must be a message ID')
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { sessionId, feedback } = req.body;
-    
-    const result = await req.services.chat.endConversation(sessionId, feedback || {});
+    const events = await req.services.handoff.waitForEvents(req.params.sessionId, Number(req.query.after || 0));
+
+    res.json({
+      success: true,
+      ...events
+    });
+  } catch (error) {
+    if (error.message === 'Invalid session') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.services.logger?.logError(error, {
+      action: 'chat_events',
+      sessionId: req.params.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Rate a bot answer (helpful / not helpful)
+router.post('/feedback', validateFeedback, handleValidationErrors, async (req, res) => {
+  try {
+    const { sessionId, messageId, helpful, comment } = req.body;
+
+    const result = await req.services.chat.submitFeedback(sessionId, {
+      messageId: Number(messageId),
+      helpful,
+      comment
+    });
 
     res.json(result);
   } catch (error) {
     req.services.logger?.logError(error, {
-      action: 'chat_end',
+      action: 'chat_feedback',
+      sessionId: req.body.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Conversation transcript: ?format=text|html|print, ?download=true to save it as a file
+router.get('/transcript/:sessionId', [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  query('format')
+    .optional()
+    .isIn(TranscriptService.getFormats())
+    .withMessage(`Format must be one of: ${TranscriptService.getFormats().join(', ')}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const transcript = await req.services.transcripts.render(req.params.sessionId, req.query.format || 'text');
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+    res.set({
+      'Content-Type': transcript.contentType,
+      'Content-Disposition': `${disposition}; filename="${transcript.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(transcript.content);
+  } catch (error) {
+    if (error.message === 'Invalid session') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    req.services.logger?.logError(error, {
+      action: 'chat_transcript',
+      sessionId: req.params.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Email the transcript to the user
+router.post('/transcript/email', validateTranscriptEmail, handleValidationErrors, async (req, res) => {
+  try {
+    if (!req.services.transcripts.isEmailEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Email is not configured'
+      });
+    }
+
+    const { sessionId, email } = req.body;
+    const result = await req.services.transcripts.emailTranscript(sessionId, email);
+
+    if (!result.success && result.error === 'Too many transcript emails') {
+      return res.status(429).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'chat_transcript_email',
+      sessionId: req.body.sessionId,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Status of a support request, for the requester only (see TicketStatusService)
+router.post('/ticket-status', validateTicketStatus, handleValidationErrors, async (req, res) => {
+  try {
+    const { sessionId, ticketId, email, code } = req.body;
+    const result = await req.services.ticketStatus.lookup({ sessionId, ticketId, email, code });
+
+    if (!result.success && ['Invalid session', 'Ticket not found'].includes(result.error)) {
+      return res.status(404).json(result);
+    }
+
+    if (!result.success && result.error === 'Invalid code') {
+      return res.status(400).json(result);
+    }
+
+    if (!result.success && result.error === 'Too many attempts') {
+      return res.status(429).json(result);
+    }
+
+    if (!result.success && result.error === 'Ticket status unavailable') {
+      return res.status(503).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'chat_ticket_status',
       sessionId: req.body.sessionId,
       ip: req.ip
     });
@@ -193,7 +390,10 @@ router.get('/history/:sessionId', async (req, res) => {
       });
     }
     
-    const result = await req.services.chat.getConversationHistory(sessionId);
+    // The widget resumes the conversation when the server allows it
+    const result = req.query.resume === 'true'
+      ? await req.services.chat.resumeConversation(sessionId)
+      : await req.services.chat.getConversationHistory(sessionId);
 
     res.json(result);
   } catch (error) {
@@ -210,10 +410,37 @@ router.get('/history/:sessionId', async (req, res) => {
   }
 });
 
+// Current open/closed status for the widget header
+router.get('/business-hours', [
+  query('language')
+    .optional()
+    .isIn(['fr', 'en'])
+    .withMessage('Language must be fr or en')
+], handleValidationErrors, (req, res) => {
+  try {
+    const status = req.services.chat.getBusinessHoursStatus(req.query.language || 'fr');
+
+    res.json({
+      success: true,
+      businessHours: status
+    });
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'chat_business_hours',
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // Get chat service statistics (for monitoring)
 router.get('/stats', async (req, res) => {
   try {
-    const stats = req.services.chat.getStats();
+    const stats = await req.services.chat.getStats();
     
     res.json({
       success: true,
@@ -89,9 +89,42 @@ router.get('/detailed', async (req, res) => {
       health.services.zendesk = { status: 'NOT_INITIALIZED' };
     }
 
+    // Check the other helpdesks escalations go to
+    if (req.services.ticketing) {
+      for (const [name, provider] of req.services.ticketing.getActiveProviders()) {
+        if (name === 'zendesk') {
+          continue;
+        }
+
+        const ticketingTest = await provider.testConnection();
+        health.services[`ticketing_${name}`] = {
+          status: ticketingTest.success ? 'OK' : 'ERROR',
+          message: ticketingTest.message || ticketingTest.error
+        };
+
+        if (!ticketingTest.success) {
+          health.status = 'DEGRADED';
+        }
+      }
+    }
+
+    // Check outgoing email (optional)
+    if (req.services.mail && req.services.mail.isEnabled()) {
+      const smtpHealthy = await req.services.mail.verify();
+      health.services.smtp = {
+        status: smtpHealthy ? 'OK' : 'ERROR'
+      };
+
+      if (!smtpHealthy) {
+        health.status = 'DEGRADED';
+      }
+    } else {
+      health.services.smtp = { status: 'DISABLED' };
+    }
+
     // Check chat service
     if (req.services.chat) {
-      const chatStats = req.services.chat.getStats();
+      const chatStats = await req.services.chat.getStats();
       health.services.chat = {
         status: 'OK',
         stats: chatStats
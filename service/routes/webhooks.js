@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+// Zendesk signs every call with the webhook secret
+const verifyZendeskSignature = (req, res, next) => {
+  const webhook = req.services.zendeskWebhook;
+
+  if (!webhook.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Zendesk webhook is not configured'
+    });
+  }
+
+  const valid = webhook.verifySignature(
+    req.rawBody,
+    req.get('X-Zendesk-Webhook-Signature'),
+    req.get('X-Zendesk-Webhook-Signature-Timestamp')
+  );
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid signature'
+    });
+  }
+
+  next();
+};
+
+// Ticket events: agent comments and status changes
+router.post('/zendesk', verifyZendeskSignature, async (req, res) => {
+  try {
+    const result = await req.services.zendeskWebhook.handleEvent(req.body || {});
+
+    // Events we do not act on are still acknowledged, so Zendesk does not retry them
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    req.services.logger?.logError(error, {
+      action: 'zendesk_webhook',
+      eventId: req.body?.id,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
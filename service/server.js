@@ -13,11 +13,34 @@ const RagSearchService = require('./services/ragSearchService');
 const ZendeskService = require('./services/zendeskService');
 const CacheService = require('./services/cacheService');
 const LanguageService = require('./services/languageService');
+const IntentService = require('./services/intentService');
+const FlowService = require('./services/flowService');
+const BusinessHoursService = require('./services/businessHoursService');
+const HandoffService = require('./services/handoffService');
+const ChatStreamService = require('./services/chatStreamService');
+const ChatSocketService = require('./services/chatSocketService');
+const MailService = require('./services/mailService');
+const TranscriptService = require('./services/transcriptService');
+const AttachmentService = require('./services/attachmentService');
+const TicketStatusService = require('./services/ticketStatusService');
+const TicketTemplateService = require('./services/ticketTemplateService');
+const ZendeskWebhookService = require('./services/zendeskWebhookService');
+const EscalationOutboxService = require('./services/escalationOutboxService');
+const TicketingService = require('./services/ticketingService');
+const EmailTicketProvider = require('./services/emailTicketProvider');
+const WebhookTicketProvider = require('./services/webhookTicketProvider');
+const MockTicketProvider = require('./services/mockTicketProvider');
+const TicketRoutingService = require('./services/ticketRoutingService');
+const UrgencyService = require('./services/urgencyService');
+const MemorySessionStore = require('./services/memorySessionStore');
+const MySqlSessionStore = require('./services/mysqlSessionStore');
 
 // Import routes
 const chatRoutes = require('./routes/chat');
 const healthRoutes = require('./routes/health');
 const adminRoutes = require('./routes/admin');
+const agentRoutes = require('./routes/agent');
+const webhookRoutes = require('./routes/webhooks');
 
 class ChatbotServer {
   constructor() {
@@ -52,7 +75,7 @@ class ChatbotServer {
           scriptSrcAttr: ["'unsafe-inline'"], // Allow inline event handlers
           styleSrc: ["'self'", "'unsafe-inline'"],
           imgSrc: ["'self'", "data:", "https:"],
-          connectSrc: ["'self'", "https:", "http://localhost:*"],
+          connectSrc: ["'self'", "https:", "wss:", "http://localhost:*", "ws://localhost:*"],
           fontSrc: ["'self'"],
           objectSrc: ["'none'"],
           mediaSrc: ["'self'"],
@@ -64,8 +87,15 @@ class ChatbotServer {
     // CORS configuration
     this.app.use(cors(config.server.cors));
 
-    // Body parsing middleware
-    this.app.use(express.json({ limit: '10mb' }));
+    // Body parsing middleware (webhooks keep the raw body to check their signature)
+    this.app.use(express.json({
+      limit: '10mb',
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Rate limiting middleware
@@ -103,9 +133,23 @@ class ChatbotServer {
         database: this.database,
         chat: this.chatService,
         zendesk: this.zendeskService,
+        ticketing: this.ticketingService,
+        ticketRouting: this.ticketRoutingService,
+        urgency: this.urgencyService,
         cache: this.cacheService,
         language: this.languageService,
-        ragSearch: this.ragSearchService
+        ragSearch: this.ragSearchService,
+        intents: this.intentService,
+        flows: this.flowService,
+        businessHours: this.businessHoursService,
+        handoff: this.handoffService,
+        stream: this.chatStreamService,
+        socket: this.chatSocketService,
+        mail: this.mailService,
+        transcripts: this.transcriptService,
+        ticketStatus: this.ticketStatusService,
+        zendeskWebhook: this.zendeskWebhookService,
+        outbox: this.escalationOutboxService
       };
       next();
     });
@@ -117,6 +161,12 @@ class ChatbotServer {
     
     // API routes
     this.app.use('/api/chat', chatRoutes);
+
+    // Live agent console API
+    this.app.use('/api/agent', agentRoutes);
+
+    // Inbound webhooks (Zendesk)
+    this.app.use('/api/webhooks', webhookRoutes);
     
     // Admin routes
     this.app.use('/admin', adminRoutes);
@@ -233,6 +283,25 @@ class ChatbotServer {
       this.cacheService = new CacheService(config.cache);
       this.languageService = new LanguageService();
       await this.languageService.loadLanguages();
+      this.intentService = new IntentService({
+        language: this.languageService,
+        database: this.database,
+        config: { ...config.intents, defaultLanguage: config.chat.defaultLanguage },
+        logger
+      });
+      await this.intentService.load();
+      this.flowService = new FlowService({
+        language: this.languageService,
+        config: { ...config.flows, defaultLanguage: config.chat.defaultLanguage },
+        logger
+      });
+      await this.flowService.load();
+      this.businessHoursService = new BusinessHoursService({
+        config: config.businessHours,
+        language: this.languageService,
+        logger
+      });
+      this.checkTranslations();
       this.ragSearchService = new RagSearchService({
         database: this.database,
         cache: this.cacheService,
@@ -241,20 +310,131 @@ class ChatbotServer {
       });
       
       this.zendeskService = new ZendeskService(config.zendesk, logger);
+      this.ticketRoutingService = new TicketRoutingService({
+        database: this.database,
+        businessHours: this.businessHoursService,
+        config: { ...config.ticketRouting, maxMessages: config.chat.ticketMessages },
+        logger
+      });
+      await this.ticketRoutingService.load();
+      this.urgencyService = new UrgencyService({
+        config: { ...config.urgency, defaultLanguage: config.chat.defaultLanguage },
+        logger
+      });
+      if (config.urgency.enabled) {
+        await this.urgencyService.load();
+      }
+      this.sessionStore = this.createSessionStore();
+      this.handoffService = new HandoffService({
+        database: this.database,
+        sessionStore: this.sessionStore,
+        language: this.languageService,
+        businessHours: this.businessHoursService,
+        config: config.agents,
+        logger
+      });
+      this.chatStreamService = new ChatStreamService({
+        handoff: this.handoffService,
+        config: config.streaming,
+        logger
+      });
+      this.mailService = new MailService({
+        config: config.smtp,
+        logger
+      });
+      this.transcriptService = new TranscriptService({
+        database: this.database,
+        language: this.languageService,
+        mail: this.mailService,
+        config: { ...config.transcripts, timezone: config.businessHours.timezone },
+        logger
+      });
+      this.ticketTemplateService = new TicketTemplateService({
+        language: this.languageService,
+        config: { faqUrl: config.ticketing.faqUrl, timezone: config.businessHours.timezone }
+      });
+      this.ticketingService = new TicketingService({
+        providers: this.createTicketProviders(),
+        config: config.ticketing,
+        logger
+      });
+      this.attachmentService = new AttachmentService({
+        config: config.attachments,
+        logger
+      });
+      this.ticketStatusService = new TicketStatusService({
+        database: this.database,
+        ticketing: this.ticketingService,
+        mail: this.mailService,
+        language: this.languageService,
+        businessHours: this.businessHoursService,
+        config: config.ticketStatus,
+        logger
+      });
+      if (config.escalations.outbox) {
+        this.escalationOutboxService = new EscalationOutboxService({
+          database: this.database,
+          ticketing: this.ticketingService,
+          stream: this.chatStreamService,
+          handoff: this.handoffService,
+          language: this.languageService,
+          config: config.escalations,
+          logger
+        });
+      }
       this.chatService = new ChatService({
         database: this.database,
         cache: this.cacheService,
         language: this.languageService,
-        zendesk: this.zendeskService,
+        ticketing: this.ticketingService,
         config: config.chat,
         logger,
-        ragSearch: this.ragSearchService
+        ragSearch: this.ragSearchService,
+        intents: this.intentService,
+        flows: this.flowService,
+        sessionStore: this.sessionStore,
+        businessHours: this.businessHoursService,
+        handoff: this.handoffService,
+        transcripts: this.transcriptService,
+        attachments: this.attachmentService,
+        ticketStatus: this.ticketStatusService,
+        outbox: this.escalationOutboxService
       });
+      this.zendeskWebhookService = new ZendeskWebhookService({
+        database: this.database,
+        stream: this.chatStreamService,
+        handoff: this.handoffService,
+        language: this.languageService,
+        config: config.zendesk.webhook,
+        logger
+      });
+
+      if (config.websocket.enabled) {
+        this.chatSocketService = new ChatSocketService({
+          chat: this.chatService,
+          stream: this.chatStreamService,
+          database: this.database,
+          rateLimiter: this.rateLimiter,
+          config: config.websocket,
+          allowedOrigins: config.server.cors.origin,
+          logger
+        });
+      }
+
+      // Close conversations left active by a previous run
+      this.chatService.sweepAbandonedConversations();
+
+      // Every instance delivers queued escalations, entries are claimed one at a time
+      if (this.escalationOutboxService) {
+        this.escalationOutboxService.start();
+      }
 
       logger.info('All services initialized successfully');
 
-      // Start scheduler in worker thread
-      this.startScheduler();
+      // Start scheduler in worker thread, once per cluster (PM2 numbers instances from 0)
+      if (!process.env.NODE_APP_INSTANCE || process.env.NODE_APP_INSTANCE === '0') {
+        this.startScheduler();
+      }
 
     } catch (error) {
       logger.error('Failed to initialize server:', error);
@@ -262,6 +442,76 @@ class ChatbotServer {
     }
   }
 
+  /**
+   * Make sure every language defines the strings the chat engine emits
+   */
+  checkTranslations() {
+    const requiredKeys = [
+      ...ChatService.getRequiredTranslationKeys(),
+      ...BusinessHoursService.getRequiredTranslationKeys(),
+      ...HandoffService.getRequiredTranslationKeys(),
+      ...TranscriptService.getRequiredTranslationKeys(),
+      ...TicketTemplateService.getRequiredTranslationKeys(),
+      ...TicketStatusService.getRequiredTranslationKeys(),
+      ...ZendeskWebhookService.getRequiredTranslationKeys(),
+      ...this.intentService.getTranslationKeys(),
+      ...this.flowService.getTranslationKeys()
+    ];
+
+    const problems = this.languageService.getAvailableLanguages()
+      .map(language => ({ language, missingKeys: this.languageService.validateLanguage(language, requiredKeys) }))
+      .filter(result => result.missingKeys.length > 0);
+
+    if (problems.length > 0) {
+      problems.forEach(({ language, missingKeys }) => {
+        logger.error(`Language ${language} is missing translations`, { missingKeys });
+      });
+      throw new Error(`Missing translations for: ${problems.map(p => p.language).join(', ')}`);
+    }
+
+    logger.info('Translation check passed', { keyCount: requiredKeys.length });
+  }
+
+  /**
+   * Ticketing providers by name, as named in TICKETING_PROVIDER and
+   * TICKETING_RUBRIQUE_PROVIDERS, all rendering tickets with the same templates
+   * and applying the same routing rules and urgency
+   * @returns {Object}
+   */
+  createTicketProviders() {
+    // Zendesk is always there: ticket status lookups and the webhook use it
+    const providers = {
+      zendesk: this.zendeskService,
+      email: new EmailTicketProvider({ mail: this.mailService, config: config.ticketing.email, logger }),
+      webhook: new WebhookTicketProvider({ config: config.ticketing.webhook, logger }),
+      mock: new MockTicketProvider({ config: config.ticketing.mock, logger })
+    };
+
+    for (const provider of Object.values(providers)) {
+      provider.setTemplates(this.ticketTemplateService);
+      provider.setRouting(this.ticketRoutingService);
+      provider.setUrgency(config.urgency.enabled ? this.urgencyService : null);
+    }
+
+    return providers;
+  }
+
+  /**
+   * Pick the chat session store; several instances must share the MySQL one
+   */
+  createSessionStore() {
+    if (config.chat.sessionStore === 'mysql') {
+      logger.info('Using MySQL chat session store');
+      return new MySqlSessionStore({ database: this.database });
+    }
+
+    if (process.env.NODE_APP_INSTANCE !== undefined) {
+      logger.warn('In-memory chat session store used in cluster mode: sessions are not shared between instances, set CHAT_SESSION_STORE=mysql');
+    }
+
+    return new MemorySessionStore();
+  }
+
   startScheduler() {
     try {
       logger.info('Starting FAQ synchronization scheduler in worker thread...');
@@ -309,8 +559,18 @@ class ChatbotServer {
         logger.info(`Chatbot server running on http://${config.server.host}:${config.server.port}`);
         logger.info(`Environment: ${config.environment}`);
         logger.info(`Widget available at: http://${config.server.host}:${config.server.port}/widget.js`);
+
+        // PM2 waits for this signal (wait_ready) before routing traffic to the instance
+        if (process.send) {
+          process.send('ready');
+        }
       });
 
+      // WebSocket upgrades share the HTTP server
+      if (this.chatSocketService) {
+        this.chatSocketService.attach(this.server);
+      }
+
       // Graceful shutdown
       const gracefulShutdown = async (signal) => {
         logger.info(`Received ${signal}, starting graceful shutdown...`);
@@ -322,6 +582,18 @@ class ChatbotServer {
           logger.info('Scheduler worker stopped');
         }
         
+        if (this.escalationOutboxService) {
+          this.escalationOutboxService.stop();
+        }
+
+        // Open event streams and sockets would keep the HTTP server from closing
+        if (this.chatSocketService) {
+          this.chatSocketService.close();
+        }
+        if (this.chatStreamService) {
+          this.chatStreamService.closeAll();
+        }
+        
         if (this.server) {
           this.server.close(async () => {
             logger.info('HTTP server closed');
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// File signatures of the accepted document types
+const SIGNATURES = {
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]
+};
+
+const EXTENSIONS = {
+  'application/pdf': ['pdf'],
+  'image/jpeg': ['jpg', 'jpeg'],
+  'image/png': ['png']
+};
+
+/**
+ * Supporting documents sent with an escalation (invoices, prescriptions,
+ * vehicle registration...).
+ *
+ * The widget sends files as base64 in the escalation request. Each file is
+ * checked against the count, size and type limits, its content must match its
+ * declared type, and it goes through the virus scan hook before it is
+ * uploaded to Zendesk. The default hook uses a ClamAV daemon when one is
+ * configured; setScanner() plugs any other scanner.
+ */
+class AttachmentService {
+  constructor({ config = {}, logger }) {
+    this.logger = logger;
+    this.config = {
+      maxFiles: config.maxFiles || 5,
+      maxFileSize: config.maxFileSize || 5242880,
+      maxTotalSize: config.maxTotalSize || 7340032,
+      allowedTypes: (config.allowedTypes || Object.keys(SIGNATURES)).filter(type => SIGNATURES[type]),
+      scanner: config.scanner || 'none',
+      clamd: {
+        host: config.clamd?.host || '127.0.0.1',
+        port: config.clamd?.port || 3310,
+        timeout: config.clamd?.timeout || 30000
+      },
+      // Accept files when the scanner cannot be reached
+      scanFailOpen: !!config.scanFailOpen
+    };
+
+    this.scanner = this.config.scanner === 'clamd' ? (file) => this.scanWithClamd(file) : null;
+  }
+
+  /**
+   * Replace the virus scan hook
+   * @param {Function|null} scanner async (file) => ({ clean, signature })
+   */
+  setScanner(scanner) {
+    this.scanner = scanner;
+  }
+
+  /**
+   * Limits the widget enforces before sending
+   * @returns {Object}
+   */
+  getLimits() {
+    return {
+      maxFiles: this.config.maxFiles,
+      maxFileSize: this.config.maxFileSize,
+      maxTotalSize: this.config.maxTotalSize,
+      allowedTypes: this.config.allowedTypes,
+      extensions: this.config.allowedTypes.flatMap(type => EXTENSIONS[type])
+    };
+  }
+
+  /**
+   * Decode, check and scan the files of an escalation
+   * @param {Array} attachments [{ filename, contentType, content (base64) }]
+   * @returns {Object} { isValid, files, errors }
+   */
+  async prepare(attachments = []) {
+    const errors = [];
+
+    if (attachments.length > this.config.maxFiles) {
+      return {
+        isValid: false,
+        files: [],
+        errors: [`At most ${this.config.maxFiles} attachments are allowed`]
+      };
+    }
+
+    const files = attachments.map(attachment => this.decode(attachment));
+
+    for (const file of files) {
+      errors.push(...this.validateFile(file));
+    }
+
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    if (totalSize > this.config.maxTotalSize) {
+      errors.push(`Attachments exceed ${this.config.maxTotalSize} bytes in total`);
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, files: [], errors };
+    }
+
+    for (const file of files) {
+      const scan = await this.scan(file);
+      if (!scan.clean) {
+        errors.push(`${file.filename}: rejected by the virus scan${scan.signature ? ` (${scan.signature})` : ''}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      files: errors.length === 0 ? files : [],
+      errors
+    };
+  }
+
+  /**
+   * @param {Object} attachment
+   * @returns {Object} { filename, contentType, buffer, size, sha256 }
+   */
+  decode(attachment) {
+    const buffer = Buffer.from(attachment.content || '', 'base64');
+
+    return {
+      // Keep the name readable but safe for headers and file systems
+      filename: String(attachment.filename || 'document')
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+        .substring(0, 255),
+      contentType: String(attachment.contentType || '').toLowerCase(),
+      buffer,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  /**
+   * @param {Object} file
+   * @returns {Array} Errors
+   */
+  validateFile(file) {
+    const errors = [];
+
+    if (file.size === 0) {
+      errors.push(`${file.filename}: empty file`);
+    } else if (file.size > this.config.maxFileSize) {
+      errors.push(`${file.filename}: larger than ${this.config.maxFileSize} bytes`);
+    }
+
+    if (!this.config.allowedTypes.includes(file.contentType)) {
+      errors.push(`${file.filename}: type ${file.contentType || 'unknown'} is not allowed`);
+      return errors;
+    }
+
+    const extension = file.filename.split('.').pop().toLowerCase();
+    if (!EXTENSIONS[file.contentType].includes(extension)) {
+      errors.push(`${file.filename}: extension does not match ${file.contentType}`);
+    }
+
+    // The declared type must match the content
+    const matches = SIGNATURES[file.contentType].some(signature =>
+      signature.every((byte, index) => file.buffer[index] === byte)
+    );
+    if (file.size > 0 && !matches) {
+      errors.push(`${file.filename}: content is not ${file.contentType}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run the virus scan hook
+   * @param {Object} file
+   * @returns {Object} { clean, signature }
+   */
+  async scan(file) {
+    if (!this.scanner) {
+      return { clean: true };
+    }
+
+    try {
+      const result = await this.scanner(file);
+
+      if (!result.clean) {
+        this.logger.warn('Attachment rejected by virus scan', {
+          filename: file.filename,
+          sha256: file.sha256,
+          signature: result.signature
+        });
+      }
+
+      return result;
+    } catch (error) {
+      this.logger.logError(error, { action: 'attachment_scan', filename: file.filename });
+      return { clean: this.config.scanFailOpen, signature: this.config.scanFailOpen ? null : 'scan unavailable' };
+    }
+  }
+
+  /**
+   * Scan a file with a ClamAV daemon (INSTREAM command)
+   * @param {Object} file
+   * @returns {Promise<Object>} { clean, signature }
+   */
+  scanWithClamd(file) {
+    const { host, port, timeout } = this.config.clamd;
+
+    return new Promise((resolve, reject) => {
+      let response = '';
+      const socket = net.createConnection({ host, port });
+      socket.setTimeout(timeout);
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+
+        // Chunks are prefixed with their length, a zero length ends the stream
+        for (let offset = 0; offset < file.buffer.length; offset += 65536) {
+          const chunk = file.buffer.subarray(offset, offset + 65536);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+          socket.write(chunk);
+        }
+        socket.write(Buffer.alloc(4));
+      });
+
+      socket.on('data', data => {
+        response += data.toString();
+      });
+
+      socket.on('timeout', () => {
+        socket.destroy(new Error('ClamAV scan timed out'));
+      });
+
+      socket.on('error', reject);
+
+      socket.on('close', () => {
+        // "stream: OK" or "stream: Eicar-Signature FOUND"
+        const reply = response.replace(/\0/g, '').trim();
+        if (reply.endsWith('OK')) {
+          resolve({ clean: true });
+        } else if (reply.endsWith('FOUND')) {
+          resolve({ clean: false, signature: reply.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '') });
+        } else {
+          reject(new Error(`Unexpected ClamAV reply: ${reply || 'none'}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = AttachmentService;
@@ -0,0 +1,103 @@
+const net = require('net');
+const AttachmentService = require('./attachmentService');
+const helpers = require('../test/helpers');
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(100, 0x20)]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+const createService = (config = {}) => helpers.createService(AttachmentService, {
+  config: { maxFiles: 2, maxFileSize: 1000, maxTotalSize: 1200, ...config }
+});
+
+const attachment = (filename, contentType, buffer) => ({ filename, contentType, content: buffer.toString('base64') });
+
+describe('AttachmentService', () => {
+  describe('prepare', () => {
+    it('accepts documents whose content matches their type', async () => {
+      const result = await createService().prepare([
+        attachment('facture.pdf', 'application/pdf', PDF),
+        attachment('carte grise.PNG', 'image/png', PNG)
+      ]);
+
+      expect(result.isValid).toBe(true);
+      expect(result.files.map(file => [file.filename, file.size])).toEqual([['facture.pdf', PDF.length], ['carte grise.PNG', PNG.length]]);
+    });
+
+    it('rejects a file whose content is not its declared type', async () => {
+      const result = await createService().prepare([attachment('facture.pdf', 'application/pdf', PNG)]);
+
+      expect(result).toEqual({ isValid: false, files: [], errors: ['facture.pdf: content is not application/pdf'] });
+    });
+
+    it('rejects types, extensions and sizes outside the limits', async () => {
+      const result = await createService().prepare([
+        attachment('script.exe', 'application/x-msdownload', PDF),
+        attachment('facture.png', 'application/pdf', Buffer.concat([PDF, Buffer.alloc(1000)]))
+      ]);
+
+      expect(result.errors).toEqual([
+        'script.exe: type application/x-msdownload is not allowed',
+        'facture.png: larger than 1000 bytes',
+        'facture.png: extension does not match application/pdf',
+        'Attachments exceed 1200 bytes in total'
+      ]);
+    });
+
+    it('rejects too many files before decoding them', async () => {
+      const pdf = attachment('facture.pdf', 'application/pdf', PDF);
+
+      expect((await createService().prepare([pdf, pdf, pdf])).errors).toEqual(['At most 2 attachments are allowed']);
+    });
+
+    it('makes file names safe', () => {
+      expect(createService().decode({ filename: '../../etc/pass"wd.pdf', content: '' }).filename).toBe('.._.._etc_pass_wd.pdf');
+    });
+  });
+
+  describe('scan', () => {
+    it('rejects a file the scanner flags', async () => {
+      const service = createService();
+      service.setScanner(async () => ({ clean: false, signature: 'Eicar-Signature' }));
+
+      const result = await service.prepare([attachment('facture.pdf', 'application/pdf', PDF)]);
+
+      expect(result).toEqual({ isValid: false, files: [], errors: ['facture.pdf: rejected by the virus scan (Eicar-Signature)'] });
+    });
+
+    it('rejects files when the scanner fails, unless configured to let them through', async () => {
+      const failing = async () => {
+        throw new Error('connect ECONNREFUSED');
+      };
+      const closed = createService();
+      const open = createService({ scanFailOpen: true });
+      closed.setScanner(failing);
+      open.setScanner(failing);
+
+      expect(await closed.scan({ filename: 'facture.pdf' })).toEqual({ clean: false, signature: 'scan unavailable' });
+      expect(await open.scan({ filename: 'facture.pdf' })).toEqual({ clean: true, signature: null });
+    });
+
+    it('reads the verdict of a ClamAV daemon', async () => {
+      const received = [];
+      const clamd = net.createServer(socket => {
+        socket.on('data', data => {
+          received.push(data);
+          // The stream ends with a zero length chunk
+          if (Buffer.concat(received).subarray(-4).equals(Buffer.alloc(4))) {
+            socket.end('stream: Eicar-Signature FOUND\0');
+          }
+        });
+      });
+      await new Promise(resolve => clamd.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const service = createService({ scanner: 'clamd', clamd: { port: clamd.address().port } });
+
+        expect(await service.scan(service.decode(attachment('facture.pdf', 'application/pdf', PDF)))).toEqual({ clean: false, signature: 'Eicar-Signature' });
+        expect(Buffer.concat(received).subarray(0, 10).toString()).toBe('zINSTREAM\0');
+      } finally {
+        await new Promise(resolve => clamd.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,474 @@
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Opening hours calendar: weekly schedule in a given timezone, public
+ * holidays and exceptional closures.
+ *
+ * Configuration (config.businessHours):
+ *   timezone        "Europe/Paris"
+ *   weekly          "mon-fri 09:00-18:00; sat 09:00-12:00" (several intervals: "mon-fri 09:00-12:30,14:00-18:00")
+ *   publicHolidays  "FR" for French public holidays, "none" to ignore them
+ *   closures        "2026-12-24, 2026-08-10..2026-08-21"
+ *
+ * Dates handled internally are calendar dates in the configured timezone
+ * ("YYYY-MM-DD") and times are minutes since midnight.
+ */
+class BusinessHoursService {
+  constructor({ config = {}, language, logger }) {
+    this.language = language;
+    this.logger = logger;
+    this.timezone = config.timezone || 'Europe/Paris';
+    this.publicHolidays = (config.publicHolidays || 'FR').toUpperCase();
+    this.minReplyWindow = config.minReplyWindowMinutes || 60;
+    this.weekly = this.parseWeekly(config.weekly || 'mon-fri 09:00-18:00');
+    this.closures = this.parseClosures(config.closures || '');
+
+    this.partsFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Parse the weekly schedule into intervals per day of week (0 = Sunday)
+   * @param {string} weekly
+   * @returns {Object}
+   */
+  parseWeekly(weekly) {
+    const schedule = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+
+    for (const rule of weekly.split(';').map(part => part.trim()).filter(Boolean)) {
+      const [daysPart, hoursPart = ''] = rule.split(/\s+/);
+      const [fromKey, toKey = fromKey] = daysPart.toLowerCase().split('-');
+      const from = DAY_KEYS.indexOf(fromKey);
+      const to = DAY_KEYS.indexOf(toKey);
+
+      if (from === -1 || to === -1) {
+        this.logger.warn(`Ignoring invalid business hours rule "${rule}"`);
+        continue;
+      }
+
+      const intervals = hoursPart.split(',').map(range => {
+        const [start, end] = range.split('-').map(time => this.parseTime(time));
+        return { start, end };
+      }).filter(interval => interval.start !== null && interval.end !== null && interval.end > interval.start);
+
+      // Ranges may wrap around the week (e.g. "sat-mon")
+      for (let day = from, steps = 0; steps < 7; day = (day + 1) % 7, steps++) {
+        schedule[day] = intervals;
+        if (day === to) {
+          break;
+        }
+      }
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Parse exceptional closures ("YYYY-MM-DD" or "YYYY-MM-DD..YYYY-MM-DD")
+   * @param {string} closures
+   * @returns {Array} [{ from, to }]
+   */
+  parseClosures(closures) {
+    return closures.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const [from, to = from] = part.split('..').map(date => date.trim());
+      return { from, to };
+    }).filter(range => /^\d{4}-\d{2}-\d{2}$/.test(range.from) && /^\d{4}-\d{2}-\d{2}$/.test(range.to));
+  }
+
+  /**
+   * @param {string} time "HH:MM"
+   * @returns {number|null} Minutes since midnight
+   */
+  parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+
+  /**
+   * Calendar date and time of an instant in the configured timezone
+   * @param {Date} date
+   * @returns {Object} { date: "YYYY-MM-DD", minutes, weekday }
+   */
+  getZonedParts(date) {
+    const parts = Object.fromEntries(
+      this.partsFormatter.formatToParts(date).map(part => [part.type, part.value])
+    );
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+      date: day,
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+      weekday: new Date(`${day}T00:00:00Z`).getUTCDay()
+    };
+  }
+
+  /**
+   * Convert a calendar date and time in the configured timezone to an instant
+   * @param {string} day "YYYY-MM-DD"
+   * @param {number} minutes
+   * @returns {Date}
+   */
+  toDate(day, minutes) {
+    const [year, month, date] = day.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, date, Math.floor(minutes / 60), minutes % 60);
+
+    // Offset can differ on both sides of a DST change: check it at the result
+    let timestamp = wallClock - this.getOffset(new Date(wallClock));
+    const offset = this.getOffset(new Date(timestamp));
+    timestamp = wallClock - offset;
+
+    return new Date(timestamp);
+  }
+
+  /**
+   * Timezone offset (ms) at an instant
+   * @param {Date} date
+   * @returns {number}
+   */
+  getOffset(date) {
+    const { date: day, minutes } = this.getZonedParts(date);
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, dayOfMonth, Math.floor(minutes / 60), minutes % 60);
+    return wallClock - Math.floor(date.getTime() / 60000) * 60000;
+  }
+
+  /**
+   * @param {string} day "YYYY-MM-DD"
+   * @param {number} count
+   * @returns {string}
+   */
+  addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * French public holidays of a year
+   * @param {number} year
+   * @returns {Array} "YYYY-MM-DD" dates
+   */
+  getFrenchHolidays(year) {
+    const easter = this.getEasterSunday(year);
+    const fixed = ['01-01', '05-01', '05-08', '07-14', '08-15', '11-01', '11-11', '12-25']
+      .map(day => `${year}-${day}`);
+
+    return [
+      ...fixed,
+      this.addDays(easter, 1), // Lundi de Pâques
+      this.addDays(easter, 39), // Ascension
+      this.addDays(easter, 50) // Lundi de Pentecôte
+    ];
+  }
+
+  /**
+   * Easter Sunday (anonymous Gregorian algorithm)
+   * @param {number} year
+   * @returns {string} "YYYY-MM-DD"
+   */
+  getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * @param {string} day "YYYY-MM-DD"
+   * @returns {boolean}
+   */
+  isPublicHoliday(day) {
+    if (this.publicHolidays !== 'FR') {
+      return false;
+    }
+
+    return this.getFrenchHolidays(parseInt(day.slice(0, 4), 10)).includes(day);
+  }
+
+  /**
+   * @param {string} day "YYYY-MM-DD"
+   * @returns {boolean}
+   */
+  isExceptionalClosure(day) {
+    return this.closures.some(range => day >= range.from && day <= range.to);
+  }
+
+  /**
+   * Opening intervals of a calendar date (none on holidays and closures)
+   * @param {string} day "YYYY-MM-DD"
+   * @returns {Array} [{ start, end }]
+   */
+  getIntervals(day) {
+    if (this.isPublicHoliday(day) || this.isExceptionalClosure(day)) {
+      return [];
+    }
+
+    return this.weekly[new Date(`${day}T00:00:00Z`).getUTCDay()] || [];
+  }
+
+  /**
+   * Open/closed status at an instant
+   * @param {Date} now
+   * @returns {Object} { isOpen, reason, closesAt, nextOpening }
+   */
+  getStatus(now = new Date()) {
+    const { date: today, minutes } = this.getZonedParts(now);
+    const current = this.getIntervals(today).find(interval => minutes >= interval.start && minutes < interval.end);
+
+    if (current) {
+      return {
+        isOpen: true,
+        reason: null,
+        closesAt: this.toDate(today, current.end),
+        nextOpening: null
+      };
+    }
+
+    let reason = 'outside_hours';
+    if (this.isPublicHoliday(today)) {
+      reason = 'holiday';
+    } else if (this.isExceptionalClosure(today)) {
+      reason = 'closure';
+    }
+
+    return {
+      isOpen: false,
+      reason,
+      closesAt: null,
+      nextOpening: this.getNextOpening(now)
+    };
+  }
+
+  /**
+   * Next opening time after an instant, looking up to 60 days ahead
+   * @param {Date} now
+   * @returns {Date|null}
+   */
+  getNextOpening(now = new Date()) {
+    const { date: today, minutes } = this.getZonedParts(now);
+
+    for (let offset = 0; offset < 60; offset++) {
+      const day = this.addDays(today, offset);
+      const interval = this.getIntervals(day).find(candidate => offset > 0 || candidate.start > minutes);
+
+      if (interval) {
+        return this.toDate(day, interval.start);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * When an escalated request can expect a first reply: today if enough of
+   * the current opening remains, otherwise at the next opening
+   * @param {Date} now
+   * @returns {Object} { today, at }
+   */
+  getExpectedReply(now = new Date()) {
+    const status = this.getStatus(now);
+
+    if (status.isOpen && status.closesAt.getTime() - now.getTime() >= this.minReplyWindow * 60000) {
+      return { today: true, at: null };
+    }
+
+    return { today: false, at: this.getNextOpening(status.isOpen ? status.closesAt : now) };
+  }
+
+  /**
+   * Format a time of day ("9h30" / "9:30am")
+   * @param {number} minutes
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  formatTime(minutes, languageCode) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+
+    if (languageCode === 'en') {
+      const suffix = hours < 12 ? 'am' : 'pm';
+      const hour12 = hours % 12 || 12;
+      return mins ? `${hour12}:${String(mins).padStart(2, '0')}${suffix}` : `${hour12}${suffix}`;
+    }
+
+    return mins ? `${hours}h${String(mins).padStart(2, '0')}` : `${hours}h`;
+  }
+
+  /**
+   * Format an instant relative to now ("demain à 9h", "lundi 20 octobre à 9h")
+   * @param {Date} date
+   * @param {string} languageCode
+   * @param {Date} now
+   * @returns {string}
+   */
+  formatMoment(date, languageCode, now = new Date()) {
+    const target = this.getZonedParts(date);
+    const today = this.getZonedParts(now).date;
+    const time = this.formatTime(target.minutes, languageCode);
+
+    if (target.date === today) {
+      return this.language.get('businessHours.today', languageCode, { time });
+    }
+
+    if (target.date === this.addDays(today, 1)) {
+      return this.language.get('businessHours.tomorrow', languageCode, { time });
+    }
+
+    const day = new Intl.DateTimeFormat(this.getLocale(languageCode), {
+      timeZone: this.timezone,
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long'
+    }).format(date);
+
+    return this.language.get('businessHours.onDate', languageCode, { date: day, time });
+  }
+
+  /**
+   * Describe the weekly schedule ("du lundi au vendredi de 9h à 18h")
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  formatWeeklyHours(languageCode) {
+    const dayNames = new Intl.DateTimeFormat(this.getLocale(languageCode), { weekday: 'long', timeZone: 'UTC' });
+    const dayName = (day) => dayNames.format(new Date(Date.UTC(2024, 0, 7 + day))); // 2024-01-07 is a Sunday
+    const key = (day) => JSON.stringify(this.weekly[day]);
+
+    // Group consecutive days (Monday first) sharing the same hours
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    const groups = [];
+    for (const day of order.filter(candidate => this.weekly[candidate].length > 0)) {
+      const last = groups[groups.length - 1];
+      const previous = order[order.indexOf(day) - 1];
+      if (last && last.to === previous && key(last.to) === key(day)) {
+        last.to = day;
+      } else {
+        groups.push({ from: day, to: day });
+      }
+    }
+
+    const and = ` ${this.language.get('businessHours.and', languageCode)} `;
+
+    return groups.map(group => {
+      const days = group.from === group.to
+        ? this.language.get('businessHours.singleDay', languageCode, { day: dayName(group.from) })
+        : this.language.get('businessHours.dayRange', languageCode, { from: dayName(group.from), to: dayName(group.to) });
+      const hours = this.weekly[group.from].map(interval => this.language.get('businessHours.interval', languageCode, {
+        start: this.formatTime(interval.start, languageCode),
+        end: this.formatTime(interval.end, languageCode)
+      })).join(and);
+
+      return this.language.get('businessHours.schedule', languageCode, { days, hours });
+    }).join(', ');
+  }
+
+  /**
+   * Localized open/closed status for replies and the widget header
+   * @param {string} languageCode
+   * @param {Date} now
+   * @returns {Object}
+   */
+  getSummary(languageCode, now = new Date()) {
+    const status = this.getStatus(now);
+    const nextOpening = status.nextOpening ? this.formatMoment(status.nextOpening, languageCode, now) : '';
+    const closesAt = status.closesAt ? this.formatTime(this.getZonedParts(status.closesAt).minutes, languageCode) : '';
+
+    let statusText;
+    let label;
+    if (status.isOpen) {
+      statusText = this.language.get('businessHours.openNow', languageCode, { time: closesAt });
+      label = this.language.get('businessHours.openUntil', languageCode, { time: closesAt });
+    } else {
+      const closedKeys = {
+        holiday: 'businessHours.closedHoliday',
+        closure: 'businessHours.closedException',
+        outside_hours: 'businessHours.closedNow'
+      };
+      statusText = this.language.get(closedKeys[status.reason], languageCode, { nextOpening });
+      label = this.language.get('businessHours.closedUntil', languageCode, { nextOpening });
+    }
+
+    return {
+      isOpen: status.isOpen,
+      reason: status.reason,
+      closesAt: status.closesAt,
+      nextOpening: status.nextOpening,
+      timezone: this.timezone,
+      hours: this.formatWeeklyHours(languageCode),
+      statusText,
+      label
+    };
+  }
+
+  /**
+   * Localized sentence telling an escalating user when to expect a reply
+   * @param {string} languageCode
+   * @param {Date} now
+   * @returns {string}
+   */
+  getExpectedReplyText(languageCode, now = new Date()) {
+    const expected = this.getExpectedReply(now);
+
+    if (expected.today) {
+      return this.language.get('businessHours.replyToday', languageCode);
+    }
+
+    return this.language.get('businessHours.replyNextOpening', languageCode, {
+      nextOpening: expected.at ? this.formatMoment(expected.at, languageCode, now) : ''
+    });
+  }
+
+  /**
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  getLocale(languageCode) {
+    return languageCode === 'en' ? 'en-GB' : 'fr-FR';
+  }
+
+  /**
+   * Translation keys this service uses
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return [
+      'businessHours.today',
+      'businessHours.tomorrow',
+      'businessHours.onDate',
+      'businessHours.and',
+      'businessHours.singleDay',
+      'businessHours.dayRange',
+      'businessHours.interval',
+      'businessHours.schedule',
+      'businessHours.openNow',
+      'businessHours.openUntil',
+      'businessHours.closedNow',
+      'businessHours.closedHoliday',
+      'businessHours.closedException',
+      'businessHours.closedUntil',
+      'businessHours.replyToday',
+      'businessHours.replyNextOpening'
+    ];
+  }
+}
+
+module.exports = BusinessHoursService;
@@ -0,0 +1,70 @@
+const BusinessHoursService = require('./businessHoursService');
+const helpers = require('../test/helpers');
+
+const createService = (config = {}) => helpers.createService(BusinessHoursService, {
+  config: { timezone: 'Europe/Paris', weekly: 'mon-fri 09:00-18:00', ...config }
+});
+
+describe('BusinessHoursService', () => {
+  describe('getStatus', () => {
+    it('follows Paris time on both sides of the spring DST change', () => {
+      const service = createService();
+
+      // Friday 27 March 2026, UTC+1: 08:30 closed, 09:30 open
+      expect(service.getStatus(new Date('2026-03-27T07:30:00Z')).isOpen).toBe(false);
+      expect(service.getStatus(new Date('2026-03-27T08:30:00Z')).isOpen).toBe(true);
+
+      // Monday 30 March 2026, UTC+2: 08:30 closed, 09:30 open
+      expect(service.getStatus(new Date('2026-03-30T06:30:00Z')).isOpen).toBe(false);
+      expect(service.getStatus(new Date('2026-03-30T07:30:00Z')).isOpen).toBe(true);
+    });
+
+    it('is closed on a public holiday falling on a weekday', () => {
+      const status = createService().getStatus(new Date('2026-04-06T10:00:00Z')); // Easter Monday
+
+      expect(status.isOpen).toBe(false);
+      expect(status.reason).toBe('holiday');
+      expect(status.nextOpening.toISOString()).toBe('2026-04-07T07:00:00.000Z');
+    });
+
+    it('ignores public holidays when they are turned off', () => {
+      const status = createService({ publicHolidays: 'none' }).getStatus(new Date('2026-04-06T10:00:00Z'));
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt.toISOString()).toBe('2026-04-06T16:00:00.000Z');
+    });
+
+    it('is closed on an exceptional closure', () => {
+      const status = createService({ closures: '2026-08-10..2026-08-21' }).getStatus(new Date('2026-08-12T10:00:00Z'));
+
+      expect(status.reason).toBe('closure');
+      expect(status.nextOpening.toISOString()).toBe('2026-08-24T07:00:00.000Z');
+    });
+  });
+
+  describe('getNextOpening', () => {
+    it('opens at 09:00 summer time after the spring DST weekend', () => {
+      const next = createService().getNextOpening(new Date('2026-03-27T18:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-03-30T07:00:00.000Z');
+    });
+
+    it('opens at 09:00 winter time after the autumn DST weekend', () => {
+      const next = createService().getNextOpening(new Date('2026-10-23T17:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-10-26T08:00:00.000Z');
+    });
+
+    it('skips a holiday Monday', () => {
+      const next = createService().getNextOpening(new Date('2026-04-04T10:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-04-07T07:00:00.000Z');
+    });
+
+    it('opens later the same day before the opening time', () => {
+      const next = createService({ weekly: 'mon-fri 09:00-12:30,14:00-18:00' }).getNextOpening(new Date('2026-03-30T11:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-03-30T12:00:00.000Z');
+    });
+  });
+});
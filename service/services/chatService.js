@@ -1,22 +1,36 @@
 const { v4: uuidv4 } = require('uuid');
+const MemorySessionStore = require('./memorySessionStore');
 
 class ChatService {
-  constructor({ database, cache, language, zendesk, config, logger, ragSearch }) {
+  constructor({ database, cache, language, ticketing, config, logger, ragSearch, intents, flows, sessionStore, businessHours, handoff, transcripts, attachments, ticketStatus, outbox }) {
     this.database = database;
     this.cache = cache;
     this.language = language;
-    this.zendesk = zendesk;
+    this.ticketing = ticketing;
     this.config = config;
     this.logger = logger;
     this.ragSearch = ragSearch || null;
+    this.intents = intents || null;
+    this.flows = flows || null;
+    this.businessHours = businessHours || null;
+    this.handoff = handoff || null;
+    this.transcripts = transcripts || null;
+    this.attachments = attachments || null;
+    this.ticketStatus = ticketStatus || null;
+    this.outbox = outbox || null;
     
-    // In-memory sessions for active conversations
-    this.activeSessions = new Map();
+    // Active conversations (in-process by default, MySQL when running several instances)
+    this.sessions = sessionStore || new MemorySessionStore();
     
     // Set up session cleanup interval
     this.sessionCleanupInterval = setInterval(() => {
       this.cleanupExpiredSessions();
     }, 60000); // Run every minute
+
+    // Sweep conversations left active in the database (e.g. sessions lost on restart)
+    this.abandonedSweepInterval = setInterval(() => {
+      this.sweepAbandonedConversations();
+    }, this.config.abandonedSweepInterval || 300000);
   }
 
   /**
@@ -30,6 +44,7 @@ class ChatService {
         language = this.config.defaultLanguage,
         rubrique = 'general',
         productCode,
+        pageUrl,
         userIp,
         userAgent
       } = params;
@@ -48,6 +63,7 @@ class ChatService {
         languageCode: language,
         rubrique,
         productCode,
+        pageUrl,
         userIp,
         userAgent
       };
@@ -61,13 +77,15 @@ class ChatService {
         languageCode: language,
         rubrique,
         productCode,
+        pageUrl,
         messageCount: 0,
         createdAt: new Date(),
         lastActivity: new Date(),
-        status: 'active'
+        status: 'active',
+        dialogue: this.createDialogueState()
       };
 
-      this.activeSessions.set(sessionId, session);
+      await this.sessions.set(sessionId, session);
 
       // Get welcome message
       const context = {};
@@ -81,6 +99,9 @@ class ChatService {
 
       const welcomeMessage = this.language.getWelcomeMessage(language, context);
 
+      // Guided flows available on this product page
+      const suggestions = this.getProductFlowSuggestions(productCode, language);
+
       // Save welcome message
       await this.database.saveMessage({
         conversationId,
@@ -100,6 +121,11 @@ class ChatService {
         sessionId,
         conversationId,
         welcomeMessage,
+        suggestions,
+        businessHours: this.getBusinessHoursStatus(language),
+        survey: this.getSurveyConfig(),
+        transcript: this.getTranscriptOptions(),
+        attachments: this.getAttachmentLimits(),
         language,
         rubrique,
         productCode
@@ -122,14 +148,16 @@ class ChatService {
    * Process user message and generate response
    * @param {string} sessionId 
    * @param {string} message 
+   * @param {Object} options
+   * @param {Object} options.choice Choice picked by the user: clarification ({ faqId, index }) or flow step ({ id, index })
    * @returns {Object}
    */
-  async processMessage(sessionId, message) {
+  async processMessage(sessionId, message, options = {}) {
     const startTime = Date.now();
     
     try {
       // Validate session
-      let session = this.activeSessions.get(sessionId);
+      let session = await this.sessions.get(sessionId);
       if (!session) {
         const dbConversation = await this.database.getConversation(sessionId);
         if (!dbConversation) {
@@ -137,8 +165,7 @@ class ChatService {
         }
         
         // Restore session from database
-        this.restoreSession(dbConversation);
-        session = this.activeSessions.get(sessionId);
+        session = await this.restoreSession(dbConversation);
       }
 
       // Check session limits
@@ -155,54 +182,75 @@ class ChatService {
         throw new Error('Message too long');
       }
 
-      // Update session activity
+      // Update session activity; the store counts atomically across instances
       session.lastActivity = new Date();
-      session.messageCount++;
+      session.messageCount = await this.sessions.incrementMessageCount(sessionId) || session.messageCount + 1;
 
-      // Save user message
+      // Any new message closes a pending clarification turn
+      const selectedChoice = this.resolveClarificationChoice(session, options.choice);
+      session.pendingClarification = null;
+
+      // Save user message, recording the picked FAQ for clarification choices
       await this.database.saveMessage({
         conversationId: session.id,
         messageType: 'user',
-        messageText: message.trim()
+        messageText: message.trim(),
+        faqId: selectedChoice ? selectedChoice.faqId : null
       });
 
       this.logger.logChat(sessionId, 'user', message, {
-        messageCount: session.messageCount
+        messageCount: session.messageCount,
+        clarificationChoice: selectedChoice ? selectedChoice.faqId : undefined
       });
 
-      // Check if this is a special suggestion click
-      const specialResponse = await this.handleSpecialSuggestions(message.trim(), session);
-      if (specialResponse) {
-        const responseTime = Date.now() - startTime;
-        
-        // Save bot response
-        await this.database.saveMessage({
-          conversationId: session.id,
-          messageType: 'bot',
-          messageText: specialResponse.message,
-          responseTimeMs: responseTime
-        });
-
-        this.logger.logChat(sessionId, 'bot', specialResponse.message, {
-          responseTime: `${responseTime}ms`,
-          specialSuggestion: true
-        });
+      // A live agent (or the wait for one) replaces the bot
+      const activeHandoff = this.handoff ? await this.handoff.getActiveHandoff(session) : null;
+      if (activeHandoff) {
+        await this.sessions.set(sessionId, session);
+        this.handoff.notify(sessionId);
 
         return {
           success: true,
-          message: specialResponse.message,
-          suggestions: specialResponse.suggestions || [],
-          responseTime: responseTime,
-          canEscalate: specialResponse.canEscalate || false
+          type: 'handoff',
+          message: null,
+          choices: [],
+          suggestions: [],
+          responseTime: Date.now() - startTime,
+          canEscalate: false,
+          handoff: { status: activeHandoff.status }
         };
       }
 
-      // Search for FAQ answers
-      const response = await this.searchFaqResponse(message, session);
+      // Resolve the answer: clarification choice, guided flow, special suggestion, then FAQ search
+      let response = null;
+      let specialSuggestion = false;
+
+      if (selectedChoice) {
+        response = this.buildChoiceResponse(selectedChoice, session);
+      } else {
+        response = await this.handleFlowTurn(message.trim(), session, options.choice);
+
+        if (!response) {
+          response = await this.handleSpecialSuggestions(message.trim(), session);
+          specialSuggestion = !!response;
+        }
+
+        if (!response) {
+          response = await this.searchFaqResponse(message, session);
+        }
+      }
+
       const responseTime = Date.now() - startTime;
 
+      if (response.type === 'clarification') {
+        session.pendingClarification = {
+          matches: response.clarificationMatches,
+          createdAt: new Date()
+        };
+      }
+
       // Save bot response
-      await this.database.saveMessage({
+      const messageId = await this.database.saveMessage({
         conversationId: session.id,
         messageType: 'bot',
         messageText: response.message,
@@ -215,17 +263,30 @@ class ChatService {
         faqId: response.faqId,
         foundAnswer: !!response.faqId,
         rag: response.metadata?.rag || false,
-        candidateCount: response.metadata?.totalCandidates || 0
+        candidateCount: response.metadata?.totalCandidates || 0,
+        followUp: response.metadata?.followUp || false,
+        clarification: response.type === 'clarification',
+        flow: response.flow?.id,
+        specialSuggestion
       });
 
+      this.recordDialogueTurn(session, message.trim(), response);
+      await this.sessions.set(sessionId, session);
+
       return {
         success: true,
+        type: response.type || 'answer',
         message: response.message,
+        messageId,
+        choices: response.choices || [],
+        flow: response.flow || null,
+        link: response.link || null,
         faqId: response.faqId,
         suggestions: response.suggestions || [],
         responseTime: responseTime,
         canEscalate: typeof response.canEscalate === 'boolean' ? response.canEscalate : !response.faqId,
         sources: response.sources || [],
+        handoff: response.handoff || null,
         metadata: response.metadata || null
       };
 
@@ -239,9 +300,12 @@ class ChatService {
         responseTime: `${responseTime}ms`
       });
 
+      const session = await this.sessions.get(sessionId).catch(() => null);
+
       return {
         success: false,
         error: error.message,
+        message: this.getErrorReply(error, session?.languageCode),
         responseTime: responseTime
       };
     }
@@ -254,20 +318,25 @@ class ChatService {
    * @returns {Object}
    */
   async searchFaqResponse(query, session) {
+    const dialogueContext = this.buildDialogueContext(query, session);
+
     if (this.ragSearch) {
-      const ragResponse = await this.getRagEnhancedResponse(query, session);
+      const ragResponse = await this.getRagEnhancedResponse(query, session, dialogueContext);
       if (ragResponse) {
         return ragResponse;
       }
     }
 
-    return this.searchFaqResponseLegacy(query, session);
+    return this.searchFaqResponseLegacy(query, session, dialogueContext);
   }
 
-  async searchFaqResponseLegacy(query, session) {
+  async searchFaqResponseLegacy(query, session, dialogueContext = null) {
     try {
+      // Follow-up questions are searched with the topic of the previous answer
+      const searchQuery = dialogueContext?.isFollowUp ? dialogueContext.rewrittenQuery : query;
+
       // Normalize query for better caching and matching
-      const normalizedQuery = this.normalizeQuery(query);
+      const normalizedQuery = this.normalizeQuery(searchQuery);
       
       // Check cache first
       const cacheKey = this.cache.getFaqSearchKey(normalizedQuery, {
@@ -302,7 +371,7 @@ class ChatService {
           
           const broaderFilters = { ...filters };
           delete broaderFilters.rubrique; // Remove rubrique filter
-          faqResults = await this.database.searchFaqs(query, broaderFilters);
+          faqResults = await this.database.searchFaqs(searchQuery, broaderFilters);
 
           // If still nothing and product code applied, drop it too
           if (faqResults.length === 0 && broaderFilters.productRef) {
@@ -311,7 +380,7 @@ class ChatService {
               query: query.substring(0, 50)
             });
             delete broaderFilters.productRef;
-            faqResults = await this.database.searchFaqs(query, broaderFilters);
+            faqResults = await this.database.searchFaqs(searchQuery, broaderFilters);
           }
         }
         
@@ -327,7 +396,7 @@ class ChatService {
       });
 
       if (faqResults.length === 0) {
-        const keywordFallback = this.getKeywordFallbackResponse(query, session);
+        const keywordFallback = await this.getKeywordFallbackResponse(query, session);
         if (keywordFallback) {
           return keywordFallback;
         }
@@ -340,27 +409,50 @@ class ChatService {
       }
 
       // Find best matching Q&A within FAQ results using enhanced matching
-      const bestMatch = this.findBestQAMatchEnhanced(query, faqResults, session.languageCode);
+      const rankedMatches = this.rankContextualQAMatches(query, faqResults, session.languageCode, dialogueContext);
+
+      // Several answers scoring almost the same: let the user pick
+      const clarification = this.buildClarificationResponse(rankedMatches, session);
+      if (clarification) {
+        return clarification;
+      }
+
+      const bestMatch = rankedMatches[0] || null;
 
       if (bestMatch) {
         this.logger.info('Found FAQ match', {
           sessionId: session.sessionId,
           faqId: bestMatch.faqId,
           score: bestMatch.score,
-          matchType: bestMatch.matchType
+          matchType: bestMatch.matchType,
+          followUp: !!dialogueContext?.isFollowUp
         });
 
         return {
           message: bestMatch.answer,
           faqId: bestMatch.faqId,
-          suggestions: this.getFollowUpSuggestions(session.languageCode)
+          suggestions: this.getFollowUpSuggestions(session.languageCode),
+          matchContext: {
+            question: bestMatch.question,
+            productRef: bestMatch.productRef
+          },
+          metadata: {
+            followUp: !!dialogueContext?.isFollowUp
+          }
         };
       }
 
       // No specific Q&A match found, but we have FAQ results
-      // Return a generic response with suggestions to be more specific
+      // Offer the closest questions as choices before asking to be more specific
+      const looseMatches = this.rankQAMatches(query, faqResults, session.languageCode, 0)
+        .filter(match => match.score > 0);
+      const looseClarification = this.buildClarificationResponse(looseMatches, session, { requireTie: false });
+      if (looseClarification) {
+        return looseClarification;
+      }
+
       return {
-        message: 'J\'ai trouvé quelques informations qui pourraient vous aider. Pouvez-vous être plus spécifique dans votre question ?',
+        message: this.language.get('messages.partialMatch', session.languageCode),
         faqId: null,
         suggestions: this.getNoResultsSuggestions(session.languageCode)
       };
@@ -380,15 +472,23 @@ class ChatService {
     }
   }
 
-  async getRagEnhancedResponse(query, session) {
+  async getRagEnhancedResponse(query, session, dialogueContext = null) {
     try {
-      const ragResult = await this.ragSearch.retrieve(query, session);
+      const ragResult = await this.ragSearch.retrieve(query, session, dialogueContext);
       if (!ragResult || !ragResult.topCandidates || ragResult.topCandidates.length === 0) {
         return null;
       }
 
       const candidateRows = ragResult.topCandidates.map(candidate => candidate.row);
-      const primaryMatch = this.findBestQAMatchEnhanced(query, candidateRows, session.languageCode);
+      const rankedMatches = this.rankContextualQAMatches(query, candidateRows, session.languageCode, dialogueContext);
+
+      const clarification = this.buildClarificationResponse(rankedMatches, session);
+      if (clarification) {
+        clarification.metadata.rag = true;
+        return clarification;
+      }
+
+      const primaryMatch = rankedMatches[0] || null;
 
       if (!primaryMatch) {
         return null;
@@ -403,7 +503,7 @@ class ChatService {
         }
       }
 
-      const responseMessage = this.composeRagMessage(primaryMatch, supportingMatches);
+      const responseMessage = this.composeRagMessage(primaryMatch, supportingMatches, session.languageCode);
 
       return {
         message: responseMessage,
@@ -415,10 +515,15 @@ class ChatService {
           rubrique: candidate.row.rubrique,
           reasons: candidate.sources
         })),
+        matchContext: {
+          question: primaryMatch.question,
+          productRef: primaryMatch.productRef
+        },
         metadata: {
           rag: true,
           variantCount: ragResult.variants.length,
-          totalCandidates: ragResult.rankedCandidates.length
+          totalCandidates: ragResult.rankedCandidates.length,
+          followUp: !!dialogueContext?.isFollowUp
         }
       };
     } catch (error) {
@@ -430,7 +535,7 @@ class ChatService {
     }
   }
 
-  composeRagMessage(primaryMatch, supportingMatches = []) {
+  composeRagMessage(primaryMatch, supportingMatches = [], language = this.config.defaultLanguage) {
     let message = primaryMatch.answer;
 
     if (supportingMatches.length > 0) {
@@ -439,7 +544,7 @@ class ChatService {
         .map(match => `• ${match.answer}`)
         .join('\n');
 
-      message += `\n\nAutres informations utiles :\n${helpfulPoints}`;
+      message += `\n\n${this.language.get('messages.otherUsefulInfo', language)}\n${helpfulPoints}`;
     }
 
     return message;
@@ -465,11 +570,24 @@ class ChatService {
    * @returns {Object|null}
    */
   findBestQAMatchEnhanced(query, faqResults, language) {
+    const rankedMatches = this.rankQAMatches(query, faqResults, language);
+    return rankedMatches.length > 0 ? rankedMatches[0] : null;
+  }
+
+  /**
+   * Score every Q&A entry of the FAQ results and return those above the
+   * threshold, best first
+   * @param {string} query 
+   * @param {Array} faqResults 
+   * @param {string} language 
+   * @param {number} threshold Defaults to the configured search threshold
+   * @returns {Array}
+   */
+  rankQAMatches(query, faqResults, language, threshold = this.config.searchThreshold || 0.3) {
     const queryLower = query.toLowerCase().trim();
     const queryWords = this.extractQueryWords(queryLower);
     
-    let bestMatch = null;
-    let bestScore = 0;
+    const matches = [];
 
     for (const faq of faqResults) {
       try {
@@ -502,17 +620,15 @@ class ChatService {
             const dbRelevance = faq.enhanced_relevance || faq.relevance || 0;
             const finalScore = totalScore + (dbRelevance * 0.1);
 
-            // Lower threshold for better matching
-            const threshold = this.config.searchThreshold || 0.3;
-            if (finalScore > bestScore && finalScore >= threshold) {
-              bestScore = finalScore;
-              bestMatch = {
+            if (finalScore >= threshold) {
+              matches.push({
                 faqId: faq.id,
                 question: qaEntry.data.question,
                 answer: answer,
                 score: finalScore,
-                matchType: this.getMatchType(exactScore, semanticScore, partialScore)
-              };
+                matchType: this.getMatchType(exactScore, semanticScore, partialScore),
+                productRef: faq.product_ref || null
+              });
             }
           }
         }
@@ -524,7 +640,282 @@ class ChatService {
       }
     }
 
-    return bestMatch;
+    // Stable sort keeps the first-seen entry ahead on equal scores
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Rank a query against FAQ rows, retrying with the rewritten follow-up
+   * query when the user's own words are too vague to match anything
+   * @param {string} query
+   * @param {Array} faqResults
+   * @param {string} language
+   * @param {Object|null} dialogueContext
+   * @returns {Array}
+   */
+  rankContextualQAMatches(query, faqResults, language, dialogueContext = null) {
+    const directMatches = this.rankQAMatches(query, faqResults, language);
+    if (directMatches.length > 0 || !dialogueContext?.isFollowUp) {
+      return directMatches;
+    }
+
+    return this.rankQAMatches(dialogueContext.rewrittenQuery, faqResults, language);
+  }
+
+  /**
+   * Build a clarification turn listing competing questions as choices
+   * @param {Array} rankedMatches Matches sorted best first
+   * @param {Object} session
+   * @param {Object} options
+   * @param {boolean} options.requireTie Only clarify when the top scores are within the margin
+   * @returns {Object|null}
+   */
+  buildClarificationResponse(rankedMatches, session, { requireTie = true } = {}) {
+    const maxChoices = this.config.maxClarificationChoices || 3;
+    const margin = typeof this.config.disambiguationMargin === 'number' ? this.config.disambiguationMargin : 0.05;
+
+    const seenQuestions = new Set();
+    const uniqueMatches = rankedMatches.filter(match => {
+      const key = (match.question || '').toLowerCase().trim();
+      if (!key || seenQuestions.has(key)) return false;
+      seenQuestions.add(key);
+      return true;
+    });
+
+    if (uniqueMatches.length === 0) {
+      return null;
+    }
+
+    const topScore = uniqueMatches[0].score;
+    const competing = requireTie
+      ? uniqueMatches.filter(match => topScore - match.score <= margin)
+      : uniqueMatches;
+    const selected = competing.slice(0, maxChoices);
+
+    if (requireTie && selected.length < 2) {
+      return null;
+    }
+
+    return {
+      type: 'clarification',
+      message: this.language.get('messages.clarify', session.languageCode),
+      faqId: null,
+      choices: selected.map((match, index) => ({
+        index,
+        faqId: match.faqId,
+        question: match.question
+      })),
+      clarificationMatches: selected,
+      suggestions: [
+        this.language.get('suggestions.contactSupport', session.languageCode)
+      ],
+      canEscalate: false,
+      metadata: {
+        clarification: true,
+        topScore
+      }
+    };
+  }
+
+  /**
+   * Resolve a clarification choice sent by the widget against the
+   * choices offered in the previous turn
+   * @param {Object} session
+   * @param {Object} choice { faqId, index }
+   * @returns {Object|null}
+   */
+  resolveClarificationChoice(session, choice) {
+    const pending = session.pendingClarification;
+    if (!choice || !pending || !Array.isArray(pending.matches)) {
+      return null;
+    }
+
+    const match = pending.matches[choice.index];
+    if (!match || Number(match.faqId) !== Number(choice.faqId)) {
+      return null;
+    }
+
+    return match;
+  }
+
+  /**
+   * Answer with the FAQ entry the user picked from a clarification turn
+   * @param {Object} match
+   * @param {Object} session
+   * @returns {Object}
+   */
+  buildChoiceResponse(match, session) {
+    return {
+      message: match.answer,
+      faqId: match.faqId,
+      suggestions: this.getFollowUpSuggestions(session.languageCode),
+      matchContext: {
+        question: match.question,
+        productRef: match.productRef
+      },
+      metadata: {
+        clarificationChoice: true
+      }
+    };
+  }
+
+  /**
+   * Create an empty per-session dialogue state
+   * @returns {Object}
+   */
+  createDialogueState() {
+    return {
+      lastFaqId: null,
+      lastQuestion: null,
+      lastProductRef: null,
+      topicTerms: [],
+      recentUserTurns: [],
+      turnsSinceAnswer: 0
+    };
+  }
+
+  /**
+   * Record a user turn and the answer it received in the session dialogue state
+   * @param {Object} session
+   * @param {string} message
+   * @param {Object} response
+   */
+  recordDialogueTurn(session, message, response = {}) {
+    if (!session.dialogue) {
+      session.dialogue = this.createDialogueState();
+    }
+
+    const dialogue = session.dialogue;
+    const historySize = this.config.dialogueHistorySize || 5;
+
+    dialogue.recentUserTurns.push(message);
+    if (dialogue.recentUserTurns.length > historySize) {
+      dialogue.recentUserTurns.splice(0, dialogue.recentUserTurns.length - historySize);
+    }
+
+    if (response.faqId) {
+      const question = response.matchContext?.question || null;
+
+      dialogue.lastFaqId = response.faqId;
+      dialogue.lastQuestion = question;
+      dialogue.lastProductRef = response.matchContext?.productRef || session.productCode || null;
+      dialogue.topicTerms = this.extractTopicTerms(question || message);
+      dialogue.turnsSinceAnswer = 0;
+    } else {
+      dialogue.turnsSinceAnswer++;
+    }
+  }
+
+  /**
+   * Work out whether a query is a follow-up on the previous answer and,
+   * if so, rewrite it with the topic terms of that answer
+   * @param {string} query
+   * @param {Object} session
+   * @returns {Object}
+   */
+  buildDialogueContext(query, session) {
+    const dialogue = session.dialogue;
+    const notFollowUp = { isFollowUp: false, rewrittenQuery: query, topicTerms: [] };
+    const maxTurnsSinceAnswer = this.config.followUpMaxTurns || 2;
+
+    if (!dialogue || !dialogue.lastFaqId || dialogue.topicTerms.length === 0) {
+      return notFollowUp;
+    }
+
+    if (dialogue.turnsSinceAnswer > maxTurnsSinceAnswer) {
+      return notFollowUp;
+    }
+
+    if (!this.isFollowUpQuery(query, session.languageCode)) {
+      return notFollowUp;
+    }
+
+    const queryTerms = this.extractTopicTerms(query, Infinity);
+    const missingTerms = dialogue.topicTerms.filter(term => !queryTerms.includes(term));
+
+    if (missingTerms.length === 0) {
+      return notFollowUp;
+    }
+
+    return {
+      isFollowUp: true,
+      rewrittenQuery: `${this.normalizeQuery(query).trim()} ${missingTerms.join(' ')}`,
+      topicTerms: missingTerms,
+      lastFaqId: dialogue.lastFaqId,
+      lastProductRef: dialogue.lastProductRef
+    };
+  }
+
+  /**
+   * Detect short questions that lean on the previous answer
+   * ("et combien ça coûte ?", "how do I join it?")
+   * @param {string} query
+   * @param {string} language
+   * @returns {boolean}
+   */
+  isFollowUpQuery(query, language) {
+    const words = query
+      .toLowerCase()
+      .replace(/[?!.,;:]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const maxWords = this.config.followUpMaxWords || 8;
+    if (words.length === 0 || words.length > maxWords) {
+      return false;
+    }
+
+    const markers = this.getFollowUpMarkers(language);
+    const joined = words.join(' ');
+
+    if (markers.leading.some(marker => joined === marker || joined.startsWith(`${marker} `))) {
+      return true;
+    }
+
+    return words.some(word => markers.anaphora.includes(word));
+  }
+
+  /**
+   * Get words that signal a follow-up question
+   * @param {string} language
+   * @returns {Object}
+   */
+  getFollowUpMarkers(language) {
+    const markers = {
+      fr: {
+        leading: ['et', 'mais', 'aussi', 'sinon', 'alors', 'du coup', 'et pour'],
+        anaphora: ['ça', 'ca', 'cela', 'ceci', 'y', 'celui-ci', 'celle-ci', 'celui-là', 'celle-là', 'dedans']
+      },
+      en: {
+        leading: ['and', 'but', 'also', 'so', 'what about', 'how about'],
+        anaphora: ['it', 'this', 'that', 'they', 'them', 'its', 'those', 'these', 'there']
+      }
+    };
+
+    return markers[language] || markers.fr;
+  }
+
+  /**
+   * Extract the content words of a question, used as the dialogue topic
+   * @param {string} text
+   * @param {number} limit
+   * @returns {Array}
+   */
+  extractTopicTerms(text, limit = this.config.maxTopicTerms || 4) {
+    const stopWords = new Set([
+      'comment', 'combien', 'pourquoi', 'quand', 'quel', 'quelle', 'quels', 'quelles', 'puis', 'peux', 'peut',
+      'pouvez', 'dois', 'doit', 'faut', 'faire', 'cela', 'ceci', 'celui', 'celle', 'vous', 'nous', 'votre',
+      'notre', 'avec', 'pour', 'dans', 'sont', 'est-ce', 'être', 'avoir', 'what', 'when', 'where', 'which',
+      'does', 'have', 'with', 'your', 'this', 'that', 'there', 'about', 'could', 'would', 'should'
+    ]);
+
+    const terms = (text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+      .split(/[\s-]+/)
+      .filter(word => word.length > 3 && !stopWords.has(word));
+
+    return Array.from(new Set(terms)).slice(0, limit);
   }
 
   /**
@@ -878,6 +1269,23 @@ class ChatService {
     return queryWords.length > 0 ? positionScore / queryWords.length : 0;
   }
 
+  /**
+   * Get the localized text shown to the user for a processing error
+   * @param {Error} error
+   * @param {string} language
+   * @returns {string}
+   */
+  getErrorReply(error, language = this.config.defaultLanguage) {
+    const errorKeys = {
+      'Invalid session': 'errors.invalidSession',
+      'Maximum messages per session exceeded': 'messages.maxMessagesReached',
+      'Message cannot be empty': 'messages.messageEmpty',
+      'Message too long': 'messages.messageTooLong'
+    };
+
+    return this.language.get(errorKeys[error.message] || 'messages.error', language);
+  }
+
   /**
    * Get suggestions when no results found
    * @param {string} language 
@@ -903,197 +1311,542 @@ class ChatService {
   }
 
   /**
-   * Handle special suggestion clicks that shouldn't be treated as normal questions
-   * @param {string} message 
-   * @param {Object} session 
+   * Run a guided flow turn: continue the flow in progress, or start one
+   * whose title or triggers match the message
+   * @param {string} message
+   * @param {Object} session
+   * @param {Object} choice Flow choice sent by the widget ({ id, index })
    * @returns {Object|null}
    */
-  async handleSpecialSuggestions(message, session) {
-    const normalizedMessage = message.toLowerCase().trim();
-    
-    // Get translated suggestions to compare against
-    const moreHelpText = this.language.get('suggestions.moreHelp', session.languageCode);
-    const contactSupportText = this.language.get('suggestions.contactSupport', session.languageCode);
-    const searchFaqText = this.language.get('suggestions.searchFaq', session.languageCode);
-    
-    // Handle "Avez-vous besoin d'aide sur autre chose ?" / "Do you need help with something else?"
-    if (normalizedMessage === moreHelpText.toLowerCase()) {
-      return {
-        message: 'Bien sûr ! Posez-moi votre question et je ferai de mon mieux pour vous aider. Vous pouvez me demander des informations sur MyLeo, nos services, comment participer à une action collective, ou tout autre sujet.',
-        suggestions: [
-          'Qui êtes-vous ?',
-          'Comment participer à une action ?',
-          'Quels sont vos horaires ?',
-          'Comment vous contacter ?'
-        ],
-        canEscalate: false
-      };
-    }
-    
-    // Handle "Rechercher dans la FAQ"
-    if (normalizedMessage === searchFaqText.toLowerCase()) {
-      return {
-        message: 'Parfait ! Posez-moi votre question et je rechercherai dans notre base de connaissances pour vous fournir la meilleure réponse possible.',
-        suggestions: [
-          'Comment contacter le support ?',
-          'Quels sont vos horaires ?',
-          'Comment participer ?',
-          'Qui êtes-vous ?'
-        ],
-        canEscalate: false
-      };
-    }
-    
-    // Handle "Oui, créer un ticket"
-    if (normalizedMessage.includes('oui') && normalizedMessage.includes('ticket')) {
-      return {
-        message: 'Parfait ! Je vais créer un ticket support pour vous. Veuillez remplir le formulaire ci-dessous avec vos informations.',
-        suggestions: [],
-        canEscalate: true
-      };
+  async handleFlowTurn(message, session, choice = null) {
+    if (!this.flows) {
+      return null;
     }
-    
-    // Handle "Créer un ticket support"
-    if (normalizedMessage.includes('créer') && normalizedMessage.includes('ticket')) {
-      return {
-        message: 'Je vais créer un ticket support pour vous. Veuillez remplir le formulaire ci-dessous avec vos informations.',
-        suggestions: [],
-        canEscalate: true
-      };
+
+    let response = null;
+
+    if (session.flow) {
+      response = this.continueFlow(message, session, choice);
+    } else {
+      const flow = this.flows.matchTrigger(message, session.languageCode);
+      response = flow ? this.startFlow(flow.id, session) : null;
     }
-    
-    // Handle "Contacter le support" - search FAQ first, then escalate if needed
-    if (normalizedMessage === contactSupportText.toLowerCase() || 
-        normalizedMessage.includes('contacter') && normalizedMessage.includes('support')) {
-      
-      // Search directly in database for contact support FAQ with broader filters
-      const filters = {
-        languageCode: session.languageCode,
-        limit: 10
-      };
-      
-      // Try multiple search terms to find contact support info
-      let faqResults = await this.database.searchFaqs('comment contacter support', filters);
-      
-      if (faqResults.length === 0) {
-        faqResults = await this.database.searchFaqs('contacter', filters);
-      }
-      
-      if (faqResults.length === 0) {
-        faqResults = await this.database.searchFaqs('support', filters);
-      }
-      
-      // If we found FAQ results, find the best match
-      if (faqResults.length > 0) {
-        const bestMatch = this.findBestQAMatchEnhanced('comment contacter support', faqResults, session.languageCode);
-        
-        if (bestMatch && bestMatch.score >= 0.2) { // Lower threshold for contact support
-          return {
-            message: bestMatch.answer,
-            faqId: bestMatch.faqId,
-            suggestions: [
-              'Créer un ticket support',
-              'Autres questions ?'
-            ],
-            canEscalate: true // Allow escalation after showing contact info
-          };
-        }
-      }
-      
-      // Fallback response with direct contact information if no FAQ found
-      return {
-        message: 'Vous pouvez nous contacter via ce chat, par email à contact@myleo.legal ou par téléphone au 05 67 700 484. Nos horaires : du lundi au vendredi de 9h à 18h.',
-        suggestions: [
-          'Créer un ticket support',
-          'Autres questions ?'
-        ],
-        canEscalate: true
-      };
+
+    if (response?.flow?.completed) {
+      await this.saveEligibilityAnswers(session, response.flow.id);
     }
-    
-    // Not a special suggestion
-    return null;
+
+    return response;
   }
 
   /**
-   * Provide deterministic fallback answers for common intents
-   * @param {string} query
+   * Start a flow and ask its first question
+   * @param {string} flowId
    * @param {Object} session
    * @returns {Object|null}
    */
-  getKeywordFallbackResponse(query, session) {
-    const normalized = query.toLowerCase();
+  startFlow(flowId, session) {
+    const flow = this.flows ? this.flows.getFlow(flowId, session.languageCode) : null;
+    if (!flow) {
+      this.logger.warn('Unknown chat flow', { flowId, sessionId: session.sessionId });
+      return null;
+    }
 
-    const contactKeywords = ['support', 'contact', 'assistance', 'helpdesk', 'aide'];
-    if (contactKeywords.some(keyword => normalized.includes(keyword))) {
-      return {
-        message: 'Vous pouvez nous contacter via ce chat, par email à contact@myleo.legal ou par téléphone au 05 67 700 484. Nos horaires : du lundi au vendredi de 9h à 18h.',
-        faqId: null,
-        suggestions: [
-          this.language.get('suggestions.moreHelp', session.languageCode),
-          this.language.get('suggestions.contactSupport', session.languageCode)
-        ],
-        canEscalate: true,
-        metadata: {
-          fallback: 'contact_support'
-        }
-      };
+    session.flow = {
+      id: flow.id,
+      nodeId: flow.start,
+      slots: {},
+      answers: [],
+      startedAt: new Date()
+    };
+
+    return this.buildFlowNodeResponse(flow, session);
+  }
+
+  /**
+   * Apply the user's answer to the current flow node and move on
+   * @param {string} message
+   * @param {Object} session
+   * @param {Object} choice
+   * @returns {Object|null}
+   */
+  continueFlow(message, session, choice) {
+    const languageCode = session.languageCode;
+    const state = session.flow;
+    const flow = this.flows.getFlow(state.id, languageCode);
+    const node = flow ? flow.nodes[state.nodeId] : null;
+
+    // Flow removed or changed by a reload: drop it and answer normally
+    if (!node) {
+      session.flow = null;
+      return null;
     }
 
-    const hoursKeywords = ['horaire', 'horaires', 'ouverture', 'fermeture'];
-    if (hoursKeywords.some(keyword => normalized.includes(keyword))) {
+    if (this.isFlowCancel(message, languageCode)) {
+      session.flow = null;
       return {
-        message: 'Nos équipes sont disponibles du lundi au vendredi de 9h à 18h (heure de Paris).',
+        type: 'answer',
+        message: this.language.get('flows.cancelled', languageCode),
         faqId: null,
-        suggestions: [
-          this.language.get('suggestions.moreHelp', session.languageCode),
-          this.language.get('suggestions.contactSupport', session.languageCode)
-        ],
+        suggestions: this.getFollowUpSuggestions(languageCode),
         canEscalate: false,
-        metadata: {
-          fallback: 'business_hours'
-        }
+        flow: { id: flow.id, nodeId: state.nodeId, cancelled: true },
+        metadata: { flow: flow.id, flowNode: state.nodeId }
       };
     }
 
-    const greetingKeywords = ['bonjour', 'hello', 'salut', 'hi', 'hey', 'bonsoir'];
-    if (greetingKeywords.some(keyword => normalized === keyword || normalized.startsWith(`${keyword} `))) {
-      return {
-        message: 'Bonjour 👋 Comment puis-je vous aider aujourd’hui ? Vous pouvez me poser vos questions sur MyLeo, nos actions collectives, la participation, les contacts ou toute autre information.',
-        faqId: null,
-        suggestions: [
-          'Comment contacter le support ?',
-          'Comment participer à une action ?',
-          'Quels sont vos horaires ?'
-        ],
-        canEscalate: false,
-        metadata: {
-          fallback: 'greeting'
-        }
-      };
+    if (node.type === 'choice') {
+      const option = this.flows.matchChoice(node, message, choice, languageCode);
+      if (!option) {
+        return this.buildFlowNodeResponse(flow, session, this.language.get('flows.invalidChoice', languageCode));
+      }
+
+      state.slots[node.slot || state.nodeId] = option.id;
+      this.recordFlowAnswer(session, node, this.flows.resolveText(option.label, languageCode), option.id);
+      state.nodeId = option.next;
+    } else if (node.type === 'input') {
+      const result = this.flows.validateInput(node, message);
+      if (!result.valid) {
+        const error = node.validation?.error || '@flows.invalidInput';
+        return this.buildFlowNodeResponse(flow, session, this.flows.resolveText(error, languageCode));
+      }
+
+      state.slots[node.slot] = result.value;
+      this.recordFlowAnswer(session, node, String(result.value), result.value);
+      state.nodeId = node.next;
     }
 
-    return null;
+    return this.buildFlowNodeResponse(flow, session);
   }
 
   /**
-   * End conversation
-   * @param {string} sessionId 
-   * @param {Object} feedback 
+   * Build the response for the current flow node; terminal nodes close the
+   * flow and keep its answers in session.flowResults
+   * @param {Object} flow
+   * @param {Object} session
+   * @param {string} notice Message shown before the question (e.g. validation error)
    * @returns {Object}
    */
-  async endConversation(sessionId, feedback = {}) {
-    try {
-      const session = this.activeSessions.get(sessionId);
-      if (!session) {
-        throw new Error('Invalid session');
-      }
+  buildFlowNodeResponse(flow, session, notice = null) {
+    const languageCode = session.languageCode;
+    const state = session.flow;
+    const nodeId = state.nodeId;
+    const node = flow.nodes[nodeId];
+    const text = this.flows.resolveText(node.text, languageCode, state.slots);
+    const message = notice ? `${notice}\n\n${text}` : text;
+
+    const response = {
+      type: 'flow',
+      message,
+      faqId: null,
+      choices: [],
+      suggestions: [this.language.get('flows.cancel', languageCode)],
+      canEscalate: false,
+      flow: { id: flow.id, nodeId, completed: false },
+      metadata: { flow: flow.id, flowNode: nodeId }
+    };
 
-      // Update conversation status
-      const additionalData = {};
-      if (feedback.rating) {
-        additionalData.satisfactionRating = feedback.rating;
-      }
+    if (node.type === 'choice') {
+      response.choices = node.choices.map((option, index) => ({
+        index,
+        id: option.id,
+        label: this.flows.resolveText(option.label, languageCode, state.slots)
+      }));
+      return response;
+    }
+
+    if (node.type === 'input') {
+      return response;
+    }
+
+    // Terminal node
+    const action = node.action || { type: 'answer' };
+
+    session.flowResults = session.flowResults || {};
+    session.flowResults[flow.id] = {
+      kind: flow.kind,
+      node: nodeId,
+      outcome: node.outcome || null,
+      action: action.type,
+      slots: { ...state.slots },
+      answers: state.answers,
+      completedAt: new Date()
+    };
+    session.flow = null;
+
+    response.flow.completed = true;
+    response.flow.outcome = node.outcome || null;
+    response.suggestions = this.getFollowUpSuggestions(languageCode);
+
+    if (action.type === 'link') {
+      response.link = {
+        url: action.url,
+        label: this.flows.resolveText(action.label || action.url, languageCode, state.slots)
+      };
+    } else if (action.type === 'escalate') {
+      // No suggestions so the widget opens the escalation form directly
+      response.canEscalate = true;
+      response.suggestions = [];
+    }
+
+    this.logger.info('Chat flow completed', {
+      sessionId: session.sessionId,
+      flowId: flow.id,
+      node: nodeId,
+      outcome: node.outcome
+    });
+
+    return response;
+  }
+
+  /**
+   * Keep the question and the user's answer of a flow step
+   * @param {Object} session
+   * @param {Object} node
+   * @param {string} answer Answer as displayed (choice label or typed value)
+   * @param {*} value Choice id or validated value
+   */
+  recordFlowAnswer(session, node, answer, value) {
+    const state = session.flow;
+    const question = this.flows.resolveText(node.text, session.languageCode, state.slots);
+
+    // Answering the same node twice keeps the latest answer only
+    state.answers = state.answers.filter(entry => entry.nodeId !== state.nodeId);
+    state.answers.push({ nodeId: state.nodeId, question, answer, value });
+  }
+
+  /**
+   * Store the answers of a completed eligibility questionnaire against the
+   * conversation, so they can be attached to an escalation ticket
+   * @param {Object} session
+   * @param {string} flowId
+   */
+  async saveEligibilityAnswers(session, flowId) {
+    const result = session.flowResults?.[flowId];
+    if (!result || result.kind !== 'eligibility' || !result.outcome) {
+      return;
+    }
+
+    const flow = this.flows.getFlow(flowId, session.languageCode);
+
+    try {
+      await this.database.saveEligibilityAnswers({
+        conversationId: session.id,
+        productCode: session.productCode || flow?.products[0],
+        flowId,
+        outcome: result.outcome,
+        answers: result.answers
+      });
+    } catch (error) {
+      // The user already has the outcome; losing the record must not break the chat
+      this.logger.logError(error, {
+        action: 'save_eligibility_answers',
+        sessionId: session.sessionId,
+        flowId
+      });
+    }
+  }
+
+  /**
+   * Check whether the user asks to leave the current flow
+   * @param {string} message
+   * @param {string} language
+   * @returns {boolean}
+   */
+  isFlowCancel(message, language) {
+    const normalized = (message || '').toLowerCase().trim();
+    const words = {
+      fr: ['annuler', 'stop', 'quitter', 'arrêter', 'arreter'],
+      en: ['cancel', 'stop', 'quit', 'exit']
+    };
+
+    return normalized === this.language.get('flows.cancel', language).toLowerCase() ||
+      (words[language] || words.fr).includes(normalized);
+  }
+
+  /**
+   * Suggest the flows offered on a product page
+   * @param {string} productCode
+   * @param {string} language
+   * @returns {Array}
+   */
+  getProductFlowSuggestions(productCode, language) {
+    if (!this.flows) {
+      return [];
+    }
+
+    return this.flows.getFlowsForProduct(productCode, language)
+      .map(flow => this.flows.resolveText(flow.title, language));
+  }
+
+  /**
+   * Handle special suggestion clicks that shouldn't be treated as normal questions
+   * @param {string} message 
+   * @param {Object} session 
+   * @returns {Object|null}
+   */
+  async handleSpecialSuggestions(message, session) {
+    if (!this.intents) {
+      return null;
+    }
+
+    const intent = this.intents.match(message, session.languageCode, 'special');
+    if (!intent) {
+      return null;
+    }
+
+    return this.buildIntentResponse(intent, session);
+  }
+
+  /**
+   * Provide deterministic fallback answers for common intents
+   * @param {string} query
+   * @param {Object} session
+   * @returns {Object|null}
+   */
+  async getKeywordFallbackResponse(query, session) {
+    if (!this.intents) {
+      return null;
+    }
+
+    const intent = this.intents.match(query, session.languageCode, 'fallback');
+    if (!intent) {
+      return null;
+    }
+
+    const response = await this.buildIntentResponse(intent, session);
+    response.metadata = {
+      ...response.metadata,
+      fallback: intent.id
+    };
+
+    return response;
+  }
+
+  /**
+   * Turn a matched intent definition into a chat response
+   * @param {Object} intent
+   * @param {Object} session
+   * @returns {Object}
+   */
+  async buildIntentResponse(intent, session) {
+    const languageCode = session.languageCode;
+    const suggestions = intent.suggestions.map(suggestion => this.intents.resolveText(suggestion, languageCode));
+
+    if (intent.action?.type === 'start_flow' && this.flows) {
+      // Without a flowId, run the eligibility questionnaire of the current product
+      const flowId = intent.action.flowId ||
+        this.flows.getEligibilityFlow(session.productCode, languageCode)?.id;
+      const flowResponse = flowId ? this.startFlow(flowId, session) : null;
+      if (flowResponse) {
+        return {
+          ...flowResponse,
+          metadata: { ...flowResponse.metadata, intent: intent.id }
+        };
+      }
+
+      // No product context: let the user pick a questionnaire
+      if (!intent.action.flowId) {
+        const titles = this.flows.getEligibilityFlows(languageCode)
+          .map(flow => this.flows.resolveText(flow.title, languageCode));
+        suggestions.unshift(...titles);
+      }
+    }
+
+    if (intent.action?.type === 'handoff' && this.handoff) {
+      const handoffResponse = await this.handoff.requestHandoff(session);
+      return {
+        ...handoffResponse,
+        metadata: { ...handoffResponse.metadata, intent: intent.id }
+      };
+    }
+
+    // The widget asks for the ticket number and email, checked by TicketStatusService
+    if (intent.action?.type === 'ticket_status' && this.ticketStatus) {
+      return {
+        type: 'ticket_lookup',
+        message: this.language.get('ticketStatus.prompt', languageCode),
+        faqId: null,
+        suggestions: [],
+        canEscalate: false,
+        metadata: {
+          intent: intent.id
+        }
+      };
+    }
+
+    if (intent.action?.type === 'faq_lookup') {
+      const faqMatch = await this.findIntentFaqAnswer(intent.action, session);
+      if (faqMatch) {
+        return {
+          message: faqMatch.answer,
+          faqId: faqMatch.faqId,
+          suggestions,
+          canEscalate: intent.canEscalate,
+          matchContext: {
+            question: faqMatch.question,
+            productRef: faqMatch.productRef
+          },
+          metadata: {
+            intent: intent.id
+          }
+        };
+      }
+    }
+
+    return {
+      message: this.intents.resolveText(intent.reply, languageCode, this.getReplyVariables(languageCode)),
+      faqId: null,
+      suggestions,
+      canEscalate: intent.canEscalate,
+      metadata: {
+        intent: intent.id
+      }
+    };
+  }
+
+  /**
+   * Open/closed status shown in the widget header
+   * @param {string} languageCode
+   * @returns {Object|null}
+   */
+  getBusinessHoursStatus(languageCode) {
+    if (!this.businessHours) {
+      return null;
+    }
+
+    const summary = this.businessHours.getSummary(languageCode);
+    return {
+      isOpen: summary.isOpen,
+      label: summary.label,
+      hours: summary.hours,
+      nextOpening: summary.nextOpening
+    };
+  }
+
+  /**
+   * Variables available in intent replies ({{hours}}, {{status}})
+   * @param {string} languageCode
+   * @returns {Object}
+   */
+  getReplyVariables(languageCode) {
+    if (!this.businessHours) {
+      return {};
+    }
+
+    const summary = this.businessHours.getSummary(languageCode);
+    return {
+      hours: summary.hours,
+      status: summary.statusText
+    };
+  }
+
+  /**
+   * Look up an FAQ answer for an intent, trying each query in turn with
+   * broad filters (no rubrique/product)
+   * @param {Object} action { queries, matchQuery, minScore, limit }
+   * @param {Object} session
+   * @returns {Object|null}
+   */
+  async findIntentFaqAnswer(action, session) {
+    const queries = action.queries || [];
+    if (queries.length === 0) {
+      return null;
+    }
+
+    const filters = {
+      languageCode: session.languageCode,
+      limit: action.limit || 10
+    };
+
+    let faqResults = [];
+    for (const query of queries) {
+      faqResults = await this.database.searchFaqs(query, filters);
+      if (faqResults.length > 0) {
+        break;
+      }
+    }
+
+    if (faqResults.length === 0) {
+      return null;
+    }
+
+    const bestMatch = this.findBestQAMatchEnhanced(action.matchQuery || queries[0], faqResults, session.languageCode);
+    const minScore = typeof action.minScore === 'number' ? action.minScore : 0;
+
+    return bestMatch && bestMatch.score >= minScore ? bestMatch : null;
+  }
+
+  /**
+   * Record whether a bot answer helped
+   * @param {string} sessionId
+   * @param {Object} feedback { messageId, helpful, comment }
+   * @returns {Object}
+   */
+  async submitFeedback(sessionId, feedback) {
+    try {
+      const conversation = await this.database.getConversation(sessionId);
+      if (!conversation) {
+        throw new Error('Invalid session');
+      }
+
+      // Only answers of this conversation can be rated
+      const message = await this.database.getConversationMessage(conversation.id, feedback.messageId);
+      if (!message || message.message_type !== 'bot') {
+        throw new Error('Invalid message');
+      }
+
+      await this.database.saveMessageFeedback({
+        messageId: message.id,
+        conversationId: conversation.id,
+        faqId: message.faq_id,
+        helpful: feedback.helpful,
+        comment: feedback.comment
+      });
+
+      this.logger.info('Answer feedback received', {
+        sessionId,
+        messageId: message.id,
+        faqId: message.faq_id,
+        helpful: feedback.helpful
+      });
+
+      return {
+        success: true,
+        message: this.language.get('feedback.thanks', conversation.language_code)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'submit_feedback',
+        sessionId
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * End conversation
+   * @param {string} sessionId 
+   * @param {Object} feedback 
+   * @returns {Object}
+   */
+  async endConversation(sessionId, feedback = {}) {
+    try {
+      const session = await this.sessions.get(sessionId);
+      if (!session) {
+        throw new Error('Invalid session');
+      }
+
+      // Update conversation status
+      const additionalData = {};
+      if (feedback.rating) {
+        additionalData.satisfactionRating = feedback.rating;
+      }
 
       await this.database.updateConversationStatus(
         session.id, 
@@ -1101,14 +1854,27 @@ class ChatService {
         additionalData
       );
 
+      // Post-chat survey answers, when the user did not skip it
+      if (this.hasSurveyAnswers(feedback)) {
+        await this.database.saveConversationSurvey({
+          conversationId: session.id,
+          rating: feedback.rating,
+          nps: feedback.nps,
+          solved: feedback.solved,
+          comment: feedback.comment
+        });
+      }
+
       // Remove from active sessions
-      this.activeSessions.delete(sessionId);
+      await this.sessions.delete(sessionId);
 
       this.logger.info('Conversation ended', {
         sessionId,
         duration: Date.now() - session.createdAt.getTime(),
         messageCount: session.messageCount,
-        rating: feedback.rating
+        rating: feedback.rating,
+        nps: feedback.nps,
+        solved: feedback.solved
       });
 
       return {
@@ -1130,57 +1896,206 @@ class ChatService {
   }
 
   /**
-   * Escalate conversation to Zendesk
+   * Questions of the post-chat survey, for the widget
+   * @returns {Object|null} null when the survey is disabled
+   */
+  getSurveyConfig() {
+    const survey = this.config.survey;
+    if (!survey || !survey.enabled) {
+      return null;
+    }
+
+    return {
+      rating: true,
+      nps: !!survey.nps,
+      solved: !!survey.solved,
+      comment: !!survey.comment
+    };
+  }
+
+  /**
+   * Transcript actions the widget can offer
+   * @returns {Object}
+   */
+  getTranscriptOptions() {
+    return {
+      download: !!this.transcripts,
+      email: !!this.transcripts && this.transcripts.isEmailEnabled()
+    };
+  }
+
+  /**
+   * Attachment limits of the escalation form, null when attachments are disabled
+   * @returns {Object|null}
+   */
+  getAttachmentLimits() {
+    return this.attachments ? this.attachments.getLimits() : null;
+  }
+
+  /**
+   * @param {Object} feedback
+   * @returns {boolean}
+   */
+  hasSurveyAnswers(feedback) {
+    return !!feedback.rating ||
+      Number.isInteger(feedback.nps) ||
+      typeof feedback.solved === 'boolean' ||
+      !!feedback.comment;
+  }
+
+  /**
+   * Escalate conversation to the helpdesk of its rubrique (Zendesk by default)
    * @param {string} sessionId 
    * @param {Object} contactData 
+   * @param {Array} attachments [{ filename, contentType, content (base64) }]
    * @returns {Object}
    */
-  async escalateToZendesk(sessionId, contactData) {
+  async escalateToZendesk(sessionId, contactData, attachments = [], { idempotencyKey = null } = {}) {
     try {
-      const session = this.activeSessions.get(sessionId);
+      // A form submitted twice gets the answer of its first submit
+      const outboxKey = idempotencyKey ? `${sessionId}:${idempotencyKey}` : sessionId;
+      if (this.outbox) {
+        const queued = await this.outbox.findByKey(outboxKey);
+        if (queued) {
+          const conversation = await this.database.getConversation(sessionId);
+          return this.buildQueuedEscalationResult(queued, conversation.language_code);
+        }
+      }
+
+      const session = await this.sessions.get(sessionId);
       if (!session) {
         throw new Error('Invalid session');
       }
 
-      // Get conversation messages
-      const messages = await this.database.getConversationMessages(session.id);
+      // Files are checked and scanned before anything is sent to the helpdesk
+      let files = [];
+      if (attachments.length > 0) {
+        if (!this.attachments) {
+          throw new Error('Attachments are not enabled');
+        }
+
+        const prepared = await this.attachments.prepare(attachments);
+        if (!prepared.isValid) {
+          return {
+            success: false,
+            error: 'Invalid attachments',
+            validationErrors: prepared.errors,
+            message: this.language.get('escalation.attachmentError', session.languageCode)
+          };
+        }
+        files = prepared.files;
+      }
+
+      // Get conversation messages and eligibility questionnaire answers
+      const messages = await this.database.getConversationMessages(session.id, this.config.ticketMessages);
+      const eligibility = await this.database.getEligibilityAnswers(session.id);
       
       const conversationData = {
         sessionId,
         languageCode: session.languageCode,
         rubrique: session.rubrique,
         productCode: session.productCode,
-        messages
+        pageUrl: session.pageUrl,
+        messages,
+        eligibility,
+        attachments: files,
+        outOfHours: this.businessHours ? !this.businessHours.getStatus().isOpen : false
       };
 
-      // Create Zendesk ticket
-      const ticketResult = await this.zendesk.escalateConversation(
+      if (this.outbox) {
+        // Bad contact details are answered now rather than dead-lettered later
+        const validation = this.ticketing.validateTicketData(contactData, session.rubrique);
+        if (!validation.isValid) {
+          return {
+            success: false,
+            error: 'Invalid ticket data',
+            validationErrors: validation.errors,
+            message: this.language.get('escalation.error', session.languageCode)
+          };
+        }
+
+        const { entry, duplicate } = await this.outbox.enqueue({
+          conversationId: session.id,
+          idempotencyKey: outboxKey,
+          conversationData,
+          contactData
+        });
+
+        if (!duplicate) {
+          // The ticket number is set once the outbox has delivered the ticket
+          await this.database.updateConversationStatus(session.id, 'escalated');
+          await this.sessions.delete(sessionId);
+
+          this.logger.info('Conversation escalation queued', {
+            sessionId,
+            escalationId: entry.id,
+            attachments: files.length
+          });
+        }
+
+        return this.buildQueuedEscalationResult(entry, session.languageCode);
+      }
+
+      // Create the ticket with the helpdesk of the rubrique
+      const ticketResult = await this.ticketing.escalateConversation(
         conversationData, 
         contactData
       );
 
       if (ticketResult.success) {
-        // Update conversation status
+        // Update conversation status; a merged ticket stays with the conversation that created it
         await this.database.updateConversationStatus(
           session.id,
           'escalated',
-          { zendeskTicketId: ticketResult.ticketId }
+          ticketResult.merged ? {} : {
+            zendeskTicketId: ticketResult.ticketId,
+            ticketProvider: ticketResult.provider,
+            ticketEmail: contactData.email
+          }
         );
 
         // Remove from active sessions
-        this.activeSessions.delete(sessionId);
+        await this.sessions.delete(sessionId);
 
-        this.logger.info('Conversation escalated to Zendesk', {
+        this.logger.info('Conversation escalated', {
           sessionId,
+          provider: ticketResult.provider,
           ticketId: ticketResult.ticketId,
-          ticketUrl: ticketResult.ticketUrl
+          ticketUrl: ticketResult.ticketUrl,
+          attachments: files.length,
+          failedAttachments: ticketResult.failedAttachments
         });
 
+        // Tell the user when the team will pick the request up
+        const expectedReply = this.businessHours
+          ? this.businessHours.getExpectedReplyText(session.languageCode)
+          : '';
+
+        // The ticket exists even when some files could not be uploaded
+        const failedAttachments = ticketResult.failedAttachments || [];
+        const attachmentNotice = failedAttachments.length > 0
+          ? this.language.get('escalation.attachmentsFailed', session.languageCode, { files: failedAttachments.join(', ') })
+          : '';
+
+        // The number of an open ticket found by email is not given: anyone can type the requester's email
+        const merged = !!ticketResult.merged;
+
         return {
           success: true,
-          ticketId: ticketResult.ticketId,
-          ticketUrl: ticketResult.ticketUrl,
-          message: this.language.get('escalation.success', session.languageCode)
+          ticketId: merged ? null : ticketResult.ticketId,
+          ticketUrl: merged ? null : ticketResult.ticketUrl,
+          merged,
+          message: [
+            this.language.get('escalation.success', session.languageCode),
+            // Needed later to follow the request from the widget
+            merged
+              ? this.language.get('escalation.merged', session.languageCode)
+              : this.language.get('escalation.ticketReference', session.languageCode, { ticketId: ticketResult.ticketId }),
+            expectedReply,
+            attachmentNotice
+          ].filter(Boolean).join(' '),
+          expectedReply,
+          failedAttachments
         };
       } else {
         return {
@@ -1204,6 +2119,49 @@ class ChatService {
     }
   }
 
+  /**
+   * Answer to an escalation handed to the outbox: the ticket number is posted
+   * in the conversation once the ticket is created
+   * @param {Object} entry Outbox entry
+   * @param {string} languageCode
+   * @returns {Object}
+   */
+  buildQueuedEscalationResult(entry, languageCode) {
+    const ticketId = entry.merged ? null : entry.zendesk_ticket_id || null;
+    const expectedReply = this.businessHours
+      ? this.businessHours.getExpectedReplyText(languageCode)
+      : '';
+
+    return {
+      success: true,
+      queued: true,
+      escalationId: entry.id,
+      ticketId,
+      message: [
+        this.language.get('escalation.success', languageCode),
+        this.getQueuedReference(entry, ticketId, languageCode),
+        expectedReply
+      ].filter(Boolean).join(' '),
+      expectedReply
+    };
+  }
+
+  /**
+   * @param {Object} entry Outbox entry
+   * @param {string|null} ticketId
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  getQueuedReference(entry, ticketId, languageCode) {
+    if (entry.merged) {
+      return this.language.get('escalation.merged', languageCode);
+    }
+
+    return ticketId
+      ? this.language.get('escalation.ticketReference', languageCode, { ticketId })
+      : this.language.get('escalation.queued', languageCode);
+  }
+
   /**
    * Get conversation history
    * @param {string} sessionId 
@@ -1211,7 +2169,7 @@ class ChatService {
    */
   async getConversationHistory(sessionId) {
     try {
-      const session = this.activeSessions.get(sessionId);
+      const session = await this.sessions.get(sessionId);
       if (!session) {
         const dbConversation = await this.database.getConversation(sessionId);
         if (!dbConversation) {
@@ -1220,7 +2178,7 @@ class ChatService {
       }
 
       const conversationData = await this.database.getConversation(sessionId);
-      const messages = await this.database.getConversationMessages(conversationData.id);
+      const messages = await this.database.getConversationMessages(conversationData.id, this.config.ticketMessages);
 
       return {
         success: true,
@@ -1241,6 +2199,80 @@ class ChatService {
     }
   }
 
+  /**
+   * Resume a conversation after a page load: the widget continues it only when
+   * it is still open and recent, and starts a new one otherwise
+   * @param {string} sessionId
+   * @returns {Object} { resumable, reason } and, when resumable, the transcript
+   */
+  async resumeConversation(sessionId) {
+    try {
+      const conversation = await this.database.getConversation(sessionId);
+      if (!conversation) {
+        throw new Error('Invalid session');
+      }
+
+      const messages = await this.database.getMessagesAfter(conversation.id, 0, ['user', 'bot', 'agent', 'system']);
+      const lastMessage = messages[messages.length - 1];
+      const lastActivity = new Date(lastMessage ? lastMessage.created_at : conversation.created_at);
+
+      let reason = null;
+      if (conversation.status === 'resolved' || conversation.status === 'escalated') {
+        reason = conversation.status;
+      } else if (Date.now() - lastActivity.getTime() > this.config.resumeTimeout) {
+        reason = 'expired';
+      }
+
+      if (reason) {
+        this.logger.info('Conversation not resumed', { sessionId, reason });
+
+        return {
+          success: true,
+          resumable: false,
+          reason
+        };
+      }
+
+      // Reopens conversations marked abandoned while the user was away
+      const session = await this.sessions.get(sessionId) || await this.restoreSession(conversation);
+
+      this.logger.info('Conversation resumed', { sessionId, messageCount: session.messageCount });
+
+      return {
+        success: true,
+        resumable: true,
+        reason: null,
+        sessionId,
+        language: conversation.language_code,
+        rubrique: conversation.rubrique,
+        productCode: conversation.product_code,
+        businessHours: this.getBusinessHoursStatus(conversation.language_code),
+        survey: this.getSurveyConfig(),
+        transcript: this.getTranscriptOptions(),
+        attachments: this.getAttachmentLimits(),
+        handoff: session.handoff ? { status: session.handoff.status } : null,
+        messages: messages.map(message => ({
+          id: message.id,
+          type: message.message_type,
+          text: message.message_text,
+          agentName: message.agent_name || null,
+          createdAt: message.created_at
+        }))
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'resume_conversation',
+        sessionId
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Find product FAQ for context
    * @param {string} productCode 
@@ -1267,46 +2299,125 @@ class ChatService {
   }
 
   /**
-   * Restore session from database
+   * Restore session from database (session expired from the store or lost
+   * with the in-memory store), counting the messages already sent
    * @param {Object} dbConversation 
+   * @returns {Object}
    */
-  restoreSession(dbConversation) {
+  async restoreSession(dbConversation) {
+    const messageCount = await this.database.countConversationMessages(dbConversation.id, 'user');
+
+    // A user coming back to an idle conversation reopens it
+    let status = dbConversation.status;
+    if (status === 'abandoned') {
+      await this.database.updateConversationStatus(dbConversation.id, 'active', { fromStatus: 'abandoned' });
+      status = 'active';
+    }
+
     const session = {
       id: dbConversation.id,
       sessionId: dbConversation.session_id,
       languageCode: dbConversation.language_code,
       rubrique: dbConversation.rubrique,
       productCode: dbConversation.product_code,
-      messageCount: 0, // Will be updated if needed
+      pageUrl: dbConversation.page_url,
+      messageCount: Number(messageCount) || 0,
       createdAt: new Date(dbConversation.created_at),
       lastActivity: new Date(),
-      status: dbConversation.status
+      status,
+      dialogue: this.createDialogueState(),
+      // Keep a pending or live agent takeover
+      handoff: ['waiting', 'live'].includes(dbConversation.handoff_status) ? {
+        status: dbConversation.handoff_status,
+        agentId: dbConversation.agent_id,
+        requestedAt: new Date(dbConversation.handoff_requested_at)
+      } : null
     };
 
-    this.activeSessions.set(dbConversation.session_id, session);
+    await this.sessions.set(dbConversation.session_id, session);
+    return session;
   }
 
   /**
    * Clean up expired sessions
    */
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    const expiredSessions = [];
+  async cleanupExpiredSessions() {
+    try {
+      const expiredSessions = await this.sessions.deleteExpired(this.config.sessionTimeout);
 
-    for (const [sessionId, session] of this.activeSessions) {
-      const timeSinceActivity = now - session.lastActivity.getTime();
-      
-      if (timeSinceActivity > this.config.sessionTimeout) {
-        expiredSessions.push(sessionId);
+      for (const session of expiredSessions) {
+        await this.abandonConversation(session.id, session.sessionId);
       }
+
+      if (expiredSessions.length > 0) {
+        this.logger.info(`Cleaned up ${expiredSessions.length} expired sessions`);
+      }
+    } catch (error) {
+      this.logger.logError(error, { action: 'cleanup_expired_sessions' });
     }
+  }
+
+  /**
+   * Mark active conversations idle for longer than the session timeout as
+   * abandoned, including those whose session was lost (restart, other instance)
+   * @returns {number} Number of conversations abandoned
+   */
+  async sweepAbandonedConversations() {
+    try {
+      const cutoff = new Date(Date.now() - this.config.sessionTimeout);
+      const idleConversations = await this.database.getIdleConversations(cutoff);
+      let abandoned = 0;
+
+      for (const conversation of idleConversations) {
+        // A session still in the store may have activity the messages do not show yet
+        const session = await this.sessions.get(conversation.session_id);
+        if (session && Date.now() - session.lastActivity.getTime() <= this.config.sessionTimeout) {
+          continue;
+        }
+
+        if (session) {
+          await this.sessions.delete(conversation.session_id);
+        }
+
+        if (await this.abandonConversation(conversation.id, conversation.session_id)) {
+          abandoned++;
+        }
+      }
+
+      if (abandoned > 0) {
+        this.logger.info(`Marked ${abandoned} idle conversations as abandoned`);
+      }
 
-    for (const sessionId of expiredSessions) {
-      this.activeSessions.delete(sessionId);
+      return abandoned;
+    } catch (error) {
+      this.logger.logError(error, { action: 'sweep_abandoned_conversations' });
+      return 0;
     }
+  }
 
-    if (expiredSessions.length > 0) {
-      this.logger.info(`Cleaned up ${expiredSessions.length} expired sessions`);
+  /**
+   * Close an active conversation as abandoned; resolved or escalated ones are left untouched
+   * @param {number} conversationId
+   * @param {string} sessionId
+   * @returns {boolean} Whether the conversation was still active
+   */
+  async abandonConversation(conversationId, sessionId) {
+    try {
+      const updated = await this.database.updateConversationStatus(conversationId, 'abandoned', {
+        fromStatus: 'active'
+      });
+
+      if (updated > 0) {
+        this.logger.logChat(sessionId, 'conversation_abandoned', '', { conversationId });
+      }
+
+      return updated > 0;
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'abandon_conversation',
+        sessionId
+      });
+      return false;
     }
   }
 
@@ -1314,9 +2425,9 @@ class ChatService {
    * Get service statistics
    * @returns {Object}
    */
-  getStats() {
+  async getStats() {
     return {
-      activeSessions: this.activeSessions.size,
+      activeSessions: await this.sessions.count(),
       config: {
         maxMessagesPerSession: this.config.maxMessagesPerSession,
         sessionTimeout: this.config.sessionTimeout,
@@ -1328,6 +2439,42 @@ class ChatService {
     };
   }
 
+  /**
+   * Translation keys the chat engine emits; every language must define them
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return [
+      'messages.welcome',
+      'messages.welcomeProduct',
+      'messages.noResults',
+      'messages.error',
+      'messages.clarify',
+      'messages.partialMatch',
+      'messages.otherUsefulInfo',
+      'messages.maxMessagesReached',
+      'messages.messageEmpty',
+      'messages.messageTooLong',
+      'flows.cancel',
+      'flows.cancelled',
+      'flows.invalidChoice',
+      'flows.invalidInput',
+      'errors.invalidSession',
+      'suggestions.moreHelp',
+      'suggestions.contactSupport',
+      'suggestions.searchFaq',
+      'escalation.success',
+      'escalation.error',
+      'escalation.attachmentError',
+      'escalation.attachmentsFailed',
+      'escalation.ticketReference',
+      'escalation.queued',
+      'escalation.merged',
+      'rating.thanks',
+      'feedback.thanks'
+    ];
+  }
+
   /**
    * Destroy service and cleanup resources
    */
@@ -1335,7 +2482,10 @@ class ChatService {
     if (this.sessionCleanupInterval) {
       clearInterval(this.sessionCleanupInterval);
     }
-    this.activeSessions.clear();
+    if (this.abandonedSweepInterval) {
+      clearInterval(this.abandonedSweepInterval);
+    }
+    this.sessions.close();
   }
 }
 
@@ -0,0 +1,296 @@
+const ChatService = require('./chatService');
+const helpers = require('../test/helpers');
+
+const CONFIG = {
+  disambiguationMargin: 0.05,
+  maxClarificationChoices: 3,
+  dialogueHistorySize: 5,
+  followUpMaxWords: 8,
+  followUpMaxTurns: 2,
+  maxTopicTerms: 4
+};
+
+const services = [];
+
+const createService = (deps = {}) => {
+  const service = helpers.createService(ChatService, {
+    database: {},
+    config: { ...CONFIG, ...deps.config },
+    ...deps
+  });
+
+  services.push(service);
+  return service;
+};
+
+afterEach(() => {
+  services.splice(0).forEach(service => service.destroy());
+});
+
+describe('ChatService', () => {
+  describe('dialogue context', () => {
+    const answered = (service) => {
+      const session = { languageCode: 'fr' };
+      service.recordDialogueTurn(session, 'Comment rejoindre l’action Levothyrox ?', {
+        faqId: 12,
+        matchContext: { question: 'Comment rejoindre l’action Levothyrox ?', productRef: 'LEVOTHYROX_MERCK' }
+      });
+      return session;
+    };
+
+    it('rewrites a short follow-up with the topic of the previous answer', () => {
+      const service = createService();
+      const session = answered(service);
+
+      const context = service.buildDialogueContext('Et combien ça coûte ?', session);
+
+      expect(context).toMatchObject({ isFollowUp: true, lastFaqId: 12, lastProductRef: 'LEVOTHYROX_MERCK' });
+      expect(context.rewrittenQuery).toBe('Et combien ça coûte rejoindre action levothyrox');
+    });
+
+    it('leaves a new, complete question alone', () => {
+      const service = createService();
+      const session = answered(service);
+
+      expect(service.buildDialogueContext('Quels documents faut-il fournir pour le dossier Dieselgate ?', session).isFollowUp).toBe(false);
+    });
+
+    it('stops carrying the topic over after too many turns without an answer', () => {
+      const service = createService();
+      const session = answered(service);
+
+      for (let i = 0; i < 3; i++) {
+        service.recordDialogueTurn(session, 'euh', {});
+      }
+
+      expect(service.buildDialogueContext('Et combien ça coûte ?', session).isFollowUp).toBe(false);
+    });
+
+    it('keeps only the latest user turns', () => {
+      const service = createService({ config: { dialogueHistorySize: 2 } });
+      const session = { languageCode: 'fr' };
+
+      ['un', 'deux', 'trois'].forEach(message => service.recordDialogueTurn(session, message));
+
+      expect(session.dialogue.recentUserTurns).toEqual(['deux', 'trois']);
+    });
+  });
+
+  describe('clarification', () => {
+    const matches = [
+      { faqId: 1, question: 'Comment rejoindre une action ?', score: 0.82 },
+      { faqId: 2, question: 'Comment quitter une action ?', score: 0.8 },
+      { faqId: 3, question: 'COMMENT REJOINDRE UNE ACTION ?', score: 0.79 },
+      { faqId: 4, question: 'Quels sont les frais ?', score: 0.78 },
+      { faqId: 5, question: 'Qui peut agir ?', score: 0.6 }
+    ];
+
+    it('offers the questions scoring within the margin of the best one, once each', () => {
+      const response = createService().buildClarificationResponse(matches, { languageCode: 'fr' });
+
+      expect(response.type).toBe('clarification');
+      expect(response.choices).toEqual([
+        { index: 0, faqId: 1, question: 'Comment rejoindre une action ?' },
+        { index: 1, faqId: 2, question: 'Comment quitter une action ?' },
+        { index: 2, faqId: 4, question: 'Quels sont les frais ?' }
+      ]);
+    });
+
+    it('answers directly when one question clearly scores best', () => {
+      expect(createService().buildClarificationResponse([matches[0], matches[4]], { languageCode: 'fr' })).toBeNull();
+    });
+
+    it('only accepts a choice offered in the previous turn', () => {
+      const service = createService();
+      const session = { pendingClarification: { matches: matches.slice(0, 2) } };
+
+      expect(service.resolveClarificationChoice(session, { index: 1, faqId: 2 })).toBe(matches[1]);
+      expect(service.resolveClarificationChoice(session, { index: 1, faqId: 5 })).toBeNull();
+      expect(service.resolveClarificationChoice({}, { index: 0, faqId: 1 })).toBeNull();
+    });
+  });
+
+  describe('sweepAbandonedConversations', () => {
+    const TIMEOUT = 1800000;
+
+    const createSweep = (statuses) => {
+      const database = {
+        getIdleConversations: jest.fn(async () => Object.keys(statuses).map(id => ({ id: Number(id), session_id: `session-${id}` }))),
+        // Only a conversation still in the expected status is updated
+        updateConversationStatus: jest.fn(async (id, status, { fromStatus }) => (statuses[id] === fromStatus ? 1 : 0))
+      };
+
+      return { service: createService({ database, config: { sessionTimeout: TIMEOUT } }), database };
+    };
+
+    it('abandons idle active conversations, even without a session', async () => {
+      const { service, database } = createSweep({ 1: 'active', 2: 'active' });
+      await service.sessions.set('session-2', { id: 2, sessionId: 'session-2', lastActivity: new Date(Date.now() - 2 * TIMEOUT) });
+
+      expect(await service.sweepAbandonedConversations()).toBe(2);
+      expect(database.updateConversationStatus).toHaveBeenCalledWith(1, 'abandoned', { fromStatus: 'active' });
+      expect(await service.sessions.get('session-2')).toBeNull();
+    });
+
+    it('leaves a conversation whose session is still active', async () => {
+      const { service, database } = createSweep({ 1: 'active' });
+      await service.sessions.set('session-1', { id: 1, sessionId: 'session-1', lastActivity: new Date() });
+
+      expect(await service.sweepAbandonedConversations()).toBe(0);
+      expect(database.updateConversationStatus).not.toHaveBeenCalled();
+    });
+
+    it('does not count a conversation resolved or escalated in the meantime', async () => {
+      const { service } = createSweep({ 1: 'escalated', 2: 'active' });
+
+      expect(await service.sweepAbandonedConversations()).toBe(1);
+      expect(service.logger.logChat).toHaveBeenCalledTimes(1);
+      expect(service.logger.logChat).toHaveBeenCalledWith('session-2', 'conversation_abandoned', '', { conversationId: 2 });
+    });
+  });
+
+  describe('restoreSession', () => {
+    it('reopens a conversation abandoned while the user was away', async () => {
+      const database = {
+        countConversationMessages: jest.fn(async () => 3),
+        updateConversationStatus: jest.fn(async () => 1)
+      };
+      const service = createService({ database });
+
+      const session = await service.restoreSession({ id: 1, session_id: 'session-1', status: 'abandoned', created_at: '2026-04-14T08:00:00Z' });
+
+      expect(database.updateConversationStatus).toHaveBeenCalledWith(1, 'active', { fromStatus: 'abandoned' });
+      expect(session).toMatchObject({ status: 'active', messageCount: 3 });
+    });
+  });
+
+  describe('submitFeedback', () => {
+    const MESSAGES = {
+      41: { id: 41, conversation_id: 1, message_type: 'user', faq_id: null },
+      42: { id: 42, conversation_id: 1, message_type: 'bot', faq_id: 12 },
+      43: { id: 43, conversation_id: 2, message_type: 'bot', faq_id: 12 }
+    };
+
+    const createFeedbackService = () => createService({
+      database: {
+        getConversation: jest.fn(async sessionId => (sessionId === 'session-1' ? { id: 1, language_code: 'fr' } : null)),
+        getConversationMessage: jest.fn(async (conversationId, messageId) => {
+          const message = MESSAGES[messageId];
+          return message && message.conversation_id === conversationId ? message : null;
+        }),
+        saveMessageFeedback: jest.fn()
+      }
+    });
+
+    it('records the feedback on the FAQ of the answer', async () => {
+      const service = createFeedbackService();
+
+      const result = await service.submitFeedback('session-1', { messageId: 42, helpful: false, comment: 'Pas clair' });
+
+      expect(result).toEqual({ success: true, message: 'feedback.thanks' });
+      expect(service.database.saveMessageFeedback).toHaveBeenCalledWith({
+        messageId: 42,
+        conversationId: 1,
+        faqId: 12,
+        helpful: false,
+        comment: 'Pas clair'
+      });
+    });
+
+    it('only rates answers of the bot in the same conversation', async () => {
+      const service = createFeedbackService();
+
+      expect(await service.submitFeedback('session-1', { messageId: 41, helpful: true })).toEqual({ success: false, error: 'Invalid message' });
+      expect(await service.submitFeedback('session-1', { messageId: 43, helpful: true })).toEqual({ success: false, error: 'Invalid message' });
+      expect(await service.submitFeedback('session-2', { messageId: 43, helpful: true })).toEqual({ success: false, error: 'Invalid session' });
+      expect(service.database.saveMessageFeedback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('post-chat survey', () => {
+    const createSurveyService = (survey) => {
+      const service = createService({
+        database: { updateConversationStatus: jest.fn(), saveConversationSurvey: jest.fn() },
+        config: { survey }
+      });
+      service.sessions.set('session-1', { id: 1, sessionId: 'session-1', languageCode: 'fr', messageCount: 2, createdAt: new Date() });
+      return service;
+    };
+
+    it('describes the enabled questions to the widget', () => {
+      expect(createSurveyService({ enabled: true, nps: true, solved: false, comment: true }).getSurveyConfig())
+        .toEqual({ rating: true, nps: true, solved: false, comment: true });
+      expect(createSurveyService({ enabled: false, nps: true }).getSurveyConfig()).toBeNull();
+    });
+
+    it('stores the answers when the conversation ends', async () => {
+      const service = createSurveyService({ enabled: true, nps: true, solved: true });
+
+      const result = await service.endConversation('session-1', { rating: 4, nps: 0, solved: false });
+
+      expect(result).toEqual({ success: true, message: 'rating.thanks' });
+      expect(service.database.updateConversationStatus).toHaveBeenCalledWith(1, 'resolved', { satisfactionRating: 4 });
+      expect(service.database.saveConversationSurvey).toHaveBeenCalledWith({ conversationId: 1, rating: 4, nps: 0, solved: false, comment: undefined });
+      expect(await service.sessions.get('session-1')).toBeNull();
+    });
+
+    it('stores nothing when the survey is skipped', async () => {
+      const service = createSurveyService({ enabled: true });
+
+      await service.endConversation('session-1', {});
+
+      expect(service.database.updateConversationStatus).toHaveBeenCalledWith(1, 'resolved', {});
+      expect(service.database.saveConversationSurvey).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resumeConversation', () => {
+    const HOUR = 3600000;
+
+    const createResumeService = (conversation, messages) => createService({
+      database: {
+        getConversation: jest.fn(async () => ({
+          id: 1,
+          session_id: 'session-1',
+          language_code: 'fr',
+          rubrique: 'general',
+          created_at: new Date(Date.now() - 3 * HOUR),
+          ...conversation
+        })),
+        getMessagesAfter: jest.fn(async () => messages),
+        countConversationMessages: jest.fn(async () => 1),
+        updateConversationStatus: jest.fn(async () => 1)
+      },
+      config: { resumeTimeout: 2 * HOUR }
+    });
+
+    it('continues a recent open conversation with its transcript, restoring the session', async () => {
+      const service = createResumeService({ status: 'abandoned' }, [
+        { id: 1, message_type: 'user', message_text: 'Bonjour', created_at: new Date(Date.now() - HOUR) },
+        { id: 2, message_type: 'agent', message_text: 'Bonjour, ici Alice', agent_name: 'Alice', created_at: new Date(Date.now() - HOUR) }
+      ]);
+
+      const result = await service.resumeConversation('session-1');
+
+      expect(result).toMatchObject({ success: true, resumable: true, reason: null, language: 'fr', handoff: null });
+      expect(result.messages.map(message => [message.type, message.agentName])).toEqual([['user', null], ['agent', 'Alice']]);
+      expect(service.database.updateConversationStatus).toHaveBeenCalledWith(1, 'active', { fromStatus: 'abandoned' });
+      expect(await service.sessions.get('session-1')).toMatchObject({ id: 1, messageCount: 1 });
+    });
+
+    it('starts over after the resume timeout, counted from the last message', async () => {
+      const service = createResumeService({ status: 'active' }, [
+        { id: 1, message_type: 'user', message_text: 'Bonjour', created_at: new Date(Date.now() - 3 * HOUR) }
+      ]);
+
+      expect(await service.resumeConversation('session-1')).toEqual({ success: true, resumable: false, reason: 'expired' });
+    });
+
+    it('starts over after a conversation was resolved or escalated', async () => {
+      const service = createResumeService({ status: 'escalated' }, []);
+
+      expect(await service.resumeConversation('session-1')).toEqual({ success: true, resumable: false, reason: 'escalated' });
+      expect(await service.sessions.get('session-1')).toBeNull();
+    });
+  });
+});
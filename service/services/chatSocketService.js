@@ -0,0 +1,423 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const {
+  validateStartConversation,
+  validateMessage,
+  validateEscalation,
+  validateEndConversation,
+  validatePayload
+} = require('../utils/chatValidation');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * WebSocket transport of the chat API.
+ *
+ * Clients connect to `/api/chat/ws`, optionally with `?sessionId=` to resume a
+ * conversation, and exchange JSON frames. Requests mirror the REST routes:
+ *
+ *   { "type": "start", "requestId": "1", "language": "fr", "rubrique": "general" }
+ *   { "type": "message", "requestId": "2", "message": "Bonjour", "choice": { ... } }
+ *   { "type": "escalate", "requestId": "3", "contactData": { ... }, "attachments": [] }
+ *   { "type": "end", "requestId": "4", "feedback": { "rating": 5 } }
+ *   { "type": "ping" }
+ *
+ * Server frames are `{ "event", "data", "requestId", "id" }`: `started`,
+ * `escalated`, `ended`, `pong` and `error` answer requests; the stream events of
+ * ChatStreamService (typing, message, agent, system, handoff) carry the
+ * answers and agent messages.
+ *
+ * A socket is bound to one session, by `start` or on connection; requests never
+ * name the session themselves. Dead connections are dropped by a ping/pong
+ * heartbeat.
+ */
+class ChatSocketService {
+  constructor({ chat, stream, database, rateLimiter = null, config = {}, allowedOrigins = ['*'], logger }) {
+    this.chat = chat;
+    this.stream = stream;
+    this.database = database;
+    this.rateLimiter = rateLimiter;
+    this.logger = logger;
+    this.allowedOrigins = allowedOrigins;
+    this.config = {
+      path: config.path || '/api/chat/ws',
+      heartbeatInterval: config.heartbeatInterval || 30000,
+      maxPayload: config.maxPayload || 16384
+    };
+
+    this.wss = null;
+    this.clients = new Set();
+  }
+
+  /**
+   * Accept WebSocket upgrades on the HTTP server
+   * @param {Object} server http.Server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: this.config.path,
+      maxPayload: this.config.maxPayload,
+      verifyClient: (info) => this.isOriginAllowed(info.origin)
+    });
+
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.heartbeat = setInterval(() => this.checkHeartbeats(), this.config.heartbeatInterval);
+
+    this.logger.info('WebSocket endpoint enabled', { path: this.config.path });
+  }
+
+  /**
+   * Same origins as the CORS configuration; non-browser clients send none
+   * @param {string} origin
+   * @returns {boolean}
+   */
+  isOriginAllowed(origin) {
+    return !origin || this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * @param {WebSocket} socket
+   * @param {Object} req Upgrade request
+   */
+  async handleConnection(socket, req) {
+    const client = {
+      socket,
+      ip: req.socket.remoteAddress,
+      userAgent: req.headers['user-agent'] || null,
+      sessionId: null,
+      subscription: null,
+      alive: true
+    };
+    this.clients.add(client);
+
+    socket.on('pong', () => {
+      client.alive = true;
+    });
+    socket.on('message', (data) => this.handleFrame(client, data));
+    socket.on('close', () => this.disconnect(client));
+    socket.on('error', (error) => {
+      this.logger.logError(error, { action: 'websocket', sessionId: client.sessionId });
+    });
+
+    const sessionId = new URL(req.url, 'http://localhost').searchParams.get('sessionId');
+    if (sessionId) {
+      await this.resume(client, sessionId);
+    }
+  }
+
+  /**
+   * Bind a new connection to an existing conversation
+   * @param {Object} client
+   * @param {string} sessionId
+   */
+  async resume(client, sessionId) {
+    try {
+      const conversation = UUID_PATTERN.test(sessionId) ? await this.database.getConversation(sessionId) : null;
+      // Escalated conversations keep receiving ticket replies and status changes
+      if (!conversation || !['active', 'escalated'].includes(conversation.status)) {
+        client.socket.close(4404, 'Invalid session');
+        return;
+      }
+
+      this.bind(client, sessionId, ['waiting', 'live'].includes(conversation.handoff_status));
+      this.send(client, 'ready', { sessionId });
+    } catch (error) {
+      this.logger.logError(error, { action: 'websocket_resume', sessionId });
+      client.socket.close(1011, 'Internal server error');
+    }
+  }
+
+  /**
+   * Subscribe the connection to the events of its session
+   * @param {Object} client
+   * @param {string} sessionId
+   * @param {boolean} handoffActive
+   */
+  bind(client, sessionId, handoffActive = false) {
+    client.sessionId = sessionId;
+    client.subscription = this.stream.subscribe(sessionId, (event, data, id) => {
+      this.send(client, event, data, { id });
+    }, { handoffActive });
+  }
+
+  /**
+   * @param {Object} client
+   */
+  disconnect(client) {
+    if (client.subscription) {
+      this.stream.close(client.subscription);
+      client.subscription = null;
+    }
+    this.clients.delete(client);
+  }
+
+  /**
+   * Dispatch a request frame
+   * @param {Object} client
+   * @param {Buffer} data
+   */
+  async handleFrame(client, data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(client, 'error', { error: 'Invalid JSON' });
+    }
+
+    const { type, requestId, ...payload } = frame || {};
+
+    if (type === 'ping') {
+      return this.send(client, 'pong', {}, { requestId });
+    }
+
+    if (this.rateLimiter) {
+      try {
+        await this.rateLimiter.consume(client.ip);
+      } catch (rateLimiterRes) {
+        this.logger.warn(`Rate limit exceeded for IP: ${client.ip}`);
+        return this.send(client, 'error', {
+          error: 'Too many requests',
+          retryAfter: rateLimiterRes.msBeforeNext
+        }, { requestId });
+      }
+    }
+
+    try {
+      switch (type) {
+        case 'start':
+          return await this.handleStart(client, payload, requestId);
+        case 'message':
+          return await this.handleMessage(client, payload, requestId);
+        case 'escalate':
+          return await this.handleEscalate(client, payload, requestId);
+        case 'end':
+          return await this.handleEnd(client, payload, requestId);
+        default:
+          return this.send(client, 'error', { error: 'Unknown message type' }, { requestId });
+      }
+    } catch (error) {
+      this.logger.logError(error, {
+        action: `websocket_${type}`,
+        sessionId: client.sessionId,
+        ip: client.ip
+      });
+
+      this.send(client, 'error', { error: 'Internal server error' }, { requestId });
+    }
+  }
+
+  /**
+   * Validate a request against the REST rules; answers the error itself
+   * @param {Object} client
+   * @param {Array} validators
+   * @param {Object} payload
+   * @param {string} requestId
+   * @returns {boolean} Whether the request is valid
+   */
+  async validate(client, validators, payload, requestId) {
+    const errors = await validatePayload(validators, payload);
+    if (errors.length > 0) {
+      this.send(client, 'error', { error: 'Validation failed', details: errors }, { requestId });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Requests other than start need a bound session
+   * @param {Object} client
+   * @param {string} requestId
+   * @returns {boolean}
+   */
+  requireSession(client, requestId) {
+    if (!client.sessionId) {
+      this.send(client, 'error', { error: 'No conversation started' }, { requestId });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Start a conversation and bind it to the connection
+   * @param {Object} client
+   * @param {Object} payload Same body as POST /api/chat/start
+   * @param {string} requestId
+   */
+  async handleStart(client, payload, requestId) {
+    if (client.sessionId) {
+      return this.send(client, 'error', { error: 'Conversation already started' }, { requestId });
+    }
+
+    if (!(await this.validate(client, validateStartConversation, payload, requestId))) {
+      return;
+    }
+
+    const result = await this.chat.startConversation({
+      language: payload.language || 'fr',
+      rubrique: payload.rubrique || 'general',
+      productCode: payload.productCode || null,
+      pageUrl: payload.pageUrl || null,
+      userIp: client.ip,
+      userAgent: payload.userAgent || client.userAgent
+    });
+
+    if (result.success) {
+      this.bind(client, result.sessionId);
+    }
+
+    this.send(client, 'started', result, { requestId });
+  }
+
+  /**
+   * Answer a message; the answer is streamed like POST /message with stream
+   * @param {Object} client
+   * @param {Object} payload { message, choice }
+   * @param {string} requestId
+   */
+  async handleMessage(client, payload, requestId) {
+    if (!this.requireSession(client, requestId)) {
+      return;
+    }
+
+    const body = { ...payload, sessionId: client.sessionId };
+    if (!(await this.validate(client, validateMessage, body, requestId))) {
+      return;
+    }
+
+    const { message, choice } = payload;
+
+    this.stream.publish(client.sessionId, 'typing', { active: true });
+
+    const result = await this.chat.processMessage(client.sessionId, message, {
+      choice: choice ? {
+        faqId: choice.faqId !== undefined ? Number(choice.faqId) : undefined,
+        id: choice.id,
+        index: Number(choice.index)
+      } : null
+    });
+
+    this.stream.publishResponse(client.sessionId, { ...result, requestId });
+  }
+
+  /**
+   * Create the support ticket of the bound conversation
+   * @param {Object} client
+   * @param {Object} payload { contactData }
+   * @param {string} requestId
+   */
+  async handleEscalate(client, payload, requestId) {
+    if (!this.requireSession(client, requestId)) {
+      return;
+    }
+
+    const body = { ...payload, sessionId: client.sessionId };
+    if (!(await this.validate(client, validateEscalation, body, requestId))) {
+      return;
+    }
+
+    const result = await this.chat.escalateToZendesk(client.sessionId, payload.contactData, payload.attachments || [], {
+      idempotencyKey: payload.idempotencyKey
+    });
+
+    this.send(client, 'escalated', result, { requestId });
+  }
+
+  /**
+   * End the bound conversation and close the connection
+   * @param {Object} client
+   * @param {Object} payload { feedback }
+   * @param {string} requestId
+   */
+  async handleEnd(client, payload, requestId) {
+    if (!this.requireSession(client, requestId)) {
+      return;
+    }
+
+    const body = { ...payload, sessionId: client.sessionId };
+    if (!(await this.validate(client, validateEndConversation, body, requestId))) {
+      return;
+    }
+
+    const result = await this.chat.endConversation(client.sessionId, payload.feedback || {});
+
+    this.send(client, 'ended', result, { requestId });
+    client.socket.close(1000, 'Conversation ended');
+  }
+
+  /**
+   * @param {Object} client
+   * @param {string} event
+   * @param {Object} data
+   * @param {Object} options { requestId, id }
+   */
+  send(client, event, data, { requestId = null, id = null } = {}) {
+    if (client.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const frame = { event, data };
+    if (requestId !== null && requestId !== undefined) {
+      frame.requestId = requestId;
+    }
+    if (id !== null) {
+      frame.id = id;
+    }
+
+    client.socket.send(JSON.stringify(frame));
+  }
+
+  /**
+   * Drop connections that did not answer the previous ping
+   */
+  checkHeartbeats() {
+    for (const client of this.clients) {
+      if (!client.alive) {
+        client.socket.terminate();
+        this.disconnect(client);
+        continue;
+      }
+
+      client.alive = false;
+      client.socket.ping();
+    }
+  }
+
+  /**
+   * Whether the endpoint is listening
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.wss;
+  }
+
+  /**
+   * Get WebSocket statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      path: this.config.path,
+      connections: this.clients.size
+    };
+  }
+
+  /**
+   * Close every connection (shutdown)
+   */
+  close() {
+    clearInterval(this.heartbeat);
+
+    for (const client of this.clients) {
+      client.socket.close(1001, 'Server shutting down');
+      this.disconnect(client);
+    }
+
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+}
+
+module.exports = ChatSocketService;
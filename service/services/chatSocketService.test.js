@@ -0,0 +1,135 @@
+const { WebSocket } = require('ws');
+const ChatSocketService = require('./chatSocketService');
+const ChatStreamService = require('./chatStreamService');
+const helpers = require('../test/helpers');
+
+const SESSION_ID = '3f2a9c01-d4e5-4f60-8a7b-1c2d3e4f5a6b';
+
+const createService = (deps = {}) => {
+  const chat = {
+    startConversation: jest.fn(async () => ({ success: true, sessionId: SESSION_ID, welcomeMessage: 'Bonjour' })),
+    processMessage: jest.fn(async () => ({ success: true, type: 'answer', message: 'Voici la réponse.', faqId: 12 }))
+  };
+
+  return helpers.createService(ChatSocketService, {
+    chat,
+    stream: helpers.createService(ChatStreamService),
+    database: { getConversation: jest.fn(async () => null) },
+    ...deps
+  });
+};
+
+const createClient = () => ({
+  socket: { readyState: WebSocket.OPEN, send: jest.fn(), close: jest.fn() },
+  ip: '203.0.113.7',
+  userAgent: 'jest',
+  sessionId: null,
+  subscription: null,
+  alive: true
+});
+
+const frames = (client) => client.socket.send.mock.calls.map(([frame]) => JSON.parse(frame));
+
+const request = (service, client, frame) => service.handleFrame(client, Buffer.from(JSON.stringify(frame)));
+
+describe('ChatSocketService', () => {
+  describe('handleFrame', () => {
+    it('answers a ping and rejects frames that are not JSON', async () => {
+      const service = createService();
+      const client = createClient();
+
+      await request(service, client, { type: 'ping', requestId: '1' });
+      await service.handleFrame(client, Buffer.from('{not json'));
+
+      expect(frames(client)).toEqual([
+        { event: 'pong', data: {}, requestId: '1' },
+        { event: 'error', data: { error: 'Invalid JSON' } }
+      ]);
+    });
+
+    it('binds the started conversation and streams its answers on the socket', async () => {
+      const service = createService();
+      const client = createClient();
+
+      await request(service, client, { type: 'start', requestId: '1', language: 'fr' });
+      await request(service, client, { type: 'message', requestId: '2', message: 'Bonjour' });
+
+      expect(client.sessionId).toBe(SESSION_ID);
+      expect(service.chat.processMessage).toHaveBeenCalledWith(SESSION_ID, 'Bonjour', { choice: null });
+      expect(frames(client).map(frame => frame.event)).toEqual(['started', 'typing', 'message', 'typing']);
+      expect(frames(client)[2].data).toMatchObject({ message: 'Voici la réponse.', requestId: '2' });
+    });
+
+    it('refuses requests before a conversation is started, and a second start', async () => {
+      const service = createService();
+      const client = createClient();
+
+      await request(service, client, { type: 'message', requestId: '1', message: 'Bonjour' });
+      await request(service, client, { type: 'start', requestId: '2' });
+      await request(service, client, { type: 'start', requestId: '3' });
+
+      expect(frames(client)).toEqual([
+        { event: 'error', data: { error: 'No conversation started' }, requestId: '1' },
+        expect.objectContaining({ event: 'started', requestId: '2' }),
+        { event: 'error', data: { error: 'Conversation already started' }, requestId: '3' }
+      ]);
+    });
+
+    it('validates a request with the rules of the REST route', async () => {
+      const service = createService();
+      const client = createClient();
+
+      await request(service, client, { type: 'start', requestId: '1', language: 'de' });
+
+      expect(frames(client)[0]).toMatchObject({ event: 'error', data: { error: 'Validation failed' }, requestId: '1' });
+      expect(service.chat.startConversation).not.toHaveBeenCalled();
+    });
+
+    it('answers a rate limited request with the delay to wait', async () => {
+      const service = createService({ rateLimiter: { consume: jest.fn(async () => { throw { msBeforeNext: 4000 }; }) } });
+      const client = createClient();
+
+      await request(service, client, { type: 'start', requestId: '1' });
+
+      expect(frames(client)).toEqual([{ event: 'error', data: { error: 'Too many requests', retryAfter: 4000 }, requestId: '1' }]);
+    });
+  });
+
+  describe('resume', () => {
+    it('closes a connection to a conversation that does not exist or has ended', async () => {
+      const service = createService();
+      const client = createClient();
+
+      await service.resume(client, SESSION_ID);
+      service.database.getConversation.mockResolvedValue({ status: 'resolved' });
+      await service.resume(client, SESSION_ID);
+
+      expect(client.socket.close.mock.calls).toEqual([[4404, 'Invalid session'], [4404, 'Invalid session']]);
+      expect(client.sessionId).toBeNull();
+    });
+
+    it('keeps an escalated conversation, to receive the ticket replies', async () => {
+      const service = createService();
+      const client = createClient();
+      service.database.getConversation.mockResolvedValue({ status: 'escalated', handoff_status: null });
+
+      await service.resume(client, SESSION_ID);
+
+      expect(frames(client)).toEqual([{ event: 'ready', data: { sessionId: SESSION_ID } }]);
+      expect(service.stream.hasSubscribers(SESSION_ID)).toBe(true);
+
+      service.disconnect(client);
+      expect(service.stream.hasSubscribers(SESSION_ID)).toBe(false);
+    });
+  });
+
+  describe('isOriginAllowed', () => {
+    it('follows the CORS origins and lets clients without an origin in', () => {
+      const service = createService({ allowedOrigins: ['https://www.example.com'] });
+
+      expect(service.isOriginAllowed('https://www.example.com')).toBe(true);
+      expect(service.isOriginAllowed('https://evil.example')).toBe(false);
+      expect(service.isOriginAllowed(undefined)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Event streams of chat sessions.
+ *
+ * The widget opens `GET /api/chat/stream/:sessionId` (Server-Sent Events) or
+ * a WebSocket (see ChatSocketService, which subscribes here) and receives:
+ *
+ *   typing    { active }                      the assistant is preparing an answer
+ *   message   { ...POST /message response }   the answer, with choices and suggestions
+ *   agent     { id, text, agentName }          live agent or Zendesk reply (event id = message id)
+ *   system    { id, text }                     handoff or ticket notice (event id = message id)
+ *   handoff   { status }                      live agent takeover status
+ *
+ * Answers are built whole (FAQ, flows, language files), so each one is pushed
+ * as a single `message` event. They only go through the stream when the stream
+ * of the session is connected to this instance; otherwise POST /message
+ * answers with JSON as before. Agent messages are relayed from the database
+ * while a handoff is active, so they reach the widget whichever instance the
+ * agent used.
+ */
+class ChatStreamService {
+  constructor({ handoff = null, config = {}, logger }) {
+    this.handoff = handoff;
+    this.logger = logger;
+    this.config = {
+      heartbeatInterval: config.heartbeatInterval || 15000,
+      retryDelay: config.retryDelay || 3000
+    };
+
+    // Open streams per session id
+    this.connections = new Map();
+  }
+
+  /**
+   * Start streaming to a client
+   * @param {string} sessionId
+   * @param {Object} res Express response
+   * @param {Object} options
+   * @param {number} options.lastEventId Last agent/system message the client received
+   * @param {boolean} options.handoffActive Relay agent messages right away
+   * @returns {Object} Connection
+   */
+  open(sessionId, res, { lastEventId = 0, handoffActive = false } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Disable proxy buffering (nginx)
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.config.retryDelay}\n\n`);
+
+    const connection = this.subscribe(sessionId, (event, data, id) => {
+      res.write(this.formatEvent(event, data, id));
+    }, { lastEventId, handoffActive });
+
+    connection.heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, this.config.heartbeatInterval);
+    connection.end = () => res.end();
+
+    res.on('close', () => this.close(connection));
+
+    return connection;
+  }
+
+  /**
+   * Receive the events of a session through a callback
+   * @param {string} sessionId
+   * @param {Function} send (event, data, id) => void
+   * @param {Object} options Same as open()
+   * @returns {Object} Connection, to pass to close()
+   */
+  subscribe(sessionId, send, { lastEventId = 0, handoffActive = false } = {}) {
+    const connection = {
+      sessionId,
+      send,
+      afterId: lastEventId,
+      relaying: false,
+      closed: false
+    };
+
+    if (!this.connections.has(sessionId)) {
+      this.connections.set(sessionId, new Set());
+    }
+    this.connections.get(sessionId).add(connection);
+
+    if (handoffActive) {
+      this.startRelay(connection);
+    }
+
+    return connection;
+  }
+
+  /**
+   * Forget a connection
+   * @param {Object} connection
+   */
+  close(connection) {
+    if (connection.closed) {
+      return;
+    }
+
+    connection.closed = true;
+    clearInterval(connection.heartbeat);
+
+    const connections = this.connections.get(connection.sessionId);
+    if (connections) {
+      connections.delete(connection);
+      if (connections.size === 0) {
+        this.connections.delete(connection.sessionId);
+      }
+    }
+
+    // Wake up the relay so it notices the connection is gone
+    if (this.handoff) {
+      this.handoff.notify(connection.sessionId);
+    }
+  }
+
+  /**
+   * Whether a stream of the session is connected to this instance
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  hasSubscribers(sessionId) {
+    return this.connections.has(sessionId);
+  }
+
+  /**
+   * Send an event to every stream of a session
+   * @param {string} sessionId
+   * @param {string} event
+   * @param {Object} data
+   * @param {number} id Event id, for messages stored in the database
+   */
+  publish(sessionId, event, data, id = null) {
+    const connections = this.connections.get(sessionId);
+    if (!connections) {
+      return;
+    }
+
+    for (const connection of connections) {
+      this.write(connection, event, data, id);
+    }
+  }
+
+  /**
+   * Push a chat response to the streams of its session
+   * @param {string} sessionId
+   * @param {Object} response processMessage result
+   */
+  publishResponse(sessionId, response) {
+    this.publish(sessionId, 'message', response);
+    this.publish(sessionId, 'typing', { active: false });
+
+    if (response.handoff) {
+      this.publish(sessionId, 'handoff', response.handoff);
+      if (['waiting', 'live'].includes(response.handoff.status)) {
+        (this.connections.get(sessionId) || []).forEach(connection => this.startRelay(connection));
+      }
+    }
+  }
+
+  /**
+   * Relay agent messages and handoff notices until the handoff ends
+   * @param {Object} connection
+   */
+  async startRelay(connection) {
+    if (!this.handoff || connection.relaying) {
+      return;
+    }
+
+    connection.relaying = true;
+
+    try {
+      while (!connection.closed) {
+        const events = await this.handoff.waitForEvents(connection.sessionId, connection.afterId);
+        if (connection.closed) {
+          break;
+        }
+
+        for (const message of events.messages) {
+          connection.afterId = Math.max(connection.afterId, message.id);
+          this.write(connection, message.type, message, message.id);
+        }
+
+        if (!['waiting', 'live'].includes(events.handoff.status)) {
+          this.write(connection, 'handoff', events.handoff);
+          break;
+        }
+      }
+    } catch (error) {
+      this.logger.logError(error, { action: 'stream_relay', sessionId: connection.sessionId });
+    }
+
+    connection.relaying = false;
+  }
+
+  /**
+   * @param {Object} connection
+   * @param {string} event
+   * @param {Object} data
+   * @param {number} id
+   */
+  write(connection, event, data, id = null) {
+    if (!connection.closed) {
+      connection.send(event, data, id);
+    }
+  }
+
+  /**
+   * Serialize an event in the Server-Sent Events format
+   * @param {string} event
+   * @param {Object} data
+   * @param {number} id
+   * @returns {string}
+   */
+  formatEvent(event, data, id = null) {
+    const lines = [];
+    if (id !== null) {
+      lines.push(`id: ${id}`);
+    }
+    lines.push(`event: ${event}`);
+    lines.push(`data: ${JSON.stringify(data)}`);
+
+    return `${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Close every stream (shutdown)
+   */
+  closeAll() {
+    for (const connections of this.connections.values()) {
+      for (const connection of connections) {
+        if (connection.end) {
+          connection.end();
+        }
+        this.close(connection);
+      }
+    }
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {Object}
+   */
+  getStats() {
+    let connections = 0;
+    for (const sessionConnections of this.connections.values()) {
+      connections += sessionConnections.size;
+    }
+
+    return {
+      sessions: this.connections.size,
+      connections
+    };
+  }
+}
+
+module.exports = ChatStreamService;
@@ -0,0 +1,91 @@
+const ChatStreamService = require('./chatStreamService');
+const helpers = require('../test/helpers');
+
+const createService = (handoff = null) => helpers.createService(ChatStreamService, { handoff });
+
+const createResponse = () => {
+  const res = {
+    writeHead: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn(),
+    on: jest.fn((event, listener) => {
+      res.listeners[event] = listener;
+    }),
+    listeners: {}
+  };
+  return res;
+};
+
+const answer = {
+  type: 'answer',
+  message: 'Pour rejoindre l’action Levothyrox, remplissez le formulaire.',
+  faqId: 12,
+  suggestions: ['Quels sont les frais ?']
+};
+
+describe('ChatStreamService', () => {
+  describe('publishResponse', () => {
+    it('pushes the answer whole, in one message event, then stops the typing indicator', () => {
+      const service = createService();
+      const send = jest.fn();
+      service.subscribe('session-1', send);
+
+      service.publishResponse('session-1', answer);
+
+      expect(send.mock.calls).toEqual([
+        ['message', answer, null],
+        ['typing', { active: false }, null]
+      ]);
+    });
+
+    it('only reaches the streams of the session', () => {
+      const service = createService();
+      const send = jest.fn();
+      service.subscribe('session-2', send);
+
+      service.publishResponse('session-1', answer);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(service.hasSubscribers('session-1')).toBe(false);
+    });
+
+    it('starts relaying agent messages when a handoff is waiting', async () => {
+      const handoff = {
+        notify: jest.fn(),
+        waitForEvents: jest.fn(async () => ({
+          messages: [{ id: 41, type: 'agent', text: 'Bonjour, je suis Alice.' }],
+          handoff: { status: 'released' }
+        }))
+      };
+      const service = createService(handoff);
+      const send = jest.fn();
+      const connection = service.subscribe('session-1', send, { lastEventId: 40 });
+
+      service.publishResponse('session-1', { ...answer, type: 'handoff', handoff: { status: 'waiting' } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(handoff.waitForEvents).toHaveBeenCalledWith('session-1', 40);
+      expect(send).toHaveBeenCalledWith('agent', expect.objectContaining({ id: 41 }), 41);
+      expect(send).toHaveBeenLastCalledWith('handoff', { status: 'released' }, null);
+      expect(connection.afterId).toBe(41);
+    });
+  });
+
+  describe('open', () => {
+    it('writes the events in the Server-Sent Events format and forgets the stream once closed', () => {
+      const service = createService();
+      const res = createResponse();
+
+      service.open('session-1', res);
+      service.publish('session-1', 'system', { id: 7, text: 'Ticket créé' }, 7);
+
+      expect(res.write).toHaveBeenCalledWith('retry: 3000\n\n');
+      expect(res.write).toHaveBeenLastCalledWith('id: 7\nevent: system\ndata: {"id":7,"text":"Ticket créé"}\n\n');
+
+      res.listeners.close();
+
+      expect(service.hasSubscribers('session-1')).toBe(false);
+      expect(service.getStats()).toEqual({ sessions: 0, connections: 0 });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const TicketProvider = require('./ticketProvider');
+
+/**
+ * Ticketing by email, for partner firms working from a shared mailbox.
+ *
+ * Each escalation is mailed to the mailbox with the transcript and its files;
+ * replying goes to the requester. The mailbox does not number tickets, so a
+ * reference is made up and put in the subject ("[Myleo EML-3F2A9C01D4] ...")
+ * to keep the thread together. Statuses cannot be read back.
+ */
+class EmailTicketProvider extends TicketProvider {
+  constructor({ mail, config = {}, logger }) {
+    super();
+    this.mail = mail;
+    this.logger = logger;
+    this.config = {
+      to: config.to || '',
+      subjectPrefix: config.subjectPrefix || 'Myleo'
+    };
+  }
+
+  /**
+   * Mail the escalation to the mailbox
+   * @param {Object} ticketData
+   * @param {Object} options
+   * @returns {Object}
+   */
+  async createTicket(ticketData, { idempotencyKey = null } = {}) {
+    const ticketId = this.createReference('EML', idempotencyKey);
+
+    try {
+      const { messageId } = await this.send(ticketId, this.getSubject(ticketData), {
+        text: this.buildTicketDescription(ticketData),
+        html: this.buildTicketHtml(ticketData),
+        replyTo: `${`${ticketData.firstName || ''} ${ticketData.lastName || ''}`.trim()} <${ticketData.email}>`,
+        headers: this.getPriorityHeaders(ticketData),
+        attachments: (ticketData.attachments || []).map(file => ({
+          filename: file.filename,
+          content: file.buffer,
+          contentType: file.contentType
+        }))
+      });
+
+      this.logger.info('Escalation emailed to the support mailbox', { ticketId, messageId });
+
+      return {
+        success: true,
+        ticketId,
+        ticketUrl: null,
+        failedAttachments: []
+      };
+    } catch (error) {
+      this.logger.error('Failed to email escalation', {
+        ticketId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Mail a follow-up in the thread of the ticket
+   * @param {string} ticketId
+   * @param {string} comment
+   * @returns {Object}
+   */
+  async addComment(ticketId, comment) {
+    try {
+      await this.send(ticketId, 'Complément', { text: comment });
+      return { success: true };
+    } catch (error) {
+      this.logger.error('Failed to email ticket comment', {
+        ticketId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} ticketId
+   * @returns {Object}
+   */
+  async getTicketStatus(ticketId) {
+    this.logger.debug('Status requested for an email ticket', { ticketId });
+
+    return {
+      success: false,
+      error: 'Ticket status is not available for email tickets'
+    };
+  }
+
+  /**
+   * Subject flagged for high and urgent tickets, mail clients having no
+   * priority field of their own
+   * @param {Object} ticketData
+   * @returns {string}
+   */
+  getSubject(ticketData) {
+    const subject = ticketData.subject || 'Demande de support via chatbot';
+    return ['high', 'urgent'].includes(ticketData.priority)
+      ? `[${ticketData.priority.toUpperCase()}] ${subject}`
+      : subject;
+  }
+
+  /**
+   * Priority and tags (routing rule, urgency) as headers mailbox rules can filter on
+   * @param {Object} ticketData
+   * @returns {Object}
+   */
+  getPriorityHeaders(ticketData) {
+    const headers = {};
+
+    if (['high', 'urgent'].includes(ticketData.priority)) {
+      headers['X-Priority'] = '1';
+      headers.Importance = 'high';
+    }
+    if (ticketData.priority) {
+      headers['X-Myleo-Priority'] = ticketData.priority;
+    }
+    if (ticketData.tags && ticketData.tags.length > 0) {
+      headers['X-Myleo-Tags'] = ticketData.tags.join(' ');
+    }
+
+    return headers;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  async testConnection() {
+    if (!this.config.to) {
+      return { success: false, error: 'No support mailbox configured' };
+    }
+
+    const connected = await this.mail.verify();
+    return connected
+      ? { success: true, message: 'SMTP connection successful' }
+      : { success: false, error: 'SMTP server unavailable' };
+  }
+
+  /**
+   * @param {string} ticketId
+   * @param {string} subject
+   * @param {Object} mail { text, html, replyTo, headers, attachments }
+   * @returns {Object} { messageId }
+   */
+  async send(ticketId, subject, { headers = {}, ...mail }) {
+    if (!this.config.to) {
+      throw new Error('No support mailbox configured');
+    }
+
+    return this.mail.send({
+      to: this.config.to,
+      subject: `[${this.config.subjectPrefix} ${ticketId}] ${subject || 'Demande de support via chatbot'}`,
+      headers: { ...headers, 'X-Myleo-Ticket': ticketId },
+      ...mail
+    });
+  }
+}
+
+module.exports = EmailTicketProvider;
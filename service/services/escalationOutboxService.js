@@ -0,0 +1,354 @@
+/**
+ * Durable delivery of chat escalations to the ticketing provider (Zendesk by
+ * default, see TicketingService).
+ *
+ * An escalation is stored in the `escalation_outbox` table before anything is
+ * sent, so the user is answered right away and the request survives helpdesk
+ * outages, rate limits and restarts. A worker on every instance picks due
+ * entries (a row lock keeps two instances from sending the same one) and
+ * retries failures with exponential backoff. Entries that keep failing, or
+ * that the helpdesk refuses outright, are dead-lettered for the admin view.
+ *
+ * Each entry has an idempotency key: a second submit of the same escalation
+ * returns the first entry, and the key is sent to the provider so a retry after a
+ * lost response does not create a second ticket.
+ */
+class EscalationOutboxService {
+  constructor({ database, ticketing, stream = null, handoff = null, language, config = {}, logger }) {
+    this.database = database;
+    this.ticketing = ticketing;
+    this.stream = stream;
+    this.handoff = handoff;
+    this.language = language;
+    this.logger = logger;
+    this.config = {
+      pollInterval: config.pollInterval || 10000,
+      batchSize: config.batchSize || 10,
+      maxAttempts: config.maxAttempts || 8,
+      baseDelay: config.baseDelay || 30000, // Doubled after every failed attempt
+      maxDelay: config.maxDelay || 3600000,
+      lockTimeout: config.lockTimeout || 120000 // An entry held longer is considered lost (crashed instance)
+    };
+
+    this.interval = null;
+    this.processing = false;
+  }
+
+  /**
+   * Start the delivery worker
+   */
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    this.interval = setInterval(() => this.processDue(), this.config.pollInterval);
+    this.logger.info('Escalation outbox worker started', { pollInterval: this.config.pollInterval });
+  }
+
+  /**
+   * Stop the delivery worker (shutdown)
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Deliver a new entry without waiting for the next poll
+   */
+  kick() {
+    setImmediate(() => this.processDue());
+  }
+
+  /**
+   * Store an escalation for delivery
+   * @param {Object} params
+   * @param {number} params.conversationId
+   * @param {string} params.idempotencyKey
+   * @param {Object} params.conversationData Same as TicketProvider.escalateConversation
+   * @param {Object} params.contactData
+   * @returns {Object} { entry, duplicate }
+   */
+  async enqueue({ conversationId, idempotencyKey, conversationData, contactData }) {
+    const payload = {
+      conversationData: {
+        ...conversationData,
+        // Files are kept as base64 until delivery
+        attachments: (conversationData.attachments || []).map(file => ({
+          filename: file.filename,
+          contentType: file.contentType,
+          size: file.size,
+          sha256: file.sha256,
+          content: file.buffer.toString('base64')
+        }))
+      },
+      contactData
+    };
+
+    try {
+      await this.database.enqueueEscalation({ conversationId, idempotencyKey, payload });
+    } catch (error) {
+      // Same escalation submitted twice at the same time
+      if (error.code !== 'ER_DUP_ENTRY') {
+        throw error;
+      }
+
+      return { entry: await this.database.getEscalationByKey(idempotencyKey), duplicate: true };
+    }
+
+    const entry = await this.database.getEscalationByKey(idempotencyKey);
+    this.logger.info('Escalation queued', { escalationId: entry.id, sessionId: conversationData.sessionId });
+    this.kick();
+
+    return { entry, duplicate: false };
+  }
+
+  /**
+   * @param {string} idempotencyKey
+   * @returns {Object|null}
+   */
+  async findByKey(idempotencyKey) {
+    return this.database.getEscalationByKey(idempotencyKey);
+  }
+
+  /**
+   * Deliver the entries that are due
+   */
+  async processDue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+
+    try {
+      const ids = await this.database.getDueEscalations(this.config.batchSize);
+
+      for (const id of ids) {
+        // Another instance may have taken it in the meantime
+        const claimed = await this.database.claimEscalation(id, Math.ceil(this.config.lockTimeout / 1000));
+        if (claimed) {
+          await this.deliverClaimed(id);
+        }
+      }
+    } catch (error) {
+      this.logger.logError(error, { action: 'escalation_outbox' });
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Deliver a claimed entry; an unexpected error only reschedules this entry,
+   * the rest of the batch goes on
+   * @param {number} id
+   */
+  async deliverClaimed(id) {
+    let entry = null;
+
+    try {
+      entry = await this.database.getEscalation(id);
+      await this.deliver(entry);
+    } catch (error) {
+      this.logger.logError(error, { action: 'escalation_delivery', escalationId: id });
+
+      // Without the entry, or if this fails too, the lock expires and the entry is picked again
+      if (entry) {
+        try {
+          await this.fail(entry, error.message);
+        } catch (failError) {
+          this.logger.logError(failError, { action: 'escalation_delivery', escalationId: id });
+        }
+      }
+    }
+  }
+
+  /**
+   * Send one claimed entry to its ticketing provider
+   * @param {Object} entry escalation_outbox row, attempts already counted
+   */
+  async deliver(entry) {
+    const { conversationData, contactData } = entry.payload;
+
+    const result = await this.ticketing.escalateConversation({
+      ...conversationData,
+      attachments: conversationData.attachments.map(file => ({
+        ...file,
+        buffer: Buffer.from(file.content, 'base64')
+      }))
+    }, contactData, { idempotencyKey: entry.idempotency_key });
+
+    if (result.success) {
+      // The ticket exists: from here on nothing may send the entry back to the queue
+      await this.database.markEscalationDelivered(entry.id, result.ticketId, !!result.merged);
+      await this.complete(entry, conversationData, contactData, result);
+
+      this.logger.info('Escalation delivered', {
+        escalationId: entry.id,
+        sessionId: conversationData.sessionId,
+        provider: result.provider,
+        ticketId: result.ticketId,
+        merged: !!result.merged,
+        attempts: entry.attempts
+      });
+      return;
+    }
+
+    const error = result.validationErrors ? result.validationErrors.join(', ') : result.error;
+    await this.fail(entry, error, this.isRetryable(result), result.retryAfter);
+  }
+
+  /**
+   * Record the ticket on the conversation and tell the user. The entry is
+   * already delivered, so a failure here is logged and does not stop the
+   * other step
+   * @param {Object} entry
+   * @param {Object} conversationData
+   * @param {Object} contactData
+   * @param {Object} result escalateConversation result
+   */
+  async complete(entry, conversationData, contactData, result) {
+    try {
+      // A merged ticket stays with the conversation that created it (replies, status lookups)
+      await this.database.updateConversationStatus(entry.conversation_id, 'escalated', result.merged ? {} : {
+        zendeskTicketId: result.ticketId,
+        ticketProvider: result.provider,
+        ticketEmail: contactData.email
+      });
+    } catch (error) {
+      this.logger.logError(error, { action: 'escalation_conversation_update', escalationId: entry.id, ticketId: result.ticketId });
+    }
+
+    try {
+      await this.notifyUser(entry, conversationData, result);
+    } catch (error) {
+      this.logger.logError(error, { action: 'escalation_notify', escalationId: entry.id, ticketId: result.ticketId });
+    }
+  }
+
+  /**
+   * Reschedule a failed entry, or dead-letter it
+   * @param {Object} entry
+   * @param {string} error
+   * @param {boolean} retryable
+   * @param {number} retryAfter Seconds asked by the provider (429), if any
+   */
+  async fail(entry, error, retryable = true, retryAfter = null) {
+    const sessionId = entry.payload?.conversationData?.sessionId;
+
+    if (!retryable || entry.attempts >= this.config.maxAttempts) {
+      await this.database.deadLetterEscalation(entry.id, error);
+
+      this.logger.error('Escalation dead-lettered', {
+        escalationId: entry.id,
+        sessionId,
+        attempts: entry.attempts,
+        error
+      });
+      return;
+    }
+
+    const delay = this.getRetryDelay(entry.attempts, retryAfter);
+    await this.database.rescheduleEscalation(entry.id, error, Math.ceil(delay / 1000));
+
+    this.logger.warn('Escalation delivery failed, will retry', {
+      escalationId: entry.id,
+      sessionId,
+      attempts: entry.attempts,
+      retryIn: `${delay}ms`,
+      error
+    });
+  }
+
+  /**
+   * Network errors, rate limits and server errors are worth retrying;
+   * invalid data is not
+   * @param {Object} result escalateConversation result
+   * @returns {boolean}
+   */
+  isRetryable(result) {
+    if (result.validationErrors) {
+      return false;
+    }
+
+    return !result.status || result.status >= 500 || [408, 409, 429].includes(result.status);
+  }
+
+  /**
+   * @param {number} attempts Attempts made so far
+   * @param {number} retryAfter Seconds asked by the provider (429), if any
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(attempts, retryAfter = null) {
+    const backoff = Math.min(this.config.baseDelay * 2 ** (attempts - 1), this.config.maxDelay);
+    return Math.max(backoff, (retryAfter || 0) * 1000);
+  }
+
+  /**
+   * Give the ticket number to the user, in the chat they escalated from; the
+   * number of an open ticket it was merged into is not given, anyone can type
+   * the requester's email
+   * @param {Object} entry
+   * @param {Object} conversationData
+   * @param {Object} result
+   */
+  async notifyUser(entry, conversationData, result) {
+    const languageCode = conversationData.languageCode;
+    const failedAttachments = result.failedAttachments || [];
+
+    const text = [
+      result.merged
+        ? this.language.get('escalation.merged', languageCode)
+        : this.language.get('escalation.ticketReference', languageCode, { ticketId: result.ticketId }),
+      failedAttachments.length > 0
+        ? this.language.get('escalation.attachmentsFailed', languageCode, { files: failedAttachments.join(', ') })
+        : ''
+    ].filter(Boolean).join(' ');
+
+    const messageId = await this.database.saveMessage({
+      conversationId: entry.conversation_id,
+      messageType: 'system',
+      messageText: text
+    });
+
+    if (this.stream) {
+      this.stream.publish(conversationData.sessionId, 'system', { id: messageId, type: 'system', text }, messageId);
+    }
+    if (this.handoff) {
+      this.handoff.notify(conversationData.sessionId);
+    }
+  }
+
+  /**
+   * Put a dead-lettered entry back in the queue (admin)
+   * @param {number} id
+   * @returns {boolean} Whether the entry was requeued
+   */
+  async retry(id) {
+    const requeued = await this.database.retryEscalation(id);
+    if (requeued) {
+      this.logger.info('Escalation requeued', { escalationId: id });
+      this.kick();
+    }
+    return requeued;
+  }
+
+  /**
+   * Entries and counts for the admin view
+   * @param {Object} filters { status, limit }
+   * @returns {Object} { escalations, counts }
+   */
+  async list(filters = {}) {
+    const [escalations, counts] = await Promise.all([
+      this.database.listEscalations(filters),
+      this.database.getEscalationCounts()
+    ]);
+
+    return { escalations, counts };
+  }
+}
+
+module.exports = EscalationOutboxService;
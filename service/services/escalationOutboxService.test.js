@@ -0,0 +1,153 @@
+const EscalationOutboxService = require('./escalationOutboxService');
+const helpers = require('../test/helpers');
+
+const createEntry = (id, attempts = 1) => ({
+  id,
+  conversation_id: 10 + id,
+  idempotency_key: `key-${id}`,
+  attempts,
+  payload: {
+    conversationData: { sessionId: `session-${id}`, languageCode: 'fr', attachments: [] },
+    contactData: { email: 'jean@example.com' }
+  }
+});
+
+const createService = (ticketing, entries = {}) => {
+  const database = {
+    getDueEscalations: jest.fn(async () => Object.keys(entries).map(Number)),
+    claimEscalation: jest.fn(async () => true),
+    getEscalation: jest.fn(async id => entries[id]),
+    markEscalationDelivered: jest.fn(),
+    updateConversationStatus: jest.fn(),
+    saveMessage: jest.fn(async () => 99),
+    rescheduleEscalation: jest.fn(),
+    deadLetterEscalation: jest.fn()
+  };
+
+  const service = helpers.createService(EscalationOutboxService, {
+    database,
+    ticketing,
+    config: { baseDelay: 30000, maxDelay: 3600000, maxAttempts: 8 }
+  });
+
+  return { service, database };
+};
+
+describe('EscalationOutboxService', () => {
+  describe('getRetryDelay', () => {
+    it('doubles the base delay after every attempt', () => {
+      const { service } = createService({});
+
+      expect([1, 2, 3, 4].map(attempts => service.getRetryDelay(attempts))).toEqual([30000, 60000, 120000, 240000]);
+    });
+
+    it('is capped by the maximum delay', () => {
+      const { service } = createService({});
+
+      expect(service.getRetryDelay(8)).toBe(3600000);
+    });
+
+    it('waits at least as long as the provider asks', () => {
+      const { service } = createService({});
+
+      expect(service.getRetryDelay(1, 90)).toBe(90000);
+      expect(service.getRetryDelay(3, 10)).toBe(120000);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('retries network errors, rate limits and server errors only', () => {
+      const { service } = createService({});
+
+      expect(service.isRetryable({ error: 'ECONNRESET' })).toBe(true);
+      expect(service.isRetryable({ status: 429 })).toBe(true);
+      expect(service.isRetryable({ status: 503 })).toBe(true);
+      expect(service.isRetryable({ status: 422 })).toBe(false);
+      expect(service.isRetryable({ validationErrors: ['Email is required'] })).toBe(false);
+    });
+  });
+
+  describe('deliver', () => {
+    it('reschedules a retryable failure with the backoff delay', async () => {
+      const { service, database } = createService({
+        escalateConversation: jest.fn(async () => ({ success: false, status: 503, error: 'Service Unavailable' }))
+      });
+
+      await service.deliver(createEntry(1, 2));
+
+      expect(database.rescheduleEscalation).toHaveBeenCalledWith(1, 'Service Unavailable', 60);
+      expect(database.deadLetterEscalation).not.toHaveBeenCalled();
+    });
+
+    it('dead-letters an entry after the last attempt', async () => {
+      const { service, database } = createService({
+        escalateConversation: jest.fn(async () => ({ success: false, status: 503, error: 'Service Unavailable' }))
+      });
+
+      await service.deliver(createEntry(1, 8));
+
+      expect(database.deadLetterEscalation).toHaveBeenCalledWith(1, 'Service Unavailable');
+      expect(database.rescheduleEscalation).not.toHaveBeenCalled();
+    });
+
+    it('dead-letters a ticket the provider rejects at once', async () => {
+      const { service, database } = createService({
+        escalateConversation: jest.fn(async () => ({ success: false, status: 422, error: 'Invalid requester' }))
+      });
+
+      await service.deliver(createEntry(1, 1));
+
+      expect(database.deadLetterEscalation).toHaveBeenCalledWith(1, 'Invalid requester');
+    });
+
+    it('keeps a delivered entry delivered when a step after the ticket creation fails', async () => {
+      const { service, database } = createService({
+        escalateConversation: jest.fn(async () => ({ success: true, ticketId: '35436', provider: 'zendesk' }))
+      }, { 1: createEntry(1) });
+      database.updateConversationStatus.mockRejectedValue(new Error('Connection lost'));
+
+      await service.deliverClaimed(1);
+
+      expect(database.markEscalationDelivered).toHaveBeenCalledWith(1, '35436', false);
+      expect(database.rescheduleEscalation).not.toHaveBeenCalled();
+      expect(database.deadLetterEscalation).not.toHaveBeenCalled();
+      expect(database.saveMessage).toHaveBeenCalledTimes(1);
+      expect(service.logger.logError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ escalationId: 1 }));
+    });
+  });
+
+  describe('notifyUser', () => {
+    it('does not give the number of an open ticket the escalation was merged into', async () => {
+      const { service, database } = createService({
+        escalateConversation: jest.fn(async () => ({ success: true, merged: true, ticketId: '35436', provider: 'zendesk' }))
+      });
+      service.language = helpers.createLanguage((key, languageCode, replacements) => `${key} ${JSON.stringify(replacements || {})}`);
+
+      await service.deliver(createEntry(1));
+
+      expect(database.markEscalationDelivered).toHaveBeenCalledWith(1, '35436', true);
+      expect(database.updateConversationStatus).toHaveBeenCalledWith(11, 'escalated', {});
+      expect(database.saveMessage.mock.calls[0][0].messageText).not.toContain('35436');
+    });
+  });
+
+  describe('processDue', () => {
+    it('only reschedules the entry that throws, the others are delivered', async () => {
+      const ticketing = {
+        escalateConversation: jest.fn(async conversationData => {
+          if (conversationData.sessionId === 'session-1') {
+            throw new Error('Unexpected response');
+          }
+          return { success: true, ticketId: '35436', provider: 'zendesk' };
+        })
+      };
+      const { service, database } = createService(ticketing, { 1: createEntry(1), 2: createEntry(2) });
+
+      await service.processDue();
+
+      expect(database.rescheduleEscalation).toHaveBeenCalledWith(1, 'Unexpected response', 30);
+      expect(database.markEscalationDelivered).toHaveBeenCalledWith(2, '35436', false);
+      expect(database.markEscalationDelivered).not.toHaveBeenCalledWith(1, expect.anything());
+    });
+  });
+});
@@ -0,0 +1,399 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Guided multi-step conversation flows (decision trees).
+ *
+ * Flows are defined per language in `flows/<lang>.json`. Each flow is a set of
+ * nodes starting at `start`:
+ *
+ *   {
+ *     "id": "levothyrox_concerned",
+ *     "title": "Suis-je concerné par l'action Levothyrox ?",
+ *     "products": ["LEVOTHYROX_MERCK"],   // offered when the widget runs on these product pages
+ *     "triggers": { "exact": [], "phrases": ["concerné levothyrox"] },
+ *     "start": "took_medication",
+ *     "nodes": {
+ *       "took_medication": {
+ *         "type": "choice",
+ *         "text": "Avez-vous pris la nouvelle formule ?",
+ *         "choices": [
+ *           { "id": "yes", "label": "Oui", "synonyms": ["oui"], "next": "email" },
+ *           { "id": "no", "label": "Non", "next": "not_concerned" }
+ *         ]
+ *       },
+ *       "email": {
+ *         "type": "input",
+ *         "text": "Quelle est votre adresse email ?",
+ *         "slot": "email",
+ *         "validation": { "type": "email", "error": "@flows.invalidEmail" },
+ *         "next": "done"
+ *       },
+ *       "done": {
+ *         "type": "end",
+ *         "text": "Merci {{email}} !",
+ *         "action": { "type": "link", "url": "https://...", "label": "Rejoindre" }
+ *       }
+ *     }
+ *   }
+ *
+ * Terminal actions are "answer" (text only), "link" (text plus a link) and
+ * "escalate" (text plus the ticket creation offer). Text values starting with
+ * "@" are translation keys; "{{slot}}" placeholders are filled with answers.
+ *
+ * Eligibility questionnaires are flows with `"kind": "eligibility"` whose
+ * terminal nodes carry an `"outcome"` (eligible, probably_eligible or
+ * not_eligible); their answers are stored against the conversation.
+ */
+const ELIGIBILITY_OUTCOMES = ['eligible', 'probably_eligible', 'not_eligible'];
+
+class FlowService {
+  constructor({ language, config = {}, logger }) {
+    this.language = language;
+    this.logger = logger;
+    this.config = {
+      path: config.path || path.join(__dirname, '../../flows'),
+      defaultLanguage: config.defaultLanguage || 'fr'
+    };
+
+    // Flows per language, keyed by flow id
+    this.flows = {};
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load flow definitions from the flows directory
+   */
+  async load() {
+    const flows = {};
+    const files = await fs.readdir(this.config.path);
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const languageCode = path.basename(file, '.json');
+      const content = await fs.readFile(path.join(this.config.path, file), 'utf8');
+
+      try {
+        const data = JSON.parse(content);
+        const list = Array.isArray(data) ? data : data.flows || [];
+
+        flows[languageCode] = {};
+        for (const flow of list) {
+          if (!flow || !flow.id) {
+            continue;
+          }
+
+          const errors = this.validateFlow(flow);
+          if (errors.length > 0) {
+            this.logger.error(`Invalid flow ${flow.id} in ${file}`, { errors });
+            continue;
+          }
+
+          flows[languageCode][flow.id] = this.normalizeFlow(flow);
+        }
+      } catch (parseError) {
+        this.logger.error(`Failed to parse flow file ${file}`, { error: parseError.message });
+      }
+    }
+
+    this.flows = flows;
+    this.loadedAt = new Date();
+
+    this.logger.info('Chat flows loaded', {
+      languages: Object.keys(flows),
+      counts: Object.fromEntries(Object.entries(flows).map(([lang, list]) => [lang, Object.keys(list).length]))
+    });
+  }
+
+  /**
+   * Reload flow definitions (admin endpoint)
+   */
+  async reload() {
+    await this.load();
+    return this.getStats();
+  }
+
+  /**
+   * Check that every node reference of a flow points to an existing node
+   * @param {Object} flow
+   * @returns {Array} Error messages
+   */
+  validateFlow(flow) {
+    const errors = [];
+    const nodes = flow.nodes || {};
+    const exists = (nodeId) => Object.prototype.hasOwnProperty.call(nodes, nodeId);
+
+    if (!exists(flow.start)) {
+      errors.push(`start node "${flow.start}" does not exist`);
+    }
+
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      if (node.type === 'choice') {
+        if (!Array.isArray(node.choices) || node.choices.length === 0) {
+          errors.push(`node "${nodeId}" has no choices`);
+        }
+        (node.choices || []).filter(choice => !exists(choice.next))
+          .forEach(choice => errors.push(`choice "${choice.id}" of node "${nodeId}" points to unknown node "${choice.next}"`));
+      } else if (node.type === 'input') {
+        if (!node.slot) {
+          errors.push(`node "${nodeId}" has no slot`);
+        }
+        if (!exists(node.next)) {
+          errors.push(`node "${nodeId}" points to unknown node "${node.next}"`);
+        }
+      } else if (node.type === 'end') {
+        if (flow.kind === 'eligibility' && !ELIGIBILITY_OUTCOMES.includes(node.outcome)) {
+          errors.push(`end node "${nodeId}" needs an outcome among ${ELIGIBILITY_OUTCOMES.join(', ')}`);
+        }
+      } else {
+        errors.push(`node "${nodeId}" has unknown type "${node.type}"`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults so the engine does not need to guard every field
+   * @param {Object} flow
+   * @returns {Object}
+   */
+  normalizeFlow(flow) {
+    const triggers = flow.triggers || {};
+
+    return {
+      ...flow,
+      kind: flow.kind || 'guide',
+      products: flow.products || [],
+      triggers: {
+        exact: triggers.exact || [],
+        phrases: triggers.phrases || []
+      }
+    };
+  }
+
+  /**
+   * Get a flow by id, falling back to the default language
+   * @param {string} flowId
+   * @param {string} languageCode
+   * @returns {Object|null}
+   */
+  getFlow(flowId, languageCode) {
+    const flows = this.flows[languageCode] || this.flows[this.config.defaultLanguage] || {};
+    return flows[flowId] || null;
+  }
+
+  /**
+   * Get the flows of a language, falling back to the default language
+   * @param {string} languageCode
+   * @returns {Array}
+   */
+  getFlows(languageCode) {
+    return Object.values(this.flows[languageCode] || this.flows[this.config.defaultLanguage] || {});
+  }
+
+  /**
+   * Find a flow whose title or triggers match the message
+   * @param {string} message
+   * @param {string} languageCode
+   * @returns {Object|null}
+   */
+  matchTrigger(message, languageCode) {
+    const normalized = (message || '').toLowerCase().trim();
+    if (!normalized) {
+      return null;
+    }
+
+    const text = (value) => this.resolveText(value, languageCode).toLowerCase().trim();
+
+    return this.getFlows(languageCode).find(flow =>
+      normalized === text(flow.title) ||
+      flow.triggers.exact.some(value => normalized === text(value)) ||
+      flow.triggers.phrases.some(value => normalized.includes(text(value)))
+    ) || null;
+  }
+
+  /**
+   * Get the flows offered on a product page
+   * @param {string} productCode
+   * @param {string} languageCode
+   * @returns {Array}
+   */
+  getFlowsForProduct(productCode, languageCode) {
+    if (!productCode) {
+      return [];
+    }
+
+    return this.getFlows(languageCode).filter(flow => flow.products.includes(productCode));
+  }
+
+  /**
+   * Get the eligibility questionnaire of a product
+   * @param {string} productCode
+   * @param {string} languageCode
+   * @returns {Object|null}
+   */
+  getEligibilityFlow(productCode, languageCode) {
+    return this.getFlowsForProduct(productCode, languageCode)
+      .find(flow => flow.kind === 'eligibility') || null;
+  }
+
+  /**
+   * Get all eligibility questionnaires of a language
+   * @param {string} languageCode
+   * @returns {Array}
+   */
+  getEligibilityFlows(languageCode) {
+    return this.getFlows(languageCode).filter(flow => flow.kind === 'eligibility');
+  }
+
+  /**
+   * Match a user reply against the choices of a node, by index, id, label or synonym
+   * @param {Object} node
+   * @param {string} message
+   * @param {Object} choice Choice sent by the widget ({ id, index })
+   * @param {string} languageCode
+   * @returns {Object|null}
+   */
+  matchChoice(node, message, choice, languageCode) {
+    const choices = node.choices || [];
+
+    if (choice && choice.id) {
+      const byId = choices.find(option => option.id === choice.id);
+      if (byId) {
+        return byId;
+      }
+    }
+
+    const normalized = (message || '').toLowerCase().trim();
+    if (!normalized) {
+      return null;
+    }
+
+    // "1", "2"... typed instead of clicked
+    if (/^\d+$/.test(normalized)) {
+      return choices[parseInt(normalized, 10) - 1] || null;
+    }
+
+    const text = (value) => this.resolveText(value, languageCode).toLowerCase().trim();
+
+    return choices.find(option =>
+      normalized === text(option.label) ||
+      (option.synonyms || []).some(value => normalized === text(value))
+    ) || null;
+  }
+
+  /**
+   * Validate a free-text answer for an input node
+   * @param {Object} node
+   * @param {string} value
+   * @returns {Object} { valid, value }
+   */
+  validateInput(node, value) {
+    const trimmed = (value || '').trim();
+    const validation = node.validation || {};
+
+    if (!trimmed) {
+      return { valid: false, value: trimmed };
+    }
+
+    switch (validation.type) {
+      case 'email':
+        return { valid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed), value: trimmed.toLowerCase() };
+
+      case 'number': {
+        const number = Number(trimmed.replace(',', '.'));
+        const valid = !isNaN(number) &&
+          (validation.min === undefined || number >= validation.min) &&
+          (validation.max === undefined || number <= validation.max);
+        return { valid, value: number };
+      }
+
+      case 'date': {
+        // Accept DD/MM/YYYY and YYYY-MM-DD
+        const match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        const iso = match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : trimmed;
+        const date = new Date(`${iso}T00:00:00Z`);
+        const valid = /^\d{4}-\d{2}-\d{2}$/.test(iso) && !isNaN(date.getTime()) && date.toISOString().startsWith(iso);
+        return { valid, value: iso };
+      }
+
+      case 'regex':
+        return { valid: new RegExp(validation.pattern, validation.flags || 'i').test(trimmed), value: trimmed };
+
+      default:
+        return { valid: true, value: trimmed };
+    }
+  }
+
+  /**
+   * Resolve "@translation.key" references and fill "{{slot}}" placeholders
+   * @param {string} value
+   * @param {string} languageCode
+   * @param {Object} replacements
+   * @returns {string}
+   */
+  resolveText(value, languageCode, replacements = {}) {
+    if (typeof value !== 'string') {
+      return '';
+    }
+
+    if (value.startsWith('@') && this.language) {
+      return this.language.get(value.slice(1), languageCode, replacements);
+    }
+
+    return this.language ? this.language.replaceVariables(value, replacements) : value;
+  }
+
+  /**
+   * List the "@translation.key" references used by the loaded flows
+   * @returns {Array}
+   */
+  getTranslationKeys() {
+    const keys = new Set();
+    const collect = (value) => {
+      if (typeof value === 'string' && value.startsWith('@')) {
+        keys.add(value.slice(1));
+      }
+    };
+
+    for (const flows of Object.values(this.flows)) {
+      for (const flow of Object.values(flows)) {
+        collect(flow.title);
+        for (const node of Object.values(flow.nodes)) {
+          collect(node.text);
+          collect(node.validation?.error);
+          collect(node.action?.label);
+          (node.choices || []).forEach(choice => {
+            collect(choice.label);
+            (choice.synonyms || []).forEach(collect);
+          });
+        }
+      }
+    }
+
+    return Array.from(keys);
+  }
+
+  /**
+   * Get flow service statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      loadedAt: this.loadedAt,
+      languages: Object.fromEntries(
+        Object.entries(this.flows).map(([languageCode, flows]) => [
+          languageCode,
+          Object.values(flows).map(flow => ({
+            id: flow.id,
+            kind: flow.kind,
+            products: flow.products,
+            nodes: Object.keys(flow.nodes).length
+          }))
+        ])
+      )
+    };
+  }
+}
+
+module.exports = FlowService;
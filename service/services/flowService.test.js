@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlowService = require('./flowService');
+const ChatService = require('./chatService');
+const helpers = require('../test/helpers');
+
+const FLOWS = [
+  {
+    id: 'join_action',
+    title: 'Rejoindre une action',
+    triggers: { phrases: ['rejoindre une action'] },
+    start: 'product',
+    nodes: {
+      product: {
+        type: 'choice',
+        text: 'Quelle action ?',
+        choices: [
+          { id: 'dieselgate', label: 'Dieselgate', synonyms: ['vw'], next: 'email' },
+          { id: 'other', label: 'Une autre', next: 'support' }
+        ]
+      },
+      email: {
+        type: 'input',
+        text: 'Votre email ?',
+        slot: 'email',
+        validation: { type: 'email', error: 'Email invalide.' },
+        next: 'done'
+      },
+      done: {
+        type: 'end',
+        text: 'Merci {{email}} !',
+        action: { type: 'link', url: 'https://www.myleo.legal/dieselgate', label: 'Rejoindre' }
+      },
+      support: { type: 'end', text: 'Un conseiller va vous aider.', action: { type: 'escalate' } }
+    }
+  },
+  {
+    id: 'dieselgate_eligibility',
+    title: 'Suis-je concerné par le Dieselgate ?',
+    kind: 'eligibility',
+    products: ['DIESELGATE_VW'],
+    start: 'bought',
+    nodes: {
+      bought: {
+        type: 'choice',
+        text: 'Avez-vous acheté le véhicule avant 2016 ?',
+        choices: [
+          { id: 'yes', label: 'Oui', next: 'eligible' },
+          { id: 'no', label: 'Non', next: 'not_eligible' }
+        ]
+      },
+      eligible: { type: 'end', text: 'Vous êtes concerné.', outcome: 'eligible' },
+      not_eligible: { type: 'end', text: 'Vous n’êtes pas concerné.', outcome: 'not_eligible' }
+    }
+  }
+];
+
+describe('FlowService', () => {
+  let directory;
+  let chat;
+
+  const createChat = async () => {
+    const language = await helpers.loadLanguages();
+    const flows = helpers.createService(FlowService, { language, config: { path: directory } });
+    await flows.load();
+
+    chat = helpers.createService(ChatService, { database: { saveEligibilityAnswers: jest.fn() }, language, flows, config: {} });
+    return chat;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-'));
+    fs.writeFileSync(path.join(directory, 'fr.json'), JSON.stringify({ flows: FLOWS }));
+  });
+
+  afterEach(() => {
+    chat?.destroy();
+    chat = null;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('loads the shipped flows without errors', async () => {
+    const flows = helpers.createService(FlowService, { language: await helpers.loadLanguages() });
+    await flows.load();
+
+    expect(flows.logger.error).not.toHaveBeenCalled();
+    expect(Object.keys(flows.flows).sort()).toEqual(['en', 'fr']);
+  });
+
+  it('skips a flow pointing to a missing node', async () => {
+    fs.writeFileSync(path.join(directory, 'fr.json'), JSON.stringify({
+      flows: [{ id: 'broken', start: 'ask', nodes: { ask: { type: 'input', slot: 'email', next: 'nowhere' } } }]
+    }));
+    const flows = helpers.createService(FlowService, { config: { path: directory } });
+    await flows.load();
+
+    expect(flows.getFlow('broken', 'fr')).toBeNull();
+    expect(flows.logger.error).toHaveBeenCalledWith('Invalid flow broken in fr.json', {
+      errors: ['node "ask" points to unknown node "nowhere"']
+    });
+  });
+
+  describe('in a conversation', () => {
+    it('walks the flow from its trigger to its end, filling in the answers', async () => {
+      const service = await createChat();
+      const session = { sessionId: 's1', languageCode: 'fr' };
+
+      expect((await service.handleFlowTurn('Je veux rejoindre une action', session)).choices.map(choice => choice.id))
+        .toEqual(['dieselgate', 'other']);
+      expect((await service.handleFlowTurn('vw', session)).message).toBe('Votre email ?');
+      expect((await service.handleFlowTurn('pas un email', session)).message).toBe('Email invalide.\n\nVotre email ?');
+
+      const end = await service.handleFlowTurn('jean@example.com', session);
+
+      expect(end).toMatchObject({
+        message: 'Merci jean@example.com !',
+        flow: { id: 'join_action', completed: true },
+        link: { url: 'https://www.myleo.legal/dieselgate', label: 'Rejoindre' }
+      });
+      expect(session.flow).toBeNull();
+      expect(session.flowResults.join_action.answers.map(answer => answer.value)).toEqual(['dieselgate', 'jean@example.com']);
+    });
+
+    it('accepts a choice by its number and offers the escalation form at an escalate end', async () => {
+      const service = await createChat();
+      const session = { sessionId: 's1', languageCode: 'fr' };
+
+      await service.handleFlowTurn('rejoindre une action', session);
+      const end = await service.handleFlowTurn('2', session);
+
+      expect(end).toMatchObject({ canEscalate: true, suggestions: [] });
+    });
+
+    it('re-asks an unknown choice and lets the user leave the flow', async () => {
+      const service = await createChat();
+      const session = { sessionId: 's1', languageCode: 'fr' };
+
+      await service.handleFlowTurn('rejoindre une action', session);
+
+      expect((await service.handleFlowTurn('Levothyrox', session)).flow).toMatchObject({ nodeId: 'product', completed: false });
+      expect((await service.handleFlowTurn('annuler', session)).flow.cancelled).toBe(true);
+      expect(session.flow).toBeNull();
+    });
+  });
+
+  describe('eligibility questionnaires', () => {
+    it('refuses an end without an outcome', () => {
+      const flows = helpers.createService(FlowService);
+      const flow = { ...FLOWS[1], nodes: { ...FLOWS[1].nodes, eligible: { type: 'end', text: 'Oui' } } };
+
+      expect(flows.validateFlow(flow)).toEqual(['end node "eligible" needs an outcome among eligible, probably_eligible, not_eligible']);
+    });
+
+    it('stores the answers and outcome against the conversation', async () => {
+      const service = await createChat();
+      const session = { id: 7, sessionId: 's1', languageCode: 'fr', productCode: null };
+
+      service.startFlow('dieselgate_eligibility', session);
+      const end = await service.handleFlowTurn('oui', session);
+
+      expect(end.flow).toMatchObject({ completed: true, outcome: 'eligible' });
+      expect(service.database.saveEligibilityAnswers).toHaveBeenCalledWith({
+        conversationId: 7,
+        productCode: 'DIESELGATE_VW',
+        flowId: 'dieselgate_eligibility',
+        outcome: 'eligible',
+        answers: [{ nodeId: 'bought', question: 'Avez-vous acheté le véhicule avant 2016 ?', answer: 'Oui', value: 'yes' }]
+      });
+    });
+
+    it('still gives the outcome when the answers cannot be stored, and stores nothing for guides', async () => {
+      const service = await createChat();
+      service.database.saveEligibilityAnswers.mockRejectedValue(new Error('Connection lost'));
+      const session = { id: 7, sessionId: 's1', languageCode: 'fr' };
+
+      service.startFlow('dieselgate_eligibility', session);
+      expect((await service.handleFlowTurn('non', session)).flow.outcome).toBe('not_eligible');
+
+      service.database.saveEligibilityAnswers.mockClear();
+      service.startFlow('join_action', session);
+      await service.handleFlowTurn('2', session);
+      expect(service.database.saveEligibilityAnswers).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Live human agent takeover of chat sessions.
+ *
+ * A user asks for an agent (intent or /api/chat/handoff): if an agent is
+ * online during business hours the conversation waits to be claimed,
+ * otherwise the user is offered the Zendesk ticket form. Once an agent claims
+ * the conversation the bot stops answering; agent replies and handoff notices
+ * are stored as `agent` / `system` chat messages and pushed to the widget.
+ *
+ * State lives in the conversations table and the session store, so any
+ * instance can serve agents and widgets. The push channel polls the database
+ * and is woken early by local notifications.
+ */
+class HandoffService {
+  constructor({ database, sessionStore, language, businessHours = null, config = {}, logger }) {
+    this.database = database;
+    this.sessions = sessionStore;
+    this.language = language;
+    this.businessHours = businessHours;
+    this.logger = logger;
+    this.config = {
+      apiKey: config.apiKey || '',
+      presenceTimeout: config.presenceTimeout || 120000,
+      waitTimeout: config.waitTimeout || 300000,
+      pollInterval: config.pollInterval || 2000,
+      longPollTimeout: config.longPollTimeout || 25000
+    };
+
+    // Wakes up pending long polls of this instance
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Check the shared agent API key
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isValidAgentKey(key) {
+    if (!this.config.apiKey || typeof key !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.config.apiKey);
+    const received = Buffer.from(key);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Whether the agent API is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.config.apiKey;
+  }
+
+  /**
+   * Record that an agent is online
+   * @param {Object} agent { id, name }
+   */
+  async touchAgent(agent) {
+    await this.database.touchAgent(agent.id, agent.name || agent.id);
+  }
+
+  /**
+   * An agent can take the conversation: someone is online during business hours
+   * @returns {boolean}
+   */
+  async isAgentAvailable() {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    if (this.businessHours && !this.businessHours.getStatus().isOpen) {
+      return false;
+    }
+
+    const since = new Date(Date.now() - this.config.presenceTimeout);
+    return (await this.database.countOnlineAgents(since)) > 0;
+  }
+
+  /**
+   * Ask for a live agent; falls back to the ticket form when nobody can answer.
+   * The caller saves the session.
+   * @param {Object} session
+   * @returns {Object} Chat response
+   */
+  async requestHandoff(session) {
+    const languageCode = session.languageCode;
+    const active = await this.getActiveHandoff(session);
+
+    if (active) {
+      return this.buildResponse(session, 'handoff.waiting');
+    }
+
+    if (!(await this.isAgentAvailable())) {
+      const expectedReply = this.businessHours ? this.businessHours.getExpectedReplyText(languageCode) : '';
+
+      return {
+        type: 'answer',
+        message: [this.language.get('handoff.unavailable', languageCode), expectedReply].filter(Boolean).join(' '),
+        faqId: null,
+        suggestions: [],
+        canEscalate: true,
+        handoff: { status: 'unavailable' },
+        metadata: { handoff: 'unavailable' }
+      };
+    }
+
+    await this.database.requestHandoff(session.id);
+    session.handoff = { status: 'waiting', requestedAt: new Date() };
+
+    this.logger.info('Live agent requested', { sessionId: session.sessionId });
+
+    return this.buildResponse(session, 'handoff.waiting');
+  }
+
+  /**
+   * Request a handoff outside of a chat message (widget button)
+   * @param {string} sessionId
+   * @returns {Object}
+   */
+  async requestHandoffForSession(sessionId) {
+    try {
+      const session = await this.sessions.get(sessionId);
+      if (!session) {
+        throw new Error('Invalid session');
+      }
+
+      const response = await this.requestHandoff(session);
+      await this.sessions.set(sessionId, session);
+
+      return { success: true, ...response };
+    } catch (error) {
+      this.logger.logError(error, { action: 'request_handoff', sessionId });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Current handoff of a session, expiring requests nobody claimed in time
+   * @param {Object} session
+   * @returns {Object|null}
+   */
+  async getActiveHandoff(session) {
+    // The conversation row is the reference: a session saved from a stale copy
+    // (another request, another instance) may have lost a claim or a release
+    const conversation = await this.database.getConversation(session.sessionId);
+    const handoff = conversation && ['waiting', 'live'].includes(conversation.handoff_status) ? {
+      status: conversation.handoff_status,
+      agentId: conversation.agent_id,
+      requestedAt: new Date(conversation.handoff_requested_at)
+    } : null;
+
+    session.handoff = handoff;
+    if (!handoff) {
+      return null;
+    }
+
+    if (handoff.status === 'waiting' &&
+        Date.now() - new Date(handoff.requestedAt).getTime() > this.config.waitTimeout) {
+      await this.expire(session.id, session.sessionId);
+      session.handoff = null;
+      return null;
+    }
+
+    return handoff;
+  }
+
+  /**
+   * List conversations waiting for an agent
+   * @returns {Array}
+   */
+  async listWaiting() {
+    return this.database.getWaitingConversations();
+  }
+
+  /**
+   * Claim a waiting conversation; only the first agent wins
+   * @param {string} sessionId
+   * @param {Object} agent { id, name }
+   * @returns {Object}
+   */
+  async claim(sessionId, agent) {
+    const conversation = await this.getConversation(sessionId);
+
+    const claimed = await this.database.claimHandoff(conversation.id, agent.id);
+    if (!claimed) {
+      throw new Error('Conversation is not waiting for an agent');
+    }
+
+    await this.updateSession(sessionId, {
+      status: 'live',
+      agentId: agent.id,
+      agentName: agent.name,
+      claimedAt: new Date()
+    });
+
+    await this.saveNotice(conversation, 'handoff.claimed', { agentName: agent.name });
+
+    this.logger.info('Conversation claimed by agent', { sessionId, agentId: agent.id });
+
+    return {
+      conversation,
+      messages: await this.database.getConversationMessages(conversation.id, 200)
+    };
+  }
+
+  /**
+   * Send an agent message to the user
+   * @param {string} sessionId
+   * @param {Object} agent
+   * @param {string} text
+   * @returns {Object}
+   */
+  async reply(sessionId, agent, text) {
+    const conversation = await this.getConversation(sessionId);
+
+    if (conversation.handoff_status !== 'live' || conversation.agent_id !== agent.id) {
+      throw new Error('Conversation is not claimed by this agent');
+    }
+
+    const messageId = await this.database.saveMessage({
+      conversationId: conversation.id,
+      messageType: 'agent',
+      messageText: text,
+      agentId: agent.id
+    });
+
+    this.notify(sessionId);
+    this.logger.logChat(sessionId, 'agent', text, { agentId: agent.id });
+
+    return { messageId };
+  }
+
+  /**
+   * Hand the conversation back to the bot
+   * @param {string} sessionId
+   * @param {Object} agent
+   */
+  async release(sessionId, agent) {
+    const conversation = await this.getConversation(sessionId);
+
+    const released = await this.database.endHandoff(conversation.id, 'released', 'live', agent.id);
+    if (!released) {
+      throw new Error('Conversation is not claimed by this agent');
+    }
+
+    await this.updateSession(sessionId, null);
+    await this.saveNotice(conversation, 'handoff.released');
+
+    this.logger.info('Conversation released by agent', { sessionId, agentId: agent.id });
+  }
+
+  /**
+   * Give up on a request nobody claimed and offer the ticket form instead
+   * @param {number} conversationId
+   * @param {string} sessionId
+   */
+  async expire(conversationId, sessionId) {
+    const expired = await this.database.endHandoff(conversationId, 'expired', 'waiting');
+    if (!expired) {
+      return;
+    }
+
+    await this.updateSession(sessionId, null);
+    await this.saveNotice({ id: conversationId, session_id: sessionId }, 'handoff.expired');
+
+    this.logger.info('Live agent request expired', { sessionId });
+  }
+
+  /**
+   * Wait for agent/system messages newer than afterId (long polling)
+   * @param {string} sessionId
+   * @param {number} afterId Last message id the widget has
+   * @param {number} timeoutMs
+   * @returns {Object} { messages, handoff, status } status of the conversation
+   */
+  async waitForEvents(sessionId, afterId = 0, timeoutMs = this.config.longPollTimeout) {
+    const deadline = Date.now() + Math.min(timeoutMs, this.config.longPollTimeout);
+
+    for (;;) {
+      let conversation = await this.getConversation(sessionId);
+
+      if (conversation.handoff_status === 'waiting' && conversation.handoff_requested_at &&
+          Date.now() - new Date(conversation.handoff_requested_at).getTime() > this.config.waitTimeout) {
+        await this.expire(conversation.id, sessionId);
+        conversation = await this.getConversation(sessionId);
+      }
+
+      const messages = await this.database.getMessagesAfter(conversation.id, afterId);
+
+      if (messages.length > 0 || Date.now() >= deadline) {
+        return {
+          messages: messages.map(message => ({
+            id: message.id,
+            type: message.message_type,
+            text: message.message_text,
+            agentName: message.agent_name || null,
+            createdAt: message.created_at
+          })),
+          handoff: {
+            status: conversation.handoff_status || 'none'
+          },
+          status: conversation.status
+        };
+      }
+
+      await this.waitForNotification(sessionId, Math.min(this.config.pollInterval, deadline - Date.now()));
+    }
+  }
+
+  /**
+   * Resolve after a notification for the session or the delay
+   * @param {string} sessionId
+   * @param {number} delay
+   */
+  waitForNotification(sessionId, delay) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.events.removeListener(sessionId, done);
+        resolve();
+      };
+      const timer = setTimeout(done, Math.max(delay, 0));
+      this.events.once(sessionId, done);
+    });
+  }
+
+  /**
+   * Wake up the long polls of a session on this instance
+   * @param {string} sessionId
+   */
+  notify(sessionId) {
+    this.events.emit(sessionId);
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Object}
+   */
+  async getConversation(sessionId) {
+    const conversation = await this.database.getConversation(sessionId);
+    if (!conversation) {
+      throw new Error('Invalid session');
+    }
+    return conversation;
+  }
+
+  /**
+   * Store the handoff state on the session, if it is still active
+   * @param {string} sessionId
+   * @param {Object|null} handoff
+   */
+  async updateSession(sessionId, handoff) {
+    const session = await this.sessions.get(sessionId);
+    if (session) {
+      session.handoff = handoff;
+      await this.sessions.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Save a localized handoff notice as a system message and push it
+   * @param {Object} conversation
+   * @param {string} key
+   * @param {Object} replacements
+   */
+  async saveNotice(conversation, key, replacements = {}) {
+    const languageCode = conversation.language_code || (await this.getConversation(conversation.session_id)).language_code;
+
+    await this.database.saveMessage({
+      conversationId: conversation.id,
+      messageType: 'system',
+      messageText: this.language.get(key, languageCode, replacements)
+    });
+
+    this.notify(conversation.session_id);
+  }
+
+  /**
+   * Chat response while a handoff is pending
+   * @param {Object} session
+   * @param {string} key
+   * @returns {Object}
+   */
+  buildResponse(session, key) {
+    return {
+      type: 'handoff',
+      message: this.language.get(key, session.languageCode),
+      faqId: null,
+      suggestions: [],
+      canEscalate: false,
+      handoff: { status: session.handoff.status },
+      metadata: { handoff: session.handoff.status }
+    };
+  }
+
+  /**
+   * Translation keys this service uses
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return [
+      'handoff.waiting',
+      'handoff.unavailable',
+      'handoff.claimed',
+      'handoff.released',
+      'handoff.expired'
+    ];
+  }
+}
+
+module.exports = HandoffService;
@@ -0,0 +1,119 @@
+const HandoffService = require('./handoffService');
+const MemorySessionStore = require('./memorySessionStore');
+const helpers = require('../test/helpers');
+
+const ALICE = { id: 'alice', name: 'Alice' };
+const BOB = { id: 'bob', name: 'Bob' };
+
+/**
+ * Handoff service over one conversation row, updated the way the conditional
+ * UPDATE statements of the database do
+ */
+const createService = (row = {}) => {
+  const conversation = {
+    id: 1,
+    session_id: 'session-1',
+    language_code: 'fr',
+    handoff_status: 'waiting',
+    handoff_requested_at: new Date(),
+    agent_id: null,
+    ...row
+  };
+  const messages = [];
+
+  const database = {
+    getConversation: jest.fn(async () => ({ ...conversation })),
+    claimHandoff: jest.fn(async (conversationId, agentId) => {
+      // The claim resolves after the other one has read the row
+      await new Promise(resolve => setImmediate(resolve));
+      if (conversation.handoff_status !== 'waiting') {
+        return 0;
+      }
+      Object.assign(conversation, { handoff_status: 'live', agent_id: agentId });
+      return 1;
+    }),
+    endHandoff: jest.fn(async (conversationId, handoffStatus, fromStatus, agentId = null) => {
+      if (conversation.handoff_status !== fromStatus || (agentId && conversation.agent_id !== agentId)) {
+        return 0;
+      }
+      conversation.handoff_status = handoffStatus;
+      return 1;
+    }),
+    saveMessage: jest.fn(async message => messages.push(message)),
+    getConversationMessages: jest.fn(async () => messages)
+  };
+
+  const service = helpers.createService(HandoffService, {
+    database,
+    sessionStore: new MemorySessionStore(),
+    config: { apiKey: 'agent-key', waitTimeout: 300000 }
+  });
+
+  return { service, conversation, messages };
+};
+
+describe('HandoffService', () => {
+  describe('claim', () => {
+    it('gives a conversation claimed by two agents at once to one of them only', async () => {
+      const { service, conversation, messages } = createService();
+
+      const results = await Promise.allSettled([service.claim('session-1', ALICE), service.claim('session-1', BOB)]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.message).toBe('Conversation is not waiting for an agent');
+      expect(conversation).toMatchObject({ handoff_status: 'live', agent_id: 'alice' });
+      expect(messages).toEqual([expect.objectContaining({ messageType: 'system', messageText: 'handoff.claimed' })]);
+    });
+
+    it('keeps the live state on the session', async () => {
+      const { service } = createService();
+      await service.sessions.set('session-1', { id: 1, sessionId: 'session-1', lastActivity: new Date() });
+
+      await service.claim('session-1', ALICE);
+
+      expect((await service.sessions.get('session-1')).handoff).toMatchObject({ status: 'live', agentId: 'alice' });
+    });
+  });
+
+  describe('reply and release', () => {
+    it('only lets the agent who claimed the conversation answer or release it', async () => {
+      const { service, conversation } = createService({ handoff_status: 'live', agent_id: 'alice' });
+
+      await expect(service.reply('session-1', BOB, 'Bonjour')).rejects.toThrow('Conversation is not claimed by this agent');
+      await expect(service.release('session-1', BOB)).rejects.toThrow('Conversation is not claimed by this agent');
+      expect(conversation.handoff_status).toBe('live');
+
+      await service.release('session-1', ALICE);
+      expect(conversation.handoff_status).toBe('released');
+    });
+  });
+
+  describe('getActiveHandoff', () => {
+    it('expires a request nobody claimed in time', async () => {
+      const { service, conversation, messages } = createService({ handoff_requested_at: new Date(Date.now() - 600000) });
+      const session = { id: 1, sessionId: 'session-1' };
+
+      expect(await service.getActiveHandoff(session)).toBeNull();
+      expect(conversation.handoff_status).toBe('expired');
+      expect(messages.map(message => message.messageText)).toEqual(['handoff.expired']);
+    });
+
+    it('follows the conversation row over a stale session', async () => {
+      const { service } = createService({ handoff_status: 'released', agent_id: 'alice' });
+      const session = { id: 1, sessionId: 'session-1', handoff: { status: 'live', agentId: 'alice' } };
+
+      expect(await service.getActiveHandoff(session)).toBeNull();
+      expect(session.handoff).toBeNull();
+    });
+  });
+
+  describe('isValidAgentKey', () => {
+    it('only accepts the configured key', () => {
+      const { service } = createService();
+
+      expect(service.isValidAgentKey('agent-key')).toBe(true);
+      expect(service.isValidAgentKey('agent-kez')).toBe(false);
+      expect(service.isValidAgentKey(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Data-driven intents (greetings, business hours, contact support, ticket
+ * creation...) answered without searching the FAQ.
+ *
+ * Intents are defined per language in `intents/<lang>.json` and can be
+ * overridden or extended from the `chat_intents` table. Each intent looks like:
+ *
+ *   {
+ *     "id": "greeting",
+ *     "stage": "fallback",            // "special" = before FAQ search, "fallback" = when the FAQ has nothing
+ *     "priority": 10,                 // higher priorities are tried first
+ *     "match": {
+ *       "exact": ["bonjour"],         // whole message equals one of these
+ *       "phrases": ["contact support"], // message contains one of these
+ *       "allKeywords": [["oui", "ticket"]], // message contains every word of one group
+ *       "anyKeywords": ["support"],   // message contains any of these
+ *       "leadingWords": ["salut"]     // message is, or starts with, one of these words
+ *     },
+ *     "reply": "Bonjour ! ...",
+ *     "suggestions": ["Comment vous contacter ?"],
+ *     "canEscalate": false,
+ *     "action": { "type": "faq_lookup", "queries": ["contacter support"], "minScore": 0.2 }
+ *   }
+ *
+ * An action `{ "type": "start_flow", "flowId": "..." }` starts a guided flow
+ * (see FlowService); the reply is only used if the flow does not exist.
+ * An action `{ "type": "handoff" }` asks for a live agent (see HandoffService);
+ * the reply is only used when live chat is not configured.
+ * An action `{ "type": "ticket_status" }` opens the ticket status lookup of the
+ * widget (see TicketStatusService).
+ *
+ * Text values starting with "@" are translation keys resolved through
+ * LanguageService (e.g. "@suggestions.contactSupport").
+ */
+class IntentService {
+  constructor({ language, database = null, config = {}, logger }) {
+    this.language = language;
+    this.database = database;
+    this.logger = logger;
+    this.config = {
+      source: config.source || 'file',
+      path: config.path || path.join(__dirname, '../../intents'),
+      defaultLanguage: config.defaultLanguage || 'fr'
+    };
+
+    // Intents per language, sorted by priority
+    this.intents = {};
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load intent definitions from files and/or the database
+   */
+  async load() {
+    const intents = {};
+
+    if (this.config.source === 'file' || this.config.source === 'both') {
+      await this.loadFromFiles(intents);
+    }
+
+    if ((this.config.source === 'database' || this.config.source === 'both') && this.database) {
+      await this.loadFromDatabase(intents);
+    }
+
+    for (const languageCode of Object.keys(intents)) {
+      intents[languageCode] = Object.values(intents[languageCode])
+        .filter(intent => intent.enabled !== false)
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    }
+
+    this.intents = intents;
+    this.loadedAt = new Date();
+
+    this.logger.info('Chat intents loaded', {
+      source: this.config.source,
+      languages: Object.keys(intents),
+      counts: Object.fromEntries(Object.entries(intents).map(([lang, list]) => [lang, list.length]))
+    });
+  }
+
+  /**
+   * Read `<lang>.json` files from the intents directory
+   * @param {Object} intents Accumulator keyed by language then intent id
+   */
+  async loadFromFiles(intents) {
+    const files = await fs.readdir(this.config.path);
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const languageCode = path.basename(file, '.json');
+      const content = await fs.readFile(path.join(this.config.path, file), 'utf8');
+
+      try {
+        const data = JSON.parse(content);
+        const list = Array.isArray(data) ? data : data.intents || [];
+
+        intents[languageCode] = intents[languageCode] || {};
+        for (const intent of list) {
+          if (intent && intent.id) {
+            intents[languageCode][intent.id] = this.normalizeIntent(intent);
+          }
+        }
+      } catch (parseError) {
+        this.logger.error(`Failed to parse intent file ${file}`, { error: parseError.message });
+      }
+    }
+  }
+
+  /**
+   * Read active rows from the chat_intents table; they override file
+   * definitions with the same id and language
+   * @param {Object} intents Accumulator keyed by language then intent id
+   */
+  async loadFromDatabase(intents) {
+    try {
+      const rows = await this.database.getChatIntents();
+
+      for (const row of rows) {
+        const definition = typeof row.definition === 'string' ? JSON.parse(row.definition) : row.definition;
+
+        intents[row.language_code] = intents[row.language_code] || {};
+        intents[row.language_code][row.intent_key] = this.normalizeIntent({
+          ...definition,
+          id: row.intent_key,
+          stage: row.stage,
+          priority: row.priority
+        });
+      }
+    } catch (error) {
+      this.logger.logError(error, { action: 'load_intents_database' });
+    }
+  }
+
+  /**
+   * Fill in defaults so matching does not need to guard every field
+   * @param {Object} intent
+   * @returns {Object}
+   */
+  normalizeIntent(intent) {
+    const match = intent.match || {};
+
+    return {
+      ...intent,
+      stage: intent.stage || 'fallback',
+      priority: Number(intent.priority) || 0,
+      match: {
+        exact: match.exact || [],
+        phrases: match.phrases || [],
+        allKeywords: match.allKeywords || [],
+        anyKeywords: match.anyKeywords || [],
+        leadingWords: match.leadingWords || []
+      },
+      suggestions: intent.suggestions || [],
+      canEscalate: !!intent.canEscalate
+    };
+  }
+
+  /**
+   * Reload intent definitions (admin endpoint)
+   */
+  async reload() {
+    await this.load();
+    return this.getStats();
+  }
+
+  /**
+   * Find the highest-priority intent of a stage matching the message
+   * @param {string} message
+   * @param {string} languageCode
+   * @param {string} stage "special" or "fallback"
+   * @returns {Object|null}
+   */
+  match(message, languageCode, stage) {
+    const normalized = (message || '').toLowerCase().trim();
+    if (!normalized) {
+      return null;
+    }
+
+    const candidates = this.getIntents(languageCode).filter(intent => intent.stage === stage);
+
+    for (const intent of candidates) {
+      if (this.matchesIntent(normalized, intent, languageCode)) {
+        return intent;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a normalized message against the intent's matchers
+   * @param {string} normalized
+   * @param {Object} intent
+   * @param {string} languageCode
+   * @returns {boolean}
+   */
+  matchesIntent(normalized, intent, languageCode) {
+    const text = (value) => this.resolveText(value, languageCode).toLowerCase().trim();
+    const { exact, phrases, allKeywords, anyKeywords, leadingWords } = intent.match;
+
+    if (exact.some(value => normalized === text(value))) {
+      return true;
+    }
+
+    if (phrases.some(value => normalized.includes(text(value)))) {
+      return true;
+    }
+
+    if (allKeywords.some(group => group.length > 0 && group.every(value => normalized.includes(text(value))))) {
+      return true;
+    }
+
+    if (anyKeywords.some(value => normalized.includes(text(value)))) {
+      return true;
+    }
+
+    return leadingWords.some(value => {
+      const word = text(value);
+      return normalized === word || normalized.startsWith(`${word} `);
+    });
+  }
+
+  /**
+   * Get the intents of a language, falling back to the default language
+   * @param {string} languageCode
+   * @returns {Array}
+   */
+  getIntents(languageCode) {
+    return this.intents[languageCode] || this.intents[this.config.defaultLanguage] || [];
+  }
+
+  /**
+   * Resolve "@translation.key" references through LanguageService
+   * @param {string} value
+   * @param {string} languageCode
+   * @param {Object} replacements
+   * @returns {string}
+   */
+  resolveText(value, languageCode, replacements = {}) {
+    if (typeof value !== 'string') {
+      return '';
+    }
+
+    if (value.startsWith('@') && this.language) {
+      return this.language.get(value.slice(1), languageCode, replacements);
+    }
+
+    return this.language ? this.language.replaceVariables(value, replacements) : value;
+  }
+
+  /**
+   * List the "@translation.key" references used by the loaded intents
+   * @returns {Array}
+   */
+  getTranslationKeys() {
+    const keys = new Set();
+    const collect = (value) => {
+      if (typeof value === 'string' && value.startsWith('@')) {
+        keys.add(value.slice(1));
+      }
+    };
+
+    for (const list of Object.values(this.intents)) {
+      for (const intent of list) {
+        collect(intent.reply);
+        intent.suggestions.forEach(collect);
+        Object.values(intent.match).forEach(values => values.flat().forEach(collect));
+      }
+    }
+
+    return Array.from(keys);
+  }
+
+  /**
+   * Get intent service statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      source: this.config.source,
+      loadedAt: this.loadedAt,
+      languages: Object.fromEntries(
+        Object.entries(this.intents).map(([languageCode, list]) => [
+          languageCode,
+          list.map(intent => ({ id: intent.id, stage: intent.stage, priority: intent.priority }))
+        ])
+      )
+    };
+  }
+}
+
+module.exports = IntentService;
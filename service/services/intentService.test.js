@@ -0,0 +1,54 @@
+const IntentService = require('./intentService');
+const helpers = require('../test/helpers');
+
+const createService = async (deps = {}) => {
+  const service = helpers.createService(IntentService, {
+    language: await helpers.loadLanguages(),
+    ...deps
+  });
+
+  await service.load();
+  return service;
+};
+
+describe('IntentService', () => {
+  describe('match', () => {
+    it('matches the shipped intents of each stage', async () => {
+      const service = await createService();
+
+      expect(service.match('Bonjour j’ai une question', 'fr', 'fallback').id).toBe('greeting');
+      expect(service.match('Oui, créer un ticket', 'fr', 'special').id).toBe('ticket_confirm');
+      expect(service.match('Où en est ma demande ?', 'fr', 'special').id).toBe('ticket_status');
+      expect(service.match('Bonjour j’ai une question', 'fr', 'special')).toBeNull();
+    });
+
+    it('resolves translation keys used as matchers', async () => {
+      const service = await createService();
+
+      expect(service.match(service.language.get('suggestions.contactSupport', 'en'), 'en', 'special').id).toBe('contact_support_request');
+    });
+
+    it('tries intents by priority and falls back to the default language', async () => {
+      const service = await createService();
+
+      // "ticket_confirm" (80) wins over "ticket_create" (70) when both match
+      expect(service.match('oui, créer le ticket', 'de', 'special').id).toBe('ticket_confirm');
+    });
+  });
+
+  describe('load', () => {
+    it('lets database rows override and disable file intents', async () => {
+      const database = {
+        getChatIntents: jest.fn(async () => [
+          { intent_key: 'greeting', language_code: 'fr', stage: 'special', priority: 200, definition: '{"match":{"leadingWords":["coucou"]},"reply":"Coucou !"}' },
+          { intent_key: 'business_hours', language_code: 'fr', stage: 'fallback', priority: 20, definition: { enabled: false } }
+        ])
+      };
+      const service = await createService({ database, config: { source: 'both' } });
+
+      expect(service.match('coucou', 'fr', 'special').reply).toBe('Coucou !');
+      expect(service.match('bonjour', 'fr', 'fallback')).toBeNull();
+      expect(service.match('horaires', 'fr', 'fallback')).toBeNull();
+    });
+  });
+});
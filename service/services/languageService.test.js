@@ -0,0 +1,62 @@
+const ChatService = require('./chatService');
+const BusinessHoursService = require('./businessHoursService');
+const HandoffService = require('./handoffService');
+const TranscriptService = require('./transcriptService');
+const TicketTemplateService = require('./ticketTemplateService');
+const TicketStatusService = require('./ticketStatusService');
+const ZendeskWebhookService = require('./zendeskWebhookService');
+const IntentService = require('./intentService');
+const FlowService = require('./flowService');
+const helpers = require('../test/helpers');
+
+/**
+ * Leaf keys of a translation file ("messages.clarify", ...)
+ * @param {Object} data
+ * @param {string} prefix
+ * @returns {Array}
+ */
+const listKeys = (data, prefix = '') => Object.entries(data).flatMap(([key, value]) =>
+  value && typeof value === 'object' && !Array.isArray(value) ? listKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]);
+
+describe('LanguageService', () => {
+  let language;
+
+  beforeAll(async () => {
+    language = await helpers.loadLanguages();
+  });
+
+  it('has every key the services, intents and flows use, in every language', async () => {
+    const intents = helpers.createService(IntentService, { language });
+    const flows = helpers.createService(FlowService, { language });
+    await Promise.all([intents.load(), flows.load()]);
+
+    // Same list as the startup check (server.js)
+    const requiredKeys = [
+      ...ChatService.getRequiredTranslationKeys(),
+      ...BusinessHoursService.getRequiredTranslationKeys(),
+      ...HandoffService.getRequiredTranslationKeys(),
+      ...TranscriptService.getRequiredTranslationKeys(),
+      ...TicketTemplateService.getRequiredTranslationKeys(),
+      ...TicketStatusService.getRequiredTranslationKeys(),
+      ...ZendeskWebhookService.getRequiredTranslationKeys(),
+      ...intents.getTranslationKeys(),
+      ...flows.getTranslationKeys()
+    ];
+
+    for (const languageCode of language.getAvailableLanguages()) {
+      expect({ languageCode, missing: language.validateLanguage(languageCode, requiredKeys) }).toEqual({ languageCode, missing: [] });
+    }
+  });
+
+  it('has the same keys in every language', () => {
+    const [reference, ...others] = language.getAvailableLanguages();
+
+    for (const languageCode of others) {
+      expect(listKeys(language.getLanguageData(languageCode)).sort()).toEqual(listKeys(language.getLanguageData(reference)).sort());
+    }
+  });
+
+  it('fills in the placeholders of a reply', () => {
+    expect(language.get('ticketStatus.summary', 'en', { ticketId: '35436', status: 'open' })).toContain('35436');
+  });
+});
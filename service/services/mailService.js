@@ -0,0 +1,85 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing email over SMTP.
+ *
+ * Disabled when no SMTP host is configured. For local testing point it to an
+ * SMTP stand-in (MailHog, smtp4dev...: SMTP_HOST=localhost, SMTP_PORT=1025).
+ */
+class MailService {
+  constructor({ config = {}, logger }) {
+    this.logger = logger;
+    this.config = {
+      host: config.host || '',
+      port: config.port || 587,
+      secure: !!config.secure,
+      user: config.user || '',
+      password: config.password || '',
+      from: config.from || 'Myleo <no-reply@myleo.legal>'
+    };
+
+    this.transporter = this.config.host ? nodemailer.createTransport({
+      host: this.config.host,
+      port: this.config.port,
+      secure: this.config.secure,
+      auth: this.config.user ? {
+        user: this.config.user,
+        pass: this.config.password
+      } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 30000
+    }) : null;
+  }
+
+  /**
+   * Whether an SMTP server is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} mail { to, subject, text, html, attachments, replyTo }
+   * @returns {Object} { messageId }
+   */
+  async send(mail) {
+    if (!this.isEnabled()) {
+      throw new Error('Email is not configured');
+    }
+
+    const info = await this.transporter.sendMail({
+      from: this.config.from,
+      ...mail
+    });
+
+    this.logger.info('Email sent', {
+      messageId: info.messageId,
+      subject: mail.subject
+    });
+
+    return { messageId: info.messageId };
+  }
+
+  /**
+   * Check the connection to the SMTP server
+   * @returns {boolean}
+   */
+  async verify() {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    try {
+      await this.transporter.verify();
+      return true;
+    } catch (error) {
+      this.logger.logError(error, { action: 'smtp_verify' });
+      return false;
+    }
+  }
+}
+
+module.exports = MailService;
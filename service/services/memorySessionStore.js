@@ -0,0 +1,58 @@
+const SessionStore = require('./sessionStore');
+
+/**
+ * In-process session store. Sessions are lost on restart and not shared
+ * between instances: only use it when running a single process.
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async incrementMessageCount(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return 0;
+    }
+
+    session.messageCount++;
+    return session.messageCount;
+  }
+
+  async deleteExpired(timeoutMs) {
+    const now = Date.now();
+    const expired = [];
+
+    for (const [sessionId, session] of this.sessions) {
+      if (now - session.lastActivity.getTime() > timeoutMs) {
+        expired.push(session);
+        this.sessions.delete(sessionId);
+      }
+    }
+
+    return expired;
+  }
+
+  async count() {
+    return this.sessions.size;
+  }
+
+  async close() {
+    this.sessions.clear();
+  }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,168 @@
+const { promises: fs, constants } = require('fs');
+const path = require('path');
+const TicketProvider = require('./ticketProvider');
+
+/**
+ * Development ticketing: tickets are JSON files in a local directory
+ * (`<ticketId>.json`), nothing leaves the machine. Edit a file's `status` to
+ * try the status lookup.
+ */
+class MockTicketProvider extends TicketProvider {
+  constructor({ config = {}, logger }) {
+    super();
+    this.logger = logger;
+    this.config = {
+      directory: path.resolve(config.directory || './logs/tickets')
+    };
+  }
+
+  /**
+   * @param {Object} ticketData
+   * @param {Object} options
+   * @returns {Object}
+   */
+  async createTicket(ticketData, { idempotencyKey = null } = {}) {
+    const ticketId = this.createReference('MOCK', idempotencyKey);
+
+    try {
+      // A retried delivery finds its ticket
+      if (!(await this.readTicket(ticketId))) {
+        await this.writeTicket({
+          id: ticketId,
+          status: 'new',
+          subject: ticketData.subject,
+          requester: {
+            name: `${ticketData.firstName || ''} ${ticketData.lastName || ''}`.trim(),
+            email: ticketData.email
+          },
+          rubrique: ticketData.rubrique || 'general',
+          language: ticketData.language,
+          productCode: ticketData.productCode || null,
+          priority: ticketData.priority,
+          tags: ticketData.tags || [],
+          description: this.buildTicketDescription(ticketData),
+          attachments: (ticketData.attachments || []).map(file => ({
+            filename: file.filename,
+            contentType: file.contentType,
+            size: file.size
+          })),
+          comments: [],
+          createdAt: new Date().toISOString()
+        });
+      }
+
+      this.logger.info('Mock ticket created', { ticketId, directory: this.config.directory });
+
+      return {
+        success: true,
+        ticketId,
+        ticketUrl: null,
+        failedAttachments: []
+      };
+    } catch (error) {
+      this.logger.error('Failed to create mock ticket', { error: error.message });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} ticketId
+   * @param {string} comment
+   * @param {boolean} isPublic
+   * @returns {Object}
+   */
+  async addComment(ticketId, comment, isPublic = true) {
+    try {
+      const ticket = await this.readTicket(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      ticket.comments.push({ body: comment, public: isPublic, createdAt: new Date().toISOString() });
+      ticket.updatedAt = new Date().toISOString();
+      await this.writeTicket(ticket);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} ticketId
+   * @returns {Object}
+   */
+  async getTicketStatus(ticketId) {
+    try {
+      const ticket = await this.readTicket(ticketId);
+      return ticket
+        ? {
+          success: true,
+          status: ticket.status,
+          createdAt: ticket.createdAt,
+          updatedAt: ticket.updatedAt || ticket.createdAt,
+          lastPublicCommentAt: ticket.comments.filter(comment => comment.public).pop()?.createdAt || null
+        }
+        : { success: false, error: 'Ticket not found' };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @returns {Object}
+   */
+  async testConnection() {
+    try {
+      await fs.mkdir(this.config.directory, { recursive: true });
+      await fs.access(this.config.directory, constants.W_OK);
+      return { success: true, message: `Tickets written to ${this.config.directory}` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * @param {string} ticketId
+   * @returns {Object|null}
+   */
+  async readTicket(ticketId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(ticketId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} ticket
+   */
+  async writeTicket(ticket) {
+    await fs.mkdir(this.config.directory, { recursive: true });
+    await fs.writeFile(this.getPath(ticket.id), JSON.stringify(ticket, null, 2));
+  }
+
+  /**
+   * @param {string} ticketId
+   * @returns {string}
+   */
+  getPath(ticketId) {
+    // Ids come from createReference, but never leave the directory
+    return path.join(this.config.directory, `${path.basename(String(ticketId))}.json`);
+  }
+}
+
+module.exports = MockTicketProvider;
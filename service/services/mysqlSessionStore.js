@@ -0,0 +1,73 @@
+const SessionStore = require('./sessionStore');
+
+/**
+ * MySQL-backed session store (chat_sessions table), shared by every instance
+ * of the service so it can run in PM2 cluster mode.
+ *
+ * Message count and last activity are real columns so they can be updated
+ * atomically; the rest of the session (dialogue state, current flow, pending
+ * clarification...) is kept as JSON, last writer wins. The handoff state is
+ * therefore read from `conversations.handoff_status` (HandoffService), not
+ * from the copy kept here.
+ */
+class MySqlSessionStore extends SessionStore {
+  constructor({ database }) {
+    super();
+    this.database = database;
+  }
+
+  async get(sessionId) {
+    const row = await this.database.getChatSession(sessionId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  async set(sessionId, session) {
+    const { id, messageCount, lastActivity, ...state } = session;
+
+    await this.database.saveChatSession({
+      sessionId,
+      conversationId: id,
+      messageCount,
+      lastActivity,
+      state
+    });
+  }
+
+  async delete(sessionId) {
+    await this.database.deleteChatSession(sessionId);
+  }
+
+  async incrementMessageCount(sessionId) {
+    return this.database.incrementChatSessionMessageCount(sessionId);
+  }
+
+  async deleteExpired(timeoutMs) {
+    const cutoff = new Date(Date.now() - timeoutMs);
+    const rows = await this.database.deleteExpiredChatSessions(cutoff);
+    return rows.map(row => this.fromRow(row));
+  }
+
+  async count() {
+    return this.database.countChatSessions();
+  }
+
+  /**
+   * Rebuild a session object from a chat_sessions row
+   * @param {Object} row
+   * @returns {Object}
+   */
+  fromRow(row) {
+    const state = typeof row.state === 'string' ? JSON.parse(row.state) : row.state || {};
+
+    return {
+      ...state,
+      id: row.conversation_id,
+      sessionId: row.session_id,
+      messageCount: row.message_count,
+      createdAt: new Date(state.createdAt || row.created_at),
+      lastActivity: new Date(row.last_activity)
+    };
+  }
+}
+
+module.exports = MySqlSessionStore;
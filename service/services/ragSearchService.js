@@ -13,7 +13,8 @@ class RagSearchService {
       rubriqueBoost: config.rubriqueBoost || 0.15,
       productBoost: config.productBoost || 0.2,
       variantDecay: config.variantDecay || 0.15,
-      fallbackLimit: config.fallbackLimit || 5
+      fallbackLimit: config.fallbackLimit || 5,
+      contextBoost: config.contextBoost || 0.1
     };
 
     this.synonymMap = {
@@ -31,11 +32,12 @@ class RagSearchService {
    * Main entry point used by ChatService to retrieve ranked FAQ candidates.
    * @param {string} query 
    * @param {Object} session 
+   * @param {Object|null} dialogueContext Follow-up context built by ChatService
    * @returns {Promise<Object|null>}
    */
-  async retrieve(query, session = {}) {
+  async retrieve(query, session = {}, dialogueContext = null) {
     const normalizedQuery = this.normalizeQuery(query);
-    const variants = this.buildQueryVariants(normalizedQuery, session);
+    const variants = this.buildQueryVariants(normalizedQuery, session, dialogueContext);
 
     let candidates = [];
     for (const variant of variants) {
@@ -47,7 +49,7 @@ class RagSearchService {
       }
 
       if (results && results.length > 0) {
-        const scored = this.scoreResults(results, variant, session);
+        const scored = this.scoreResults(results, variant, session, dialogueContext);
         candidates = candidates.concat(scored);
       }
     }
@@ -78,7 +80,7 @@ class RagSearchService {
   /**
    * Build multiple query variants (context-aware) similar to a RAG retriever.
    */
-  buildQueryVariants(query, session) {
+  buildQueryVariants(query, session, dialogueContext = null) {
     const variants = [];
     const baseFilters = {
       languageCode: session.languageCode,
@@ -102,6 +104,17 @@ class RagSearchService {
       allowFallback: true
     });
 
+    // Follow-up questions carry the topic of the previous answer
+    if (dialogueContext?.isFollowUp) {
+      pushVariant({
+        query: this.normalizeQuery(dialogueContext.rewrittenQuery),
+        weight: 1.0 - (this.config.variantDecay / 2),
+        reason: 'context',
+        filters: baseFilters,
+        allowFallback: true
+      });
+    }
+
     if (session.productCode) {
       pushVariant({
         query: `${session.productCode} ${query}`.trim(),
@@ -265,7 +278,7 @@ class RagSearchService {
     return normalized;
   }
 
-  scoreResults(results, variant, session) {
+  scoreResults(results, variant, session, dialogueContext = null) {
     const now = Date.now();
     const recentCutoff = now - (this.config.recencyBoostDays * 24 * 60 * 60 * 1000);
 
@@ -281,6 +294,11 @@ class RagSearchService {
         score += this.config.rubriqueBoost;
       }
 
+      if (dialogueContext?.isFollowUp && !session.productCode &&
+          dialogueContext.lastProductRef && result.product_ref === dialogueContext.lastProductRef) {
+        score += this.config.contextBoost;
+      }
+
       if (result.last_updated) {
         const updatedAt = new Date(result.last_updated).getTime();
         if (!isNaN(updatedAt) && updatedAt >= recentCutoff) {
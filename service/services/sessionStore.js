@@ -0,0 +1,72 @@
+/**
+ * Storage for active chat sessions.
+ *
+ * ChatService only talks to this interface so sessions can live in the
+ * process (MemorySessionStore, single instance) or in MySQL
+ * (MySqlSessionStore, shared by every PM2 instance and kept across restarts).
+ *
+ * Sessions are plain objects ({ id, sessionId, languageCode, rubrique,
+ * productCode, messageCount, createdAt, lastActivity, status, dialogue, flow,
+ * flowResults, pendingClarification }). Stores that serialize them must hand
+ * back `createdAt` and `lastActivity` as Date instances.
+ */
+class SessionStore {
+  /**
+   * Get a session
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   */
+  async get(sessionId) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+
+  /**
+   * Create or replace a session
+   * @param {string} sessionId
+   * @param {Object} session
+   */
+  async set(sessionId, session) {
+    throw new Error(`${this.constructor.name}.set() is not implemented`);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId
+   */
+  async delete(sessionId) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  /**
+   * Atomically count one more user message for a session
+   * @param {string} sessionId
+   * @returns {Promise<number>} The new message count
+   */
+  async incrementMessageCount(sessionId) {
+    throw new Error(`${this.constructor.name}.incrementMessageCount() is not implemented`);
+  }
+
+  /**
+   * Remove sessions idle for longer than the timeout
+   * @param {number} timeoutMs
+   * @returns {Promise<Array>} Removed sessions
+   */
+  async deleteExpired(timeoutMs) {
+    throw new Error(`${this.constructor.name}.deleteExpired() is not implemented`);
+  }
+
+  /**
+   * Number of stored sessions
+   * @returns {Promise<number>}
+   */
+  async count() {
+    throw new Error(`${this.constructor.name}.count() is not implemented`);
+  }
+
+  /**
+   * Release resources held by this process (does not delete shared sessions)
+   */
+  async close() {}
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,95 @@
+const Database = require('../database/database');
+const MemorySessionStore = require('./memorySessionStore');
+const MySqlSessionStore = require('./mysqlSessionStore');
+
+/**
+ * Database answering the chat_sessions queries with the given results, in order
+ * @param {Array} results
+ * @returns {Database}
+ */
+const createDatabase = (...results) => {
+  const database = new Database({});
+  database.query = jest.fn(async () => ({ rows: results.shift() }));
+  return database;
+};
+
+const session = (lastActivity = new Date()) => ({
+  id: 7,
+  sessionId: 'session-1',
+  languageCode: 'fr',
+  messageCount: 3,
+  createdAt: new Date('2026-04-14T08:00:00Z'),
+  lastActivity,
+  dialogue: { lastFaqId: 12, topicTerms: ['levothyrox'] }
+});
+
+describe('MySqlSessionStore', () => {
+  it('keeps the counters in their columns and the rest of the session as state', async () => {
+    const database = createDatabase([]);
+    const store = new MySqlSessionStore({ database });
+
+    await store.set('session-1', session(new Date('2026-04-14T08:05:00Z')));
+
+    const [, params] = database.query.mock.calls[0];
+    expect(params).toMatchObject({ sessionId: 'session-1', conversationId: 7, messageCount: 3 });
+    expect(JSON.parse(params.state)).toEqual({
+      sessionId: 'session-1',
+      languageCode: 'fr',
+      createdAt: '2026-04-14T08:00:00.000Z',
+      dialogue: { lastFaqId: 12, topicTerms: ['levothyrox'] }
+    });
+  });
+
+  it('rebuilds the session of a row, with its dates', async () => {
+    const store = new MySqlSessionStore({
+      database: createDatabase([{
+        session_id: 'session-1',
+        conversation_id: 7,
+        message_count: 4,
+        last_activity: '2026-04-14T08:05:00.000Z',
+        created_at: '2026-04-14T08:00:00.000Z',
+        state: '{"languageCode":"fr","dialogue":{"lastFaqId":12}}'
+      }])
+    });
+
+    const restored = await store.get('session-1');
+
+    expect(restored).toMatchObject({ id: 7, sessionId: 'session-1', messageCount: 4, languageCode: 'fr', dialogue: { lastFaqId: 12 } });
+    expect(restored.lastActivity).toEqual(new Date('2026-04-14T08:05:00Z'));
+    expect(restored.createdAt).toEqual(new Date('2026-04-14T08:00:00Z'));
+  });
+
+  it('counts a message with the value the database incremented', async () => {
+    const store = new MySqlSessionStore({ database: createDatabase({ affectedRows: 1, insertId: 5 }, { affectedRows: 0, insertId: 0 }) });
+
+    expect(await store.incrementMessageCount('session-1')).toBe(5);
+    expect(await store.incrementMessageCount('unknown')).toBe(0);
+  });
+
+  it('only expires the sessions still idle when they are deleted', async () => {
+    const rows = [
+      { session_id: 'idle', conversation_id: 1, message_count: 1, last_activity: '2026-04-14T08:00:00Z', state: '{}' },
+      { session_id: 'touched', conversation_id: 2, message_count: 1, last_activity: '2026-04-14T08:00:00Z', state: '{}' }
+    ];
+    // Another instance counted a message in "touched" between the select and its delete
+    const database = createDatabase(rows, { affectedRows: 1 }, { affectedRows: 0 });
+    const store = new MySqlSessionStore({ database });
+
+    const expired = await store.deleteExpired(1800000);
+
+    expect(expired.map(expiredSession => expiredSession.sessionId)).toEqual(['idle']);
+    expect(database.query.mock.calls[2][0]).toContain('AND last_activity < :cutoff');
+  });
+});
+
+describe('MemorySessionStore', () => {
+  it('expires idle sessions only', async () => {
+    const store = new MemorySessionStore();
+    await store.set('idle', { ...session(new Date(Date.now() - 3600000)), sessionId: 'idle' });
+    await store.set('active', { ...session(), sessionId: 'active' });
+
+    expect((await store.deleteExpired(1800000)).map(expired => expired.sessionId)).toEqual(['idle']);
+    expect(await store.count()).toBe(1);
+    expect(await store.incrementMessageCount('active')).toBe(4);
+  });
+});
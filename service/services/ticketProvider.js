@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+/**
+ * Helpdesk receiving chat escalations.
+ *
+ * ChatService and the escalation outbox only talk to this interface, so a
+ * rubrique can be handled in Zendesk (ZendeskService), by email to a shared
+ * mailbox (EmailTicketProvider), by any helpdesk behind a signed webhook
+ * (WebhookTicketProvider) or, in development, in local files
+ * (MockTicketProvider). TicketingService picks the provider per rubrique.
+ *
+ * Providers implement createTicket, addComment, getTicketStatus and
+ * testConnection; escalateConversation, the contact form validation, the
+ * ticket description (text or HTML, see TicketTemplateService), the routing
+ * rules and urgency (`route`, `urgency`, `priority` and `tags` of the ticket
+ * data) are shared.
+ * Ticket ids are returned as given by the helpdesk and statuses use the
+ * Zendesk names (new, open, pending, hold, solved, closed). Failed calls
+ * return `status` (HTTP status, when there is one) so the outbox can tell
+ * what is worth retrying.
+ */
+class TicketProvider {
+  /**
+   * Create a ticket
+   * @param {Object} ticketData See buildTicketData
+   * @param {Object} options
+   * @param {string} options.idempotencyKey Same key, same ticket: retries must not create another one
+   * @returns {Promise<Object>} { success, ticketId, ticketUrl, failedAttachments, error, status, retryAfter }
+   */
+  async createTicket(ticketData, options = {}) {
+    throw new Error(`${this.constructor.name}.createTicket() is not implemented`);
+  }
+
+  /**
+   * Add a comment to a ticket
+   * @param {string|number} ticketId
+   * @param {string} comment
+   * @param {boolean} isPublic Visible to the requester
+   * @param {Object} options
+   * @returns {Promise<Object>} { success, error }
+   */
+  async addComment(ticketId, comment, isPublic = true, options = {}) {
+    throw new Error(`${this.constructor.name}.addComment() is not implemented`);
+  }
+
+  /**
+   * Current status of a ticket
+   * @param {string|number} ticketId
+   * @returns {Promise<Object>} { success, status, createdAt, updatedAt, lastPublicCommentAt, error }
+   */
+  async getTicketStatus(ticketId) {
+    throw new Error(`${this.constructor.name}.getTicketStatus() is not implemented`);
+  }
+
+  /**
+   * Check that tickets can be created
+   * @returns {Promise<Object>} { success, message, error }
+   */
+  async testConnection() {
+    throw new Error(`${this.constructor.name}.testConnection() is not implemented`);
+  }
+
+  /**
+   * Create ticket from chat escalation
+   * @param {Object} conversationData 
+   * @param {Object} contactForm 
+   * @param {Object} options Passed to createTicket
+   * @returns {Object}
+   */
+  async escalateConversation(conversationData, contactForm, options = {}) {
+    const validation = this.validateTicketData(contactForm);
+    
+    if (!validation.isValid) {
+      return {
+        success: false,
+        error: 'Invalid ticket data',
+        validationErrors: validation.errors
+      };
+    }
+
+    return await this.createTicket(this.buildTicketData(conversationData, contactForm), options);
+  }
+
+  /**
+   * Ticket data of a chat escalation
+   * @param {Object} conversationData
+   * @param {Object} contactForm
+   * @returns {Object}
+   */
+  buildTicketData(conversationData, contactForm) {
+    const ticketData = {
+      ...contactForm,
+      sessionId: conversationData.sessionId,
+      pageUrl: conversationData.pageUrl || null,
+      productName: conversationData.productName,
+      productCode: conversationData.productCode,
+      conversationHistory: conversationData.messages || [],
+      eligibility: conversationData.eligibility || [],
+      outOfHours: conversationData.outOfHours || false,
+      attachments: conversationData.attachments || [],
+      rubrique: conversationData.rubrique,
+      language: conversationData.languageCode
+    };
+
+    // Team rules and deadline scoring apply whichever helpdesk gets the ticket
+    ticketData.route = this.routing ? this.routing.route(ticketData) : null;
+    ticketData.urgency = this.urgency ? this.urgency.score(ticketData) : null;
+    ticketData.priority = this.getTicketPriority(ticketData);
+    ticketData.tags = this.getTicketTags(ticketData);
+
+    return ticketData;
+  }
+
+  /**
+   * Priority set by the routing rule, raised by urgency
+   * @param {Object} ticketData See buildTicketData
+   * @param {string} defaultPriority
+   * @returns {string}
+   */
+  getTicketPriority(ticketData, defaultPriority = 'normal') {
+    const priority = ticketData.route?.set?.priority || defaultPriority;
+    return ticketData.urgency ? this.urgency.raisePriority(priority, ticketData.urgency.priority) : priority;
+  }
+
+  /**
+   * Tags of the routing rule (with `routing:<rule id>`) and of urgency
+   * (`urgent`, `urgency:<term id>`)
+   * @param {Object} ticketData See buildTicketData
+   * @returns {Array}
+   */
+  getTicketTags(ticketData) {
+    const { route, urgency } = ticketData;
+
+    return [
+      ...(route ? [...(route.set.tags || []), `routing:${route.id}`] : []),
+      ...(urgency ? ['urgent', ...urgency.reasons.map(reason => `urgency:${reason.id}`)] : [])
+    ];
+  }
+
+  /**
+   * Route tickets with team rules (TicketRoutingService)
+   * @param {Object|null} routing
+   */
+  setRouting(routing) {
+    this.routing = routing;
+  }
+
+  /**
+   * Raise the priority of urgent tickets (UrgencyService)
+   * @param {Object|null} urgency
+   */
+  setUrgency(urgency) {
+    this.urgency = urgency;
+  }
+
+  /**
+   * Validate ticket data before creation
+   * @param {Object} ticketData 
+   * @returns {Object}
+   */
+  validateTicketData(ticketData) {
+    const errors = [];
+
+    if (!ticketData.email) {
+      errors.push('Email is required');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(ticketData.email)) {
+      errors.push('Valid email is required');
+    }
+
+    if (!ticketData.firstName && !ticketData.lastName) {
+      errors.push('At least first name or last name is required');
+    }
+
+    if (!ticketData.subject || ticketData.subject.trim().length === 0) {
+      errors.push('Subject is required');
+    }
+
+    if (ticketData.phone && !/^[+]?[\d\s\-\(\)]{10,}$/.test(ticketData.phone)) {
+      errors.push('Valid phone number is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Ticket descriptions follow the conversation language (TicketTemplateService)
+   * @param {Object} templates
+   */
+  setTemplates(templates) {
+    this.templates = templates;
+  }
+
+  /**
+   * Plain text ticket description
+   * @param {Object} data Ticket data, with failedAttachments, followUp and urgency
+   * @returns {string}
+   */
+  buildTicketDescription(data) {
+    return this.templates.renderText(data);
+  }
+
+  /**
+   * HTML ticket description
+   * @param {Object} data See buildTicketDescription
+   * @returns {string}
+   */
+  buildTicketHtml(data) {
+    return this.templates.renderHtml(data);
+  }
+
+  /**
+   * Ticket reference for helpdesks that do not number tickets themselves.
+   * Derived from the idempotency key so a retried delivery gets the same one.
+   * @param {string} prefix
+   * @param {string} idempotencyKey
+   * @returns {string}
+   */
+  createReference(prefix, idempotencyKey = null) {
+    const seed = idempotencyKey || crypto.randomUUID();
+    return `${prefix}-${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 10).toUpperCase()}`;
+  }
+}
+
+module.exports = TicketProvider;
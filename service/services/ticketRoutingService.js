@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const SETTINGS = ['group_id', 'assignee_id', 'priority', 'type', 'ticket_form_id', 'custom_fields', 'tags'];
+
+/**
+ * Routing of escalated tickets to Zendesk groups, assignees and forms.
+ *
+ * Rules are read from `routing/tickets.json` and tried in order; the first
+ * rule whose conditions all hold sets the ticket fields. A condition left out
+ * always holds, list conditions hold when any value matches:
+ *
+ *   {
+ *     "rules": [
+ *       {
+ *         "id": "dieselgate",
+ *         "description": "Équipe Dieselgate",
+ *         "match": {
+ *           "rubriques": ["produit"],
+ *           "productCodes": ["DIESELGATE_VW"],
+ *           "languages": ["fr"],
+ *           "keywords": ["dieselgate", "moteur EA189"],   // subject and user messages, case and accents ignored
+ *           "schedule": "mon-fri 18:00-23:59; sat-sun 00:00-23:59",   // business hours timezone
+ *           "outOfHours": true
+ *         },
+ *         "set": {
+ *           "group_id": 360001234567,
+ *           "assignee_id": 360007654321,
+ *           "priority": "high",
+ *           "type": "problem",
+ *           "ticket_form_id": 360000111222,
+ *           "custom_fields": [{ "id": 360009998887, "value": "dieselgate" }],
+ *           "tags": ["team_dieselgate"]
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * Tickets routed by a rule are also tagged `routing:<rule id>`. Zendesk applies
+ * every setting; the other providers get the priority and tags.
+ */
+class TicketRoutingService {
+  constructor({ database, businessHours, config = {}, logger }) {
+    this.database = database;
+    this.businessHours = businessHours;
+    this.logger = logger;
+    this.config = {
+      path: config.path || path.join(__dirname, '../../routing/tickets.json'),
+      maxMessages: config.maxMessages || 200 // Latest messages searched for keywords, as in the ticket
+    };
+
+    this.rules = [];
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load the routing rules
+   */
+  async load() {
+    let data;
+
+    try {
+      data = JSON.parse(await fs.readFile(this.config.path, 'utf8'));
+    } catch (error) {
+      // Without a rules file every ticket keeps the default settings
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Failed to load ticket routing rules', { path: this.config.path, error: error.message });
+      }
+      data = { rules: [] };
+    }
+
+    const rules = [];
+    for (const rule of data.rules || []) {
+      const errors = this.validateRule(rule);
+      if (errors.length > 0) {
+        this.logger.error(`Invalid ticket routing rule ${rule?.id || '(no id)'}`, { errors });
+        continue;
+      }
+
+      rules.push(this.normalizeRule(rule));
+    }
+
+    this.rules = rules;
+    this.loadedAt = new Date();
+
+    this.logger.info('Ticket routing rules loaded', { count: rules.length });
+  }
+
+  /**
+   * Reload the routing rules (admin endpoint)
+   */
+  async reload() {
+    await this.load();
+    return this.getStats();
+  }
+
+  /**
+   * @param {Object} rule
+   * @returns {Array} Error messages
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule || !rule.id) {
+      return ['Rule id is required'];
+    }
+
+    const unknown = Object.keys(rule.set || {}).filter(key => !SETTINGS.includes(key));
+    if (!rule.set || Object.keys(rule.set).length === 0) {
+      errors.push('Rule sets nothing');
+    } else if (unknown.length > 0) {
+      errors.push(`Unknown settings: ${unknown.join(', ')}`);
+    }
+
+    if (rule.set?.priority && !PRIORITIES.includes(rule.set.priority)) {
+      errors.push(`Priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+
+    if (rule.set?.custom_fields && !(Array.isArray(rule.set.custom_fields) && rule.set.custom_fields.every(field => field && field.id))) {
+      errors.push('custom_fields must be a list of { id, value }');
+    }
+
+    if (rule.match?.schedule && Object.values(this.businessHours.parseWeekly(rule.match.schedule)).every(day => day.length === 0)) {
+      errors.push('Schedule has no valid interval');
+    }
+
+    return errors;
+  }
+
+  /**
+   * @param {Object} rule
+   * @returns {Object}
+   */
+  normalizeRule(rule) {
+    const match = rule.match || {};
+    const lower = (values) => values ? values.map(value => String(value).toLowerCase()) : null;
+
+    return {
+      id: rule.id,
+      description: rule.description || '',
+      match: {
+        rubriques: match.rubriques || null,
+        productCodes: lower(match.productCodes),
+        languages: lower(match.languages),
+        keywords: match.keywords ? match.keywords.map(keyword => this.normalizeText(keyword)) : null,
+        schedule: match.schedule ? this.businessHours.parseWeekly(match.schedule) : null,
+        outOfHours: typeof match.outOfHours === 'boolean' ? match.outOfHours : null
+      },
+      source: rule,
+      set: rule.set
+    };
+  }
+
+  /**
+   * First rule matching a conversation, with the outcome of every rule
+   * @param {Object} context { rubrique, productCode, language, subject, messages (texts), outOfHours, date }
+   * @returns {Object} { rule, results: [{ id, matched, failed }] }
+   */
+  evaluate(context) {
+    const text = this.normalizeText([context.subject, ...(context.messages || [])].filter(Boolean).join('\n'));
+    const { minutes, weekday } = this.businessHours.getZonedParts(context.date || new Date());
+
+    const results = [];
+    let matchedRule = null;
+
+    for (const rule of this.rules) {
+      const { match } = rule;
+      const checks = {
+        rubriques: () => match.rubriques.includes(context.rubrique || 'general'),
+        productCodes: () => match.productCodes.includes(String(context.productCode || '').toLowerCase()),
+        languages: () => match.languages.includes(String(context.language || '').toLowerCase()),
+        keywords: () => match.keywords.some(keyword => text.includes(keyword)),
+        schedule: () => match.schedule[weekday].some(interval => minutes >= interval.start && minutes < interval.end),
+        outOfHours: () => !!context.outOfHours === match.outOfHours
+      };
+
+      const failed = Object.keys(checks).filter(name => match[name] !== null && !checks[name]());
+      const matched = failed.length === 0;
+
+      results.push({ id: rule.id, matched, failed });
+
+      if (matched && !matchedRule) {
+        matchedRule = rule;
+      }
+    }
+
+    return {
+      rule: matchedRule ? { id: matchedRule.id, description: matchedRule.description, set: matchedRule.set } : null,
+      results
+    };
+  }
+
+  /**
+   * Rule for a ticket about to be created (TicketProvider.buildTicketData)
+   * @param {Object} ticketData
+   * @returns {Object|null} { id, description, set }
+   */
+  route(ticketData) {
+    return this.evaluate({
+      rubrique: ticketData.rubrique,
+      productCode: ticketData.productCode,
+      language: ticketData.language,
+      subject: ticketData.subject,
+      messages: (ticketData.conversationHistory || [])
+        .filter(message => message.message_type === 'user')
+        .map(message => message.message_text),
+      outOfHours: ticketData.outOfHours
+    }).rule;
+  }
+
+  /**
+   * Which rule would route the ticket of a conversation (admin rule test)
+   * @param {string} sessionId
+   * @param {Object} overrides { subject, date, outOfHours }
+   * @returns {Object} { context, rule, results }
+   */
+  async testConversation(sessionId, overrides = {}) {
+    const conversation = await this.database.getConversation(sessionId);
+    if (!conversation) {
+      throw new Error('Invalid session');
+    }
+
+    const messages = await this.database.getConversationMessages(conversation.id, this.config.maxMessages);
+    const date = overrides.date || new Date();
+
+    const context = {
+      rubrique: conversation.rubrique,
+      productCode: conversation.product_code,
+      language: conversation.language_code,
+      subject: overrides.subject || '',
+      messages: messages.filter(message => message.message_type === 'user').map(message => message.message_text),
+      outOfHours: typeof overrides.outOfHours === 'boolean' ? overrides.outOfHours : !this.businessHours.getStatus(date).isOpen,
+      date
+    };
+
+    return { context, ...this.evaluate(context) };
+  }
+
+  /**
+   * Lowercase without accents, so "Chlordécone" matches "chlordecone"
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      path: this.config.path,
+      loadedAt: this.loadedAt,
+      rules: this.rules.map(rule => rule.source)
+    };
+  }
+}
+
+module.exports = TicketRoutingService;
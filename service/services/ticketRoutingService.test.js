@@ -0,0 +1,110 @@
+const TicketRoutingService = require('./ticketRoutingService');
+const BusinessHoursService = require('./businessHoursService');
+const helpers = require('../test/helpers');
+
+const RULES = [
+  {
+    id: 'dieselgate',
+    match: { rubriques: ['produit'], productCodes: ['DIESELGATE_VW'], keywords: ['moteur EA189'] },
+    set: { group_id: 1, priority: 'high', tags: ['team_dieselgate'] }
+  },
+  {
+    id: 'evening',
+    match: { schedule: 'mon-fri 18:00-23:59' },
+    set: { group_id: 2 }
+  },
+  {
+    id: 'english',
+    match: { languages: ['en'] },
+    set: { group_id: 3 }
+  }
+];
+
+const createService = (rules = RULES) => {
+  const service = helpers.createService(TicketRoutingService, {
+    database: {},
+    businessHours: helpers.createService(BusinessHoursService, {
+      config: { timezone: 'Europe/Paris', weekly: 'mon-fri 09:00-18:00' }
+    })
+  });
+
+  service.rules = rules.map(rule => service.normalizeRule(rule));
+  return service;
+};
+
+// Tuesday 14 April 2026, 10:00 in Paris
+const MORNING = new Date('2026-04-14T08:00:00Z');
+
+describe('TicketRoutingService', () => {
+  describe('evaluate', () => {
+    it('picks the first rule whose conditions all hold', () => {
+      const { rule, results } = createService().evaluate({
+        rubrique: 'produit',
+        productCode: 'dieselgate_vw',
+        language: 'en',
+        subject: 'Rappel',
+        messages: ['Mon Moteur EA189 a été modifié'],
+        date: MORNING
+      });
+
+      expect(rule).toEqual({ id: 'dieselgate', description: '', set: RULES[0].set });
+      expect(results.filter(result => result.matched).map(result => result.id)).toEqual(['dieselgate', 'english']);
+    });
+
+    it('reports the conditions that failed', () => {
+      const { rule, results } = createService().evaluate({
+        rubrique: 'produit',
+        productCode: 'DIESELGATE_VW',
+        language: 'fr',
+        subject: 'Question sur mon dossier',
+        messages: [],
+        date: MORNING
+      });
+
+      expect(rule).toBeNull();
+      expect(results).toEqual([
+        { id: 'dieselgate', matched: false, failed: ['keywords'] },
+        { id: 'evening', matched: false, failed: ['schedule'] },
+        { id: 'english', matched: false, failed: ['languages'] }
+      ]);
+    });
+
+    it('matches a schedule in the business hours timezone', () => {
+      // 19:30 in Paris (UTC+2)
+      const { rule } = createService().evaluate({ language: 'fr', date: new Date('2026-04-14T17:30:00Z') });
+
+      expect(rule.id).toBe('evening');
+    });
+  });
+
+  describe('load', () => {
+    it('loads the shipped rules, routing each team', async () => {
+      const service = helpers.createService(TicketRoutingService, { database: {}, businessHours: createService().businessHours });
+      await service.load();
+
+      expect(service.rules.map(rule => rule.id)).toEqual(['chlordecone', 'chlordecone_keywords', 'dieselgate', 'dieselgate_keywords', 'billing']);
+      expect(service.evaluate({ rubrique: 'produit', productCode: 'CHLORDECONE_2024', date: MORNING }).rule.set.tags).toEqual(['team_chlordecone']);
+      expect(service.evaluate({ rubrique: 'general', messages: ['Ma voiture a le moteur EA189'], date: MORNING }).rule.set.tags).toEqual(['team_dieselgate']);
+      expect(service.evaluate({ rubrique: 'tunnel_vente', date: MORNING }).rule.set.tags).toEqual(['team_billing']);
+      expect(service.evaluate({ rubrique: 'compte_client', date: MORNING }).rule).toBeNull();
+    });
+  });
+
+  describe('route', () => {
+    it('only looks for keywords in the subject and the user messages', () => {
+      const service = createService();
+      const ticketData = {
+        rubrique: 'produit',
+        productCode: 'DIESELGATE_VW',
+        language: 'fr',
+        subject: 'Rappel',
+        conversationHistory: [{ message_type: 'bot', message_text: 'Le moteur EA189 est concerné.' }]
+      };
+
+      expect(service.route(ticketData)).not.toEqual(expect.objectContaining({ id: 'dieselgate' }));
+
+      ticketData.conversationHistory.push({ message_type: 'user', message_text: 'Oui, moteur EA189' });
+      expect(service.route(ticketData).id).toBe('dieselgate');
+    });
+  });
+});
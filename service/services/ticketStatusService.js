@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+
+// Zendesk ticket statuses, in workflow order
+const STATUSES = ['new', 'open', 'pending', 'hold', 'solved', 'closed'];
+
+/**
+ * Status of a support request, asked from the widget ("où en est ma demande ?").
+ *
+ * Only tickets created from a chat escalation (`conversations.zendesk_ticket_id`)
+ * can be looked up, by their requester:
+ * - a ticket escalated from the asking conversation is given straight away;
+ * - any other ticket needs a one-time code, emailed to the requester address
+ *   when the email given matches the one of the escalation. Unknown tickets
+ *   and wrong emails get the same "code sent" answer.
+ * Codes sent and failed checks are limited per ticket and requester
+ * (`maxAttempts` within `attemptWindow`, counted for the asking conversation
+ * and its IP address), so guessing a ticket number cannot lock out the real
+ * requester, whose own conversation is never limited. The status is read from the provider that
+ * created the ticket. The reply gives the status, the date of the last public
+ * comment and what happens next, in the language of the asking conversation
+ * (`ticketStatus` translation block).
+ */
+class TicketStatusService {
+  constructor({ database, ticketing, mail = null, language, businessHours = null, config = {}, logger }) {
+    this.database = database;
+    this.ticketing = ticketing;
+    this.mail = mail;
+    this.language = language;
+    this.businessHours = businessHours;
+    this.logger = logger;
+    this.config = {
+      codeTtl: config.codeTtl || 900000,
+      maxAttempts: config.maxAttempts || 5,
+      attemptWindow: config.attemptWindow || 3600000
+    };
+  }
+
+  /**
+   * Look up a ticket once the requester is known
+   * @param {Object} params
+   * @param {string} params.sessionId Conversation asking
+   * @param {string} params.ticketId
+   * @param {string} params.email Requester email, for tickets of other conversations
+   * @param {string} params.code Code emailed to the requester
+   * @returns {Object} Status, or { success, verification: 'code', message } once a code is sent
+   */
+  async lookup({ sessionId, ticketId, email = null, code = null }) {
+    try {
+      const conversation = await this.database.getConversation(sessionId);
+      if (!conversation) {
+        throw new Error('Invalid session');
+      }
+
+      const languageCode = conversation.language_code;
+
+      let escalated = await this.database.getTicketConversation(ticketId, { sessionId });
+      if (!escalated) {
+        if (!email) {
+          throw new Error('Ticket not found');
+        }
+        if (!this.mail || !this.mail.isEnabled()) {
+          throw new Error('Ticket status unavailable');
+        }
+
+        const since = new Date(Date.now() - this.config.attemptWindow);
+        const attempts = await this.database.countTicketStatusAttempts(ticketId, {
+          conversationId: conversation.id,
+          userIp: conversation.user_ip
+        }, since);
+        if (attempts >= this.config.maxAttempts) {
+          throw new Error('Too many attempts');
+        }
+
+        escalated = await this.database.getTicketConversation(ticketId, { email });
+        if (!code) {
+          return await this.sendCode({ ticketId, email, escalated, conversation });
+        }
+
+        if (!escalated || !(await this.verifyCode(ticketId, conversation.id, code))) {
+          await this.database.saveTicketStatusCheck({ ticketId, conversationId: conversation.id, outcome: 'failed' });
+          this.logger.warn('Ticket status lookup with a wrong code', { sessionId, ticketId });
+          throw new Error('Invalid code');
+        }
+      }
+
+      const result = await this.ticketing.getTicketStatus(escalated.zendesk_ticket_id, escalated.ticket_provider);
+      if (!result.success) {
+        throw new Error('Ticket status unavailable');
+      }
+
+      const status = STATUSES.includes(result.status) ? result.status : 'open';
+      const nextStep = this.getNextStep(status, languageCode);
+      const { lastPublicCommentAt = null } = result;
+
+      this.logger.info('Ticket status looked up', { sessionId, ticketId, provider: result.provider, status });
+
+      return {
+        success: true,
+        ticketId: escalated.zendesk_ticket_id,
+        status,
+        createdAt: result.createdAt || null,
+        updatedAt: result.updatedAt || null,
+        lastPublicCommentAt,
+        nextStep,
+        message: this.buildMessage({ ticketId: escalated.zendesk_ticket_id, status, lastPublicCommentAt, nextStep }, languageCode)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'ticket_status',
+        sessionId,
+        ticketId
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Email a code to the requester; a ticket that does not match the email
+   * counts as a failed check but gets the same answer
+   * @param {Object} params { ticketId, email, escalated, conversation }
+   * @returns {Object}
+   */
+  async sendCode({ ticketId, email, escalated, conversation }) {
+    const languageCode = conversation.language_code;
+    const reply = {
+      success: true,
+      verification: 'code',
+      message: this.language.get('ticketStatus.codeSent', languageCode, { email })
+    };
+
+    if (!escalated) {
+      await this.database.saveTicketStatusCheck({ ticketId, conversationId: conversation.id, outcome: 'failed' });
+      this.logger.warn('Ticket status lookup with a non-matching email', { sessionId: conversation.session_id, ticketId });
+      return reply;
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const minutes = Math.round(this.config.codeTtl / 60000);
+
+    try {
+      await this.mail.send({
+        to: email,
+        subject: this.language.get('ticketStatus.codeEmailSubject', languageCode, { ticketId }),
+        text: this.language.get('ticketStatus.codeEmailText', languageCode, { ticketId, code, minutes })
+      });
+    } catch (error) {
+      this.logger.error('Failed to email ticket status code', { ticketId, error: error.message });
+      throw new Error('Ticket status unavailable');
+    }
+
+    await this.database.saveTicketStatusCheck({
+      ticketId,
+      conversationId: conversation.id,
+      outcome: 'code_sent',
+      codeHash: this.hashCode(code),
+      expiresAt: new Date(Date.now() + this.config.codeTtl)
+    });
+
+    this.logger.info('Ticket status code sent', { sessionId: conversation.session_id, ticketId });
+
+    return reply;
+  }
+
+  /**
+   * Check the last code sent to the conversation for the ticket, usable once
+   * @param {string} ticketId
+   * @param {number} conversationId
+   * @param {string} code
+   * @returns {boolean}
+   */
+  async verifyCode(ticketId, conversationId, code) {
+    const check = await this.database.getTicketStatusCode(ticketId, conversationId);
+    if (!check) {
+      return false;
+    }
+
+    const expected = Buffer.from(check.code_hash, 'hex');
+    const given = Buffer.from(this.hashCode(code), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) {
+      return false;
+    }
+
+    return this.database.useTicketStatusCode(check.id);
+  }
+
+  /**
+   * @param {string} code
+   * @returns {string}
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  /**
+   * @param {string} status
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  getNextStep(status, languageCode) {
+    const nextStep = this.language.get(`ticketStatus.nextSteps.${status}`, languageCode);
+
+    // Requests still waiting for the team get the usual reply estimate
+    if (['new', 'open'].includes(status) && this.businessHours) {
+      return `${nextStep} ${this.businessHours.getExpectedReplyText(languageCode)}`;
+    }
+
+    return nextStep;
+  }
+
+  /**
+   * @param {Object} details { ticketId, status, lastPublicCommentAt, nextStep }
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  buildMessage({ ticketId, status, lastPublicCommentAt, nextStep }, languageCode) {
+    const lines = [
+      this.language.get('ticketStatus.summary', languageCode, {
+        ticketId,
+        status: this.language.get(`ticketStatus.statuses.${status}`, languageCode)
+      }),
+      lastPublicCommentAt
+        ? this.language.get('ticketStatus.lastComment', languageCode, { date: this.formatDate(lastPublicCommentAt, languageCode) })
+        : this.language.get('ticketStatus.noComment', languageCode),
+      nextStep
+    ];
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {string} date
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  formatDate(date, languageCode) {
+    return new Date(date).toLocaleDateString(languageCode === 'en' ? 'en-GB' : 'fr-FR', {
+      timeZone: this.businessHours?.timezone || 'Europe/Paris',
+      dateStyle: 'long'
+    });
+  }
+
+  /**
+   * Translation keys this service uses
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return [
+      'ticketStatus.prompt',
+      'ticketStatus.codeSent',
+      'ticketStatus.codeEmailSubject',
+      'ticketStatus.codeEmailText',
+      'ticketStatus.summary',
+      'ticketStatus.lastComment',
+      'ticketStatus.noComment',
+      ...STATUSES.map(status => `ticketStatus.statuses.${status}`),
+      ...STATUSES.map(status => `ticketStatus.nextSteps.${status}`)
+    ];
+  }
+}
+
+module.exports = TicketStatusService;
@@ -0,0 +1,123 @@
+const TicketStatusService = require('./ticketStatusService');
+const helpers = require('../test/helpers');
+
+const EMAIL = 'jean@example.com';
+
+/**
+ * In-memory stand-in for the ticket status queries of the database
+ */
+const createDatabase = () => {
+  const conversations = [
+    { id: 1, session_id: 'owner', language_code: 'fr', user_ip: '192.0.2.1', zendesk_ticket_id: '35436', ticket_provider: 'zendesk', email: EMAIL },
+    { id: 2, session_id: 'other', language_code: 'fr', user_ip: '192.0.2.2' },
+    { id: 3, session_id: 'intruder', language_code: 'fr', user_ip: '198.51.100.7' }
+  ];
+  const checks = [];
+
+  return {
+    checks,
+    getConversation: jest.fn(async sessionId => conversations.find(c => c.session_id === sessionId) || null),
+    getTicketConversation: jest.fn(async (ticketId, { sessionId = null, email = null }) => conversations.find(c =>
+      c.zendesk_ticket_id === ticketId && (sessionId ? c.session_id === sessionId : c.email === email)) || null),
+    countTicketStatusAttempts: jest.fn(async (ticketId, { conversationId, userIp }, since) => checks.filter(check =>
+      check.ticketId === ticketId && ['code_sent', 'failed'].includes(check.outcome) && check.createdAt >= since &&
+      (check.conversationId === conversationId || conversations.find(c => c.id === check.conversationId).user_ip === userIp)).length),
+    saveTicketStatusCheck: jest.fn(async check => {
+      checks.push({ id: checks.length + 1, createdAt: new Date(), ...check, code_hash: check.codeHash });
+    }),
+    getTicketStatusCode: jest.fn(async (ticketId, conversationId) => checks.filter(check =>
+      check.ticketId === ticketId && check.conversationId === conversationId &&
+      check.outcome === 'code_sent' && check.expiresAt > new Date()).pop() || null),
+    useTicketStatusCode: jest.fn(async id => {
+      const check = checks.find(c => c.id === id && c.outcome === 'code_sent');
+      if (check) {
+        check.outcome = 'verified';
+      }
+      return !!check;
+    })
+  };
+};
+
+const createService = (database = createDatabase()) => {
+  const mail = { isEnabled: () => true, send: jest.fn() };
+  const service = helpers.createService(TicketStatusService, {
+    database,
+    ticketing: { getTicketStatus: jest.fn(async () => ({ success: true, provider: 'zendesk', status: 'open' })) },
+    mail,
+    // The code emailed is the email text
+    language: helpers.createLanguage((key, languageCode, replacements = {}) => replacements.code || key),
+    config: { codeTtl: 900000, maxAttempts: 3, attemptWindow: 3600000 }
+  });
+
+  return { service, database, mail };
+};
+
+describe('TicketStatusService', () => {
+  describe('lookup', () => {
+    it('answers at once for a ticket escalated from the asking conversation', async () => {
+      const { service, mail } = createService();
+
+      const result = await service.lookup({ sessionId: 'owner', ticketId: '35436' });
+
+      expect(result).toMatchObject({ success: true, ticketId: '35436', status: 'open' });
+      expect(mail.send).not.toHaveBeenCalled();
+    });
+
+    it('emails a code to the requester, then answers with it', async () => {
+      const { service, mail } = createService();
+
+      const sent = await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL });
+      expect(sent).toMatchObject({ success: true, verification: 'code' });
+      expect(mail.send).toHaveBeenCalledWith(expect.objectContaining({ to: EMAIL }));
+
+      const code = mail.send.mock.calls[0][0].text;
+      expect(await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL, code }))
+        .toMatchObject({ success: true, status: 'open' });
+
+      // Used once
+      expect(await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL, code }))
+        .toEqual({ success: false, error: 'Invalid code' });
+    });
+
+    it('gives the same answer to an email that does not match, without sending anything', async () => {
+      const { service, mail } = createService();
+
+      const result = await service.lookup({ sessionId: 'other', ticketId: '35436', email: 'someone@example.com' });
+
+      expect(result).toMatchObject({ success: true, verification: 'code' });
+      expect(mail.send).not.toHaveBeenCalled();
+    });
+
+    it('refuses a wrong code, and an expired one', async () => {
+      const { service, database, mail } = createService();
+
+      await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL });
+      const code = mail.send.mock.calls[0][0].text;
+      const wrong = code === '000000' ? '000001' : '000000';
+
+      expect(await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL, code: wrong }))
+        .toEqual({ success: false, error: 'Invalid code' });
+
+      database.checks[0].expiresAt = new Date(Date.now() - 1000);
+      expect(await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL, code }))
+        .toEqual({ success: false, error: 'Invalid code' });
+    });
+
+    it('limits the attempts of a requester without locking out the others', async () => {
+      const { service, mail } = createService();
+
+      for (let i = 0; i < 3; i++) {
+        await service.lookup({ sessionId: 'intruder', ticketId: '35436', email: EMAIL, code: '123456' });
+      }
+
+      expect(await service.lookup({ sessionId: 'intruder', ticketId: '35436', email: EMAIL }))
+        .toEqual({ success: false, error: 'Too many attempts' });
+      expect(mail.send).not.toHaveBeenCalled();
+
+      expect(await service.lookup({ sessionId: 'other', ticketId: '35436', email: EMAIL }))
+        .toMatchObject({ success: true, verification: 'code' });
+      expect(await service.lookup({ sessionId: 'owner', ticketId: '35436' }))
+        .toMatchObject({ success: true, status: 'open' });
+    });
+  });
+});
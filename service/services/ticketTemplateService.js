@@ -0,0 +1,323 @@
+/**
+ * Ticket descriptions of chat escalations, for every ticketing provider.
+ *
+ * The same sections are rendered as plain text and as HTML (Zendesk's
+ * `html_body`, email alternatives): urgency, client, session (reference, page,
+ * product, rubrique), FAQs shown to the user, eligibility answers, attachments
+ * and the transcript, set apart from the rest. Labels follow the conversation
+ * language (`ticket` translation block).
+ *
+ * FAQ links are built from `faqUrl`, where `{{id}}` and `{{externalId}}` stand
+ * for the FAQ's ids (e.g. "https://www.myleo.legal/faq/{{externalId}}"); FAQs
+ * are listed without links when it is not set.
+ */
+class TicketTemplateService {
+  constructor({ language, config = {} }) {
+    this.language = language;
+    this.config = {
+      timezone: config.timezone || 'Europe/Paris',
+      faqUrl: config.faqUrl || ''
+    };
+  }
+
+  /**
+   * Plain text description
+   * @param {Object} data Ticket data (see TicketProvider.buildTicketData), with
+   *   failedAttachments, followUp (added to an open ticket) and urgency
+   * @returns {string}
+   */
+  renderText(data) {
+    const { language, urgency, followUp = false } = data;
+    const t = (key, replacements) => this.language.get(`ticket.${key}`, language, replacements);
+    const lines = [];
+    const section = (title, rows) => {
+      if (rows.length > 0) {
+        lines.push(`--- ${title.toUpperCase()} ---`, ...rows, '');
+      }
+    };
+
+    lines.push(`=== ${t(followUp ? 'followUpTitle' : 'title').toUpperCase()} ===`, '');
+    if (followUp) {
+      // Repeat escalation added to an open ticket: its subject is not the ticket's
+      lines.push(`${t('subject')}: ${data.subject || '-'}`, '');
+    }
+
+    if (urgency) {
+      section(t('urgency'), urgency.reasons.map(({ reason, match }) => `${reason} (« ${match} »)`));
+    }
+
+    section(t('client'), this.getFields(this.getClientFields(data), language));
+    section(t('session'), this.getFields(this.getSessionFields(data), language));
+
+    section(t('faqs'), this.getFaqs(data.conversationHistory).map(faq => `- ${faq.title}${faq.url ? ` <${faq.url}>` : ''}`));
+
+    section(t('eligibility'), (data.eligibility || []).flatMap(result => [
+      `${t('product')}: ${result.product_code || '-'} (${result.flow_id})`,
+      `${t('outcome')}: ${t(`outcomes.${result.outcome}`)}`,
+      ...(result.answers || []).map(entry => `  - ${entry.question}\n    > ${entry.answer}`)
+    ]));
+
+    section(t('attachments'), this.getAttachments(data).map(file => `${file.filename} (${file.size})${file.failed ? ` - ${t('attachmentFailed').toUpperCase()}` : ''}`));
+
+    const messages = data.conversationHistory || [];
+    if (messages.length > 0) {
+      lines.push(`==================== ${t('transcript').toUpperCase()} ====================`, '');
+
+      for (const message of messages) {
+        lines.push(`[${this.formatDate(message.created_at, language)}] ${this.getSpeaker(message, language)}:`);
+        lines.push(...String(message.message_text || '').trim().split('\n').map(line => `    ${line}`));
+        lines.push('');
+      }
+
+      lines.push(`==================== ${t('transcriptEnd').toUpperCase()} ====================`, '');
+    }
+
+    lines.push(t(followUp ? 'followUpFooter' : 'footer'));
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * HTML description, limited to the markup Zendesk keeps in `html_body`
+   * @param {Object} data See renderText
+   * @returns {string}
+   */
+  renderHtml(data) {
+    const { language, urgency, followUp = false } = data;
+    const t = (key, replacements) => this.escapeHtml(this.language.get(`ticket.${key}`, language, replacements));
+    const parts = [];
+    const section = (title, content) => {
+      if (content) {
+        parts.push(`<h3>${title}</h3>\n${content}`);
+      }
+    };
+    const list = (items) => items.length > 0 ? `<ul>\n${items.map(item => `<li>${item}</li>`).join('\n')}\n</ul>` : '';
+    const fields = (rows) => list(this.getFields(rows, language, true));
+
+    parts.push(`<h2>${t(followUp ? 'followUpTitle' : 'title')}</h2>`);
+    if (followUp) {
+      parts.push(`<p><strong>${t('subject')}:</strong> ${this.escapeHtml(data.subject || '-')}</p>`);
+    }
+
+    if (urgency) {
+      section(`&#9888; ${t('urgency')}`, list(urgency.reasons.map(({ reason, match }) =>
+        `<strong>${this.escapeHtml(reason)}</strong> (« ${this.escapeHtml(match)} »)`
+      )));
+    }
+
+    section(t('client'), fields(this.getClientFields(data)));
+    section(t('session'), fields(this.getSessionFields(data)));
+
+    section(t('faqs'), list(this.getFaqs(data.conversationHistory).map(faq => faq.url
+      ? `<a href="${this.escapeHtml(faq.url)}">${this.escapeHtml(faq.title)}</a>`
+      : this.escapeHtml(faq.title)
+    )));
+
+    section(t('eligibility'), (data.eligibility || []).map(result => `<p><strong>${t('product')}:</strong> ${this.escapeHtml(result.product_code || '-')} (${this.escapeHtml(result.flow_id)})<br>
+<strong>${t('outcome')}:</strong> ${t(`outcomes.${result.outcome}`)}</p>
+${list((result.answers || []).map(entry => `${this.escapeHtml(entry.question)}<br><em>${this.escapeHtml(entry.answer)}</em>`))}`).join('\n'));
+
+    section(t('attachments'), list(this.getAttachments(data).map(file =>
+      `${this.escapeHtml(file.filename)} (${this.escapeHtml(file.size)})${file.failed ? ` <strong>${t('attachmentFailed')}</strong>` : ''}`
+    )));
+
+    const messages = data.conversationHistory || [];
+    if (messages.length > 0) {
+      const rows = messages.map(message => `<p><strong>${this.escapeHtml(this.getSpeaker(message, language))}</strong> &middot; ${this.escapeHtml(this.formatDate(message.created_at, language))}<br>
+${this.escapeHtml(String(message.message_text || '').trim()).replace(/\n/g, '<br>')}</p>`);
+
+      parts.push(`<hr>\n<h3>${t('transcript')}</h3>\n<blockquote>\n${rows.join('\n')}\n</blockquote>\n<hr>`);
+    }
+
+    parts.push(`<p><em>${t(followUp ? 'followUpFooter' : 'footer')}</em></p>`);
+
+    return parts.join('\n');
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {Array} [[label key, value]]
+   */
+  getClientFields(data) {
+    return [
+      ['name', `${data.firstName || ''} ${data.lastName || ''}`.trim()],
+      ['email', data.email],
+      ['phone', data.phone],
+      ['availability', data.availability]
+    ];
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {Array} [[label key, value]]
+   */
+  getSessionFields(data) {
+    const product = data.productName && data.productCode
+      ? `${data.productName} (${data.productCode})`
+      : data.productName || data.productCode;
+
+    return [
+      ['reference', data.sessionId],
+      ['date', this.formatDate(new Date(), data.language)],
+      ['language', data.language],
+      ['rubrique', data.rubrique || 'general'],
+      ['product', product],
+      ['pageUrl', data.pageUrl, true]
+    ];
+  }
+
+  /**
+   * Labelled values, empty ones left out
+   * @param {Array} rows [[label key, value, isUrl]]
+   * @param {string} languageCode
+   * @param {boolean} html
+   * @returns {Array}
+   */
+  getFields(rows, languageCode, html = false) {
+    return rows
+      .filter(([, value]) => value)
+      .map(([key, value, isUrl]) => {
+        const label = this.language.get(`ticket.${key}`, languageCode);
+        if (!html) {
+          return `${label}: ${value}`;
+        }
+
+        const text = this.escapeHtml(value);
+        return `<strong>${this.escapeHtml(label)}:</strong> ${isUrl && /^https?:\/\//i.test(value) ? `<a href="${text}">${text}</a>` : text}`;
+      });
+  }
+
+  /**
+   * FAQ answers the user was given, once each
+   * @param {Array} messages
+   * @returns {Array} [{ title, url }]
+   */
+  getFaqs(messages = []) {
+    const faqs = new Map();
+
+    for (const message of messages) {
+      if (message.faq_id && message.faq_title && !faqs.has(message.faq_id)) {
+        faqs.set(message.faq_id, {
+          title: message.faq_title,
+          url: this.getFaqUrl(message.faq_id, message.faq_external_id)
+        });
+      }
+    }
+
+    return [...faqs.values()];
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} externalId
+   * @returns {string|null}
+   */
+  getFaqUrl(id, externalId) {
+    if (!this.config.faqUrl || (this.config.faqUrl.includes('{{externalId}}') && !externalId)) {
+      return null;
+    }
+
+    return this.config.faqUrl
+      .replace(/\{\{id\}\}/g, encodeURIComponent(id))
+      .replace(/\{\{externalId\}\}/g, encodeURIComponent(externalId || ''));
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {Array} [{ filename, size, failed }]
+   */
+  getAttachments(data) {
+    const failed = data.failedAttachments || [];
+
+    return (data.attachments || []).map(file => ({
+      filename: file.filename,
+      size: this.language.get('ticket.attachmentSize', data.language, { size: Math.max(1, Math.round(file.size / 1024)) }),
+      failed: failed.includes(file.filename)
+    }));
+  }
+
+  /**
+   * @param {Object} message
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  getSpeaker(message, languageCode) {
+    const speaker = this.language.get(`ticket.speakers.${['user', 'agent', 'system'].includes(message.message_type) ? message.message_type : 'bot'}`, languageCode);
+
+    if (message.message_type === 'agent' && (message.agent_name || message.agent_id)) {
+      return `${speaker} (${message.agent_name || message.agent_id})`;
+    }
+
+    return speaker;
+  }
+
+  /**
+   * @param {Date|string} date
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  formatDate(date, languageCode) {
+    return new Date(date).toLocaleString(languageCode === 'en' ? 'en-GB' : 'fr-FR', {
+      timeZone: this.config.timezone,
+      dateStyle: 'short',
+      timeStyle: 'short'
+    });
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Translation keys this service uses
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return [
+      'ticket.title',
+      'ticket.followUpTitle',
+      'ticket.subject',
+      'ticket.urgency',
+      'ticket.client',
+      'ticket.name',
+      'ticket.email',
+      'ticket.phone',
+      'ticket.availability',
+      'ticket.session',
+      'ticket.reference',
+      'ticket.date',
+      'ticket.language',
+      'ticket.rubrique',
+      'ticket.product',
+      'ticket.pageUrl',
+      'ticket.faqs',
+      'ticket.eligibility',
+      'ticket.outcome',
+      'ticket.outcomes.eligible',
+      'ticket.outcomes.probably_eligible',
+      'ticket.outcomes.not_eligible',
+      'ticket.attachments',
+      'ticket.attachmentSize',
+      'ticket.attachmentFailed',
+      'ticket.transcript',
+      'ticket.transcriptEnd',
+      'ticket.speakers.user',
+      'ticket.speakers.bot',
+      'ticket.speakers.agent',
+      'ticket.speakers.system',
+      'ticket.footer',
+      'ticket.followUpFooter'
+    ];
+  }
+}
+
+module.exports = TicketTemplateService;
@@ -0,0 +1,108 @@
+const Database = require('../database/database');
+const TicketTemplateService = require('./ticketTemplateService');
+const helpers = require('../test/helpers');
+
+let language;
+
+beforeAll(async () => {
+  language = await helpers.loadLanguages();
+});
+
+const createService = (config = {}) => helpers.createService(TicketTemplateService, {
+  language,
+  config: { faqUrl: 'https://www.example.com/faq/{{externalId}}', ...config }
+});
+
+const message = (id, messageType, text, extra = {}) => ({
+  id,
+  message_type: messageType,
+  message_text: text,
+  created_at: new Date(Date.UTC(2026, 3, 14, 8, id)),
+  ...extra
+});
+
+const ticketData = (overrides = {}) => ({
+  language: 'fr',
+  sessionId: '3f2a9c01-d4e5-4f60-8a7b-1c2d3e4f5a6b',
+  firstName: 'Jean',
+  lastName: 'Dupont <b>',
+  email: 'jean@example.com',
+  subject: 'Mon dossier',
+  rubrique: 'produit',
+  productCode: 'DIESELGATE_VW',
+  pageUrl: 'https://www.example.com/dieselgate',
+  conversationHistory: [
+    message(1, 'user', 'Où en est mon <dossier> ?'),
+    message(2, 'bot', 'Voici la procédure.', { faq_id: 12, faq_title: 'Suivre mon dossier', faq_external_id: 'suivi' }),
+    message(3, 'agent', 'Je regarde.', { agent_name: 'Alice' })
+  ],
+  attachments: [{ filename: 'facture.pdf', size: 2048 }],
+  failedAttachments: ['facture.pdf'],
+  ...overrides
+});
+
+describe('TicketTemplateService', () => {
+  describe('renderText', () => {
+    it('labels the sections in the language of the conversation', () => {
+      const service = createService();
+
+      const fr = service.renderText(ticketData());
+      const en = service.renderText(ticketData({ language: 'en' }));
+
+      expect(fr).toContain(`=== ${language.get('ticket.title', 'fr').toUpperCase()} ===`);
+      expect(en).toContain(`=== ${language.get('ticket.title', 'en').toUpperCase()} ===`);
+      expect(en).toContain(`${language.get('ticket.email', 'en')}: jean@example.com`);
+      expect(fr).toContain('- Suivre mon dossier <https://www.example.com/faq/suivi>');
+      expect(fr).toContain(`${language.get('ticket.speakers.agent', 'fr')} (Alice):\n    Je regarde.`);
+      expect(fr).toContain(`facture.pdf (${language.get('ticket.attachmentSize', 'fr', { size: 2 })}) - ${language.get('ticket.attachmentFailed', 'fr').toUpperCase()}`);
+    });
+
+    it('gives the subject of a follow-up added to an open ticket', () => {
+      const text = createService().renderText(ticketData({ followUp: true }));
+
+      expect(text).toContain(`${language.get('ticket.followUpTitle', 'fr').toUpperCase()}`);
+      expect(text).toContain(`${language.get('ticket.subject', 'fr')}: Mon dossier`);
+      expect(text.trim().endsWith(language.get('ticket.followUpFooter', 'fr'))).toBe(true);
+    });
+  });
+
+  describe('renderHtml', () => {
+    it('escapes what the user typed', () => {
+      const html = createService().renderHtml(ticketData({
+        urgency: { score: 3, priority: 'urgent', reasons: [{ id: 'hearing', reason: 'Audience', match: '<audience> demain' }] }
+      }));
+
+      expect(html).toContain('Dupont &lt;b&gt;');
+      expect(html).toContain('Où en est mon &lt;dossier&gt; ?');
+      expect(html).toContain('(« &lt;audience&gt; demain »)');
+      expect(html).not.toMatch(/<(b|dossier|audience)>/);
+    });
+
+    it('only links page URLs of the web', () => {
+      const service = createService();
+
+      expect(service.renderHtml(ticketData())).toContain('<a href="https://www.example.com/dieselgate">');
+      expect(service.renderHtml(ticketData({ pageUrl: 'javascript:alert(1)' }))).not.toContain('<a href="javascript:');
+    });
+
+    it('lists FAQs without links when no FAQ URL is configured', () => {
+      const html = createService({ faqUrl: '' }).renderHtml(ticketData());
+
+      expect(html).toContain('<li>Suivre mon dossier</li>');
+    });
+  });
+
+  describe('conversation history', () => {
+    it('gets the latest messages of a long conversation, oldest first', async () => {
+      const database = new Database({});
+      // Rows as the database returns them, newest first
+      database.query = jest.fn(async () => ({ rows: [message(3, 'agent', 'Je regarde.'), message(2, 'bot', 'Voici la procédure.')] }));
+
+      const messages = await database.getConversationMessages(1, 2);
+      const text = createService().renderText(ticketData({ conversationHistory: messages }));
+
+      expect(database.query.mock.calls[0][0]).toMatch(/ORDER BY cm\.created_at DESC, cm\.id DESC\s+LIMIT 2$/);
+      expect(text.indexOf('Voici la procédure.')).toBeLessThan(text.indexOf('Je regarde.'));
+    });
+  });
+});
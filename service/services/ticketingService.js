@@ -0,0 +1,93 @@
+/**
+ * Picks the ticketing provider (see TicketProvider) that receives the
+ * escalations of a rubrique: the rubrique's own provider when one is
+ * configured, the default provider otherwise.
+ */
+class TicketingService {
+  /**
+   * @param {Object} params
+   * @param {Object} params.providers Providers by name ({ zendesk, email, webhook, mock })
+   * @param {Object} params.config { provider, rubriques: { rubrique: provider } }
+   */
+  constructor({ providers, config = {}, logger }) {
+    this.providers = providers;
+    this.logger = logger;
+    this.config = {
+      provider: config.provider || 'zendesk',
+      rubriques: config.rubriques || {}
+    };
+
+    for (const name of [this.config.provider, ...Object.values(this.config.rubriques)]) {
+      if (!this.providers[name]) {
+        throw new Error(`Unknown ticketing provider: ${name}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} rubrique
+   * @returns {string} Provider name
+   */
+  getProviderName(rubrique) {
+    return this.config.rubriques[rubrique] || this.config.provider;
+  }
+
+  /**
+   * @param {string} rubrique
+   * @returns {TicketProvider}
+   */
+  getProvider(rubrique) {
+    return this.providers[this.getProviderName(rubrique)];
+  }
+
+  /**
+   * Providers escalations can go to, by name
+   * @returns {Array} [[name, provider]]
+   */
+  getActiveProviders() {
+    const names = new Set([this.config.provider, ...Object.values(this.config.rubriques)]);
+    return [...names].map(name => [name, this.providers[name]]);
+  }
+
+  /**
+   * Create the ticket of a chat escalation with the provider of its rubrique
+   * @param {Object} conversationData
+   * @param {Object} contactForm
+   * @param {Object} options
+   * @returns {Object} Provider result, with `provider`
+   */
+  async escalateConversation(conversationData, contactForm, options = {}) {
+    const provider = this.getProviderName(conversationData.rubrique);
+    const result = await this.providers[provider].escalateConversation(conversationData, contactForm, options);
+
+    return { ...result, provider };
+  }
+
+  /**
+   * Status of a ticket, read from the provider that created it
+   * @param {string|number} ticketId
+   * @param {string|null} provider Name stored with the ticket; tickets escalated
+   *   before providers were recorded are Zendesk tickets
+   * @returns {Object} Provider result, with `provider`
+   */
+  async getTicketStatus(ticketId, provider = null) {
+    const name = provider || 'zendesk';
+    if (!this.providers[name]) {
+      return { success: false, error: `Unknown ticketing provider: ${name}`, provider: name };
+    }
+
+    const result = await this.providers[name].getTicketStatus(ticketId);
+    return { ...result, provider: name };
+  }
+
+  /**
+   * @param {Object} contactForm
+   * @param {string} rubrique
+   * @returns {Object} { isValid, errors }
+   */
+  validateTicketData(contactForm, rubrique) {
+    return this.getProvider(rubrique).validateTicketData(contactForm);
+  }
+}
+
+module.exports = TicketingService;
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TicketingService = require('./ticketingService');
+const MockTicketProvider = require('./mockTicketProvider');
+const helpers = require('../test/helpers');
+
+const contactForm = { firstName: 'Jean', lastName: 'Dupont', email: 'jean@example.com', subject: 'Mon dossier' };
+
+const createProvider = (ticketId) => ({
+  escalateConversation: jest.fn(async () => ({ success: true, ticketId })),
+  getTicketStatus: jest.fn(async () => ({ success: true, status: 'open' }))
+});
+
+const createService = () => {
+  const providers = { zendesk: createProvider(35436), email: createProvider('EML-3F2A9C01D4') };
+  const service = helpers.createService(TicketingService, {
+    providers,
+    config: { provider: 'zendesk', rubriques: { tunnel_vente: 'email' } }
+  });
+
+  return { service, providers };
+};
+
+describe('TicketingService', () => {
+  it('refuses a configuration naming an unknown provider', () => {
+    expect(() => helpers.createService(TicketingService, {
+      providers: { zendesk: createProvider(1) },
+      config: { provider: 'zendesk', rubriques: { compte_client: 'freshdesk' } }
+    })).toThrow('Unknown ticketing provider: freshdesk');
+  });
+
+  describe('escalateConversation', () => {
+    it('sends a rubrique to its own provider and the others to the default one', async () => {
+      const { service, providers } = createService();
+
+      expect(await service.escalateConversation({ rubrique: 'tunnel_vente' }, contactForm))
+        .toEqual({ success: true, ticketId: 'EML-3F2A9C01D4', provider: 'email' });
+      expect(await service.escalateConversation({ rubrique: 'produit' }, contactForm))
+        .toEqual({ success: true, ticketId: 35436, provider: 'zendesk' });
+      expect(providers.email.escalateConversation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getTicketStatus', () => {
+    it('asks the provider that created the ticket, Zendesk for tickets recorded without one', async () => {
+      const { service, providers } = createService();
+
+      await service.getTicketStatus('EML-3F2A9C01D4', 'email');
+      await service.getTicketStatus('35436', null);
+
+      expect(providers.email.getTicketStatus).toHaveBeenCalledWith('EML-3F2A9C01D4');
+      expect(providers.zendesk.getTicketStatus).toHaveBeenCalledWith('35436');
+      expect(await service.getTicketStatus('1', 'freshdesk')).toMatchObject({ success: false, provider: 'freshdesk' });
+    });
+  });
+});
+
+describe('MockTicketProvider', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tickets-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('creates one ticket per idempotency key, readable by its status', async () => {
+    const provider = new MockTicketProvider({ config: { directory }, logger: helpers.createLogger() });
+    provider.setTemplates({ renderText: () => 'text', renderHtml: () => '<p>html</p>' });
+
+    const first = await provider.escalateConversation({ sessionId: 'session-1', languageCode: 'fr' }, contactForm, { idempotencyKey: 'key-1' });
+    const retry = await provider.escalateConversation({ sessionId: 'session-1', languageCode: 'fr' }, contactForm, { idempotencyKey: 'key-1' });
+
+    expect(first.ticketId).toMatch(/^MOCK-[0-9A-F]{10}$/);
+    expect(retry.ticketId).toBe(first.ticketId);
+    expect(fs.readdirSync(directory)).toEqual([`${first.ticketId}.json`]);
+    expect(await provider.getTicketStatus(first.ticketId)).toMatchObject({ success: true, status: 'new', lastPublicCommentAt: null });
+  });
+
+  it('rejects an invalid contact form before creating anything', async () => {
+    const provider = new MockTicketProvider({ config: { directory }, logger: helpers.createLogger() });
+
+    const result = await provider.escalateConversation({ sessionId: 'session-1' }, { ...contactForm, email: 'jean' });
+
+    expect(result).toMatchObject({ success: false, validationErrors: ['Valid email is required'] });
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+});
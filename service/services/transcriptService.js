@@ -0,0 +1,291 @@
+const FORMATS = {
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  // Same document, laid out for paper and opening the print dialog
+  print: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+/**
+ * Conversation transcripts for users and the legal team.
+ *
+ * Renders the messages of a conversation as plain text, HTML or printable
+ * HTML (the browser prints it to paper or PDF) and emails it to the user.
+ * Labels follow the conversation language (`transcript` translation block).
+ * Sent emails are recorded, which also caps how many a conversation can send.
+ */
+class TranscriptService {
+  constructor({ database, language, mail = null, config = {}, logger }) {
+    this.database = database;
+    this.language = language;
+    this.mail = mail;
+    this.logger = logger;
+    this.config = {
+      maxMessages: config.maxMessages || 500,
+      timezone: config.timezone || 'Europe/Paris',
+      maxEmails: config.maxEmails || 3,
+      emailWindow: config.emailWindow || 86400000
+    };
+  }
+
+  /**
+   * Supported export formats
+   * @returns {Array}
+   */
+  static getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Whether transcripts can be emailed
+   * @returns {boolean}
+   */
+  isEmailEnabled() {
+    return !!this.mail && this.mail.isEnabled();
+  }
+
+  /**
+   * Load a conversation and its messages
+   * @param {string} sessionId
+   * @returns {Object} { conversation, messages, languageCode }
+   */
+  async getTranscript(sessionId) {
+    const conversation = await this.database.getConversation(sessionId);
+    if (!conversation) {
+      throw new Error('Invalid session');
+    }
+
+    const messages = await this.database.getConversationMessages(conversation.id, this.config.maxMessages);
+
+    return {
+      conversation,
+      messages: messages.filter(message => message.message_text),
+      languageCode: conversation.language_code
+    };
+  }
+
+  /**
+   * Render the transcript of a conversation
+   * @param {string} sessionId
+   * @param {string} format text | html | print
+   * @returns {Object} { content, contentType, filename }
+   */
+  async render(sessionId, format = 'text') {
+    const transcript = await this.getTranscript(sessionId);
+    const { contentType, extension } = FORMATS[format] || FORMATS.text;
+
+    const content = format === 'text'
+      ? this.renderText(transcript)
+      : this.renderHtml(transcript, { printable: format === 'print' });
+
+    return {
+      content,
+      contentType,
+      filename: this.getFilename(transcript.conversation, extension)
+    };
+  }
+
+  /**
+   * @param {Object} transcript
+   * @returns {string}
+   */
+  renderText(transcript) {
+    const { conversation, messages, languageCode } = transcript;
+    const t = (key, replacements) => this.language.get(`transcript.${key}`, languageCode, replacements);
+
+    const lines = [
+      t('title'),
+      `${t('reference')}: ${conversation.session_id}`,
+      `${t('startedAt')}: ${this.formatDate(conversation.created_at, languageCode)}`,
+      `${t('exportedAt')}: ${this.formatDate(new Date(), languageCode)}`,
+      ''
+    ];
+
+    for (const message of messages) {
+      lines.push(`[${this.formatDate(message.created_at, languageCode)}] ${this.getSpeaker(message, languageCode)}:`);
+      lines.push(message.message_text.trim());
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Object} transcript
+   * @param {Object} options
+   * @param {boolean} options.printable Paper layout, opens the print dialog
+   * @returns {string}
+   */
+  renderHtml(transcript, { printable = false } = {}) {
+    const { conversation, messages, languageCode } = transcript;
+    const t = (key, replacements) => this.escapeHtml(this.language.get(`transcript.${key}`, languageCode, replacements));
+
+    const rows = messages.map(message => `
+    <div class="message ${this.escapeHtml(message.message_type)}">
+      <div class="meta"><strong>${this.escapeHtml(this.getSpeaker(message, languageCode))}</strong> &middot; ${this.escapeHtml(this.formatDate(message.created_at, languageCode))}</div>
+      <div class="text">${this.escapeHtml(message.message_text.trim()).replace(/\n/g, '<br>')}</div>
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${this.escapeHtml(languageCode)}">
+<head>
+  <meta charset="utf-8">
+  <title>${t('title')}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; max-width: 720px; margin: 24px auto; padding: 0 16px; line-height: 1.5; }
+    h1 { font-size: 20px; color: #1e3a8a; margin-bottom: 4px; }
+    .details { color: #6b7280; font-size: 13px; margin-bottom: 24px; }
+    .message { border-left: 3px solid #e5e7eb; padding: 6px 12px; margin-bottom: 12px; }
+    .message.user { border-color: #f59e0b; }
+    .message.bot { border-color: #1e3a8a; }
+    .message.agent { border-color: #10b981; }
+    .message.system { border-color: #e5e7eb; color: #6b7280; font-style: italic; }
+    .meta { font-size: 12px; color: #6b7280; }
+    ${printable ? `@page { size: A4; margin: 20mm; }
+    @media print { body { margin: 0; max-width: none; } .message { page-break-inside: avoid; } }` : ''}
+  </style>
+</head>
+<body>
+  <h1>${t('title')}</h1>
+  <div class="details">
+    ${t('reference')}: ${this.escapeHtml(conversation.session_id)}<br>
+    ${t('startedAt')}: ${this.escapeHtml(this.formatDate(conversation.created_at, languageCode))}<br>
+    ${t('exportedAt')}: ${this.escapeHtml(this.formatDate(new Date(), languageCode))}
+  </div>
+  <div class="messages">${rows}
+  </div>${printable ? `
+  <script>window.addEventListener('load', function () { window.print(); });</script>` : ''}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Email the transcript of a conversation to the user
+   * @param {string} sessionId
+   * @param {string} email
+   * @returns {Object}
+   */
+  async emailTranscript(sessionId, email) {
+    try {
+      if (!this.isEmailEnabled()) {
+        throw new Error('Email is not configured');
+      }
+
+      const transcript = await this.getTranscript(sessionId);
+      const { conversation, languageCode } = transcript;
+
+      const since = new Date(Date.now() - this.config.emailWindow);
+      if (await this.database.countTranscriptEmails(conversation.id, since) >= this.config.maxEmails) {
+        throw new Error('Too many transcript emails');
+      }
+
+      const intro = this.language.get('transcript.emailIntro', languageCode);
+      const html = this.renderHtml(transcript).replace(
+        '<body>',
+        `<body>\n  <p>${this.escapeHtml(intro)}</p>`
+      );
+
+      const { messageId } = await this.mail.send({
+        to: email,
+        subject: this.language.get('transcript.emailSubject', languageCode),
+        text: `${intro}\n\n${this.renderText(transcript)}`,
+        html
+      });
+
+      await this.database.saveTranscriptEmail({
+        conversationId: conversation.id,
+        recipient: email,
+        messageId
+      });
+
+      this.logger.info('Transcript emailed', { sessionId, messageId });
+
+      return {
+        success: true,
+        message: this.language.get('transcript.emailSent', languageCode, { email })
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'email_transcript',
+        sessionId
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {Object} message
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  getSpeaker(message, languageCode) {
+    if (message.message_type === 'agent' && message.agent_name) {
+      return message.agent_name;
+    }
+
+    return this.language.get(`transcript.speakers.${message.message_type}`, languageCode);
+  }
+
+  /**
+   * @param {Date|string} date
+   * @param {string} languageCode
+   * @returns {string}
+   */
+  formatDate(date, languageCode) {
+    return new Date(date).toLocaleString(languageCode === 'en' ? 'en-GB' : 'fr-FR', {
+      timeZone: this.config.timezone,
+      dateStyle: 'short',
+      timeStyle: 'short'
+    });
+  }
+
+  /**
+   * @param {Object} conversation
+   * @param {string} extension
+   * @returns {string}
+   */
+  getFilename(conversation, extension) {
+    const day = new Date(conversation.created_at).toISOString().slice(0, 10);
+    return `myleo-conversation-${day}-${conversation.session_id.slice(0, 8)}.${extension}`;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Translation keys this service uses
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return [
+      'transcript.title',
+      'transcript.reference',
+      'transcript.startedAt',
+      'transcript.exportedAt',
+      'transcript.speakers.user',
+      'transcript.speakers.bot',
+      'transcript.speakers.agent',
+      'transcript.speakers.system',
+      'transcript.emailSubject',
+      'transcript.emailIntro',
+      'transcript.emailSent'
+    ];
+  }
+}
+
+module.exports = TranscriptService;
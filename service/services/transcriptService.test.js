@@ -0,0 +1,100 @@
+const TranscriptService = require('./transcriptService');
+const helpers = require('../test/helpers');
+
+const SESSION_ID = '3f2a9c01-d4e5-4f60-8a7b-1c2d3e4f5a6b';
+
+const MESSAGES = [
+  { id: 1, message_type: 'user', message_text: 'Mon dossier <Dieselgate> ?', created_at: '2026-04-14T08:01:00Z' },
+  { id: 2, message_type: 'bot', message_text: 'Votre dossier est en cours.', created_at: '2026-04-14T08:01:05Z' },
+  { id: 3, message_type: 'bot', message_text: null, created_at: '2026-04-14T08:01:06Z' },
+  { id: 4, message_type: 'agent', message_text: 'Bonjour, ici Alice.', agent_name: 'Alice', created_at: '2026-04-14T08:03:00Z' }
+];
+
+let language;
+
+beforeAll(async () => {
+  language = await helpers.loadLanguages();
+});
+
+const createService = (deps = {}) => {
+  const database = {
+    getConversation: jest.fn(async sessionId => (sessionId === SESSION_ID ? {
+      id: 1,
+      session_id: SESSION_ID,
+      language_code: 'fr',
+      created_at: '2026-04-14T08:00:00Z'
+    } : null)),
+    getConversationMessages: jest.fn(async () => MESSAGES),
+    countTranscriptEmails: jest.fn(async () => 0),
+    saveTranscriptEmail: jest.fn()
+  };
+
+  return helpers.createService(TranscriptService, {
+    database,
+    language,
+    mail: { isEnabled: () => true, send: jest.fn(async () => ({ messageId: '<1@example.com>' })) },
+    config: { maxEmails: 3 },
+    ...deps
+  });
+};
+
+describe('TranscriptService', () => {
+  describe('render', () => {
+    it('exports the messages as text, in the language of the conversation', async () => {
+      const transcript = await createService().render(SESSION_ID, 'text');
+
+      expect(transcript.contentType).toBe('text/plain; charset=utf-8');
+      expect(transcript.filename).toBe('myleo-conversation-2026-04-14-3f2a9c01.txt');
+      expect(transcript.content).toContain(`${language.get('transcript.reference', 'fr')}: ${SESSION_ID}`);
+      expect(transcript.content).toContain(`14/04/2026 10:01] ${language.get('transcript.speakers.user', 'fr')}:\nMon dossier <Dieselgate> ?`);
+      expect(transcript.content).toContain('] Alice:\nBonjour, ici Alice.');
+    });
+
+    it('escapes the messages in HTML, and only prints the printable export', async () => {
+      const service = createService();
+
+      const html = await service.render(SESSION_ID, 'html');
+      const print = await service.render(SESSION_ID, 'print');
+
+      expect(html.content).toContain('Mon dossier &lt;Dieselgate&gt; ?');
+      expect(html.content).not.toContain('<Dieselgate>');
+      expect(html.content).not.toContain('window.print()');
+      expect(print.content).toContain('window.print()');
+      expect(print.filename).toMatch(/\.html$/);
+    });
+
+    it('fails for an unknown session', async () => {
+      await expect(createService().render('unknown')).rejects.toThrow('Invalid session');
+    });
+  });
+
+  describe('emailTranscript', () => {
+    it('sends the transcript and records the email', async () => {
+      const service = createService();
+
+      const result = await service.emailTranscript(SESSION_ID, 'jean@example.com');
+
+      expect(result).toEqual({ success: true, message: language.get('transcript.emailSent', 'fr', { email: 'jean@example.com' }) });
+      expect(service.mail.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'jean@example.com',
+        subject: language.get('transcript.emailSubject', 'fr')
+      }));
+      expect(service.database.saveTranscriptEmail).toHaveBeenCalledWith({ conversationId: 1, recipient: 'jean@example.com', messageId: '<1@example.com>' });
+    });
+
+    it('stops sending once the conversation reached the limit', async () => {
+      const service = createService();
+      service.database.countTranscriptEmails.mockResolvedValue(3);
+
+      expect(await service.emailTranscript(SESSION_ID, 'jean@example.com')).toEqual({ success: false, error: 'Too many transcript emails' });
+      expect(service.mail.send).not.toHaveBeenCalled();
+    });
+
+    it('fails when no mail transport is configured', async () => {
+      const service = createService({ mail: null });
+
+      expect(await service.emailTranscript(SESSION_ID, 'jean@example.com')).toEqual({ success: false, error: 'Email is not configured' });
+      expect(service.isEmailEnabled()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+/**
+ * Urgency scoring of escalations, so tickets about hard legal deadlines
+ * ("audience demain", "mise en demeure"...) are not left at the default
+ * priority.
+ *
+ * Lexicons are defined per language in `urgency/<lang>.json`. Each term adds
+ * its score once, whichever of its phrases or patterns match:
+ *
+ *   {
+ *     "terms": [
+ *       {
+ *         "id": "hearing",
+ *         "reason": "Audience imminente",
+ *         "score": 3,
+ *         "phrases": ["audience demain"],            // contained in the text
+ *         "patterns": ["audience (le )?(demain|lundi)"] // regular expressions
+ *       }
+ *     ]
+ *   }
+ *
+ * Phrases and patterns are matched against the subject and the user messages
+ * in lowercase without accents, so patterns must be written that way too.
+ * A total of `highScore` makes the ticket high priority, `urgentScore` urgent.
+ */
+class UrgencyService {
+  constructor({ config = {}, logger }) {
+    this.logger = logger;
+    this.config = {
+      path: config.path || path.join(__dirname, '../../urgency'),
+      defaultLanguage: config.defaultLanguage || 'fr',
+      highScore: config.highScore || 2,
+      urgentScore: config.urgentScore || 3
+    };
+
+    // Terms per language
+    this.lexicons = {};
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load the lexicons from the urgency directory
+   */
+  async load() {
+    const lexicons = {};
+    const files = await fs.readdir(this.config.path);
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const languageCode = path.basename(file, '.json');
+      const content = await fs.readFile(path.join(this.config.path, file), 'utf8');
+
+      try {
+        const data = JSON.parse(content);
+        const list = Array.isArray(data) ? data : data.terms || [];
+
+        lexicons[languageCode] = [];
+        for (const term of list) {
+          try {
+            lexicons[languageCode].push(this.normalizeTerm(term));
+          } catch (error) {
+            this.logger.error(`Invalid urgency term ${term?.id || '(no id)'} in ${file}`, { error: error.message });
+          }
+        }
+      } catch (parseError) {
+        this.logger.error(`Failed to parse urgency lexicon ${file}`, { error: parseError.message });
+      }
+    }
+
+    this.lexicons = lexicons;
+    this.loadedAt = new Date();
+
+    this.logger.info('Urgency lexicons loaded', {
+      languages: Object.keys(lexicons),
+      counts: Object.fromEntries(Object.entries(lexicons).map(([lang, list]) => [lang, list.length]))
+    });
+  }
+
+  /**
+   * Reload the lexicons (admin endpoint)
+   */
+  async reload() {
+    await this.load();
+    return this.getStats();
+  }
+
+  /**
+   * Normalize phrases and compile patterns
+   * @param {Object} term
+   * @returns {Object}
+   */
+  normalizeTerm(term) {
+    if (!term || !term.id) {
+      throw new Error('Term id is required');
+    }
+
+    return {
+      id: term.id,
+      reason: term.reason || term.id,
+      score: Number(term.score) || 1,
+      phrases: (term.phrases || []).map(phrase => this.normalizeText(phrase)),
+      patterns: (term.patterns || []).map(pattern => new RegExp(pattern)),
+      source: term
+    };
+  }
+
+  /**
+   * Score a ticket's subject and user messages
+   * @param {Object} ticketData { subject, language, conversationHistory }
+   * @returns {Object|null} { score, priority, reasons: [{ id, reason, match }] }, null below the high score
+   */
+  score(ticketData) {
+    const terms = this.lexicons[ticketData.language] || this.lexicons[this.config.defaultLanguage] || [];
+    const text = this.normalizeText([
+      ticketData.subject,
+      ...(ticketData.conversationHistory || [])
+        .filter(message => message.message_type === 'user')
+        .map(message => message.message_text)
+    ].filter(Boolean).join('\n'));
+
+    const reasons = [];
+    let score = 0;
+
+    for (const term of terms) {
+      const match = term.phrases.find(phrase => text.includes(phrase))
+        || term.patterns.map(pattern => text.match(pattern)).find(Boolean)?.[0];
+
+      if (match) {
+        reasons.push({ id: term.id, reason: term.reason, match });
+        score += term.score;
+      }
+    }
+
+    if (score < this.config.highScore) {
+      return null;
+    }
+
+    return {
+      score,
+      priority: score >= this.config.urgentScore ? 'urgent' : 'high',
+      reasons
+    };
+  }
+
+  /**
+   * Higher of two Zendesk priorities
+   * @param {string} current
+   * @param {string} priority
+   * @returns {string}
+   */
+  raisePriority(current, priority) {
+    return PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(current) ? priority : current;
+  }
+
+  /**
+   * Lowercase without accents and with plain apostrophes, so "Délai" matches
+   * "delai" and "aujourd’hui" matches "aujourd'hui"
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\u2018\u2019]/g, "'").toLowerCase();
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      loadedAt: this.loadedAt,
+      highScore: this.config.highScore,
+      urgentScore: this.config.urgentScore,
+      languages: Object.fromEntries(
+        Object.entries(this.lexicons).map(([languageCode, list]) => [
+          languageCode,
+          list.map(term => ({ id: term.id, reason: term.reason, score: term.score }))
+        ])
+      )
+    };
+  }
+}
+
+module.exports = UrgencyService;
@@ -0,0 +1,91 @@
+const UrgencyService = require('./urgencyService');
+const TicketProvider = require('./ticketProvider');
+const helpers = require('../test/helpers');
+
+const createService = (config = {}) => {
+  const service = helpers.createService(UrgencyService, {
+    config: { highScore: 2, urgentScore: 3, ...config }
+  });
+
+  service.lexicons = {
+    fr: [
+      { id: 'hearing', reason: 'Audience imminente', score: 3, phrases: ['audience demain'] },
+      { id: 'formal_notice', reason: 'Mise en demeure', score: 2, phrases: ['mise en demeure'] },
+      { id: 'deadline', reason: 'Délai', score: 1, patterns: ['delai (de|d.)'] }
+    ].map(term => service.normalizeTerm(term))
+  };
+
+  return service;
+};
+
+const ticket = (subject, ...messages) => ({
+  language: 'fr',
+  subject,
+  conversationHistory: messages.map(text => ({ message_type: 'user', message_text: text }))
+});
+
+describe('UrgencyService', () => {
+  describe('score', () => {
+    it('returns null below the high score', () => {
+      expect(createService().score(ticket('Question', 'Quel est le délai de traitement ?'))).toBeNull();
+    });
+
+    it('is high from the high score', () => {
+      const urgency = createService().score(ticket('Mise en demeure reçue'));
+
+      expect(urgency).toEqual({
+        score: 2,
+        priority: 'high',
+        reasons: [{ id: 'formal_notice', reason: 'Mise en demeure', match: 'mise en demeure' }]
+      });
+    });
+
+    it('is urgent from the urgent score, adding up the terms', () => {
+      const urgency = createService().score(ticket('Aide', 'Délai d’appel bientôt écoulé', 'Et une mise en demeure'));
+
+      expect(urgency.score).toBe(3);
+      expect(urgency.priority).toBe('urgent');
+      expect(urgency.reasons.map(reason => reason.id)).toEqual(['formal_notice', 'deadline']);
+    });
+
+    it('ignores case and accents, and messages not written by the user', () => {
+      const service = createService();
+
+      expect(service.score(ticket('AUDIENCE DEMAIN')).priority).toBe('urgent');
+      expect(service.score({
+        language: 'fr',
+        subject: 'Aide',
+        conversationHistory: [{ message_type: 'bot', message_text: 'Audience demain ?' }]
+      })).toBeNull();
+    });
+
+    it('follows the configured thresholds', () => {
+      expect(createService({ highScore: 3, urgentScore: 5 }).score(ticket('Mise en demeure'))).toBeNull();
+      expect(createService({ highScore: 3, urgentScore: 5 }).score(ticket('Audience demain')).priority).toBe('high');
+    });
+  });
+
+  describe('with a ticketing provider', () => {
+    it('sets the priority and tags of the ticket data, whatever the provider', () => {
+      const provider = new TicketProvider();
+      provider.setUrgency(createService());
+
+      const ticketData = provider.buildTicketData({
+        languageCode: 'fr',
+        messages: [{ message_type: 'user', message_text: 'Mon audience demain' }]
+      }, { subject: 'Aide' });
+
+      expect(ticketData.priority).toBe('urgent');
+      expect(ticketData.tags).toEqual(['urgent', 'urgency:hearing']);
+    });
+  });
+
+  describe('raisePriority', () => {
+    it('never lowers a priority', () => {
+      const service = createService();
+
+      expect(service.raisePriority('normal', 'high')).toBe('high');
+      expect(service.raisePriority('urgent', 'high')).toBe('urgent');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const TicketProvider = require('./ticketProvider');
+
+/**
+ * Ticketing through a signed webhook, for helpdesks without a provider of
+ * their own.
+ *
+ * Every call is a POST of `{ event, ... }` to the configured URL:
+ *
+ *   ticket.create   { ticket: { subject, requester, description, descriptionHtml, rubrique, language, productCode, pageUrl, attachments } }
+ *                   -> { ticketId, ticketUrl }
+ *   ticket.comment  { ticketId, comment: { body, public } }
+ *   ticket.status   { ticketId } -> { status }
+ *   ping            {}
+ *
+ * signed like the Zendesk webhooks we receive: X-Myleo-Webhook-Signature is
+ * base64(HMAC-SHA256(secret, timestamp + body)) with the timestamp in
+ * X-Myleo-Webhook-Signature-Timestamp. Creations carry an Idempotency-Key
+ * header, the receiver should answer a repeated key with the same ticket.
+ */
+class WebhookTicketProvider extends TicketProvider {
+  constructor({ config = {}, logger }) {
+    super();
+    this.logger = logger;
+    this.config = {
+      url: config.url || '',
+      secret: config.secret || '',
+      timeout: config.timeout || 30000
+    };
+
+    this.apiClient = axios.create({
+      timeout: this.config.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * @param {Object} ticketData
+   * @param {Object} options
+   * @returns {Object}
+   */
+  async createTicket(ticketData, { idempotencyKey = null } = {}) {
+    try {
+      const data = await this.send('ticket.create', {
+        ticket: {
+          subject: ticketData.subject,
+          requester: {
+            name: `${ticketData.firstName || ''} ${ticketData.lastName || ''}`.trim(),
+            email: ticketData.email,
+            phone: ticketData.phone || null
+          },
+          description: this.buildTicketDescription(ticketData),
+          descriptionHtml: this.buildTicketHtml(ticketData),
+          rubrique: ticketData.rubrique || 'general',
+          language: ticketData.language,
+          productCode: ticketData.productCode || null,
+          pageUrl: ticketData.pageUrl || null,
+          priority: ticketData.priority,
+          tags: ticketData.tags || [],
+          routing: ticketData.route ? { rule: ticketData.route.id, set: ticketData.route.set } : null,
+          attachments: (ticketData.attachments || []).map(file => ({
+            filename: file.filename,
+            contentType: file.contentType,
+            size: file.size,
+            content: file.buffer.toString('base64')
+          }))
+        }
+      }, idempotencyKey);
+
+      // Receivers that do not number tickets get our reference
+      const ticketId = data?.ticketId || this.createReference('WH', idempotencyKey);
+
+      this.logger.info('Escalation sent to ticketing webhook', { ticketId });
+
+      return {
+        success: true,
+        ticketId,
+        ticketUrl: data?.ticketUrl || null,
+        failedAttachments: []
+      };
+    } catch (error) {
+      return this.handleError('Failed to create ticket through webhook', error);
+    }
+  }
+
+  /**
+   * @param {string} ticketId
+   * @param {string} comment
+   * @param {boolean} isPublic
+   * @returns {Object}
+   */
+  async addComment(ticketId, comment, isPublic = true) {
+    try {
+      await this.send('ticket.comment', { ticketId, comment: { body: comment, public: isPublic } });
+      return { success: true };
+    } catch (error) {
+      return this.handleError('Failed to add ticket comment through webhook', error, { ticketId });
+    }
+  }
+
+  /**
+   * @param {string} ticketId
+   * @returns {Object}
+   */
+  async getTicketStatus(ticketId) {
+    try {
+      const data = await this.send('ticket.status', { ticketId });
+      return {
+        success: true,
+        status: data?.status || null,
+        createdAt: data?.createdAt || null,
+        updatedAt: data?.updatedAt || null,
+        lastPublicCommentAt: data?.lastPublicCommentAt || null
+      };
+    } catch (error) {
+      return this.handleError('Failed to get ticket status through webhook', error, { ticketId });
+    }
+  }
+
+  /**
+   * @returns {Object}
+   */
+  async testConnection() {
+    try {
+      await this.send('ping', {});
+      return { success: true, message: 'Webhook reachable' };
+    } catch (error) {
+      return this.handleError('Ticketing webhook test failed', error);
+    }
+  }
+
+  /**
+   * POST a signed event
+   * @param {string} event
+   * @param {Object} payload
+   * @param {string} idempotencyKey
+   * @returns {Object} Response body
+   */
+  async send(event, payload, idempotencyKey = null) {
+    if (!this.config.url || !this.config.secret) {
+      throw new Error('Ticketing webhook is not configured');
+    }
+
+    const body = JSON.stringify({ event, ...payload });
+    const timestamp = new Date().toISOString();
+    const signature = crypto
+      .createHmac('sha256', this.config.secret)
+      .update(timestamp + body)
+      .digest('base64');
+
+    const response = await this.apiClient.post(this.config.url, body, {
+      headers: {
+        'X-Myleo-Webhook-Signature': signature,
+        'X-Myleo-Webhook-Signature-Timestamp': timestamp,
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * @param {string} message
+   * @param {Error} error
+   * @param {Object} context
+   * @returns {Object} Failed result
+   */
+  handleError(message, error, context = {}) {
+    this.logger.error(message, {
+      ...context,
+      error: error.message,
+      status: error.response?.status
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      status: error.response?.status || null,
+      retryAfter: parseInt(error.response?.headers?.['retry-after'], 10) || null
+    };
+  }
+}
+
+module.exports = WebhookTicketProvider;
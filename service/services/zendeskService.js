@@ -1,7 +1,12 @@
 const axios = require('axios');
+const TicketProvider = require('./ticketProvider');
 
-class ZendeskService {
+/**
+ * Zendesk API client and ticketing provider (the default one)
+ */
+class ZendeskService extends TicketProvider {
   constructor(config, logger) {
+    super();
     this.config = config;
     this.logger = logger;
     this.apiClient = axios.create({
@@ -23,7 +28,8 @@ class ZendeskService {
         this.logger.info('Zendesk API Request', {
           method: config.method?.toUpperCase(),
           url: config.url,
-          data: config.data ? Object.keys(config.data) : []
+          // Upload bodies are file contents
+          data: config.data && !Buffer.isBuffer(config.data) ? Object.keys(config.data) : []
         });
         return config;
       },
@@ -57,14 +63,23 @@ class ZendeskService {
   /**
    * Create a ticket in Zendesk
    * @param {Object} ticketData 
+   * @param {Object} options
+   * @param {string} options.idempotencyKey Zendesk returns the first ticket when a creation is retried with the same key
    * @returns {Object} Created ticket information
    */
-  async createTicket(ticketData) {
+  async createTicket(ticketData, { idempotencyKey = null } = {}) {
     try {
-      const ticket = this.prepareTicketData(ticketData);
+      // Supporting documents are uploaded first, then linked to the ticket comment
+      const uploads = await this.uploadAttachments(ticketData.attachments || []);
+      const ticket = this.prepareTicketData({ ...ticketData, failedAttachments: uploads.failed });
+      if (uploads.tokens.length > 0) {
+        ticket.comment.uploads = uploads.tokens;
+      }
       
       const response = await this.apiClient.post('/tickets.json', {
         ticket: ticket
+      }, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
       });
 
       const createdTicket = response.data.ticket;
@@ -78,7 +93,8 @@ class ZendeskService {
         success: true,
         ticketId: createdTicket.id,
         ticketUrl: `https://${this.config.domain}/agent/tickets/${createdTicket.id}`,
-        ticket: createdTicket
+        ticket: createdTicket,
+        failedAttachments: uploads.failed
       };
     } catch (error) {
       this.logger.error('Failed to create Zendesk ticket', {
@@ -90,11 +106,59 @@ class ZendeskService {
       return {
         success: false,
         error: error.message,
-        details: error.response?.data
+        details: error.response?.data,
+        // Lets callers tell rate limits and outages from invalid tickets
+        status: error.response?.status || null,
+        retryAfter: parseInt(error.response?.headers?.['retry-after'], 10) || null
       };
     }
   }
 
+  /**
+   * Upload a file to Zendesk
+   * @param {Object} file { filename, contentType, buffer }
+   * @returns {string} Upload token, to reference in a ticket comment
+   */
+  async uploadAttachment(file) {
+    const response = await this.apiClient.post('/uploads.json', file.buffer, {
+      params: { filename: file.filename },
+      headers: { 'Content-Type': file.contentType },
+      maxBodyLength: Infinity
+    });
+
+    this.logger.info('Attachment uploaded to Zendesk', {
+      filename: file.filename,
+      size: file.size
+    });
+
+    return response.data.upload.token;
+  }
+
+  /**
+   * Upload every attachment; a failed upload does not block the ticket
+   * @param {Array} files
+   * @returns {Object} { tokens, failed } failed lists file names
+   */
+  async uploadAttachments(files) {
+    const tokens = [];
+    const failed = [];
+
+    for (const file of files) {
+      try {
+        tokens.push(await this.uploadAttachment(file));
+      } catch (error) {
+        this.logger.error('Failed to upload attachment to Zendesk', {
+          filename: file.filename,
+          error: error.message,
+          response: error.response?.data
+        });
+        failed.push(file.filename);
+      }
+    }
+
+    return { tokens, failed };
+  }
+
   /**
    * Prepare ticket data for Zendesk API
    * @param {Object} ticketData 
@@ -107,31 +171,20 @@ class ZendeskService {
       email,
       phone,
       subject,
-      availability,
       productName,
-      conversationHistory = [],
+      productCode,
+      eligibility = [],
+      attachments = [],
+      failedAttachments = [],
       rubrique,
       language = 'fr'
     } = ticketData;
 
-    // Build ticket description
-    let description = this.buildTicketDescription({
-      firstName,
-      lastName,
-      email,
-      phone,
-      availability,
-      productName,
-      conversationHistory,
-      rubrique,
-      language
-    });
-
     // Prepare ticket object
     const ticket = {
       subject: subject || 'Demande de support via chatbot',
       comment: {
-        body: description
+        html_body: this.buildTicketHtml({ ...ticketData, language })
       },
       requester: {
         name: `${firstName} ${lastName}`.trim() || 'Client Chatbot',
@@ -167,86 +220,62 @@ class ZendeskService {
       ticket.tags.push(`product:${productName.replace(/\s+/g, '_').toLowerCase()}`);
     }
 
+    // Also lets repeat escalations find the ticket of the same product
+    if (productCode) {
+      ticket.tags.push(this.getProductCodeTag(productCode));
+    }
+
     if (phone) {
       ticket.tags.push('has_phone');
     }
 
-    return ticket;
-  }
-
-  /**
-   * Build ticket description from provided data
-   * @param {Object} data 
-   * @returns {string}
-   */
-  buildTicketDescription(data) {
-    const {
-      firstName,
-      lastName,
-      email,
-      phone,
-      availability,
-      productName,
-      conversationHistory,
-      rubrique,
-      language
-    } = data;
-
-    let description = '';
-
-    // Header
-    description += '=== DEMANDE DE SUPPORT VIA CHATBOT ===\n\n';
-
-    // Client information
-    description += '--- INFORMATIONS CLIENT ---\n';
-    if (firstName || lastName) {
-      description += `Nom: ${firstName} ${lastName}\n`;
-    }
-    if (email) {
-      description += `Email: ${email}\n`;
+    if (ticketData.outOfHours) {
+      ticket.tags.push('out_of_hours');
     }
-    if (phone) {
-      description += `Téléphone: ${phone}\n`;
-    }
-    if (availability) {
-      description += `Disponibilités: ${availability}\n`;
+
+    if (attachments.length > 0) {
+      ticket.tags.push('has_attachments');
     }
 
-    description += '\n';
+    if (failedAttachments.length > 0) {
+      ticket.tags.push('attachment_upload_failed');
+    }
 
-    // Context information
-    description += '--- CONTEXTE ---\n';
-    description += `Langue: ${language}\n`;
-    description += `Section: ${rubrique || 'general'}\n`;
-    if (productName) {
-      description += `Produit: ${productName}\n`;
+    // Tag the latest eligibility outcome so agents can filter on it
+    if (eligibility.length > 0) {
+      ticket.tags.push(`eligibility:${eligibility[eligibility.length - 1].outcome}`);
     }
-    description += `Date: ${new Date().toLocaleString('fr-FR')}\n\n`;
 
-    // Conversation history
-    if (conversationHistory && conversationHistory.length > 0) {
-      description += '--- HISTORIQUE DE CONVERSATION ---\n';
-      
-      conversationHistory.forEach((message, index) => {
-        const timestamp = new Date(message.created_at).toLocaleTimeString('fr-FR');
-        const speaker = message.message_type === 'user' ? 'CLIENT' : 'BOT';
-        description += `[${timestamp}] ${speaker}: ${message.message_text}\n`;
-        
-        // Add FAQ reference if available
-        if (message.faq_title) {
-          description += `    ^ Référence FAQ: ${message.faq_title}\n`;
-        }
-      });
-      
-      description += '\n';
+    // Team routing rules override the default settings, urgency only ever
+    // raises the priority (see TicketProvider.buildTicketData)
+    if (ticketData.route) {
+      this.applyRoute(ticket, ticketData.route);
     }
+    ticket.priority = this.getTicketPriority(ticketData, ticket.priority);
+    ticket.tags.push(...(ticketData.tags || []));
 
-    // Footer
-    description += '--- INFORMATIONS SYSTÈME ---\n';
-    description += 'Ticket créé automatiquement par le système de chatbot Myleo\n';
-    description += 'Le client n\'a pas trouvé de réponse satisfaisante dans la FAQ automatisée.\n';
+    return ticket;
+  }
 
-    return description;
+  /**
+   * Apply the Zendesk settings of a routing rule to a ticket (its priority and
+   * tags come with the ticket data)
+   * @param {Object} ticket
+   * @param {Object} route { id, set }
+   */
+  applyRoute(ticket, route) {
+    const { tags, priority, custom_fields: customFields = [], ...settings } = route.set;
+
+    Object.assign(ticket, settings);
+
+    if (customFields.length > 0) {
+      // Rule values replace those of the same fields
+      const ruleFieldIds = customFields.map(field => field.id);
+      ticket.custom_fields = [
+        ...(ticket.custom_fields || []).filter(field => !ruleFieldIds.includes(field.id)),
+        ...customFields
+      ];
+    }
   }
 
   /**
@@ -289,16 +318,22 @@ class ZendeskService {
    * @param {number} ticketId 
    * @param {string} comment 
    * @param {boolean} isPublic 
+   * @param {Object} options
+   * @param {Array} options.uploads Upload tokens of files to attach to the comment
+   * @param {boolean} options.html The comment is HTML (`html_body`)
    * @returns {Object}
    */
-  async addComment(ticketId, comment, isPublic = true) {
+  async addComment(ticketId, comment, isPublic = true, { uploads = [], html = false, tags = [] } = {}) {
     try {
       const response = await this.apiClient.put(`/tickets/${ticketId}.json`, {
         ticket: {
           comment: {
-            body: comment,
-            public: isPublic
-          }
+            [html ? 'html_body' : 'body']: comment,
+            public: isPublic,
+            ...(uploads.length > 0 && { uploads })
+          },
+          // Set with the comment, in the same update
+          ...(tags.length > 0 && { additional_tags: tags })
         }
       });
 
@@ -320,7 +355,9 @@ class ZendeskService {
 
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        status: error.response?.status || null,
+        retryAfter: parseInt(error.response?.headers?.['retry-after'], 10) || null
       };
     }
   }
@@ -328,15 +365,20 @@ class ZendeskService {
   /**
    * Get ticket information
    * @param {number} ticketId 
+   * @param {Object} options
+   * @param {string} options.include Sideloads, e.g. 'users' for the requester
    * @returns {Object}
    */
-  async getTicket(ticketId) {
+  async getTicket(ticketId, { include } = {}) {
     try {
-      const response = await this.apiClient.get(`/tickets/${ticketId}.json`);
+      const response = await this.apiClient.get(`/tickets/${ticketId}.json`, {
+        params: include ? { include } : {}
+      });
       
       return {
         success: true,
-        ticket: response.data.ticket
+        ticket: response.data.ticket,
+        users: response.data.users || []
       };
     } catch (error) {
       this.logger.error('Failed to get Zendesk ticket', {
@@ -351,6 +393,105 @@ class ZendeskService {
     }
   }
 
+  /**
+   * Get the comments of a ticket, newest first
+   * @param {number} ticketId
+   * @returns {Object}
+   */
+  async getTicketComments(ticketId) {
+    try {
+      const response = await this.apiClient.get(`/tickets/${ticketId}/comments.json`, {
+        params: { sort_order: 'desc' }
+      });
+
+      return {
+        success: true,
+        comments: response.data.comments
+      };
+    } catch (error) {
+      this.logger.error('Failed to get Zendesk ticket comments', {
+        ticketId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {number} ticketId
+   * @returns {Object} { success, status }
+   */
+  async getTicketStatus(ticketId) {
+    const result = await this.getTicket(ticketId);
+    if (!result.success) {
+      return result;
+    }
+
+    // Comments are optional: the status is still given when they cannot be read
+    const comments = await this.getTicketComments(ticketId);
+    const lastPublicComment = comments.success ? comments.comments.find(comment => comment.public) : null;
+
+    return {
+      success: true,
+      status: result.ticket.status,
+      createdAt: result.ticket.created_at,
+      updatedAt: result.ticket.updated_at,
+      lastPublicCommentAt: lastPublicComment ? lastPublicComment.created_at : null
+    };
+  }
+
+  /**
+   * Unsolved tickets of a requester created since a date, newest first
+   * @param {string} email
+   * @param {Object} options
+   * @param {Date} options.since
+   * @param {string} options.productCode Only tickets of this product
+   * @returns {Object}
+   */
+  async findRecentTickets(email, { since, productCode = null }) {
+    try {
+      const query = [
+        'type:ticket',
+        `requester:${email}`,
+        'status<solved',
+        // Zendesk search dates have no milliseconds
+        `created>${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`,
+        productCode ? `tags:${this.getProductCodeTag(productCode)}` : ''
+      ].filter(Boolean).join(' ');
+
+      const response = await this.apiClient.get('/search.json', {
+        params: { query, sort_by: 'created_at', sort_order: 'desc' }
+      });
+
+      return {
+        success: true,
+        tickets: response.data.results
+      };
+    } catch (error) {
+      this.logger.error('Failed to search Zendesk tickets', {
+        error: error.message,
+        status: error.response?.status
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {string} productCode
+   * @returns {string}
+   */
+  getProductCodeTag(productCode) {
+    return `product_code:${String(productCode).replace(/\s+/g, '_').toLowerCase()}`;
+  }
+
   /**
    * Test Zendesk connection
    * @returns {Object}
@@ -394,44 +535,13 @@ class ZendeskService {
   }
 
   /**
-   * Validate ticket data before creation
-   * @param {Object} ticketData 
-   * @returns {Object}
-   */
-  validateTicketData(ticketData) {
-    const errors = [];
-
-    if (!ticketData.email) {
-      errors.push('Email is required');
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(ticketData.email)) {
-      errors.push('Valid email is required');
-    }
-
-    if (!ticketData.firstName && !ticketData.lastName) {
-      errors.push('At least first name or last name is required');
-    }
-
-    if (!ticketData.subject || ticketData.subject.trim().length === 0) {
-      errors.push('Subject is required');
-    }
-
-    if (ticketData.phone && !/^[+]?[\d\s\-\(\)]{10,}$/.test(ticketData.phone)) {
-      errors.push('Valid phone number is required');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
-  }
-
-  /**
-   * Create ticket from chat escalation
+   * Create ticket from chat escalation, or add it to the requester's open ticket
    * @param {Object} conversationData 
    * @param {Object} contactForm 
+   * @param {Object} options Passed to createTicket
    * @returns {Object}
    */
-  async escalateConversation(conversationData, contactForm) {
+  async escalateConversation(conversationData, contactForm, options = {}) {
     const validation = this.validateTicketData(contactForm);
     
     if (!validation.isValid) {
@@ -442,15 +552,97 @@ class ZendeskService {
       };
     }
 
-    const ticketData = {
-      ...contactForm,
-      productName: conversationData.productName,
-      conversationHistory: conversationData.messages || [],
-      rubrique: conversationData.rubrique,
-      language: conversationData.languageCode
+    const ticketData = this.buildTicketData(conversationData, contactForm);
+
+    // Same requester escalating again: add to the ticket they already have
+    const openTicket = await this.findDuplicateTicket(ticketData);
+    if (openTicket) {
+      return await this.appendToTicket(openTicket, ticketData);
+    }
+
+    return await this.createTicket(ticketData, options);
+  }
+
+  /**
+   * Open ticket a new escalation should be added to, per the dedupe settings
+   * (mode off | private | public, window, matchProduct)
+   * @param {Object} ticketData
+   * @returns {Object|null} Zendesk ticket
+   */
+  async findDuplicateTicket(ticketData) {
+    const dedupe = this.config.dedupe || {};
+    if (!dedupe.mode || dedupe.mode === 'off') {
+      return null;
+    }
+
+    const result = await this.findRecentTickets(ticketData.email, {
+      since: new Date(Date.now() - (dedupe.window || 86400000)),
+      productCode: dedupe.matchProduct ? ticketData.productCode : null
+    });
+
+    // A failed search must not block the escalation: a new ticket is created
+    return result.success && result.tickets.length > 0 ? result.tickets[0] : null;
+  }
+
+  /**
+   * Add an escalation to an existing ticket as a comment (transcript and files).
+   * The comment tags the ticket with the conversation (`chat_session:<id>`), so
+   * a retried delivery whose first response was lost does not post it again.
+   * @param {Object} ticket
+   * @param {Object} ticketData
+   * @returns {Object} Same shape as createTicket, with merged: true
+   */
+  async appendToTicket(ticket, ticketData) {
+    const marker = `chat_session:${ticketData.sessionId}`;
+    const result = {
+      success: true,
+      merged: true,
+      ticketId: ticket.id,
+      ticketUrl: `https://${this.config.domain}/agent/tickets/${ticket.id}`
     };
 
-    return await this.createTicket(ticketData);
+    // Search results can lag behind: the marker is checked on the ticket itself,
+    // and the delivery is retried when it cannot be read
+    const current = await this.getTicket(ticket.id);
+    if (!current.success) {
+      return current;
+    }
+    if ((current.ticket.tags || []).includes(marker)) {
+      this.logger.info('Repeat escalation already added to open Zendesk ticket', { ticketId: ticket.id });
+      return { ...result, ticket: current.ticket, failedAttachments: [] };
+    }
+
+    const uploads = await this.uploadAttachments(ticketData.attachments || []);
+    const { urgency } = ticketData;
+    const comment = this.buildTicketHtml({
+      ...ticketData,
+      failedAttachments: uploads.failed,
+      followUp: true
+    });
+
+    const added = await this.addComment(ticket.id, comment, this.config.dedupe.mode === 'public', {
+      uploads: uploads.tokens,
+      html: true,
+      tags: [marker, ...(urgency ? ['urgent', ...urgency.reasons.map(reason => `urgency:${reason.id}`)] : [])]
+    });
+
+    if (!added.success) {
+      return added;
+    }
+
+    // The comment is in, a failed priority change only leaves it as it was
+    if (urgency) {
+      await this.updateTicket(ticket.id, {
+        priority: this.getTicketPriority({ urgency }, ticket.priority)
+      });
+    }
+
+    this.logger.info('Repeat escalation added to open Zendesk ticket', {
+      ticketId: ticket.id,
+      status: ticket.status
+    });
+
+    return { ...result, ticket: added.ticket, failedAttachments: uploads.failed };
   }
 }
 
@@ -0,0 +1,123 @@
+const ZendeskService = require('./zendeskService');
+const { createLogger } = require('../test/helpers');
+
+const createService = (dedupe = { mode: 'private' }) => {
+  const service = new ZendeskService({
+    apiUrl: 'https://example.zendesk.com/api/v2',
+    domain: 'example.zendesk.com',
+    email: 'agent@example.com',
+    token: 'token',
+    dedupe
+  }, createLogger());
+
+  service.apiClient = { get: jest.fn(), put: jest.fn(), post: jest.fn() };
+  service.setTemplates({ renderText: () => 'text', renderHtml: () => '<p>html</p>' });
+
+  return service;
+};
+
+const ticketData = {
+  sessionId: '3f2a9c01-d4e5-4f60-8a7b-1c2d3e4f5a6b',
+  email: 'jean@example.com',
+  subject: 'Toujours pas de réponse',
+  language: 'fr',
+  conversationHistory: [],
+  attachments: []
+};
+
+describe('ZendeskService', () => {
+  describe('findDuplicateTicket', () => {
+    it('does not look for open tickets when dedupe is off', async () => {
+      const service = createService({ mode: 'off' });
+
+      expect(await service.findDuplicateTicket(ticketData)).toBeNull();
+      expect(service.apiClient.get).not.toHaveBeenCalled();
+    });
+
+    it('searches the unsolved tickets of the requester within the window, newest first', async () => {
+      const service = createService({ mode: 'private', window: 3600000 });
+      service.apiClient.get.mockResolvedValue({ data: { results: [{ id: 35436 }, { id: 35001 }] } });
+
+      expect(await service.findDuplicateTicket(ticketData)).toEqual({ id: 35436 });
+
+      const [url, { params }] = service.apiClient.get.mock.calls[0];
+      expect(url).toBe('/search.json');
+      expect(params).toMatchObject({ sort_by: 'created_at', sort_order: 'desc' });
+      expect(params.query).toMatch(/^type:ticket requester:jean@example\.com status<solved created>\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+    });
+
+    it('only looks at tickets of the same product when asked to', async () => {
+      const service = createService({ mode: 'private', matchProduct: true });
+      service.apiClient.get.mockResolvedValue({ data: { results: [] } });
+
+      expect(await service.findDuplicateTicket({ ...ticketData, productCode: 'DIESELGATE VW' })).toBeNull();
+      expect(service.apiClient.get.mock.calls[0][1].params.query).toMatch(/ tags:product_code:dieselgate_vw$/);
+    });
+
+    it('creates a new ticket when the search fails', async () => {
+      const service = createService();
+      service.apiClient.get.mockRejectedValue(new Error('socket hang up'));
+
+      expect(await service.findDuplicateTicket(ticketData)).toBeNull();
+    });
+  });
+
+  describe('escalateConversation', () => {
+    it('adds a repeat escalation to the open ticket instead of creating one', async () => {
+      const service = createService();
+      service.apiClient.get.mockResolvedValue({ data: { results: [{ id: 35436, status: 'open' }] } });
+      service.appendToTicket = jest.fn(async () => ({ success: true, merged: true, ticketId: 35436 }));
+      service.createTicket = jest.fn();
+
+      const result = await service.escalateConversation({
+        sessionId: ticketData.sessionId,
+        languageCode: 'fr',
+        messages: []
+      }, { firstName: 'Jean', lastName: 'Dupont', email: 'jean@example.com', subject: 'Toujours pas de réponse', description: 'Relance' });
+
+      expect(result).toMatchObject({ merged: true, ticketId: 35436 });
+      expect(service.appendToTicket).toHaveBeenCalledWith({ id: 35436, status: 'open' }, expect.objectContaining({ email: 'jean@example.com' }));
+      expect(service.createTicket).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('appendToTicket', () => {
+    it('posts the comment with the conversation marker', async () => {
+      const service = createService();
+      service.apiClient.get.mockResolvedValue({ data: { ticket: { id: 35436, tags: ['chatbot'] } } });
+      service.apiClient.put.mockResolvedValue({ data: { ticket: { id: 35436 } } });
+
+      const result = await service.appendToTicket({ id: 35436, status: 'open' }, ticketData);
+
+      expect(result).toMatchObject({ success: true, merged: true, ticketId: 35436 });
+      expect(service.apiClient.put).toHaveBeenCalledTimes(1);
+
+      const [url, body] = service.apiClient.put.mock.calls[0];
+      expect(url).toBe('/tickets/35436.json');
+      expect(body.ticket.comment).toMatchObject({ html_body: '<p>html</p>', public: false });
+      expect(body.ticket.additional_tags).toEqual([`chat_session:${ticketData.sessionId}`]);
+    });
+
+    it('does not post again when the ticket already has the marker', async () => {
+      const service = createService();
+      service.apiClient.get.mockResolvedValue({
+        data: { ticket: { id: 35436, tags: ['chatbot', `chat_session:${ticketData.sessionId}`] } }
+      });
+
+      const result = await service.appendToTicket({ id: 35436, status: 'open' }, ticketData);
+
+      expect(result).toMatchObject({ success: true, merged: true, ticketId: 35436 });
+      expect(service.apiClient.put).not.toHaveBeenCalled();
+    });
+
+    it('fails, to be retried, when the ticket cannot be read', async () => {
+      const service = createService();
+      service.apiClient.get.mockRejectedValue(new Error('socket hang up'));
+
+      const result = await service.appendToTicket({ id: 35436, status: 'open' }, ticketData);
+
+      expect(result.success).toBe(false);
+      expect(service.apiClient.put).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+const STATUSES = ['new', 'open', 'pending', 'hold', 'solved', 'closed'];
+
+// Zendesk ticket statuses that close the conversation on our side
+const CLOSED_STATUSES = ['solved', 'closed'];
+
+/**
+ * Inbound Zendesk webhook: agent replies and status changes of escalated
+ * tickets, mirrored into their chat conversation.
+ *
+ * Zendesk signs each call with the webhook secret: the signature header is
+ * base64(HMAC-SHA256(secret, timestamp + body)). The webhook subscribes to the
+ * ticket events `zen:event-type:ticket.comment_added` and
+ * `zen:event-type:ticket.status_changed`:
+ *
+ *   {
+ *     "id": "event id",
+ *     "type": "zen:event-type:ticket.comment_added",
+ *     "detail": { "id": "35436", "status": "OPEN" },
+ *     "event": { "comment": { "id": "1", "body": "...", "is_public": true, "author": { "id": "2", "is_staff": true, "name": "Marie" } } }
+ *   }
+ *
+ * Tickets are matched to conversations through `zendesk_ticket_id`. Public
+ * staff comments are stored as `agent` messages (once per comment, Zendesk
+ * retries deliveries) and status changes update the conversation; both are
+ * pushed to the event streams open on this instance, and the widget's long
+ * poll (GET /api/chat/events) reads them from the database on any instance.
+ */
+class ZendeskWebhookService {
+  constructor({ database, stream, handoff = null, language, config = {}, logger }) {
+    this.database = database;
+    this.stream = stream;
+    this.handoff = handoff;
+    this.language = language;
+    this.logger = logger;
+    this.config = {
+      secret: config.secret || '',
+      // Replayed calls older than this are refused
+      tolerance: config.tolerance || 300000
+    };
+  }
+
+  /**
+   * Whether a webhook secret is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.config.secret;
+  }
+
+  /**
+   * Check the signature of a webhook call
+   * @param {Buffer} rawBody
+   * @param {string} signature X-Zendesk-Webhook-Signature
+   * @param {string} timestamp X-Zendesk-Webhook-Signature-Timestamp
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signature, timestamp) {
+    if (!this.isEnabled() || !rawBody || typeof signature !== 'string' || typeof timestamp !== 'string') {
+      return false;
+    }
+
+    const sentAt = Date.parse(timestamp);
+    if (Number.isNaN(sentAt) || Math.abs(Date.now() - sentAt) > this.config.tolerance) {
+      this.logger.warn('Zendesk webhook call outside the allowed time window', { timestamp });
+      return false;
+    }
+
+    const expected = Buffer.from(crypto
+      .createHmac('sha256', this.config.secret)
+      .update(timestamp + rawBody.toString('utf8'))
+      .digest('base64'));
+    const received = Buffer.from(signature);
+
+    const valid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    if (!valid) {
+      this.logger.warn('Invalid Zendesk webhook signature');
+    }
+
+    return valid;
+  }
+
+  /**
+   * Apply a ticket event to its conversation
+   * @param {Object} payload
+   * @returns {Object} { handled, reason }
+   */
+  async handleEvent(payload) {
+    const ticketId = payload.detail?.id;
+    const type = String(payload.type || '').replace('zen:event-type:', '');
+
+    if (!ticketId || !['ticket.comment_added', 'ticket.status_changed'].includes(type)) {
+      return { handled: false, reason: 'ignored_event' };
+    }
+
+    const conversation = await this.database.getConversationByTicketId(ticketId);
+    if (!conversation) {
+      return { handled: false, reason: 'unknown_ticket' };
+    }
+
+    if (type === 'ticket.comment_added') {
+      return this.mirrorComment(conversation, ticketId, payload.event?.comment || {});
+    }
+
+    return this.updateStatus(conversation, ticketId, String(payload.event?.current || payload.detail.status || ''));
+  }
+
+  /**
+   * Store a public agent comment as a chat message
+   * @param {Object} conversation
+   * @param {string} ticketId
+   * @param {Object} comment
+   * @returns {Object} { handled, reason, messageId }
+   */
+  async mirrorComment(conversation, ticketId, comment) {
+    // Internal notes and the requester's own emails stay in Zendesk
+    if (!comment.is_public || !comment.author?.is_staff || !comment.body) {
+      return { handled: false, reason: 'not_public_agent_comment' };
+    }
+
+    const messageId = await this.database.saveExternalMessage({
+      conversationId: conversation.id,
+      messageType: 'agent',
+      messageText: comment.body.trim(),
+      authorName: comment.author.name || null,
+      externalId: `zendesk:comment:${comment.id}`
+    });
+
+    if (!messageId) {
+      return { handled: false, reason: 'duplicate' };
+    }
+
+    this.stream.publish(conversation.session_id, 'agent', {
+      id: messageId,
+      type: 'agent',
+      text: comment.body.trim(),
+      agentName: comment.author.name || null
+    }, messageId);
+    this.notify(conversation.session_id);
+
+    this.logger.info('Zendesk comment mirrored to conversation', {
+      sessionId: conversation.session_id,
+      ticketId,
+      commentId: comment.id,
+      messageId
+    });
+
+    return { handled: true, reason: null, messageId };
+  }
+
+  /**
+   * Follow the ticket status: solved and closed tickets resolve the conversation
+   * @param {Object} conversation
+   * @param {string} ticketId
+   * @param {string} zendeskStatus
+   * @returns {Object} { handled, reason, status }
+   */
+  async updateStatus(conversation, ticketId, zendeskStatus) {
+    const ticketStatus = zendeskStatus.toLowerCase();
+    if (!STATUSES.includes(ticketStatus) || ticketStatus === conversation.zendesk_status) {
+      return { handled: false, reason: 'unchanged' };
+    }
+
+    const status = CLOSED_STATUSES.includes(ticketStatus) ? 'resolved' : 'escalated';
+    await this.database.updateConversationStatus(conversation.id, status, { zendeskStatus: ticketStatus });
+
+    // Same wording as the ticket status lookup
+    const text = this.language.get('ticketStatus.updated', conversation.language_code, {
+      ticketId,
+      status: this.language.get(`ticketStatus.statuses.${ticketStatus}`, conversation.language_code)
+    });
+    const messageId = await this.database.saveMessage({
+      conversationId: conversation.id,
+      messageType: 'system',
+      messageText: text
+    });
+
+    this.stream.publish(conversation.session_id, 'system', { id: messageId, type: 'system', text }, messageId);
+    this.notify(conversation.session_id);
+
+    this.logger.info('Zendesk ticket status synchronized', {
+      sessionId: conversation.session_id,
+      ticketId,
+      ticketStatus,
+      status
+    });
+
+    return { handled: true, reason: null, status };
+  }
+
+  /**
+   * Wake up the long polls of the widget (GET /api/chat/events)
+   * @param {string} sessionId
+   */
+  notify(sessionId) {
+    if (this.handoff) {
+      this.handoff.notify(sessionId);
+    }
+  }
+
+  /**
+   * Translation keys this service uses
+   * @returns {Array}
+   */
+  static getRequiredTranslationKeys() {
+    return ['ticketStatus.updated'];
+  }
+}
+
+module.exports = ZendeskWebhookService;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const ZendeskWebhookService = require('./zendeskWebhookService');
+const helpers = require('../test/helpers');
+
+const SECRET = 'dGVzdC1zZWNyZXQ=';
+
+const createService = (config = {}) => helpers.createService(ZendeskWebhookService, {
+  database: {},
+  stream: { publish: jest.fn() },
+  config: { secret: SECRET, ...config }
+});
+
+const sign = (timestamp, body, secret = SECRET) => crypto
+  .createHmac('sha256', secret)
+  .update(timestamp + body)
+  .digest('base64');
+
+describe('ZendeskWebhookService', () => {
+  describe('verifySignature', () => {
+    const body = JSON.stringify({ type: 'zen:event-type:ticket.status_changed', detail: { id: '35436', status: 'SOLVED' } });
+
+    it('accepts a call signed with the secret', () => {
+      const timestamp = new Date().toISOString();
+
+      expect(createService().verifySignature(Buffer.from(body), sign(timestamp, body), timestamp)).toBe(true);
+    });
+
+    it('rejects a signature made with another secret', () => {
+      const timestamp = new Date().toISOString();
+
+      expect(createService().verifySignature(Buffer.from(body), sign(timestamp, body, 'other'), timestamp)).toBe(false);
+    });
+
+    it('rejects a body changed after signing', () => {
+      const timestamp = new Date().toISOString();
+      const signature = sign(timestamp, body);
+
+      expect(createService().verifySignature(Buffer.from(body.replace('SOLVED', 'OPEN')), signature, timestamp)).toBe(false);
+    });
+
+    it('rejects a call older than the tolerance, even correctly signed', () => {
+      const timestamp = new Date(Date.now() - 10 * 60000).toISOString();
+
+      expect(createService().verifySignature(Buffer.from(body), sign(timestamp, body), timestamp)).toBe(false);
+    });
+
+    it('rejects missing headers and calls without a configured secret', () => {
+      const timestamp = new Date().toISOString();
+
+      expect(createService().verifySignature(Buffer.from(body), undefined, timestamp)).toBe(false);
+      expect(createService().verifySignature(Buffer.from(body), sign(timestamp, body), undefined)).toBe(false);
+      expect(createService({ secret: '' }).verifySignature(Buffer.from(body), sign(timestamp, body, ''), timestamp)).toBe(false);
+    });
+  });
+});
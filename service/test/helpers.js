@@ -0,0 +1,64 @@
+const LanguageService = require('../services/languageService');
+
+/**
+ * Stand-ins for the dependencies every service is constructed with, shared by
+ * the service tests (`services/*.test.js`)
+ */
+
+/**
+ * Logger recording its calls
+ * @returns {Object}
+ */
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logError: jest.fn(),
+  logChat: jest.fn()
+});
+
+/**
+ * Language service answering with the translation key, or with the given lookup
+ * @param {Function} get (key, languageCode, replacements) => string
+ * @returns {Object}
+ */
+const createLanguage = (get = key => key) => ({
+  get: jest.fn(get)
+});
+
+/**
+ * The real language service, with the shipped `languages/*.json` loaded
+ * @returns {Promise<LanguageService>}
+ */
+const loadLanguages = async () => {
+  const language = new LanguageService();
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  try {
+    await language.loadLanguages();
+  } finally {
+    log.mockRestore();
+  }
+
+  return language;
+};
+
+/**
+ * Construct a service with a logger and a language service, unless given
+ * @param {Function} Service Service class
+ * @param {Object} deps Other constructor dependencies
+ * @returns {Object}
+ */
+const createService = (Service, deps = {}) => new Service({
+  logger: createLogger(),
+  language: createLanguage(),
+  ...deps
+});
+
+module.exports = {
+  createLogger,
+  createLanguage,
+  loadLanguages,
+  createService
+};
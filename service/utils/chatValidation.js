@@ -0,0 +1,226 @@
+const { body, validationResult } = require('express-validator');
+
+/**
+ * Validation rules of the chat API, shared by the REST routes and the
+ * WebSocket transport.
+ */
+
+// Request body rules
+const validateStartConversation = [
+  body('language')
+    .optional()
+    .isIn(['fr', 'en'])
+    .withMessage('Language must be fr or en'),
+  body('rubrique')
+    .optional()
+    .isIn(['produit', 'compte_client', 'tunnel_vente', 'general'])
+    .withMessage('Invalid rubrique value'),
+  body('productCode')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Product code must be 1-100 characters'),
+  body('pageUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ max: 2048 })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Page URL must be an http(s) URL of at most 2048 characters'),
+  body('userAgent')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('User agent too long')
+];
+
+const validateMessage = [
+  body('sessionId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  body('message')
+    .notEmpty()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Message must be 1-500 characters'),
+  body('choice.faqId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Choice FAQ ID must be a positive integer'),
+  body('choice.index')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Choice index must be a non-negative integer'),
+  body('choice.id')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Choice ID must be a string of up to 100 characters'),
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean')
+];
+
+const validateEscalation = [
+  body('sessionId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  body('contactData.firstName')
+    .notEmpty()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name is required and must be 1-50 characters'),
+  body('contactData.lastName')
+    .notEmpty()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name is required and must be 1-50 characters'),
+  body('contactData.email')
+    .isEmail()
+    .withMessage('Valid email is required'),
+  body('contactData.phone')
+    .optional()
+    .matches(/^[\d\s\-\(\)+]{10,20}$/)
+    .withMessage('Invalid phone number format'),
+  body('contactData.subject')
+    .notEmpty()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject is required and must be 1-200 characters'),
+  body('contactData.availability')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Availability text too long'),
+  body('attachments')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Attachments must be a list'),
+  body('attachments.*.filename')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Attachment file name is required and must be 1-255 characters'),
+  body('attachments.*.contentType')
+    .isString()
+    .notEmpty()
+    .withMessage('Attachment content type is required'),
+  body('attachments.*.content')
+    .isBase64()
+    .withMessage('Attachment content must be base64 encoded'),
+  body('idempotencyKey')
+    .optional()
+    .isString()
+    .matches(/^[\w-]{8,100}$/)
+    .withMessage('Idempotency key must be 8-100 letters, digits, dashes or underscores')
+];
+
+const validateEndConversation = [
+  body('sessionId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  body('feedback.rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('feedback.nps')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('NPS score must be between 0 and 10')
+    .toInt(),
+  body('feedback.solved')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Solved must be a boolean'),
+  body('feedback.comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment too long')
+];
+
+const validateFeedback = [
+  body('sessionId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  body('messageId')
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a positive integer'),
+  body('helpful')
+    .isBoolean({ strict: true })
+    .withMessage('Helpful must be a boolean'),
+  body('comment')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Comment too long')
+];
+
+// Error handling middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const validateTranscriptEmail = [
+  body('sessionId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  body('email')
+    .isEmail()
+    .isLength({ max: 255 })
+    .withMessage('Valid email is required')
+];
+
+const validateTicketStatus = [
+  body('sessionId')
+    .notEmpty()
+    .isUUID()
+    .withMessage('Valid session ID is required'),
+  // Zendesk numbers, or references of the other providers (EML-..., WH-...)
+  body('ticketId')
+    .trim()
+    .matches(/^[A-Z0-9-]{1,100}$/i)
+    .withMessage('Valid ticket number is required'),
+  body('email')
+    .optional()
+    .isEmail()
+    .isLength({ max: 255 })
+    .withMessage('Valid email is required'),
+  body('code')
+    .optional()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Valid code is required')
+];
+
+/**
+ * Validate a plain payload (WebSocket frame) against the route rules
+ * @param {Array} validators
+ * @param {Object} payload
+ * @returns {Array} Validation errors, empty when valid
+ */
+async function validatePayload(validators, payload) {
+  const req = { body: payload };
+
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+
+  return validationResult(req).array();
+}
+
+module.exports = {
+  validateStartConversation,
+  validateMessage,
+  validateEscalation,
+  validateEndConversation,
+  validateFeedback,
+  validateTranscriptEmail,
+  validateTicketStatus,
+  handleValidationErrors,
+  validatePayload
+};